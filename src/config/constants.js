@@ -22,10 +22,20 @@
  * ================================================================
  */
 
+// Modul sandbox (SANDBOX_MODE=true): API-urile SmartBill și eMAG sunt servite de serverul mock local
+// (src/sandbox), pentru instruire și reproducerea erorilor fără conturile de producție
+const SANDBOX_ENABLED = process.env.SANDBOX_MODE === 'true';
+const SANDBOX_PORT = parseInt(process.env.SANDBOX_PORT, 10) || 3001;
+const SANDBOX_URL = `http://127.0.0.1:${SANDBOX_PORT}`;
+
+// În sandbox baza de date, certificatele generate și fișierele încărcate stau separat de cele de producție
+const DATA_PATH = SANDBOX_ENABLED ? './data/sandbox' : './data';
+const OUTPUT_PATH = SANDBOX_ENABLED ? './output/sandbox' : './output';
+
 module.exports = {
     // Configurare SmartBill API
     SMARTBILL: {
-        BASE_URL: 'https://ws.smartbill.ro/SBORO/api',
+        BASE_URL: SANDBOX_ENABLED ? `${SANDBOX_URL}/smartbill/SBORO/api` : 'https://ws.smartbill.ro/SBORO/api',
 
         // ENDPOINT-URI PERMISE (READ-ONLY)
         ALLOWED_ENDPOINTS: {
@@ -48,7 +58,34 @@ module.exports = {
     // Configurare eMAG Marketplace API
     // Documentație: emag-marketplace-api-documentation-v4.5.0.docx
     EMAG: {
-        BASE_URL: 'https://marketplace-api.emag.ro/api-3',
+        // Marketplace-uri eMAG - fiecare are propriul cont de vânzător și propriul API
+        // credentialsKey = cheia din credentials.enc; pattern = mențiunea de pe factură care indică marketplace-ul
+        // currencies = monedele care indică singure marketplace-ul; EUR lipsește intenționat (e folosit și
+        // pe alte canale), deci o factură în EUR ajunge pe BG doar prin mențiunea din text sau prin canalul de vânzare
+        MARKETPLACES: {
+            ro: {
+                label: 'eMAG România',
+                baseUrl: SANDBOX_ENABLED ? `${SANDBOX_URL}/emag/ro/api-3` : 'https://marketplace-api.emag.ro/api-3',
+                credentialsKey: 'emag',
+                currencies: ['RON'],
+                pattern: null // Implicit - facturile RO nu au o mențiune distinctă
+            },
+            hu: {
+                label: 'eMAG Ungaria',
+                baseUrl: SANDBOX_ENABLED ? `${SANDBOX_URL}/emag/hu/api-3` : 'https://marketplace-api.emag.hu/api-3',
+                credentialsKey: 'emag_hu',
+                currencies: ['HUF'],
+                pattern: /emag\.hu\b|eMAG\s*HU\b/i
+            },
+            bg: {
+                label: 'eMAG Bulgaria',
+                baseUrl: SANDBOX_ENABLED ? `${SANDBOX_URL}/emag/bg/api-3` : 'https://marketplace-api.emag.bg/api-3',
+                credentialsKey: 'emag_bg',
+                currencies: ['BGN'],
+                pattern: /emag\.bg\b|eMAG\s*BG\b/i
+            }
+        },
+        DEFAULT_MARKETPLACE: 'ro',
 
         // Endpoint-uri disponibile
         ENDPOINTS: {
@@ -68,10 +105,27 @@ module.exports = {
             PROFORMA: 11
         },
 
+        // Statusurile comenzilor (order/read -> status)
+        ORDER_STATUSES: {
+            CANCELLED: 0,
+            NEW: 1,
+            IN_PROGRESS: 2,
+            PREPARED: 3,
+            FINALIZED: 4,
+            RETURNED: 5
+        },
+
         // Tipuri de comenzi
         ORDER_TYPES: {
             FULFILLED_BY_EMAG: 2,
             FULFILLED_BY_SELLER: 3
+        },
+
+        // Câmpurile liniei de comandă după care se mapează la nomenclator, în ordinea verificării
+        PRODUCT_MATCH_FIELDS: {
+            part_number: 'Part number',
+            ext_part_number: 'Ext. part number',
+            name: 'Denumire'
         }
     },
 
@@ -93,9 +147,13 @@ module.exports = {
         COOKIE_NAME: 'garantie_session'
     },
 
+    // URL-ul public al aplicației - eMAG descarcă de aici certificatele și manualele,
+    // iar codul QR al certificatului trimite la pagina de verificare
+    PUBLIC_URL: process.env.PUBLIC_URL || 'https://garantie-premierkids.lentiu.ro',
+
     // Configurare bază de date
     DATABASE: {
-        PATH: './data/database.db'
+        PATH: `${DATA_PATH}/database.db`
     },
 
     // Configurare fișiere
@@ -103,7 +161,194 @@ module.exports = {
         CREDENTIALS_PATH: './data/credentials.enc',
         PDF_TEMPLATE_PATH: './templates/Certificat de garantie Zulmire v2.pdf',
         WORD_TEMPLATE_PATH: './templates/Certificat de garantie Zulmire v2.docx',
-        OUTPUT_PATH: './output'
+        OUTPUT_PATH
+    },
+
+    // Atașamente (poze, documente) pentru reclamații și certificate
+    ATTACHMENTS: {
+        PATH: `${DATA_PATH}/attachments`,
+        MAX_FILE_SIZE: 10 * 1024 * 1024, // 10 MB
+        MAX_FILES_PER_UPLOAD: 10,
+        THUMBNAIL_SIZE: 320,
+        ENTITY_TYPES: ['claim', 'certificate'],
+
+        // Tipuri permise și extensia folosită la salvare
+        ALLOWED_MIME_TYPES: {
+            'image/jpeg': 'jpg',
+            'image/png': 'png',
+            'image/gif': 'gif',
+            'image/webp': 'webp',
+            'image/heic': 'heic',
+            'application/pdf': 'pdf'
+        },
+
+        // Formatele pentru care generăm miniaturi (jimp nu citește webp/heic)
+        THUMBNAIL_MIME_TYPES: ['image/jpeg', 'image/png', 'image/gif']
+    },
+
+    // Biblioteca de manuale ale produselor - PDF-uri publice atașate automat comenzilor eMAG
+    MANUALS: {
+        PATH: `${DATA_PATH}/manuals`,
+        PUBLIC_PATH: '/public/manuals',
+        MAX_FILE_SIZE: 20 * 1024 * 1024, // 20 MB
+
+        // Tipul atașamentului în eMAG (vezi EMAG.ATTACHMENT_TYPES)
+        TYPES: {
+            4: 'Manual de utilizare',
+            8: 'Ghid de utilizare'
+        }
+    },
+
+    // Configurare serii certificate (ex: CG-2026-000123)
+    CERTIFICATE_SERIAL: {
+        DEFAULT_PREFIX: 'CG',
+        NUMBER_LENGTH: 6,
+        VERIFY_PATH: '/public/verify'
+    },
+
+    // Ce facem cu o factură care are deja un certificat activ (generare manuală și automată)
+    CERTIFICATE_IDEMPOTENCY: {
+        DEFAULT_POLICY: 'skip',
+
+        // Politicile permise și etichetele afișate
+        POLICIES: {
+            skip: 'Omite factura',
+            new_version: 'Versiune nouă doar dacă s-a schimbat conținutul',
+            force: 'Forțează o versiune nouă'
+        }
+    },
+
+    // Reclamații în garanție (RMA)
+    CLAIMS: {
+        NUMBER_PREFIX: 'RMA',
+
+        // Statusuri și etichete afișate
+        STATUSES: {
+            received: 'Recepționată',
+            diagnosed: 'Diagnosticată',
+            repaired: 'Reparată',
+            replaced: 'Înlocuită',
+            refunded: 'Rambursată',
+            closed: 'Închisă'
+        },
+
+        // Tranzițiile permise între statusuri
+        // Din "diagnosed" se poate închide direct (ex: defect neacoperit de garanție)
+        TRANSITIONS: {
+            received: ['diagnosed'],
+            diagnosed: ['repaired', 'replaced', 'refunded', 'closed'],
+            repaired: ['closed'],
+            replaced: ['closed'],
+            refunded: ['closed'],
+            closed: []
+        },
+
+        DEFECT_CATEGORIES: {
+            motor: 'Motor',
+            battery: 'Baterie',
+            charger: 'Încărcător',
+            controller: 'Placă electronică / modul',
+            remote: 'Telecomandă',
+            wheels: 'Roți / anvelope',
+            body: 'Caroserie / piese plastic',
+            electrics: 'Cablaj / lumini / sunete',
+            transport: 'Deteriorare la transport',
+            other: 'Altele'
+        }
+    },
+
+    // Serii de facturi urmărite la procesarea automată
+    INVOICE_SERIES: {
+        FALLBACK_SERIES: 'PK', // Folosită doar dacă nu există nicio serie configurată
+        DEFAULT_NOT_FOUND_THRESHOLD: 2, // Oprim seria după N facturi consecutive inexistente
+        MAX_NOT_FOUND_THRESHOLD: 20,
+        MAX_HELD_RUNS: 3, // După N rulări cu eroare temporară la aceeași factură, cursorul trece de ea
+        MAX_RANGE_SIZE: 1000 // Numărul maxim de facturi la procesarea / raportul unui interval explicit
+    },
+
+    // Procesare automată programată (scheduler intern)
+    SCHEDULER: {
+        DEFAULT_INTERVAL_MINUTES: 30,
+        MIN_INTERVAL_MINUTES: 5,
+        MAX_INTERVAL_MINUTES: 24 * 60,
+        DEFAULT_WORK_START: '08:00',
+        DEFAULT_WORK_END: '20:00',
+        DEFAULT_MAX_INVOICES: 50,
+        MAX_INVOICES_LIMIT: 500,
+        TICK_MS: 60 * 1000 // Verificăm o dată pe minut dacă e momentul unei rulări
+    },
+
+    // Clientul HTTP comun pentru SmartBill și eMAG (utils/http-client)
+    // Erorile temporare (5xx, timeout, rețea, 429) se reîncearcă cu pauză exponențială + jitter;
+    // după CIRCUIT_FAILURE_THRESHOLD eșecuri temporare consecutive circuitul se deschide și
+    // request-urile eșuează imediat timp de CIRCUIT_RESET_MS, apoi se încearcă din nou un request
+    HTTP_CLIENT: {
+        MAX_RETRIES: 3, // Reîncercări după prima încercare
+        BASE_DELAY_MS: 1000,
+        MAX_DELAY_MS: 15 * 1000,
+        MAX_RETRY_AFTER_MS: 60 * 1000, // Limita pentru Retry-After trimis de server la 429
+        CIRCUIT_FAILURE_THRESHOLD: 5,
+        CIRCUIT_RESET_MS: 2 * 60 * 1000
+    },
+
+    // Coada de reîncercare pentru încărcările eșuate în eMAG
+    // Pauza dintre încercări se dublează: 5 min, 10 min, 20 min... (maxim MAX_DELAY_MINUTES)
+    EMAG_UPLOAD_QUEUE: {
+        MAX_ATTEMPTS: 8, // Inclusiv încercarea de la generare; apoi intrarea trece în "dead"
+        BASE_DELAY_MINUTES: 5,
+        MAX_DELAY_MINUTES: 6 * 60,
+        BATCH_SIZE: 10, // Câte încărcări reîncearcă worker-ul la o verificare
+        TICK_MS: 60 * 1000
+    },
+
+    // Reconcilierea atașamentelor de garanție din eMAG cu certificatele generate
+    EMAG_RECONCILIATION: {
+        DEFAULT_DAYS: 30, // Certificatele generate în ultimele N zile
+        MAX_DAYS: 365,
+        MAX_CERTIFICATES: 500, // Câte certificate verifică o rulare (2 request-uri eMAG per certificat)
+        DELAY_BETWEEN_ORDERS_MS: 300
+    },
+
+    // Verificarea periodică a comenzilor eMAG (anulate / returnate după generarea certificatului)
+    EMAG_ORDER_STATUS: {
+        DAYS: 30, // Certificatele generate în ultimele N zile
+        INTERVAL_HOURS: 6,
+        MAX_CERTIFICATES: 500, // Câte comenzi verifică o rulare
+        DELAY_BETWEEN_ORDERS_MS: 300,
+        FLAGS: {
+            cancelled: 'Comandă anulată',
+            returned: 'Comandă returnată'
+        }
+    },
+
+    // Modul eMAG-first: comenzile finalizate din eMAG sunt potrivite cu certificatele facturilor
+    // fără mențiunea "Comanda Emag nr." (după client, dată și valoare)
+    EMAG_ORDER_MATCHING: {
+        DAYS: 14, // Comenzile create în ultimele N zile
+        MAX_DAYS: 90,
+        INTERVAL_HOURS: 3,
+        ITEMS_PER_PAGE: 100, // Maximul acceptat de /order/read
+        MAX_PAGES: 20,
+        DATE_TOLERANCE_DAYS: 7, // Factura poate fi emisă până la N zile după comandă
+        AMOUNT_TOLERANCE: 1, // Diferență acceptată între totalul comenzii și al facturii (rotunjiri)
+        STATUSES: {
+            linked: 'Legată din factură',
+            matched: 'Potrivită automat',
+            ambiguous: 'Mai multe facturi posibile',
+            unmatched: 'Fără factură'
+        }
+    },
+
+    // Serverul mock SmartBill / eMAG (vezi src/sandbox) - credențialele salvate în Setări sunt ignorate
+    SANDBOX: {
+        ENABLED: SANDBOX_ENABLED,
+        PORT: SANDBOX_PORT,
+        URL: SANDBOX_URL,
+        INVOICE_SERIES: 'PKS',
+        CREDENTIALS: {
+            smartbill: { username: 'sandbox@premierkids.ro', token: 'sandbox-token', cif: 'RO10651758' },
+            emag: { username: 'sandbox', password: 'sandbox' }
+        }
     },
 
     // Pattern pentru extragere număr comandă eMAG din facturi
@@ -10,6 +10,7 @@ const constants = require('./constants');
 
 let db = null;
 let SQL = null;
+let inTransaction = false; // În tranzacție nu salvăm pe disc (vezi saveDatabase)
 
 // Calea către fișierul bazei de date
 const dbPath = path.resolve(constants.DATABASE.PATH);
@@ -118,6 +119,429 @@ function createTables() {
         )
     `);
 
+    // Migrație: adaugă coloana serial_number (serie unică certificat, ex: CG-2026-000123)
+    try {
+        db.run(`ALTER TABLE certificates ADD COLUMN serial_number TEXT`);
+    } catch (e) {
+        // Coloana există deja
+    }
+
+    // Migrație: adaugă coloana status (active / voided) pentru certificate
+    try {
+        db.run(`ALTER TABLE certificates ADD COLUMN status TEXT DEFAULT 'active'`);
+    } catch (e) {
+        // Coloana există deja
+    }
+
+    // Migrație: coloane pentru anulare și reemitere certificate (lanț de versiuni per factură)
+    const certificateVersionColumns = [
+        'version INTEGER DEFAULT 1',
+        'previous_certificate_id INTEGER',
+        'voided_at DATETIME',
+        'void_reason TEXT'
+    ];
+    for (const column of certificateVersionColumns) {
+        try {
+            db.run(`ALTER TABLE certificates ADD COLUMN ${column}`);
+        } catch (e) {
+            // Coloana există deja
+        }
+    }
+
+    // Migrare: stornări - factura storno care a anulat certificatul și marcaj de urmărire eMAG
+    const certificateStornoColumns = [
+        'storno_invoice_number TEXT',
+        'emag_followup INTEGER DEFAULT 0',
+        'emag_followup_reason TEXT'
+    ];
+    for (const column of certificateStornoColumns) {
+        try {
+            db.run(`ALTER TABLE certificates ADD COLUMN ${column}`);
+        } catch (e) {
+            // Coloana există deja
+        }
+    }
+
+    // Migrare: starea comenzii eMAG după generare - emag_order_flag = cancelled / returned (NULL = în regulă)
+    // emag_order_reviewed = 1 după ce certificatul semnalat a fost verificat din Istoric
+    const certificateOrderStatusColumns = [
+        'emag_order_flag TEXT',
+        'emag_order_flag_reason TEXT',
+        'emag_order_checked_at DATETIME',
+        'emag_order_reviewed INTEGER DEFAULT 0'
+    ];
+    for (const column of certificateOrderStatusColumns) {
+        try {
+            db.run(`ALTER TABLE certificates ADD COLUMN ${column}`);
+        } catch (e) {
+            // Coloana există deja
+        }
+    }
+
+    // Migrație: marketplace-ul eMAG (ro / hu / bg) în care a fost încărcat certificatul
+    try {
+        db.run(`ALTER TABLE certificates ADD COLUMN emag_marketplace TEXT DEFAULT 'ro'`);
+    } catch (e) {
+        // Coloana există deja
+    }
+
+    // Migrație: totalul și moneda facturii - pentru potrivirea comenzilor eMAG fără mențiune pe factură
+    const certificateInvoiceTotalColumns = [
+        'invoice_total REAL',
+        'invoice_currency TEXT'
+    ];
+    for (const column of certificateInvoiceTotalColumns) {
+        try {
+            db.run(`ALTER TABLE certificates ADD COLUMN ${column}`);
+        } catch (e) {
+            // Coloana există deja
+        }
+    }
+
+    // Tabel linii de garanție - câte o linie pentru fiecare produs din certificat
+    // Datele sunt stocate ca yyyy-mm-dd pentru a putea fi comparate direct în SQL
+    db.run(`
+        CREATE TABLE IF NOT EXISTS warranty_lines (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            certificate_id INTEGER NOT NULL,
+            invoice_number TEXT NOT NULL,
+            product_code TEXT,
+            product_name TEXT NOT NULL,
+            quantity INTEGER DEFAULT 1,
+            warranty_months INTEGER NOT NULL,
+            client_is_vat_payer INTEGER DEFAULT 0,
+            start_date TEXT NOT NULL,
+            end_date TEXT NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (certificate_id) REFERENCES certificates(id)
+        )
+    `);
+    db.run('CREATE INDEX IF NOT EXISTS idx_warranty_lines_certificate ON warranty_lines(certificate_id)');
+    db.run('CREATE INDEX IF NOT EXISTS idx_warranty_lines_end_date ON warranty_lines(end_date)');
+
+    // Tabel secvențe serii certificate (o secvență pe an)
+    db.run(`
+        CREATE TABLE IF NOT EXISTS certificate_sequences (
+            year INTEGER PRIMARY KEY,
+            last_number INTEGER NOT NULL DEFAULT 0,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+
+    // ============================================
+    // MODUL RECLAMAȚII (RMA)
+    // ============================================
+
+    // Tabel reclamații - deschise pe un certificat și o linie de garanție (produs)
+    db.run(`
+        CREATE TABLE IF NOT EXISTS claims (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            claim_number TEXT UNIQUE,
+            certificate_id INTEGER NOT NULL,
+            warranty_line_id INTEGER,
+            invoice_number TEXT NOT NULL,
+            product_code TEXT,
+            product_name TEXT NOT NULL,
+            client_name TEXT,
+            contact_phone TEXT,
+            contact_email TEXT,
+            defect_category TEXT NOT NULL,
+            description TEXT,
+            status TEXT NOT NULL DEFAULT 'received',
+            reported_at TEXT NOT NULL,
+            warranty_end_date TEXT,
+            in_warranty INTEGER DEFAULT 0,
+            resolution TEXT,
+            created_by TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            closed_at DATETIME,
+            FOREIGN KEY (certificate_id) REFERENCES certificates(id),
+            FOREIGN KEY (warranty_line_id) REFERENCES warranty_lines(id)
+        )
+    `);
+    db.run('CREATE INDEX IF NOT EXISTS idx_claims_certificate ON claims(certificate_id)');
+    db.run('CREATE INDEX IF NOT EXISTS idx_claims_status ON claims(status)');
+
+    // Istoric reclamație: note și schimbări de status
+    db.run(`
+        CREATE TABLE IF NOT EXISTS claim_events (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            claim_id INTEGER NOT NULL,
+            event_type TEXT NOT NULL,
+            status_from TEXT,
+            status_to TEXT,
+            note TEXT,
+            username TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (claim_id) REFERENCES claims(id) ON DELETE CASCADE
+        )
+    `);
+    db.run('CREATE INDEX IF NOT EXISTS idx_claim_events_claim ON claim_events(claim_id)');
+
+    // Atașamente (poze, documente) pentru reclamații și certificate
+    // Fișierele sunt salvate în data/attachments, în baza de date doar metadatele
+    db.run(`
+        CREATE TABLE IF NOT EXISTS attachments (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            entity_type TEXT NOT NULL,
+            entity_id INTEGER NOT NULL,
+            original_name TEXT NOT NULL,
+            stored_name TEXT NOT NULL UNIQUE,
+            mime_type TEXT NOT NULL,
+            size INTEGER NOT NULL,
+            thumbnail_name TEXT,
+            uploaded_by TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    db.run('CREATE INDEX IF NOT EXISTS idx_attachments_entity ON attachments(entity_type, entity_id)');
+
+    // Tabel job-uri de procesare automată (rulate în fundal, urmărite prin SSE)
+    // Evenimentele per factură sunt ținute doar în memorie; aici rămâne rezumatul final
+    db.run(`
+        CREATE TABLE IF NOT EXISTS processing_jobs (
+            id TEXT PRIMARY KEY,
+            source TEXT NOT NULL,
+            status TEXT NOT NULL DEFAULT 'running',
+            options TEXT,
+            result TEXT,
+            error TEXT,
+            started_by TEXT,
+            started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            finished_at DATETIME
+        )
+    `);
+    db.run('CREATE INDEX IF NOT EXISTS idx_processing_jobs_started ON processing_jobs(started_at)');
+
+    // Tabel istoric rulări processUnprocessedInvoices (cursor, contoare, certificate create)
+    // Permite anularea (rollback) ultimei rulări: ștergerea certificatelor și resetarea cursorului
+    db.run(`
+        CREATE TABLE IF NOT EXISTS processing_runs (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            job_id TEXT,
+            source TEXT,
+            cursor_start TEXT NOT NULL,
+            cursor_end TEXT NOT NULL,
+            total INTEGER DEFAULT 0,
+            generated INTEGER DEFAULT 0,
+            skipped INTEGER DEFAULT 0,
+            storno INTEGER DEFAULT 0,
+            not_found INTEGER DEFAULT 0,
+            errors INTEGER DEFAULT 0,
+            certificate_ids TEXT,
+            status TEXT DEFAULT 'completed',
+            started_at DATETIME,
+            finished_at DATETIME,
+            rolled_back_at DATETIME,
+            rolled_back_by TEXT
+        )
+    `);
+
+    // Migrare: cursoarele per serie ale rulării ([{ series, start, end }]) pentru rollback
+    try {
+        db.run('ALTER TABLE processing_runs ADD COLUMN cursors TEXT');
+    } catch (e) {
+        // Coloana există deja
+    }
+
+    // Migrare: tipul rulării - 'cursor' (continuare de la cursorul seriilor) sau 'range' (interval explicit)
+    try {
+        db.run("ALTER TABLE processing_runs ADD COLUMN mode TEXT DEFAULT 'cursor'");
+    } catch (e) {
+        // Coloana există deja
+    }
+
+    // Tabel rezultatul fiecărei facturi verificate într-o rulare (generated / skipped / storno / not_found / error)
+    // Folosit la raportul de goluri: facturi dintr-un interval niciodată procesate sau negăsite
+    db.run(`
+        CREATE TABLE IF NOT EXISTS processing_run_invoices (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            run_id INTEGER NOT NULL,
+            series TEXT NOT NULL,
+            number INTEGER NOT NULL,
+            invoice_number TEXT NOT NULL,
+            status TEXT NOT NULL,
+            certificate_id INTEGER,
+            message TEXT,
+            processed_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+
+    // Tabel serii de facturi urmărite la procesarea automată, fiecare cu propriul cursor
+    // last_number = ultimul număr procesat; number_padding = lungimea minimă a numărului (ex: 0001234)
+    db.run(`
+        CREATE TABLE IF NOT EXISTS invoice_series (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            series TEXT NOT NULL UNIQUE,
+            description TEXT,
+            last_number INTEGER NOT NULL DEFAULT 0,
+            number_padding INTEGER NOT NULL DEFAULT 0,
+            is_active INTEGER DEFAULT 1,
+            not_found_threshold INTEGER DEFAULT 2,
+            is_yearly INTEGER DEFAULT 0,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+
+    // Migrație: factura la care cursorul seriei este ținut după o eroare temporară SmartBill
+    // held_number = numărul facturii; held_runs = în câte rulări a eșuat (vezi INVOICE_SERIES.MAX_HELD_RUNS)
+    for (const column of ['held_number INTEGER', 'held_runs INTEGER DEFAULT 0']) {
+        try {
+            db.run(`ALTER TABLE invoice_series ADD COLUMN ${column}`);
+        } catch (e) {
+            // Coloana există deja
+        }
+    }
+
+    // Tabel coadă de reîncercare pentru încărcările eșuate ale certificatelor în eMAG
+    // status: pending (se reîncearcă la next_attempt_at), done, dead (încercări epuizate), cancelled
+    db.run(`
+        CREATE TABLE IF NOT EXISTS emag_upload_queue (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            certificate_id INTEGER NOT NULL,
+            emag_order_number TEXT NOT NULL,
+            document_name TEXT,
+            status TEXT NOT NULL DEFAULT 'pending',
+            attempts INTEGER NOT NULL DEFAULT 0,
+            last_error TEXT,
+            next_attempt_at DATETIME,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            completed_at DATETIME
+        )
+    `);
+
+    // Rulări de reconciliere: atașamentele de garanție din eMAG comparate cu certificatele noastre
+    db.run(`
+        CREATE TABLE IF NOT EXISTS emag_reconciliation_runs (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            status TEXT NOT NULL DEFAULT 'running',
+            days INTEGER,
+            total INTEGER DEFAULT 0,
+            ok INTEGER DEFAULT 0,
+            missing INTEGER DEFAULT 0,
+            mismatched INTEGER DEFAULT 0,
+            extra INTEGER DEFAULT 0,
+            errors INTEGER DEFAULT 0,
+            error TEXT,
+            started_by TEXT,
+            started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            finished_at DATETIME
+        )
+    `);
+
+    // Rezultatul reconcilierii pentru fiecare certificat verificat
+    // status: ok, missing, mismatched, extra, error; details = JSON cu produsele comenzii și atașamentele găsite
+    db.run(`
+        CREATE TABLE IF NOT EXISTS emag_reconciliation_items (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            run_id INTEGER NOT NULL,
+            certificate_id INTEGER NOT NULL,
+            emag_order_number TEXT NOT NULL,
+            status TEXT NOT NULL,
+            message TEXT,
+            details TEXT,
+            was_marked_uploaded INTEGER DEFAULT 0,
+            queue_entry_id INTEGER,
+            FOREIGN KEY (run_id) REFERENCES emag_reconciliation_runs(id)
+        )
+    `);
+
+    // Jurnalul deciziilor la încărcarea garanțiilor în eMAG (per produs din comandă)
+    // decision: uploaded, added (versiune nouă lângă una mai veche), skipped (atașament identic existent),
+    // kept_newer (există deja o versiune mai nouă), failed
+    db.run(`
+        CREATE TABLE IF NOT EXISTS emag_attachment_log (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            order_id TEXT NOT NULL,
+            order_product_id INTEGER,
+            product_name TEXT,
+            url TEXT,
+            decision TEXT NOT NULL,
+            previous_url TEXT,
+            message TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+
+    // Migrație: marketplace-ul eMAG al comenzii din jurnal
+    try {
+        db.run(`ALTER TABLE emag_attachment_log ADD COLUMN marketplace TEXT DEFAULT 'ro'`);
+    } catch (e) {
+        // Coloana există deja
+    }
+
+    // Comenzile eMAG finalizate citite în modul eMAG-first și rezultatul potrivirii cu certificatele
+    // status: linked (comanda era deja pe factură), matched (certificat găsit după client, dată și valoare),
+    // ambiguous (mai multe certificate posibile), unmatched (niciun certificat)
+    // has_warranty = comanda are deja cel puțin o garanție atașată în eMAG
+    db.run(`
+        CREATE TABLE IF NOT EXISTS emag_order_matches (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            marketplace TEXT NOT NULL DEFAULT 'ro',
+            order_id TEXT NOT NULL,
+            order_date TEXT,
+            customer_name TEXT,
+            order_total REAL,
+            currency TEXT,
+            status TEXT NOT NULL,
+            certificate_id INTEGER,
+            has_warranty INTEGER DEFAULT 0,
+            message TEXT,
+            checked_at DATETIME,
+            UNIQUE(marketplace, order_id)
+        )
+    `);
+
+    // Manualele produselor - legate de un produs din nomenclator (smartbill_code) sau de un grup de produse
+    // Grupul e reținut după nume: regenerarea grupurilor le recreează cu ID-uri noi, dar aceleași nume
+    // attachment_type = tipul atașamentului eMAG (4 = manual de utilizare, 8 = ghid de utilizare)
+    db.run(`
+        CREATE TABLE IF NOT EXISTS product_manuals (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            smartbill_code TEXT,
+            group_name TEXT,
+            title TEXT NOT NULL,
+            attachment_type INTEGER NOT NULL DEFAULT 4,
+            original_name TEXT NOT NULL,
+            stored_name TEXT NOT NULL UNIQUE,
+            size INTEGER,
+            uploaded_by TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+
+    // Maparea liniilor din comenzile eMAG la produsele din nomenclator (products.smartbill_code)
+    // match_field: part_number, ext_part_number sau name; smartbill_code NULL = linia nu are garanție
+    db.run(`
+        CREATE TABLE IF NOT EXISTS emag_product_mappings (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            match_field TEXT NOT NULL,
+            match_value TEXT NOT NULL,
+            smartbill_code TEXT,
+            emag_name TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE(match_field, match_value)
+        )
+    `);
+
+    // Liniile din comenzile eMAG care nu au putut fi mapate (afișate pentru mapare în pagina Produse eMAG)
+    db.run(`
+        CREATE TABLE IF NOT EXISTS emag_unmapped_products (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            part_number TEXT,
+            ext_part_number TEXT,
+            name TEXT,
+            last_order_number TEXT,
+            times_seen INTEGER DEFAULT 1,
+            last_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE(part_number, ext_part_number, name)
+        )
+    `);
+
     // ============================================
     // MODUL PREȚURI - Tabele noi
     // ============================================
@@ -136,6 +560,15 @@ function createTables() {
         )
     `);
 
+    // Migrație: marketplace-ul eMAG al canalului - după moneda facturii se alege contul eMAG
+    try {
+        db.run(`ALTER TABLE price_channels ADD COLUMN emag_marketplace TEXT`);
+        db.run(`UPDATE price_channels SET emag_marketplace = 'ro' WHERE name = 'eMag'`);
+        db.run(`UPDATE price_channels SET emag_marketplace = 'hu' WHERE name = 'eMag HU'`);
+    } catch (e) {
+        // Coloana există deja
+    }
+
     // Tabel grupuri de produse (nomenclator secundar pentru prețuri)
     db.run(`
         CREATE TABLE IF NOT EXISTS product_groups (
@@ -185,6 +618,37 @@ function createTables() {
     try {
         db.run(`CREATE INDEX IF NOT EXISTS idx_certificates_invoice ON certificates(invoice_number)`);
     } catch (e) { }
+    try {
+        db.run(`CREATE UNIQUE INDEX IF NOT EXISTS idx_certificates_serial ON certificates(serial_number)`);
+    } catch (e) { }
+    try {
+        db.run(`CREATE INDEX IF NOT EXISTS idx_certificates_previous ON certificates(previous_certificate_id)`);
+    } catch (e) { }
+
+    // Migrație: o factură are cel mult un certificat activ (protecție la duplicate)
+    // Dacă există deja duplicate, indexul se creează după anularea lor (vezi resolveDuplicateActiveCertificates)
+    createActiveCertificateIndex();
+    try {
+        db.run(`CREATE INDEX IF NOT EXISTS idx_run_invoices_series ON processing_run_invoices(series, number)`);
+    } catch (e) { }
+    try {
+        db.run(`CREATE INDEX IF NOT EXISTS idx_emag_upload_queue_due ON emag_upload_queue(status, next_attempt_at)`);
+    } catch (e) { }
+    try {
+        db.run(`CREATE INDEX IF NOT EXISTS idx_emag_upload_queue_certificate ON emag_upload_queue(certificate_id)`);
+    } catch (e) { }
+    try {
+        db.run(`CREATE INDEX IF NOT EXISTS idx_emag_attachment_log_order ON emag_attachment_log(order_id)`);
+    } catch (e) { }
+    try {
+        db.run(`CREATE INDEX IF NOT EXISTS idx_product_manuals_code ON product_manuals(smartbill_code)`);
+    } catch (e) { }
+    try {
+        db.run(`CREATE INDEX IF NOT EXISTS idx_emag_order_matches_status ON emag_order_matches(status, has_warranty)`);
+    } catch (e) { }
+    try {
+        db.run(`CREATE INDEX IF NOT EXISTS idx_emag_reconciliation_items_run ON emag_reconciliation_items(run_id, status)`);
+    } catch (e) { }
     try {
         db.run(`CREATE INDEX IF NOT EXISTS idx_group_prices_group ON group_prices(group_id)`);
     } catch (e) { }
@@ -207,6 +671,37 @@ function createTables() {
     seedDefaultChannels();
 }
 
+/**
+ * Creează indexul unic "un certificat activ per factură", dacă nu există certificate active duplicate
+ * Duplicatele nu sunt anulate aici: anularea trece prin certificates.voidCertificate (PDF ștampilat
+ * "ANULAT" și arhivat), la pornirea serverului
+ * @returns {number} Numărul facturilor cu certificate active duplicate (0 = indexul există)
+ */
+function createActiveCertificateIndex() {
+    const result = db.exec(`
+        SELECT COUNT(*) FROM (
+            SELECT invoice_number FROM certificates
+            WHERE status IS NULL OR status != 'voided'
+            GROUP BY invoice_number
+            HAVING COUNT(*) > 1
+        )
+    `);
+    const duplicateInvoices = result.length > 0 ? result[0].values[0][0] : 0;
+
+    if (duplicateInvoices > 0) {
+        console.warn(`[Database] ${duplicateInvoices} factur(i) au mai multe certificate active - indexul unic se creează după anularea duplicatelor`);
+        return duplicateInvoices;
+    }
+
+    try {
+        db.run(`CREATE UNIQUE INDEX IF NOT EXISTS idx_certificates_active_invoice ON certificates(invoice_number) WHERE status IS NULL OR status != 'voided'`);
+        saveDatabase();
+    } catch (e) {
+        console.error('[Database] Indexul unic pentru certificatele active nu a putut fi creat:', e.message);
+    }
+    return 0;
+}
+
 /**
  * Creează canalele de vânzare implicite dacă nu există
  * Folosește INSERT OR IGNORE pentru a nu duplica
@@ -215,18 +710,18 @@ function seedDefaultChannels() {
     const defaults = [
         { name: 'Premierkids', currency: 'RON', vat_rate: 19, show_without_vat: 0, display_order: 1 },
         { name: 'Magazinul de masinute', currency: 'RON', vat_rate: 19, show_without_vat: 0, display_order: 2 },
-        { name: 'eMag', currency: 'RON', vat_rate: 19, show_without_vat: 1, display_order: 3 },
+        { name: 'eMag', currency: 'RON', vat_rate: 19, show_without_vat: 1, display_order: 3, emag_marketplace: 'ro' },
         { name: 'Altex', currency: 'RON', vat_rate: 19, show_without_vat: 0, display_order: 4 },
         { name: 'Trendyol', currency: 'RON', vat_rate: 19, show_without_vat: 0, display_order: 5 },
-        { name: 'eMag HU', currency: 'HUF', vat_rate: 21, show_without_vat: 1, display_order: 6 }
+        { name: 'eMag HU', currency: 'HUF', vat_rate: 21, show_without_vat: 1, display_order: 6, emag_marketplace: 'hu' }
     ];
 
     let created = 0;
     for (const channel of defaults) {
         try {
             db.run(
-                `INSERT OR IGNORE INTO price_channels (name, currency, vat_rate, show_without_vat, display_order) VALUES (?, ?, ?, ?, ?)`,
-                [channel.name, channel.currency, channel.vat_rate, channel.show_without_vat, channel.display_order]
+                `INSERT OR IGNORE INTO price_channels (name, currency, vat_rate, show_without_vat, display_order, emag_marketplace) VALUES (?, ?, ?, ?, ?, ?)`,
+                [channel.name, channel.currency, channel.vat_rate, channel.show_without_vat, channel.display_order, channel.emag_marketplace || null]
             );
             created++;
         } catch (e) {
@@ -243,9 +738,11 @@ function seedDefaultChannels() {
 
 /**
  * Salvează baza de date pe disc
+ * În timpul unei tranzacții salvarea se amână până la COMMIT: db.export() închide și redeschide
+ * baza, ceea ce ar anula tranzacția deschisă
  */
 function saveDatabase() {
-    if (db) {
+    if (db && !inTransaction) {
         const data = db.export();
         const buffer = Buffer.from(data);
         fs.writeFileSync(dbPath, buffer);
@@ -262,8 +759,12 @@ const dbWrapper = {
             run: function (...params) {
                 try {
                     db.run(sql, params);
+                    // Citim ID-ul și numărul de rânduri înainte de salvare:
+                    // db.export() redeschide baza și resetează last_insert_rowid
+                    const lastInsertRowid = getLastInsertRowId();
+                    const changes = db.getRowsModified();
                     saveDatabase();
-                    return { lastInsertRowid: getLastInsertRowId(), changes: db.getRowsModified() };
+                    return { lastInsertRowid, changes };
                 } catch (error) {
                     throw error;
                 }
@@ -299,12 +800,15 @@ const dbWrapper = {
     transaction: function (fn) {
         return function (...args) {
             db.run('BEGIN TRANSACTION');
+            inTransaction = true;
             try {
                 const result = fn(...args);
                 db.run('COMMIT');
+                inTransaction = false;
                 saveDatabase();
                 return result;
             } catch (error) {
+                inTransaction = false;
                 db.run('ROLLBACK');
                 throw error;
             }
@@ -330,6 +834,7 @@ function getDb() {
 module.exports = {
     initializeDatabase,
     saveDatabase,
+    createActiveCertificateIndex,
     get db() {
         return dbWrapper;
     }
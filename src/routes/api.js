@@ -11,11 +11,29 @@ const smartBillService = require('../services/smartbill');
 const emagService = require('../services/emag');
 const productsService = require('../services/products');
 const certificatesService = require('../services/certificates');
+const certificateSerialsService = require('../services/certificate-serials');
+const warrantiesService = require('../services/warranties');
+const schedulerService = require('../services/scheduler');
+const processingJobsService = require('../services/processing-jobs');
+const processingRunsService = require('../services/processing-runs');
+const invoiceSeriesService = require('../services/invoice-series');
+const emagUploadsService = require('../services/emag-uploads');
+const emagReconciliationService = require('../services/emag-reconciliation');
+const emagProductMappingsService = require('../services/emag-product-mappings');
+const emagOrderStatusService = require('../services/emag-order-status');
+const emagOrderMatchingService = require('../services/emag-order-matching');
 const { db } = require('../config/database');
+const constants = require('../config/constants');
 
 // Toate rutele API necesită autentificare
 router.use(requireAuth);
 
+// Validare comună pentru politica de idempotență (factură care are deja certificat activ)
+const idempotencyPolicyValidator = body('idempotencyPolicy')
+    .optional()
+    .isIn(Object.keys(constants.CERTIFICATE_IDEMPOTENCY.POLICIES))
+    .withMessage('Politică invalidă pentru facturile cu certificat existent');
+
 // ============================================
 // CREDENȚIALE API
 // ============================================
@@ -30,6 +48,11 @@ router.get('/credentials/status', (req, res) => {
     let emagConfigured = false;
     let smartbillInfo = null;
     let emagInfo = null;
+    const emagMarketplaces = {};
+
+    for (const [code, marketplace] of Object.entries(constants.EMAG.MARKETPLACES)) {
+        emagMarketplaces[code] = { label: marketplace.label, configured: false, username: '', hasPassword: false };
+    }
 
     if (hasCredentials) {
         try {
@@ -51,6 +74,19 @@ router.get('/credentials/status', (req, res) => {
                     hasPassword: !!creds.emag.password
                 };
             }
+
+            // Fiecare marketplace eMAG are propriul cont de vânzător
+            for (const [code, marketplace] of Object.entries(constants.EMAG.MARKETPLACES)) {
+                const marketplaceCreds = creds?.[marketplace.credentialsKey];
+                if (marketplaceCreds) {
+                    emagMarketplaces[code] = {
+                        label: marketplace.label,
+                        configured: !!(marketplaceCreds.username && marketplaceCreds.password),
+                        username: marketplaceCreds.username || '',
+                        hasPassword: !!marketplaceCreds.password
+                    };
+                }
+            }
         } catch (e) {
             // Eroare la decriptare
         }
@@ -61,7 +97,8 @@ router.get('/credentials/status', (req, res) => {
         smartbillConfigured,
         emagConfigured,
         smartbill: smartbillInfo,
-        emag: emagInfo
+        emag: emagInfo,
+        emagMarketplaces
     });
 });
 
@@ -115,11 +152,12 @@ router.post('/credentials/smartbill', requireAdmin, [
 });
 
 /**
- * POST /api/credentials/emag - Salvare credențiale eMAG
+ * POST /api/credentials/emag - Salvare credențiale eMAG (marketplace: ro / hu / bg, implicit ro)
  */
 router.post('/credentials/emag', requireAdmin, [
     body('username').trim().notEmpty().withMessage('Username-ul eMAG este obligatoriu'),
-    body('password').trim().notEmpty().withMessage('Parola eMAG este obligatorie')
+    body('password').trim().notEmpty().withMessage('Parola eMAG este obligatorie'),
+    body('marketplace').optional().isIn(Object.keys(constants.EMAG.MARKETPLACES)).withMessage('Marketplace eMAG invalid')
 ], async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -127,6 +165,7 @@ router.post('/credentials/emag', requireAdmin, [
     }
 
     const { username, password } = req.body;
+    const marketplace = constants.EMAG.MARKETPLACES[req.body.marketplace || constants.EMAG.DEFAULT_MARKETPLACE];
 
     try {
         let credentials = {};
@@ -138,11 +177,12 @@ router.post('/credentials/emag', requireAdmin, [
             }
         }
 
-        credentials.emag = { username, password };
+        credentials[marketplace.credentialsKey] = { username, password };
 
         saveCredentials(credentials, process.env.ENCRYPTION_KEY);
+        await emagService.initialize(process.env.ENCRYPTION_KEY);
 
-        res.json({ success: true, message: 'Credențiale eMAG salvate cu succes' });
+        res.json({ success: true, message: `Credențiale ${marketplace.label} salvate cu succes` });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
@@ -166,15 +206,16 @@ router.post('/credentials/test-smartbill', async (req, res) => {
 });
 
 /**
- * POST /api/credentials/test-emag - Testare conexiune eMAG
+ * POST /api/credentials/test-emag - Testare conexiune eMAG (marketplace: ro / hu / bg, implicit ro)
  */
 router.post('/credentials/test-emag', async (req, res) => {
     try {
         await emagService.initialize(process.env.ENCRYPTION_KEY);
-        const result = await emagService.testConnection();
+        const marketplaceService = emagService.forMarketplace(req.body.marketplace);
+        const result = await marketplaceService.testConnection();
 
         if (result.success) {
-            res.json({ success: true, message: 'Conexiune eMAG reușită!' });
+            res.json({ success: true, message: `Conexiune ${marketplaceService.label} reușită!` });
         } else {
             res.status(400).json({ error: result.error });
         }
@@ -326,41 +367,308 @@ router.put('/certificates/last-processed', requireAdmin, [
     }
 
     try {
-        certificatesService.setLastProcessedInvoice(req.body.invoiceNumber);
-        res.json({ success: true, message: 'Ultima factură procesată actualizată' });
+        const series = certificatesService.setLastProcessedInvoice(req.body.invoiceNumber);
+        res.json({ success: true, series, message: `Ultima factură procesată pe seria ${series.series} actualizată` });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        res.status(400).json({ error: error.message });
+    }
+});
+
+/**
+ * GET /api/certificates/serials - Configurarea seriilor de certificate (prefix, secvența anului curent)
+ */
+router.get('/certificates/serials', (req, res) => {
+    const year = parseInt(req.query.year) || new Date().getFullYear();
+    res.json(certificateSerialsService.getSettings(year));
+});
+
+/**
+ * PUT /api/certificates/serials - Setare prefix și următorul număr din secvența unui an
+ */
+router.put('/certificates/serials', requireAdmin, [
+    body('prefix').optional().trim().matches(/^[A-Za-z]{1,5}$/).withMessage('Prefixul trebuie să conțină între 1 și 5 litere'),
+    body('year').optional().isInt({ min: 2000, max: 2100 }).withMessage('Anul este invalid'),
+    body('nextNumber').optional().isInt({ min: 1 }).withMessage('Următorul număr trebuie să fie pozitiv')
+], (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ error: errors.array()[0].msg });
+    }
+
+    const { prefix, nextNumber } = req.body;
+    const year = parseInt(req.body.year) || new Date().getFullYear();
+
+    try {
+        if (prefix) {
+            certificateSerialsService.setPrefix(prefix);
+        }
+        if (nextNumber) {
+            certificateSerialsService.setNextNumber(year, nextNumber);
+        }
+        res.json({ success: true, ...certificateSerialsService.getSettings(year) });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
     }
 });
 
 /**
- * POST /api/certificates/process-auto - Procesare automată facturi
+ * POST /api/certificates/process-auto - Pornește procesarea automată ca job în fundal
+ * Răspunde imediat cu ID-ul job-ului; progresul se urmărește prin /certificates/jobs/:id/events
+ * Cu dryRun rulează o simulare (nimic nu se salvează); lookback reia ultimele N facturi din fiecare serie
+ * idempotencyPolicy: skip (implicit) / new_version / force pentru facturile care au deja certificat
  */
-router.post('/certificates/process-auto', async (req, res) => {
+router.post('/certificates/process-auto', [
+    body('dryRun').optional().isBoolean().withMessage('Valoare invalidă pentru simulare'),
+    body('lookback').optional().isInt({ min: 0 }).withMessage('Numărul de facturi reluate trebuie să fie pozitiv'),
+    idempotencyPolicyValidator
+], (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ error: errors.array()[0].msg });
+    }
+
     const { startDate, endDate, maxInvoices } = req.body;
+    const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+
+    if (!dryRun && parseInt(req.body.lookback) > 0) {
+        return res.status(400).json({ error: 'Reluarea facturilor deja procesate este permisă doar în modul simulare' });
+    }
 
     try {
-        await smartBillService.initialize(process.env.ENCRYPTION_KEY);
-        await emagService.initialize(process.env.ENCRYPTION_KEY);
+        // Același lock ca scheduler-ul - nu pornim o procesare peste alta
+        const job = processingJobsService.startJob({
+            source: 'manual',
+            options: {
+                startDate,
+                endDate,
+                maxInvoices: parseInt(maxInvoices) || 50,
+                dryRun,
+                lookback: dryRun ? (parseInt(req.body.lookback) || 0) : 0,
+                idempotencyPolicy: certificatesService.normalizeIdempotencyPolicy(req.body.idempotencyPolicy)
+            },
+            username: req.session.username
+        });
+
+        res.status(202).json({ success: true, jobId: job.id });
+    } catch (error) {
+        if (error.code === 'PROCESSING_LOCKED') {
+            return res.status(409).json({ error: error.message, jobId: error.jobId });
+        }
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * POST /api/certificates/process-range - Procesează un interval explicit de facturi (job în fundal)
+ * Verifică toate numerele din interval, fără a muta cursorul seriei; onlyGaps = doar golurile din interval
+ */
+router.post('/certificates/process-range', [
+    body('series').trim().notEmpty().withMessage('Seria este obligatorie'),
+    body('from').trim().matches(/^\d+$/).withMessage('Numărul de început trebuie să conțină doar cifre'),
+    body('to').trim().matches(/^\d+$/).withMessage('Numărul de sfârșit trebuie să conțină doar cifre'),
+    body('onlyGaps').optional().isBoolean().withMessage('Valoare invalidă pentru "doar goluri"'),
+    body('dryRun').optional().isBoolean().withMessage('Valoare invalidă pentru simulare'),
+    idempotencyPolicyValidator
+], (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ error: errors.array()[0].msg });
+    }
+
+    const { series, from, to } = req.body;
 
-        const result = await certificatesService.processUnprocessedInvoices({
-            startDate,
-            endDate,
-            maxInvoices: maxInvoices || 50
+    try {
+        // Validăm intervalul înainte de a porni job-ul (seria, ordinea, dimensiunea maximă)
+        certificatesService.parseInvoiceRange(series, from, to);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    try {
+        const job = processingJobsService.startJob({
+            source: 'manual',
+            options: {
+                range: {
+                    series,
+                    from,
+                    to,
+                    onlyGaps: req.body.onlyGaps === true || req.body.onlyGaps === 'true'
+                },
+                dryRun: req.body.dryRun === true || req.body.dryRun === 'true',
+                idempotencyPolicy: certificatesService.normalizeIdempotencyPolicy(req.body.idempotencyPolicy)
+            },
+            username: req.session.username
         });
 
-        res.json(result);
+        res.status(202).json({ success: true, jobId: job.id });
+    } catch (error) {
+        if (error.code === 'PROCESSING_LOCKED') {
+            return res.status(409).json({ error: error.message, jobId: error.jobId });
+        }
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * GET /api/certificates/gaps - Raport de goluri pentru un interval (?series=PK2026&from=24500&to=24650)
+ */
+router.get('/certificates/gaps', (req, res) => {
+    try {
+        res.json(certificatesService.getGapReport(req.query.series, req.query.from, req.query.to));
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+/**
+ * GET /api/certificates/runs - Istoricul rulărilor de procesare automată
+ */
+router.get('/certificates/runs', (req, res) => {
+    try {
+        res.json({ runs: processingRunsService.getRuns(parseInt(req.query.limit) || 20) });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * GET /api/certificates/runs/:id - Detaliile unei rulări, cu certificatele create
+ */
+router.get('/certificates/runs/:id', (req, res) => {
+    const run = processingRunsService.getRunById(req.params.id);
+
+    if (!run) {
+        return res.status(404).json({ error: 'Rularea nu a fost găsită' });
+    }
+
+    const certificates = run.certificate_ids
+        .map(id => certificatesService.getCertificateById(id))
+        .filter(Boolean)
+        .map(cert => ({
+            id: cert.id,
+            invoiceNumber: cert.invoice_number,
+            serialNumber: cert.serial_number,
+            clientName: cert.client_name,
+            emagOrderNumber: cert.emag_order_number,
+            emagUploaded: !!cert.emag_uploaded
+        }));
+
+    res.json({ run, certificates });
+});
+
+/**
+ * POST /api/certificates/runs/:id/rollback - Anulează ultima rulare
+ * Șterge certificatele create și resetează ultima factură procesată
+ */
+router.post('/certificates/runs/:id/rollback', requireAdmin, (req, res) => {
+    if (processingJobsService.getActiveJob()) {
+        return res.status(409).json({ error: 'O procesare automată este în desfășurare - așteptați finalizarea ei' });
+    }
+
+    try {
+        const result = certificatesService.rollbackProcessingRun(parseInt(req.params.id), req.session.username);
+
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(400).json(result);
+        }
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * GET /api/certificates/jobs - Ultimele job-uri de procesare și job-ul activ
+ */
+router.get('/certificates/jobs', (req, res) => {
+    try {
+        res.json({
+            active: processingJobsService.toJSON(processingJobsService.getActiveJob()),
+            jobs: processingJobsService.getRecentJobs()
+        });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
+/**
+ * GET /api/certificates/jobs/:id - Starea și rezumatul final al unui job
+ */
+router.get('/certificates/jobs/:id', (req, res) => {
+    const job = processingJobsService.getJob(req.params.id);
+
+    if (!job) {
+        return res.status(404).json({ error: 'Job-ul nu a fost găsit' });
+    }
+
+    res.json({ job: processingJobsService.toJSON(job, { includeEvents: req.query.events === '1' }) });
+});
+
+/**
+ * GET /api/certificates/jobs/:id/events - Evenimentele job-ului (Server-Sent Events)
+ * La conectare se retransmit evenimentele deja emise (după Last-Event-ID, la reconectare),
+ * apoi cele noi, până la evenimentul "done"
+ */
+router.get('/certificates/jobs/:id/events', (req, res) => {
+    const job = processingJobsService.getJob(req.params.id);
+
+    if (!job) {
+        return res.status(404).json({ error: 'Job-ul nu a fost găsit' });
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // Dezactivează buffering-ul în nginx
+    });
+    res.flushHeaders();
+
+    const sendEvent = (event) => {
+        res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    };
+
+    // Job ieșit din memorie (ex: după repornire) - trimitem doar rezumatul final
+    if (!job.events) {
+        sendEvent({ id: 0, type: 'done', status: job.status, error: job.error });
+        return res.end();
+    }
+
+    const lastEventId = parseInt(req.get('Last-Event-ID')) || 0;
+    job.events.filter(event => event.id > lastEventId).forEach(sendEvent);
+
+    if (job.status !== 'running') {
+        return res.end();
+    }
+
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), 25000);
+    const unsubscribe = processingJobsService.subscribe(job.id, (event) => {
+        sendEvent(event);
+        if (event.type === 'done') {
+            cleanup();
+            res.end();
+        }
+    });
+
+    function cleanup() {
+        clearInterval(heartbeat);
+        unsubscribe();
+    }
+
+    req.on('close', cleanup);
+});
+
 /**
  * POST /api/certificates/generate-single - Generare certificat pentru factură specifică (folosind SmartBill API)
  * NOTĂ: SmartBill API nu permite citirea detaliilor facturii, doar PDF și status plăți
+ * Cu dryRun se întoarce doar previzualizarea certificatului (fără PDF, înregistrare sau upload eMAG)
+ * Răspunsul conține în idempotency varianta aleasă pentru factură (created / skipped / new_version)
  */
 router.post('/certificates/generate-single', [
-    body('invoiceNumber').trim().notEmpty().withMessage('Numărul facturii este obligatoriu')
+    body('invoiceNumber').trim().notEmpty().withMessage('Numărul facturii este obligatoriu'),
+    body('dryRun').optional().isBoolean().withMessage('Valoare invalidă pentru simulare'),
+    idempotencyPolicyValidator
 ], async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -371,7 +679,11 @@ router.post('/certificates/generate-single', [
         await smartBillService.initialize(process.env.ENCRYPTION_KEY);
         await emagService.initialize(process.env.ENCRYPTION_KEY);
 
-        const result = await certificatesService.generateSingleCertificate(req.body.invoiceNumber);
+        const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+        const result = await certificatesService.generateSingleCertificate(req.body.invoiceNumber, {
+            dryRun,
+            idempotencyPolicy: req.body.idempotencyPolicy
+        });
 
         if (result.success) {
             res.json(result);
@@ -409,148 +721,696 @@ router.get('/certificates/test-invoice-list', async (req, res) => {
             firstInvoiceKeys: sampleInvoices[0] ? Object.keys(sampleInvoices[0]) : []
         });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * POST /api/certificates/debug - Diagnostic pentru procesarea facturii (fără generare efectivă)
+ * Păstrat pentru compatibilitate - echivalent cu generate-single în modul simulare
+ */
+router.post('/certificates/debug', [
+    body('invoiceNumber').trim().notEmpty().withMessage('Numărul facturii este obligatoriu')
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ error: errors.array()[0].msg });
+    }
+
+    try {
+        await smartBillService.initialize(process.env.ENCRYPTION_KEY);
+        await emagService.initialize(process.env.ENCRYPTION_KEY);
+
+        const result = await certificatesService.generateSingleCertificate(req.body.invoiceNumber, {
+            dryRun: true,
+            idempotencyPolicy: req.body.idempotencyPolicy
+        });
+
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(400).json(result);
+        }
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * POST /api/certificates/generate-manual - Generare certificat cu date introduse manual
+ * Respectă aceeași politică de idempotență ca generarea din SmartBill (idempotencyPolicy)
+ */
+router.post('/certificates/generate-manual', [
+    body('invoiceNumber').trim().notEmpty().withMessage('Numărul facturii este obligatoriu'),
+    body('invoiceDate').trim().notEmpty().withMessage('Data facturii este obligatorie'),
+    body('clientName').trim().notEmpty().withMessage('Numele clientului este obligatoriu'),
+    body('products').isArray({ min: 1 }).withMessage('Selectați cel puțin un produs'),
+    idempotencyPolicyValidator
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ error: errors.array()[0].msg });
+    }
+
+    try {
+        const result = await certificatesService.generateManualCertificate(req.body);
+
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(400).json(result);
+        }
+    } catch (error) {
+        // Indexul unic a oprit un certificat activ dublu (ex: două generări simultane)
+        if (error.code === 'DUPLICATE_CERTIFICATE') {
+            return res.status(409).json({ error: error.message });
+        }
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * GET /api/certificates/versions/:invoiceNumber - Lanțul de versiuni al certificatului unei facturi
+ */
+router.get('/certificates/versions/:invoiceNumber', (req, res) => {
+    const versions = certificatesService.getCertificateVersions(req.params.invoiceNumber);
+    res.json({ invoiceNumber: req.params.invoiceNumber, versions, count: versions.length });
+});
+
+/**
+ * GET /api/certificates/version/:id/download - Descărcare versiune anume (inclusiv cele anulate)
+ */
+router.get('/certificates/version/:id/download', (req, res) => {
+    const pdf = certificatesService.getCertificatePdfById(parseInt(req.params.id));
+
+    if (!pdf) {
+        return res.status(404).json({ error: 'Certificatul nu a fost găsit' });
+    }
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${pdf.filename}"`);
+    res.send(pdf.buffer);
+});
+
+/**
+ * POST /api/certificates/:id/void - Anulare certificat (PDF-ul este ștampilat "ANULAT" și arhivat)
+ */
+router.post('/certificates/:id/void', requireAdmin, [
+    body('reason').trim().notEmpty().withMessage('Motivul anulării este obligatoriu')
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ error: errors.array()[0].msg });
+    }
+
+    try {
+        const result = await certificatesService.voidCertificate(parseInt(req.params.id), req.body.reason);
+
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(400).json(result);
+        }
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * GET /api/certificates/emag-followups - Certificate anulate (storno) care au încă atașament în eMAG
+ */
+router.get('/certificates/emag-followups', (req, res) => {
+    try {
+        const certificates = certificatesService.getEmagFollowups();
+        res.json({ certificates });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * POST /api/certificates/:id/emag-followup/resolve - Marchează atașamentul eMAG ca retras
+ */
+router.post('/certificates/:id/emag-followup/resolve', requireAdmin, (req, res) => {
+    try {
+        const result = certificatesService.resolveEmagFollowup(parseInt(req.params.id));
+
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(404).json(result);
+        }
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * GET /api/certificates/emag-order-flags - Certificate cu comanda eMAG anulată / returnată, neverificate
+ */
+router.get('/certificates/emag-order-flags', (req, res) => {
+    res.json({
+        certificates: emagOrderStatusService.getFlagged(),
+        lastRun: emagOrderStatusService.getLastRun(),
+        running: emagOrderStatusService.isRunning()
+    });
+});
+
+/**
+ * POST /api/certificates/emag-order-flags/check - Pornește verificarea comenzilor eMAG (rulează în fundal)
+ */
+router.post('/certificates/emag-order-flags/check', requireAdmin, (req, res) => {
+    if (emagOrderStatusService.isRunning()) {
+        return res.status(409).json({ error: 'Verificarea comenzilor eMAG rulează deja' });
+    }
+
+    emagOrderStatusService.checkOrders().catch(error => {
+        console.error('[eMAG Orders] Eroare:', error.message);
+    });
+    res.status(202).json({ success: true, message: 'Verificarea comenzilor eMAG a pornit' });
+});
+
+/**
+ * POST /api/certificates/:id/emag-order-flag/review - Marchează semnalarea comenzii ca verificată
+ */
+router.post('/certificates/:id/emag-order-flag/review', requireAdmin, (req, res) => {
+    if (!emagOrderStatusService.markReviewed(parseInt(req.params.id))) {
+        return res.status(404).json({ error: 'Certificatul nu are o comandă eMAG semnalată' });
+    }
+    res.json({ success: true, message: 'Semnalarea a fost marcată ca verificată' });
+});
+
+/**
+ * POST /api/certificates/:id/reissue - Reemitere certificat cu date corectate (versiune nouă)
+ */
+router.post('/certificates/:id/reissue', requireAdmin, [
+    body('clientName').optional().trim().notEmpty().withMessage('Numele clientului nu poate fi gol'),
+    body('invoiceDate').optional().trim().matches(/^\d{2}\.\d{2}\.\d{4}$/).withMessage('Data facturii trebuie să fie în formatul zz.ll.aaaa'),
+    body('products').optional().isArray({ min: 1 }).withMessage('Certificatul trebuie să conțină cel puțin un produs'),
+    body('products.*.warrantyMonths').optional().isInt({ min: 0 }).withMessage('Garanția trebuie să fie un număr pozitiv')
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ error: errors.array()[0].msg });
+    }
+
+    try {
+        await emagService.initialize(process.env.ENCRYPTION_KEY);
+
+        const result = await certificatesService.reissueCertificate(parseInt(req.params.id), req.body);
+
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(400).json(result);
+        }
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * GET /api/certificates/:id/download - Descărcare certificat (PDF sau DOCX)
+ */
+router.get('/certificates/:invoiceNumber/download', async (req, res) => {
+    const { invoiceNumber } = req.params;
+    const pdfService = require('../services/pdf');
+
+    try {
+        const docBuffer = await certificatesService.getCertificatePdf(invoiceNumber);
+
+        if (!docBuffer) {
+            return res.status(404).json({ error: 'Certificatul nu a fost găsit' });
+        }
+
+        // Determinăm tipul fișierului (PDF sau DOCX)
+        const extension = pdfService.getCertificateExtension(invoiceNumber);
+
+        if (extension === 'pdf') {
+            res.setHeader('Content-Type', 'application/pdf');
+            res.setHeader('Content-Disposition', `attachment; filename="Certificat_Garantie_${invoiceNumber}.pdf"`);
+        } else {
+            res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document');
+            res.setHeader('Content-Disposition', `attachment; filename="Certificat_Garantie_${invoiceNumber}.docx"`);
+        }
+
+        res.send(docBuffer);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ============================================
+// RAPOARTE GARANȚII
+// ============================================
+
+/**
+ * GET /api/warranties/expiring - Garanții care expiră în următoarele N zile
+ * Query: days, productCode, clientType (PF/PJ), search
+ */
+router.get('/warranties/expiring', (req, res) => {
+    try {
+        const warranties = warrantiesService.getExpiringWarranties(req.query);
+        res.json({ warranties });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * GET /api/warranties/expired - Garanții expirate în ultimele N zile
+ * Query: days, productCode, clientType (PF/PJ), search
+ */
+router.get('/warranties/expired', (req, res) => {
+    try {
+        const warranties = warrantiesService.getExpiredWarranties(req.query);
+        res.json({ warranties });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * GET /api/warranties/products - Produsele pentru filtrul raportului de garanții
+ */
+router.get('/warranties/products', (req, res) => {
+    try {
+        const products = warrantiesService.getWarrantyProducts();
+        res.json({ products });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ============================================
+// PROCESARE AUTOMATĂ PROGRAMATĂ
+// ============================================
+
+/**
+ * GET /api/scheduler - Configurarea și starea scheduler-ului
+ */
+router.get('/scheduler', (req, res) => {
+    try {
+        res.json(schedulerService.getStatus());
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * PUT /api/scheduler - Actualizează configurarea scheduler-ului
+ */
+router.put('/scheduler', requireAdmin, [
+    body('enabled').optional().isBoolean().withMessage('Valoare invalidă pentru activare'),
+    body('intervalMinutes').optional().isInt({ min: 1 }).withMessage('Intervalul trebuie să fie un număr de minute'),
+    body('workStart').optional().matches(/^\d{1,2}:\d{2}$/).withMessage('Ora de început trebuie să aibă formatul HH:MM'),
+    body('workEnd').optional().matches(/^\d{1,2}:\d{2}$/).withMessage('Ora de sfârșit trebuie să aibă formatul HH:MM'),
+    body('maxInvoices').optional().isInt({ min: 1 }).withMessage('Numărul maxim de facturi trebuie să fie pozitiv')
+], (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ error: errors.array()[0].msg });
+    }
+
+    try {
+        schedulerService.updateConfig(req.body);
+        res.json(schedulerService.getStatus());
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+/**
+ * POST /api/scheduler/run-now - Pornește imediat o rulare (în fundal)
+ */
+router.post('/scheduler/run-now', requireAdmin, (req, res) => {
+    try {
+        const job = schedulerService.runNow('manual', req.session.username);
+        res.json({ success: true, jobId: job.id, message: 'Procesarea a pornit în fundal' });
+    } catch (error) {
+        if (error.code === 'PROCESSING_LOCKED') {
+            return res.status(409).json({ error: error.message, jobId: error.jobId });
+        }
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ============================================
+// COADĂ ÎNCĂRCĂRI eMAG (reîncercare certificate)
+// ============================================
+
+/**
+ * GET /api/emag-uploads - Intrările din coada de reîncercare (opțional filtrate după status)
+ */
+router.get('/emag-uploads', (req, res) => {
+    const status = ['pending', 'done', 'dead', 'cancelled'].includes(req.query.status) ? req.query.status : null;
+
+    res.json({
+        items: emagUploadsService.getQueue({ status, limit: req.query.limit }),
+        counts: emagUploadsService.getCounts(),
+        maxAttempts: constants.EMAG_UPLOAD_QUEUE.MAX_ATTEMPTS
+    });
+});
+
+/**
+ * GET /api/emag-uploads/log - Jurnalul deciziilor de încărcare (opțional ?orderId=)
+ */
+router.get('/emag-uploads/log', (req, res) => {
+    res.json({
+        log: emagService.getAttachmentLog({ orderId: req.query.orderId, limit: req.query.limit })
+    });
+});
+
+/**
+ * POST /api/emag-uploads/:id/retry - Reîncearcă imediat o încărcare (inclusiv cele eșuate definitiv)
+ */
+router.post('/emag-uploads/:id/retry', async (req, res) => {
+    try {
+        const result = await emagUploadsService.retryNow(parseInt(req.params.id));
+
+        if (!result.entry) {
+            return res.status(404).json(result);
+        }
+        res.json(result);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * POST /api/emag-uploads/:id/dismiss - Renunță la o încărcare (nu mai este reîncercată)
+ */
+router.post('/emag-uploads/:id/dismiss', requireAdmin, (req, res) => {
+    const result = emagUploadsService.dismiss(parseInt(req.params.id), req.session.username);
+
+    if (result.success) {
+        res.json(result);
+    } else {
+        res.status(400).json(result);
+    }
+});
+
+/**
+ * POST /api/emag-uploads/enqueue-missing - Adaugă în coadă certificatele active neîncărcate în eMAG
+ */
+router.post('/emag-uploads/enqueue-missing', requireAdmin, (req, res) => {
+    try {
+        const added = emagUploadsService.enqueueMissing();
+        res.json({ success: true, added, message: `${added} certificat(e) adăugate în coadă` });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ============================================
+// PRODUSE eMAG (mapare linii comandă -> nomenclator)
+// ============================================
+
+/**
+ * GET /api/emag-product-mappings - Mapările salvate și liniile de comandă nemapate
+ */
+router.get('/emag-product-mappings', (req, res) => {
+    res.json({
+        mappings: emagProductMappingsService.getMappings(),
+        unmapped: emagProductMappingsService.getUnmapped(),
+        matchFields: constants.EMAG.PRODUCT_MATCH_FIELDS
+    });
+});
+
+const emagProductMappingValidators = [
+    body('matchField').isIn(Object.keys(constants.EMAG.PRODUCT_MATCH_FIELDS)).withMessage('Câmp de potrivire invalid'),
+    body('matchValue').trim().notEmpty().withMessage('Valoarea de potrivire este obligatorie'),
+    body('smartbillCode').optional({ nullable: true }).trim()
+];
+
+/**
+ * POST /api/emag-product-mappings - Adaugă o mapare (smartbillCode gol = produs fără garanție)
+ */
+router.post('/emag-product-mappings', emagProductMappingValidators, (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ error: errors.array()[0].msg });
+    }
+
+    try {
+        const mapping = emagProductMappingsService.saveMapping(req.body);
+        res.json({ success: true, mapping });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+/**
+ * PUT /api/emag-product-mappings/:id - Editează o mapare
+ */
+router.put('/emag-product-mappings/:id', emagProductMappingValidators, (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ error: errors.array()[0].msg });
+    }
+
+    if (!emagProductMappingsService.getMappingById(parseInt(req.params.id))) {
+        return res.status(404).json({ error: 'Maparea nu a fost găsită' });
+    }
+
+    try {
+        const mapping = emagProductMappingsService.saveMapping({ ...req.body, id: req.params.id });
+        res.json({ success: true, mapping });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+/**
+ * DELETE /api/emag-product-mappings/:id - Șterge o mapare
+ */
+router.delete('/emag-product-mappings/:id', (req, res) => {
+    if (!emagProductMappingsService.deleteMapping(parseInt(req.params.id))) {
+        return res.status(404).json({ error: 'Maparea nu a fost găsită' });
+    }
+    res.json({ success: true });
+});
+
+/**
+ * DELETE /api/emag-product-mappings/unmapped/:id - Ascunde o linie nemapată din listă
+ */
+router.delete('/emag-product-mappings/unmapped/:id', (req, res) => {
+    emagProductMappingsService.dismissUnmapped(parseInt(req.params.id));
+    res.json({ success: true });
+});
+
+// ============================================
+// RECONCILIERE ATAȘAMENTE eMAG
+// ============================================
+
+/**
+ * GET /api/emag-reconciliation - Ultimele rulări de reconciliere și progresul celei curente
+ */
+router.get('/emag-reconciliation', (req, res) => {
+    res.json(emagReconciliationService.getRuns());
+});
+
+/**
+ * POST /api/emag-reconciliation/run - Pornește o reconciliere în fundal
+ */
+router.post('/emag-reconciliation/run', [
+    body('days').optional().isInt({ min: 1, max: constants.EMAG_RECONCILIATION.MAX_DAYS })
+        .withMessage(`Numărul de zile trebuie să fie între 1 și ${constants.EMAG_RECONCILIATION.MAX_DAYS}`)
+], (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ error: errors.array()[0].msg });
+    }
+
+    try {
+        const run = emagReconciliationService.startRun({
+            days: req.body.days ? parseInt(req.body.days) : constants.EMAG_RECONCILIATION.DEFAULT_DAYS,
+            username: req.session.username
+        });
+        res.status(202).json({ success: true, runId: run.runId, total: run.total });
+    } catch (error) {
+        if (error.code === 'RECONCILIATION_RUNNING') {
+            return res.status(409).json({ error: error.message, runId: error.runId });
+        }
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * GET /api/emag-reconciliation/runs/:id - Rezultatele unei rulări (opțional ?status=missing)
+ */
+router.get('/emag-reconciliation/runs/:id', (req, res) => {
+    const status = ['ok', 'missing', 'mismatched', 'extra', 'error'].includes(req.query.status) ? req.query.status : null;
+    const result = emagReconciliationService.getRun(parseInt(req.params.id), status);
+
+    if (!result) {
+        return res.status(404).json({ error: 'Rularea nu a fost găsită' });
+    }
+    res.json(result);
+});
+
+/**
+ * POST /api/emag-reconciliation/runs/:id/reupload - Pune în coada eMAG certificatele cu atașamente lipsă
+ */
+router.post('/emag-reconciliation/runs/:id/reupload', (req, res) => {
+    const queued = emagReconciliationService.reuploadMissing(parseInt(req.params.id));
+    res.json({ success: true, queued, message: `${queued} certificat(e) puse în coada de încărcare eMAG` });
+});
+
+/**
+ * POST /api/emag-reconciliation/items/:id/reupload - Reîncarcă imediat certificatul unui rezultat
+ */
+router.post('/emag-reconciliation/items/:id/reupload', async (req, res) => {
+    try {
+        const result = await emagReconciliationService.reuploadItem(parseInt(req.params.id));
+        res.json(result);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ============================================
+// COMENZI eMAG (modul eMAG-first)
+// ============================================
+
+/**
+ * GET /api/emag-orders - Comenzile eMAG citite, configurarea și ultima rulare (opțional ?status=unmatched, ?flagged=1)
+ */
+router.get('/emag-orders', (req, res) => {
+    const status = Object.keys(constants.EMAG_ORDER_MATCHING.STATUSES).includes(req.query.status) ? req.query.status : null;
+
+    res.json({
+        orders: emagOrderMatchingService.getOrders({ status, flagged: req.query.flagged === '1' }),
+        counts: emagOrderMatchingService.getCounts(),
+        config: emagOrderMatchingService.getConfig(),
+        lastRun: emagOrderMatchingService.getLastRun(),
+        running: emagOrderMatchingService.isRunning()
+    });
+});
+
+/**
+ * PUT /api/emag-orders/config - Activează / dezactivează modul eMAG-first
+ */
+router.put('/emag-orders/config', requireAdmin, [
+    body('enabled').optional().isBoolean().withMessage('Valoare invalidă pentru activare'),
+    body('days').optional().isInt({ min: 1, max: constants.EMAG_ORDER_MATCHING.MAX_DAYS })
+        .withMessage(`Numărul de zile trebuie să fie între 1 și ${constants.EMAG_ORDER_MATCHING.MAX_DAYS}`)
+], (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ error: errors.array()[0].msg });
+    }
+
+    try {
+        res.json({ success: true, config: emagOrderMatchingService.updateConfig(req.body) });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
     }
 });
 
 /**
- * POST /api/certificates/debug - Diagnostic pentru procesarea facturii (fără generare efectivă)
+ * POST /api/emag-orders/match - Pornește potrivirea comenzilor (rulează în fundal)
  */
-router.post('/certificates/debug', [
+router.post('/emag-orders/match', requireAdmin, (req, res) => {
+    if (emagOrderMatchingService.isRunning()) {
+        return res.status(409).json({ error: 'Potrivirea comenzilor eMAG rulează deja' });
+    }
+
+    emagOrderMatchingService.matchOrders().catch(error => {
+        console.error('[eMAG First] Eroare:', error.message);
+    });
+    res.status(202).json({ success: true, message: 'Potrivirea comenzilor eMAG a pornit' });
+});
+
+/**
+ * POST /api/emag-orders/:id/link - Leagă manual o comandă de certificatul unei facturi
+ */
+router.post('/emag-orders/:id/link', requireAdmin, [
     body('invoiceNumber').trim().notEmpty().withMessage('Numărul facturii este obligatoriu')
-], async (req, res) => {
+], (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
         return res.status(400).json({ error: errors.array()[0].msg });
     }
 
     try {
-        await smartBillService.initialize(process.env.ENCRYPTION_KEY);
-
-        const invoiceParserService = require('../services/invoice-parser');
-        const invoiceIdentifier = req.body.invoiceNumber.trim().toUpperCase();
-
-        // Parsăm identificatorul
-        let series, number;
-        const seriesWithYearMatch = invoiceIdentifier.match(/^([A-Z]+)(\d{4})(\d{4,6})$/);
-        if (seriesWithYearMatch) {
-            series = seriesWithYearMatch[1] + seriesWithYearMatch[2];
-            number = seriesWithYearMatch[3];
-        } else {
-            const simpleMatch = invoiceIdentifier.match(/^([A-Z]{2,5})(\d+)$/);
-            if (simpleMatch) {
-                series = simpleMatch[1];
-                number = simpleMatch[2];
-            }
-        }
-
-        if (!series || !number) {
-            return res.status(400).json({ error: 'Format factură invalid' });
-        }
-
-        // Descărcăm PDF-ul
-        const pdfBuffer = await smartBillService.getInvoicePdf(series, number);
-
-        // Parsăm PDF-ul
-        const parseResult = await invoiceParserService.parseInvoicePdf(pdfBuffer);
+        res.json(emagOrderMatchingService.linkOrder(parseInt(req.params.id), req.body.invoiceNumber));
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
 
-        if (!parseResult.success) {
-            return res.status(400).json({ error: parseResult.error });
-        }
+// ============================================
+// SERII FACTURI (cursori procesare automată)
+// ============================================
 
-        // Potrivim produsele cu nomenclatorul
-        const matchedProducts = invoiceParserService.matchProductsWithNomenclator(
-            parseResult.data.products,
-            productsService
-        );
+/**
+ * GET /api/invoice-series - Seriile de facturi urmărite, cu cursorul fiecăreia
+ */
+router.get('/invoice-series', (req, res) => {
+    res.json({ series: invoiceSeriesService.getAllSeries() });
+});
 
-        // Căutăm produsul după cod în nomenclator pentru a vedea ce găsim
-        const nomenclatorLookup = {};
-        for (const product of parseResult.data.products) {
-            const localProduct = productsService.getProductByCode(product.code);
-            nomenclatorLookup[product.code] = localProduct ? {
-                smartbill_code: localProduct.smartbill_code,
-                smartbill_name: localProduct.smartbill_name,
-                display_name: localProduct.display_name,
-                is_active: localProduct.is_active
-            } : null;
-        }
+/**
+ * POST /api/invoice-series - Adaugă o serie urmărită
+ */
+router.post('/invoice-series', requireAdmin, [
+    body('series').trim().notEmpty().withMessage('Seria este obligatorie'),
+    body('lastNumber').optional({ checkFalsy: true }).trim().matches(/^\d+$/).withMessage('Ultimul număr procesat trebuie să conțină doar cifre'),
+    body('notFoundThreshold').optional({ checkFalsy: true }).isInt({ min: 1 }).withMessage('Pragul de facturi negăsite trebuie să fie pozitiv'),
+    body('isActive').optional().isBoolean().withMessage('Valoare invalidă pentru activare')
+], (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ error: errors.array()[0].msg });
+    }
 
-        res.json({
-            success: true,
-            invoiceNumber: `${series}${number}`,
-            parsedData: {
-                invoiceNumber: parseResult.data.invoiceNumber,
-                invoiceDate: parseResult.data.invoiceDate,
-                clientName: parseResult.data.clientName,
-                isVatPayer: parseResult.data.isVatPayer,
-                products: parseResult.data.products,
-                emagOrderNumber: parseResult.data.emagOrderNumber
-            },
-            matchedProducts: matchedProducts,
-            nomenclatorLookup: nomenclatorLookup,
-            rawTextPreview: parseResult.data.rawText ? parseResult.data.rawText.substring(0, 2000) : null
-        });
+    try {
+        const series = invoiceSeriesService.createSeries(req.body);
+        res.json({ success: true, series });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        res.status(400).json({ error: error.message });
     }
 });
 
 /**
- * POST /api/certificates/generate-manual - Generare certificat cu date introduse manual
+ * PUT /api/invoice-series/:id - Actualizează cursorul, pragul sau activarea unei serii
  */
-router.post('/certificates/generate-manual', [
-    body('invoiceNumber').trim().notEmpty().withMessage('Numărul facturii este obligatoriu'),
-    body('invoiceDate').trim().notEmpty().withMessage('Data facturii este obligatorie'),
-    body('clientName').trim().notEmpty().withMessage('Numele clientului este obligatoriu'),
-    body('products').isArray({ min: 1 }).withMessage('Selectați cel puțin un produs')
-], async (req, res) => {
+router.put('/invoice-series/:id', requireAdmin, [
+    body('lastNumber').optional().trim().matches(/^\d+$/).withMessage('Ultimul număr procesat trebuie să conțină doar cifre'),
+    body('notFoundThreshold').optional().isInt({ min: 1 }).withMessage('Pragul de facturi negăsite trebuie să fie pozitiv'),
+    body('isActive').optional().isBoolean().withMessage('Valoare invalidă pentru activare')
+], (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
         return res.status(400).json({ error: errors.array()[0].msg });
     }
 
-    try {
-        const result = await certificatesService.generateManualCertificate(req.body);
+    if (processingJobsService.getActiveJob()) {
+        return res.status(409).json({ error: 'Cursorii nu pot fi modificați în timpul unei procesări automate' });
+    }
 
-        if (result.success) {
-            res.json(result);
-        } else {
-            res.status(400).json(result);
-        }
+    try {
+        const series = invoiceSeriesService.updateSeries(parseInt(req.params.id), req.body);
+        res.json({ success: true, series });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        res.status(400).json({ error: error.message });
     }
 });
 
 /**
- * GET /api/certificates/:id/download - Descărcare certificat (PDF sau DOCX)
+ * DELETE /api/invoice-series/:id - Oprește urmărirea unei serii
  */
-router.get('/certificates/:invoiceNumber/download', async (req, res) => {
-    const { invoiceNumber } = req.params;
-    const pdfService = require('../services/pdf');
+router.delete('/invoice-series/:id', requireAdmin, (req, res) => {
+    if (processingJobsService.getActiveJob()) {
+        return res.status(409).json({ error: 'Seriile nu pot fi șterse în timpul unei procesări automate' });
+    }
 
     try {
-        const docBuffer = await certificatesService.getCertificatePdf(invoiceNumber);
-
-        if (!docBuffer) {
-            return res.status(404).json({ error: 'Certificatul nu a fost găsit' });
-        }
-
-        // Determinăm tipul fișierului (PDF sau DOCX)
-        const extension = pdfService.getCertificateExtension(invoiceNumber);
-
-        if (extension === 'pdf') {
-            res.setHeader('Content-Type', 'application/pdf');
-            res.setHeader('Content-Disposition', `attachment; filename="Certificat_Garantie_${invoiceNumber}.pdf"`);
-        } else {
-            res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document');
-            res.setHeader('Content-Disposition', `attachment; filename="Certificat_Garantie_${invoiceNumber}.docx"`);
-        }
-
-        res.send(docBuffer);
+        invoiceSeriesService.deleteSeries(parseInt(req.params.id));
+        res.json({ success: true });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        res.status(404).json({ error: error.message });
     }
 });
 
@@ -705,7 +1565,8 @@ router.get('/price-channels', (req, res) => {
 router.post('/price-channels', requireAdmin, [
     body('name').trim().notEmpty().withMessage('Numele canalului este obligatoriu'),
     body('currency').isIn(['RON', 'EUR', 'HUF', 'USD']).withMessage('Valută invalidă'),
-    body('vat_rate').isFloat({ min: 0, max: 100 }).withMessage('TVA trebuie să fie între 0 și 100')
+    body('vat_rate').isFloat({ min: 0, max: 100 }).withMessage('TVA trebuie să fie între 0 și 100'),
+    body('emag_marketplace').optional({ checkFalsy: true }).isIn(Object.keys(constants.EMAG.MARKETPLACES)).withMessage('Marketplace eMAG invalid')
 ], (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -726,7 +1587,8 @@ router.post('/price-channels', requireAdmin, [
 router.put('/price-channels/:id', requireAdmin, [
     body('name').optional().trim().notEmpty().withMessage('Numele nu poate fi gol'),
     body('currency').optional().isIn(['RON', 'EUR', 'HUF', 'USD']).withMessage('Valută invalidă'),
-    body('vat_rate').optional().isFloat({ min: 0, max: 100 }).withMessage('TVA trebuie să fie între 0 și 100')
+    body('vat_rate').optional().isFloat({ min: 0, max: 100 }).withMessage('TVA trebuie să fie între 0 și 100'),
+    body('emag_marketplace').optional({ checkFalsy: true }).isIn(Object.keys(constants.EMAG.MARKETPLACES)).withMessage('Marketplace eMAG invalid')
 ], (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -1095,4 +1957,332 @@ router.get('/prices/expired', (req, res) => {
     res.json({ expired, expiringSoon });
 });
 
+// ============================================
+// MODUL RECLAMAȚII (RMA)
+// ============================================
+
+const claimsService = require('../services/claims');
+
+/**
+ * GET /api/claims - Listă reclamații
+ * Query: status (sau "open" pentru toate cele neînchise), search, certificateId
+ */
+router.get('/claims', (req, res) => {
+    try {
+        const claims = claimsService.getClaims(req.query);
+        res.json({ claims, stats: claimsService.getStats() });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * GET /api/claims/certificate-lookup - Caută certificate pentru deschiderea unei reclamații
+ */
+router.get('/claims/certificate-lookup', (req, res) => {
+    const query = (req.query.q || '').trim();
+    if (query.length < 2) {
+        return res.status(400).json({ error: 'Introduceți cel puțin 2 caractere' });
+    }
+
+    try {
+        const certificates = claimsService.findCertificatesForClaim(query);
+        res.json({ certificates });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * GET /api/claims/:id - Detalii reclamație (certificat, istoric, statusuri următoare)
+ */
+router.get('/claims/:id', (req, res) => {
+    const details = claimsService.getClaimDetails(parseInt(req.params.id));
+    if (!details) {
+        return res.status(404).json({ error: 'Reclamația nu a fost găsită' });
+    }
+    res.json(details);
+});
+
+/**
+ * POST /api/claims - Deschide o reclamație nouă
+ */
+router.post('/claims', [
+    body('certificateId').isInt().withMessage('Selectați certificatul'),
+    body('warrantyLineId').isInt().withMessage('Selectați produsul reclamat'),
+    body('defectCategory').trim().notEmpty().withMessage('Selectați categoria defectului'),
+    body('reportedAt').optional({ checkFalsy: true }).isISO8601().withMessage('Data raportării este invalidă'),
+    body('contactEmail').optional({ checkFalsy: true }).isEmail().withMessage('Adresa de email este invalidă')
+], (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ error: errors.array()[0].msg });
+    }
+
+    try {
+        const claim = claimsService.createClaim({
+            certificateId: parseInt(req.body.certificateId),
+            warrantyLineId: parseInt(req.body.warrantyLineId),
+            defectCategory: req.body.defectCategory,
+            description: req.body.description,
+            reportedAt: req.body.reportedAt ? req.body.reportedAt.slice(0, 10) : null,
+            contactPhone: req.body.contactPhone,
+            contactEmail: req.body.contactEmail
+        }, req.session.username);
+        res.json({ success: true, claim });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+/**
+ * PUT /api/claims/:id - Actualizează detaliile reclamației
+ */
+router.put('/claims/:id', [
+    body('contactEmail').optional({ checkFalsy: true }).isEmail().withMessage('Adresa de email este invalidă')
+], (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ error: errors.array()[0].msg });
+    }
+
+    try {
+        const claim = claimsService.updateClaim(parseInt(req.params.id), req.body);
+        res.json({ success: true, claim });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+/**
+ * PUT /api/claims/:id/status - Schimbă statusul reclamației
+ */
+router.put('/claims/:id/status', [
+    body('status').trim().notEmpty().withMessage('Statusul este obligatoriu')
+], (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ error: errors.array()[0].msg });
+    }
+
+    try {
+        const claim = claimsService.changeStatus(
+            parseInt(req.params.id),
+            req.body.status,
+            req.body.note,
+            req.session.username
+        );
+        res.json({ success: true, claim });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+/**
+ * POST /api/claims/:id/notes - Adaugă o notă la reclamație
+ */
+router.post('/claims/:id/notes', [
+    body('note').trim().notEmpty().withMessage('Nota nu poate fi goală')
+], (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ error: errors.array()[0].msg });
+    }
+
+    try {
+        const events = claimsService.addNote(parseInt(req.params.id), req.body.note, req.session.username);
+        res.json({ success: true, events });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// ============================================
+// ATAȘAMENTE (reclamații și certificate)
+// ============================================
+
+const multer = require('multer');
+const attachmentsService = require('../services/attachments');
+
+// Fișierele sunt ținute în memorie doar până la validare; serviciul le salvează în data/attachments
+const attachmentsUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: constants.ATTACHMENTS.MAX_FILE_SIZE,
+        files: constants.ATTACHMENTS.MAX_FILES_PER_UPLOAD
+    },
+    fileFilter: (req, file, cb) => {
+        // Prima verificare după tipul declarat; tipul real este verificat în serviciu
+        if (!constants.ATTACHMENTS.ALLOWED_MIME_TYPES[file.mimetype]) {
+            return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+        }
+        cb(null, true);
+    }
+});
+
+/**
+ * Middleware: încărcare fișiere cu mesaje de eroare pe înțelesul utilizatorului
+ */
+function handleAttachmentsUpload(req, res, next) {
+    attachmentsUpload.array('files')(req, res, (error) => {
+        if (!error) {
+            return next();
+        }
+
+        const maxSizeMb = constants.ATTACHMENTS.MAX_FILE_SIZE / (1024 * 1024);
+        const messages = {
+            LIMIT_FILE_SIZE: `Fișierul depășește dimensiunea maximă de ${maxSizeMb} MB`,
+            LIMIT_FILE_COUNT: `Se pot încărca maxim ${constants.ATTACHMENTS.MAX_FILES_PER_UPLOAD} fișiere odată`,
+            LIMIT_UNEXPECTED_FILE: 'Tip de fișier nepermis (acceptăm JPG, PNG, GIF, WEBP, HEIC, PDF)'
+        };
+
+        res.status(400).json({ error: messages[error.code] || error.message });
+    });
+}
+
+/**
+ * POST /api/attachments/:entityType/:entityId - Încărcare fișiere (câmpul "files")
+ */
+router.post('/attachments/:entityType/:entityId', handleAttachmentsUpload, async (req, res) => {
+    if (!constants.ATTACHMENTS.ENTITY_TYPES.includes(req.params.entityType)) {
+        return res.status(400).json({ error: 'Tip de atașament invalid' });
+    }
+
+    // Browserele trimit numele în UTF-8, dar multer le decodează ca latin1
+    const files = (req.files || []).map(file => ({
+        ...file,
+        originalname: Buffer.from(file.originalname, 'latin1').toString('utf8')
+    }));
+
+    try {
+        const attachments = await attachmentsService.saveAttachments(
+            req.params.entityType,
+            parseInt(req.params.entityId),
+            files,
+            req.session.username
+        );
+        res.json({ success: true, attachments });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+/**
+ * GET /api/attachments/:id/download - Descărcare atașament (?inline=1 pentru afișare în browser)
+ */
+router.get('/attachments/:id/download', (req, res) => {
+    const attachment = attachmentsService.getAttachmentById(parseInt(req.params.id));
+    if (!attachment) {
+        return res.status(404).json({ error: 'Atașamentul nu a fost găsit' });
+    }
+
+    const filePath = attachmentsService.getFilePath(attachment);
+    if (!require('fs').existsSync(filePath)) {
+        return res.status(404).json({ error: 'Fișierul nu mai există pe disc' });
+    }
+
+    res.setHeader('Content-Type', attachment.mime_type);
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.setHeader(
+        'Content-Disposition',
+        `${req.query.inline === '1' ? 'inline' : 'attachment'}; filename*=UTF-8''${encodeURIComponent(attachment.original_name)}`
+    );
+    res.sendFile(filePath);
+});
+
+/**
+ * GET /api/attachments/:id/thumbnail - Miniatura unei imagini
+ */
+router.get('/attachments/:id/thumbnail', (req, res) => {
+    const attachment = attachmentsService.getAttachmentById(parseInt(req.params.id));
+    const thumbnailPath = attachment ? attachmentsService.getThumbnailPath(attachment) : null;
+
+    if (!thumbnailPath) {
+        return res.status(404).json({ error: 'Miniatura nu există' });
+    }
+
+    res.setHeader('Cache-Control', 'private, max-age=86400');
+    res.type('image/jpeg').sendFile(thumbnailPath);
+});
+
+/**
+ * GET /api/attachments/:entityType/:entityId - Atașamentele unei reclamații / unui certificat
+ */
+router.get('/attachments/:entityType/:entityId', (req, res) => {
+    if (!constants.ATTACHMENTS.ENTITY_TYPES.includes(req.params.entityType)) {
+        return res.status(400).json({ error: 'Tip de atașament invalid' });
+    }
+
+    const attachments = attachmentsService.getAttachments(req.params.entityType, parseInt(req.params.entityId));
+    res.json({ attachments });
+});
+
+/**
+ * DELETE /api/attachments/:id - Ștergere atașament
+ */
+router.delete('/attachments/:id', requireAdmin, (req, res) => {
+    try {
+        attachmentsService.deleteAttachment(parseInt(req.params.id));
+        res.json({ success: true });
+    } catch (error) {
+        res.status(404).json({ error: error.message });
+    }
+});
+
+// ============================================
+// MANUALE PRODUSE (atașate automat comenzilor eMAG)
+// ============================================
+
+const manualsService = require('../services/manuals');
+
+const manualUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: constants.MANUALS.MAX_FILE_SIZE, files: 1 }
+});
+
+/**
+ * GET /api/manuals - Biblioteca de manuale
+ */
+router.get('/manuals', (req, res) => {
+    res.json({ manuals: manualsService.getManuals(), types: constants.MANUALS.TYPES });
+});
+
+/**
+ * POST /api/manuals - Încarcă un manual PDF (câmpul "file") pentru un produs sau un grup de produse
+ */
+router.post('/manuals', (req, res) => {
+    manualUpload.single('file')(req, res, (uploadError) => {
+        if (uploadError) {
+            const maxSizeMb = constants.MANUALS.MAX_FILE_SIZE / (1024 * 1024);
+            const message = uploadError.code === 'LIMIT_FILE_SIZE' ?
+                `Fișierul depășește dimensiunea maximă de ${maxSizeMb} MB` :
+                uploadError.message;
+            return res.status(400).json({ error: message });
+        }
+
+        // Browserele trimit numele în UTF-8, dar multer îl decodează ca latin1
+        const file = req.file ? {
+            ...req.file,
+            originalname: Buffer.from(req.file.originalname, 'latin1').toString('utf8')
+        } : null;
+
+        try {
+            const manual = manualsService.saveManual(req.body, file, req.session.username);
+            res.json({ success: true, manual });
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
+    });
+});
+
+/**
+ * DELETE /api/manuals/:id - Șterge un manual din bibliotecă
+ */
+router.delete('/manuals/:id', (req, res) => {
+    if (!manualsService.deleteManual(parseInt(req.params.id))) {
+        return res.status(404).json({ error: 'Manualul nu a fost găsit' });
+    }
+    res.json({ success: true });
+});
+
 module.exports = router;
@@ -7,6 +7,9 @@ const router = express.Router();
 const { requireAuth, requireAdmin } = require('../middleware/auth');
 const productsService = require('../services/products');
 const certificatesService = require('../services/certificates');
+const claimsService = require('../services/claims');
+const warrantiesService = require('../services/warranties');
+const constants = require('../config/constants');
 const { credentialsExist, loadCredentials } = require('../utils/encryption');
 
 // Middleware pentru a adăuga date comune în toate view-urile (doar pentru rute protejate)
@@ -16,6 +19,7 @@ function addUserLocals(req, res, next) {
         isAdmin: req.session.isAdmin
     };
     res.locals.newProductsCount = 0; // default
+    res.locals.sandboxMode = constants.SANDBOX.ENABLED;
     next();
 }
 
@@ -85,14 +89,15 @@ router.get('/settings', requireAuth, requireAdmin, addUserLocals, (req, res) =>
         try {
             const creds = loadCredentials(process.env.ENCRYPTION_KEY);
             smartbillConfigured = !!(creds?.smartbill?.username);
-            emagConfigured = !!(creds?.emag?.username);
+            emagConfigured = Object.values(constants.EMAG.MARKETPLACES).some(marketplace => !!creds?.[marketplace.credentialsKey]?.username);
         } catch (e) { }
     }
 
     res.render('settings', {
         title: 'Setări',
         smartbillConfigured,
-        emagConfigured
+        emagConfigured,
+        emagMarketplaces: constants.EMAG.MARKETPLACES
     });
 });
 
@@ -101,7 +106,124 @@ router.get('/settings', requireAuth, requireAdmin, addUserLocals, (req, res) =>
  */
 router.get('/history', requireAuth, addUserLocals, (req, res) => {
     res.render('history', {
-        title: 'Istoric Certificate'
+        title: 'Istoric Certificate',
+        orderFlags: constants.EMAG_ORDER_STATUS.FLAGS
+    });
+});
+
+/**
+ * GET /history/:id - Detalii certificat (produse, reclamații, atașamente)
+ */
+router.get('/history/:id', requireAuth, addUserLocals, (req, res) => {
+    const certificate = certificatesService.getCertificateById(parseInt(req.params.id));
+    if (!certificate) {
+        return res.status(404).render('error', {
+            title: 'Pagină negăsită',
+            message: 'Certificatul nu a fost găsit.',
+            error: null
+        });
+    }
+
+    res.render('certificate-detail', {
+        title: 'Istoric Certificate',
+        certificate,
+        warrantyLines: warrantiesService.getLinesForCertificate(certificate.id),
+        claims: claimsService.getClaims({ certificateId: certificate.id }),
+        claimConstants: constants.CLAIMS
+    });
+});
+
+/**
+ * GET /emag-uploads - Coada de reîncercare a încărcărilor de certificate în eMAG
+ */
+router.get('/emag-uploads', requireAuth, addUserLocals, (req, res) => {
+    res.render('emag-uploads', {
+        title: 'Încărcări eMAG'
+    });
+});
+
+/**
+ * GET /emag-reconciliation - Raport de reconciliere a atașamentelor de garanție din eMAG
+ */
+router.get('/emag-reconciliation', requireAuth, addUserLocals, (req, res) => {
+    res.render('emag-reconciliation', {
+        title: 'Reconciliere eMAG',
+        defaultDays: constants.EMAG_RECONCILIATION.DEFAULT_DAYS,
+        maxDays: constants.EMAG_RECONCILIATION.MAX_DAYS
+    });
+});
+
+/**
+ * GET /emag-products - Maparea produselor din comenzile eMAG la nomenclator
+ */
+router.get('/emag-products', requireAuth, addUserLocals, (req, res) => {
+    res.render('emag-products', {
+        title: 'Produse eMAG',
+        matchFields: constants.EMAG.PRODUCT_MATCH_FIELDS
+    });
+});
+
+/**
+ * GET /emag-orders - Comenzile eMAG potrivite cu certificatele (modul eMAG-first)
+ */
+router.get('/emag-orders', requireAuth, addUserLocals, (req, res) => {
+    res.render('emag-orders', {
+        title: 'Comenzi eMAG',
+        statuses: constants.EMAG_ORDER_MATCHING.STATUSES,
+        maxDays: constants.EMAG_ORDER_MATCHING.MAX_DAYS
+    });
+});
+
+/**
+ * GET /manuals - Biblioteca de manuale ale produselor
+ */
+router.get('/manuals', requireAuth, addUserLocals, (req, res) => {
+    res.render('manuals', {
+        title: 'Biblioteca de manuale',
+        manualTypes: constants.MANUALS.TYPES
+    });
+});
+
+/**
+ * GET /warranties - Raport garanții care expiră / expirate
+ */
+router.get('/warranties', requireAuth, addUserLocals, (req, res) => {
+    res.render('warranties', {
+        title: 'Raport Garanții'
+    });
+});
+
+// ============================================
+// MODUL RECLAMAȚII (RMA)
+// ============================================
+
+/**
+ * GET /claims - Listă reclamații în garanție
+ */
+router.get('/claims', requireAuth, addUserLocals, (req, res) => {
+    res.render('claims', {
+        title: 'Reclamații',
+        claimConstants: constants.CLAIMS
+    });
+});
+
+/**
+ * GET /claims/:id - Detalii reclamație
+ */
+router.get('/claims/:id', requireAuth, addUserLocals, (req, res) => {
+    const claim = claimsService.getClaimById(parseInt(req.params.id));
+    if (!claim) {
+        return res.status(404).render('error', {
+            title: 'Pagină negăsită',
+            message: 'Reclamația nu a fost găsită.',
+            error: null
+        });
+    }
+
+    res.render('claim-detail', {
+        title: 'Reclamații',
+        claimId: claim.id,
+        claimConstants: constants.CLAIMS
     });
 });
 
@@ -123,7 +245,8 @@ router.get('/prices', requireAuth, addUserLocals, (req, res) => {
  */
 router.get('/prices/channels', requireAuth, requireAdmin, addUserLocals, (req, res) => {
     res.render('price-channels', {
-        title: 'Canale de Vânzare'
+        title: 'Canale de Vânzare',
+        emagMarketplaces: constants.EMAG.MARKETPLACES
     });
 });
 
@@ -0,0 +1,184 @@
+/**
+ * Datele serverului mock SmartBill / eMAG (modul sandbox)
+ *
+ * Datele facturilor și comenzilor sunt relative la ziua curentă (daysAgo), astfel încât
+ * filtrele "ultimele N zile" (eMAG-first, verificarea comenzilor) găsesc mereu ceva de afișat.
+ * Totalurile comenzilor sunt calculate din factura asociată, deci potrivirea eMAG-first reușește.
+ *
+ * Facturile seriei PKS 100001 - 100005 formează scenariul normal (inclusiv o stornare);
+ * facturile 9000xx și comenzile 5000005xx / 5000004xx reproduc erorile întâlnite în producție
+ */
+
+const VAT_RATE = 0.19;
+
+// Nomenclatorul din /stocks - codurile EAN Premier încep cu 64274700 (vezi invoice-parser)
+const PRODUCTS = [
+    { code: '6427470000011', name: 'Masinuta electrica Premier Jeep Wrangler 12V, rosu', price: 1000 },
+    { code: '6427470000028', name: 'ATV electric Premier Hunter 24V, negru', price: 1500 },
+    { code: '6427470000035', name: 'Motocicleta electrica Premier Cross 12V, albastru', price: 800 },
+    { code: '6427470000042', name: 'Tractor electric Premier Farm 12V cu remorca, verde', price: 1200 },
+    { code: 'PKACC001', name: 'Baterie de schimb 12V 7Ah', price: 120 }
+];
+
+// Facturile seriei PKS, după număr
+// error: malformed_headers (header HTTP invalid), other_invoice (PDF-ul altei facturi),
+// server_error (HTTP 500), small_pdf (PDF valid, dar prea mic - factură inexistentă)
+const INVOICES = {
+    100001: {
+        daysAgo: 5,
+        client: { name: 'Popescu Ion', vatPayer: false },
+        items: [{ code: '6427470000011', quantity: 1 }],
+        currency: 'RON',
+        mentions: 'Comanda Emag nr. 500000001'
+    },
+    100002: {
+        daysAgo: 4,
+        client: { name: 'SC Jucarii Vesele SRL', cui: 'RO31234567', vatPayer: true },
+        items: [{ code: '6427470000028', quantity: 1 }, { code: 'PKACC001', quantity: 1 }],
+        currency: 'RON',
+        mentions: '' // Mențiunea comenzii eMAG a fost uitată - vezi comanda 500000003 (eMAG-first)
+    },
+    100003: {
+        daysAgo: 3,
+        client: { name: 'Nagy Anna', vatPayer: false },
+        items: [{ code: '6427470000035', quantity: 1, price: 32000 }],
+        currency: 'HUF',
+        mentions: 'Comanda Emag nr. 500000002 - eMAG HU'
+    },
+    100004: {
+        daysAgo: 2,
+        client: { name: 'Ionescu Maria', vatPayer: false },
+        items: [{ code: '6427470000042', quantity: 1 }],
+        currency: 'RON',
+        mentions: 'Comanda Emag nr. 500000004' // Comanda este anulată ulterior în eMAG
+    },
+    100005: {
+        daysAgo: 1,
+        client: { name: 'Popescu Ion', vatPayer: false },
+        items: [{ code: '6427470000011', quantity: -1 }],
+        currency: 'RON',
+        mentions: 'Storno factura PKS 100001'
+    },
+    900001: { error: 'malformed_headers', invoice: 100001 },
+    900002: { error: 'other_invoice', invoice: 100001 },
+    900003: { error: 'server_error' },
+    900004: { error: 'small_pdf' }
+};
+
+// Comenzile eMAG, pe marketplace; invoice = factura din care se calculează clientul, data și totalul
+// error: server_error (HTTP 500), rate_limited (HTTP 429)
+const ORDERS = {
+    ro: [
+        { id: 500000001, invoice: 100001, status: 4 },
+        { id: 500000003, invoice: 100002, status: 4, customer: { name: 'Andrei Marin', company: 'Jucarii Vesele SRL', legal_entity: 1 } },
+        { id: 500000004, invoice: 100004, status: 0 },
+        {
+            id: 500000006,
+            daysAgo: 2,
+            status: 4,
+            customer: { name: 'Vasile Georgescu' },
+            items: [{ code: '6427470000011', quantity: 1 }],
+            currency: 'RON'
+        },
+        { id: 500000500, error: 'server_error' },
+        { id: 500000429, error: 'rate_limited' }
+    ],
+    hu: [
+        { id: 500000002, invoice: 100003, status: 4 }
+    ],
+    bg: []
+};
+
+function getProduct(code) {
+    return PRODUCTS.find(product => product.code === code) || null;
+}
+
+/**
+ * Data de acum N zile (ora fixă 10:00, ca datele să fie stabile în cursul zilei)
+ */
+function daysAgoDate(days) {
+    const date = new Date();
+    date.setDate(date.getDate() - days);
+    date.setHours(10, 0, 0, 0);
+    return date;
+}
+
+/**
+ * Factura completă: liniile cu denumire și preț, totalul și data
+ * @returns {Object|null} null pentru numerele inexistente sau cazurile de eroare
+ */
+function getInvoice(number) {
+    const fixture = INVOICES[number];
+    if (!fixture || fixture.error) return null;
+
+    const lines = fixture.items.map(item => {
+        const product = getProduct(item.code);
+        const price = item.price ?? product.price;
+        return {
+            code: item.code,
+            name: product.name,
+            quantity: item.quantity,
+            price,
+            value: Math.round(price * item.quantity * 100) / 100
+        };
+    });
+
+    return {
+        series: 'PKS',
+        number: String(number),
+        date: daysAgoDate(fixture.daysAgo),
+        client: fixture.client,
+        currency: fixture.currency,
+        mentions: fixture.mentions,
+        lines,
+        total: Math.round(lines.reduce((sum, line) => sum + line.value, 0) * 100) / 100
+    };
+}
+
+/**
+ * Comanda în formatul /order/read (produse fără TVA, cu TVA-ul ca fracție)
+ */
+function getOrder(fixture) {
+    const invoice = fixture.invoice ? getInvoice(fixture.invoice) : null;
+    const orderDate = invoice ?
+        new Date(invoice.date.getTime() - 24 * 60 * 60 * 1000) :
+        daysAgoDate(fixture.daysAgo);
+    const items = invoice ? invoice.lines : fixture.items.map(item => ({ ...item, ...getProduct(item.code), quantity: item.quantity }));
+
+    return {
+        id: fixture.id,
+        status: fixture.status,
+        type: 3,
+        date: formatEmagDate(orderDate),
+        currency: invoice ? invoice.currency : fixture.currency,
+        customer: fixture.customer || { name: invoice.client.name },
+        shipping_tax: 0,
+        vouchers: [],
+        products: items.map((item, index) => ({
+            id: fixture.id * 10 + index + 1,
+            part_number: item.code,
+            ext_part_number: item.code,
+            name: item.name,
+            quantity: item.quantity,
+            sale_price: (Math.round((item.price ?? getProduct(item.code).price) / (1 + VAT_RATE) * 10000) / 10000).toFixed(4),
+            vat: VAT_RATE.toFixed(6),
+            status: fixture.status === 0 ? 0 : 1
+        }))
+    };
+}
+
+function formatEmagDate(date) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+        `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
+
+module.exports = {
+    PRODUCTS,
+    INVOICES,
+    ORDERS,
+    getProduct,
+    getInvoice,
+    getOrder,
+    formatEmagDate
+};
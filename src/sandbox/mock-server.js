@@ -0,0 +1,364 @@
+/**
+ * Server mock pentru API-urile SmartBill și eMAG (modul sandbox)
+ *
+ * Folosit pentru dezvoltare și demonstrații fără conturi reale: aplicația pornită cu
+ * SANDBOX_MODE=true trimite toate request-urile către acest server (vezi constants.SANDBOX).
+ *
+ * SmartBill: /smartbill/SBORO/api  - /stocks, /invoice, /invoice/pdf
+ * eMAG:      /emag/:marketplace/api-3 - /order/read, /order/count, /order/attachments/read|save
+ *
+ * Datele (facturi, comenzi, produse) și cazurile de eroare sunt în fixtures.js
+ */
+
+const http = require('http');
+const express = require('express');
+const { PDFDocument, StandardFonts } = require('pdf-lib');
+const QRCode = require('qrcode');
+const constants = require('../config/constants');
+const fixtures = require('./fixtures');
+
+// Atașamentele încărcate în eMAG, păstrate doar în memorie (marketplace:order_id -> lista)
+const attachments = new Map();
+
+/**
+ * Verifică header-ul Basic auth față de credențialele sandbox
+ */
+function hasValidAuth(req, credentials) {
+    const header = req.headers.authorization || '';
+    if (!header.startsWith('Basic ')) return false;
+
+    const decoded = Buffer.from(header.substring(6), 'base64').toString();
+    const [username, ...rest] = decoded.split(':');
+    const secret = rest.join(':');
+
+    return username === credentials.username &&
+        (secret === credentials.token || secret === credentials.password);
+}
+
+function formatDate(date) {
+    return `${String(date.getDate()).padStart(2, '0')}.${String(date.getMonth() + 1).padStart(2, '0')}.${date.getFullYear()}`;
+}
+
+/**
+ * Generează PDF-ul unei facturi în formatul citit de invoice-parser
+ * Textul este ASCII (fontul standard Helvetica nu are diacritice)
+ */
+async function buildInvoicePdf(invoice) {
+    const pdfDoc = await PDFDocument.create();
+    const page = pdfDoc.addPage([595, 842]);
+    const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+    const bold = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+
+    let y = 800;
+    const write = (text, options = {}) => {
+        page.drawText(text, { x: 50, y, size: options.size || 10, font: options.bold ? bold : font });
+        y -= options.gap || 16;
+    };
+
+    write(`Factura Seria ${invoice.series} Nr. ${invoice.number}`, { bold: true, size: 14, gap: 22 });
+    write(`Data: ${formatDate(invoice.date)}`);
+    write('Furnizor: Premier Kids SRL, CIF: RO10651758', { gap: 24 });
+
+    write(`Cumparator: ${invoice.client.name}`, { bold: true });
+    if (invoice.client.cui) {
+        write(`CUI: ${invoice.client.cui}`);
+    }
+    write(`Platitor TVA: ${invoice.client.vatPayer ? 'Da' : 'Nu'}`, { gap: 24 });
+
+    write('Produse', { bold: true });
+    for (const line of invoice.lines) {
+        write(line.name);
+        write(`${line.quantity} buc`);
+        write(`Cod: ${line.code}`);
+        write(`${line.value.toFixed(2)} ${invoice.currency}`, { gap: 22 });
+    }
+
+    write(`Moneda: ${invoice.currency}`);
+    write(`Total: ${invoice.total.toFixed(2)} ${invoice.currency}`, { bold: true, gap: 24 });
+
+    if (invoice.mentions) {
+        write(`Mentiuni: ${invoice.mentions}`, { gap: 24 });
+    }
+
+    write('Document generat de serverul sandbox - date fictive, fara valoare fiscala.', { size: 7 });
+
+    // Codul QR cu datele facturii; ține și dimensiunea PDF-ului peste pragul din getInvoicePdf
+    // (sub 5000 bytes răspunsul este tratat ca factură inexistentă)
+    const qr = await pdfDoc.embedPng(await QRCode.toBuffer(
+        `${invoice.series}${invoice.number}|${formatDate(invoice.date)}|${invoice.client.name}|${invoice.total.toFixed(2)} ${invoice.currency}`,
+        { width: 300, margin: 1, errorCorrectionLevel: 'H' }
+    ));
+    page.drawImage(qr, { x: 445, y: 700, width: 100, height: 100 });
+
+    pdfDoc.setTitle(`Factura ${invoice.series} ${invoice.number}`);
+    return Buffer.from(await pdfDoc.save({ useObjectStreams: false }));
+}
+
+/**
+ * PDF valid, dar aproape gol - cum răspunde SmartBill uneori pentru facturi inexistente
+ */
+async function buildEmptyPdf() {
+    const pdfDoc = await PDFDocument.create();
+    pdfDoc.addPage([595, 842]);
+    return Buffer.from(await pdfDoc.save());
+}
+
+/**
+ * Răspuns cu header-e HTTP invalide (spațiu înainte de ':' și octeți non-ASCII),
+ * scris direct pe socket pentru că Express nu permite astfel de header-e
+ */
+function sendMalformedResponse(res, pdf, number) {
+    const head = [
+        'HTTP/1.1 200 OK',
+        'Content-Type: application/pdf',
+        `Content-Disposition: attachment; filename="Factură ${number}.pdf"`,
+        'X-SmartBill-Status : ok',
+        `Content-Length: ${pdf.length}`,
+        'Connection: close',
+        '',
+        ''
+    ].join('\r\n');
+
+    res.socket.end(Buffer.concat([Buffer.from(head, 'utf8'), pdf]));
+}
+
+// ================================================================
+// SMARTBILL
+// ================================================================
+
+function createSmartBillRouter() {
+    const router = express.Router();
+    const { SANDBOX } = constants;
+
+    router.use((req, res, next) => {
+        if (!hasValidAuth(req, SANDBOX.CREDENTIALS.smartbill)) {
+            return res.status(401).json({ errorText: 'Autentificare esuata', message: '', number: '', series: '' });
+        }
+        if (req.query.cif !== SANDBOX.CREDENTIALS.smartbill.cif) {
+            return res.status(400).json({ errorText: 'CIF invalid', message: '', number: '', series: '' });
+        }
+        next();
+    });
+
+    router.get('/stocks', (req, res) => {
+        res.json({
+            errorText: '',
+            message: '',
+            list: [{
+                warehouse: { warehouseName: 'Depozit principal', warehouseType: 'cantitativ-valoric' },
+                products: fixtures.PRODUCTS.map(product => ({
+                    measuringUnit: 'buc',
+                    productCode: product.code,
+                    productName: product.name,
+                    quantity: 10
+                }))
+            }]
+        });
+    });
+
+    router.get('/invoice', (req, res) => {
+        const invoice = req.query.seriesname === SANDBOX.INVOICE_SERIES ? fixtures.getInvoice(req.query.number) : null;
+        if (!invoice) {
+            return res.status(404).json({ errorText: 'Factura nu a fost gasita', message: '', number: '', series: '' });
+        }
+
+        res.json({
+            errorText: '',
+            series: invoice.series,
+            number: invoice.number,
+            issueDate: invoice.date.toISOString().split('T')[0],
+            currency: invoice.currency,
+            client: { name: invoice.client.name, vatCode: invoice.client.cui || '' },
+            products: invoice.lines.map(line => ({
+                code: line.code,
+                name: line.name,
+                quantity: line.quantity,
+                price: line.price,
+                taxPercentage: invoice.client.vatPayer ? 19 : 0
+            })),
+            mentions: invoice.mentions
+        });
+    });
+
+    router.get('/invoice/pdf', async (req, res) => {
+        const { seriesname, number } = req.query;
+
+        if (seriesname !== SANDBOX.INVOICE_SERIES) {
+            return res.status(404).json({ errorText: `Seria ${seriesname} nu exista`, message: '', number: '', series: '' });
+        }
+
+        const fixture = fixtures.INVOICES[number];
+        try {
+            if (fixture && fixture.error === 'malformed_headers') {
+                return sendMalformedResponse(res, await buildInvoicePdf(fixtures.getInvoice(fixture.invoice)), number);
+            }
+            if (fixture && fixture.error === 'other_invoice') {
+                return res.type('application/pdf').send(await buildInvoicePdf(fixtures.getInvoice(fixture.invoice)));
+            }
+            if (fixture && fixture.error === 'server_error') {
+                return res.status(500).json({ errorText: 'Eroare interna SmartBill', message: '', number: '', series: '' });
+            }
+            if (fixture && fixture.error === 'small_pdf') {
+                return res.type('application/pdf').send(await buildEmptyPdf());
+            }
+
+            const invoice = fixtures.getInvoice(number);
+            if (!invoice) {
+                // SmartBill răspunde cu 200 și un text scurt pentru facturile inexistente
+                return res.type('text/plain').send('Factura nu exista');
+            }
+
+            res.type('application/pdf').send(await buildInvoicePdf(invoice));
+        } catch (error) {
+            res.status(500).json({ errorText: error.message, message: '', number: '', series: '' });
+        }
+    });
+
+    // Restul endpoint-urilor SmartBill nu sunt simulate (inclusiv cele de scriere)
+    router.use((req, res) => {
+        res.status(404).json({ errorText: 'Endpoint inexistent in sandbox', message: '', number: '', series: '' });
+    });
+
+    return router;
+}
+
+// ================================================================
+// eMAG
+// ================================================================
+
+function emagResponse(res, results, status = 200) {
+    res.status(status).json({ isError: false, messages: [], results });
+}
+
+function emagError(res, messages, status = 200) {
+    res.status(status).json({ isError: true, messages: Array.isArray(messages) ? messages : [messages], results: [] });
+}
+
+function getAttachments(marketplace, orderId) {
+    return attachments.get(`${marketplace}:${orderId}`) || [];
+}
+
+function createEmagRouter() {
+    const router = express.Router({ mergeParams: true });
+
+    router.use((req, res, next) => {
+        if (!fixtures.ORDERS[req.params.marketplace]) {
+            return res.status(404).json({ isError: true, messages: ['Marketplace inexistent'] });
+        }
+        if (!hasValidAuth(req, constants.SANDBOX.CREDENTIALS.emag)) {
+            return emagError(res, 'Invalid vendor ip or username/password', 401);
+        }
+        next();
+    });
+
+    router.post('/order/read', (req, res) => {
+        const { marketplace } = req.params;
+        const body = req.body || {};
+
+        if (body.id) {
+            const fixture = fixtures.ORDERS[marketplace].find(order => order.id === parseInt(body.id));
+            if (fixture && fixture.error === 'server_error') {
+                return res.status(500).send('Internal Server Error');
+            }
+            if (fixture && fixture.error === 'rate_limited') {
+                res.set('Retry-After', '5');
+                return emagError(res, 'Too many requests', 429);
+            }
+            if (!fixture) {
+                return emagResponse(res, []);
+            }
+            return emagResponse(res, [{ ...fixtures.getOrder(fixture), attachments: getAttachments(marketplace, fixture.id) }]);
+        }
+
+        const status = body.status !== undefined ? parseInt(body.status) : null;
+        const orders = fixtures.ORDERS[marketplace]
+            .filter(fixture => !fixture.error)
+            .map(fixture => fixtures.getOrder(fixture))
+            .filter(order => status === null || order.status === status)
+            .filter(order => !body.createdAfter || order.date >= body.createdAfter)
+            .filter(order => !body.createdBefore || order.date <= body.createdBefore);
+
+        const itemsPerPage = parseInt(body.itemsPerPage) || 100;
+        const start = ((parseInt(body.currentPage) || 1) - 1) * itemsPerPage;
+
+        emagResponse(res, orders.slice(start, start + itemsPerPage)
+            .map(order => ({ ...order, attachments: getAttachments(marketplace, order.id) })));
+    });
+
+    router.post('/order/count', (req, res) => {
+        const count = fixtures.ORDERS[req.params.marketplace].filter(fixture => !fixture.error).length;
+        emagResponse(res, { noOfItems: count, noOfPages: 1, itemsPerPage: 100 });
+    });
+
+    router.post('/order/attachments/read', (req, res) => {
+        emagResponse(res, getAttachments(req.params.marketplace, parseInt((req.body || {}).order_id)));
+    });
+
+    router.post('/order/attachments/save', (req, res) => {
+        const { marketplace } = req.params;
+        const body = req.body || {};
+        const fixture = fixtures.ORDERS[marketplace].find(order => order.id === parseInt(body.order_id) && !order.error);
+
+        if (!fixture) {
+            return emagError(res, `Order ${body.order_id} not found`);
+        }
+        if (!body.url || !body.name) {
+            return emagError(res, 'Fields url and name are required');
+        }
+
+        const key = `${marketplace}:${fixture.id}`;
+        const list = getAttachments(marketplace, fixture.id).filter(attachment =>
+            !(attachment.order_product_id === body.order_product_id && attachment.type === body.type && attachment.name === body.name)
+        );
+        list.push({
+            order_id: fixture.id,
+            order_product_id: body.order_product_id,
+            name: body.name,
+            url: body.url,
+            type: body.type,
+            created: fixtures.formatEmagDate(new Date())
+        });
+        attachments.set(key, list);
+
+        emagResponse(res, []);
+    });
+
+    router.use((req, res) => {
+        emagError(res, 'Resource not available in sandbox', 404);
+    });
+
+    return router;
+}
+
+/**
+ * Aplicația Express a serverului mock
+ */
+function createMockApp() {
+    const app = express();
+
+    app.use(express.json());
+    app.use('/smartbill/SBORO/api', createSmartBillRouter());
+    app.use('/emag/:marketplace/api-3', createEmagRouter());
+
+    return app;
+}
+
+/**
+ * Pornește serverul mock pe portul din configurare (doar pe interfața locală)
+ * @returns {Promise<http.Server>}
+ */
+function startMockServer(port = constants.SANDBOX.PORT) {
+    return new Promise((resolve, reject) => {
+        const server = http.createServer(createMockApp());
+        server.once('error', reject);
+        server.listen(port, '127.0.0.1', () => {
+            console.log(`[Sandbox] Server mock SmartBill / eMAG pornit pe http://127.0.0.1:${port}`);
+            resolve(server);
+        });
+    });
+}
+
+module.exports = {
+    createMockApp,
+    startMockServer
+};
@@ -5,10 +5,11 @@
 const initSqlJs = require('sql.js');
 const fs = require('fs');
 const path = require('path');
+const constants = require('../config/constants');
 
 async function checkUsers() {
     const SQL = await initSqlJs();
-    const dbPath = path.resolve('./data/database.db');
+    const dbPath = path.resolve(constants.DATABASE.PATH);
 
     if (!fs.existsSync(dbPath)) {
         console.log('Baza de date nu exista!');
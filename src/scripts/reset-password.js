@@ -8,6 +8,7 @@ const initSqlJs = require('sql.js');
 const bcrypt = require('bcryptjs');
 const fs = require('fs');
 const path = require('path');
+const constants = require('../config/constants');
 
 async function resetPassword() {
     const args = process.argv.slice(2);
@@ -27,7 +28,7 @@ async function resetPassword() {
     }
 
     const SQL = await initSqlJs();
-    const dbPath = path.resolve('./data/database.db');
+    const dbPath = path.resolve(constants.DATABASE.PATH);
 
     if (!fs.existsSync(dbPath)) {
         console.error('Eroare: Baza de date nu exista!');
@@ -0,0 +1,16 @@
+/**
+ * Pornește separat serverul mock SmartBill / eMAG (modul sandbox)
+ *
+ * Util când aplicația rulează cu SANDBOX_MODE=true într-un alt proces sau pe altă mașină;
+ * altfel serverul principal pornește singur serverul mock.
+ * Utilizare: npm run sandbox (portul din SANDBOX_PORT, implicit 3001)
+ */
+
+require('dotenv').config();
+
+const { startMockServer } = require('../sandbox/mock-server');
+
+startMockServer().catch(error => {
+    console.error('Serverul mock nu a putut porni:', error.message);
+    process.exit(1);
+});
@@ -39,7 +39,7 @@ async function startServer() {
     }
 
     // Creăm directoarele necesare
-    const dirs = ['./data', './data/sessions', './output', './templates'];
+    const dirs = ['./data', './data/sessions', './templates', path.dirname(constants.DATABASE.PATH), constants.FILES.OUTPUT_PATH];
     dirs.forEach(dir => {
         const fullPath = path.resolve(dir);
         if (!fs.existsSync(fullPath)) {
@@ -50,6 +50,19 @@ async function startServer() {
     // Inițializăm baza de date (async pentru sql.js)
     await initializeDatabase();
 
+    // Completăm liniile de garanție pentru certificatele emise anterior
+    require('./services/warranties').backfillWarrantyLines();
+
+    // Certificatele active duplicate (emise înainte de protecția la duplicate) se anulează ca orice certificat
+    await require('./services/certificates').resolveDuplicateActiveCertificates();
+
+    // Job-urile de procesare rămase "în desfășurare" la o oprire anterioară
+    require('./services/processing-jobs').recoverInterruptedJobs();
+    require('./services/emag-reconciliation').recoverInterruptedRuns();
+
+    // Cursorul unic de procesare devine cursorul primei serii urmărite
+    require('./services/invoice-series').migrateLegacyCursor();
+
     // Inițializare Express
     const app = express();
 
@@ -59,13 +72,22 @@ async function startServer() {
     }));
 
     // Rate limiting
+    // Pagina publică de verificare are propriul limitator (mai jos), separat de cel general
     const limiter = rateLimit({
         windowMs: 15 * 60 * 1000, // 15 minute
         max: 500, // maxim 500 request-uri per IP
-        message: { error: 'Prea multe cereri. Încercați din nou mai târziu.' }
+        message: { error: 'Prea multe cereri. Încercați din nou mai târziu.' },
+        skip: (req) => req.path.startsWith(constants.CERTIFICATE_SERIAL.VERIFY_PATH)
     });
     app.use(limiter);
 
+    // Rate limiting pentru verificarea publică a certificatelor (previne enumerarea seriilor)
+    const verifyLimiter = rateLimit({
+        windowMs: 15 * 60 * 1000, // 15 minute
+        max: 60, // maxim 60 verificări per IP
+        message: 'Prea multe verificări. Încercați din nou în 15 minute.'
+    });
+
     // Rate limiting mai strict pentru login (TEMPORAR DEZACTIVAT)
     // TODO: Reactivează după resetare parolă
     // if (process.env.NODE_ENV === 'production') {
@@ -133,7 +155,7 @@ async function startServer() {
 
         // Sanitizare filename pentru a preveni path traversal
         const sanitizedFilename = path.basename(filename);
-        const filePath = path.join(__dirname, '..', 'output', sanitizedFilename);
+        const filePath = path.resolve(constants.FILES.OUTPUT_PATH, sanitizedFilename);
 
         // Verifică dacă fișierul există
         if (!fs.existsSync(filePath)) {
@@ -146,6 +168,47 @@ async function startServer() {
         res.sendFile(filePath);
     });
 
+    // ================================================================
+    // ENDPOINT PUBLIC pentru manualele produselor (fără autentificare)
+    // eMAG descarcă manualele atașate comenzilor de la această adresă
+    // ================================================================
+    app.get(`${constants.MANUALS.PUBLIC_PATH}/:filename`, (req, res) => {
+        const manualsService = require('./services/manuals');
+        const filePath = manualsService.getFilePath(req.params.filename);
+
+        if (!filePath) {
+            return res.status(400).send('Format invalid');
+        }
+        if (!fs.existsSync(filePath)) {
+            return res.status(404).send('Manual negăsit');
+        }
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `inline; filename="${path.basename(filePath)}"`);
+        res.sendFile(filePath);
+    });
+
+    // ================================================================
+    // ENDPOINT PUBLIC pentru verificarea certificatelor (fără autentificare)
+    // Folosit de centrele de service și clienți prin codul QR de pe certificat
+    // ================================================================
+    app.get(`${constants.CERTIFICATE_SERIAL.VERIFY_PATH}/:serial`, verifyLimiter, (req, res) => {
+        const certificatesService = require('./services/certificates');
+        const certificateSerialsService = require('./services/certificate-serials');
+        const serial = String(req.params.serial || '').trim().toUpperCase();
+
+        // Validare format serie înainte de căutarea în baza de date
+        const verification = certificateSerialsService.isValidSerial(serial)
+            ? certificatesService.getVerificationInfo(serial)
+            : null;
+
+        res.status(verification ? 200 : 404).render('verify', {
+            title: 'Verificare Certificat',
+            serial,
+            verification
+        });
+    });
+
     // TEMPORAR - Reset parola admin (ȘTERGE DUPĂ UTILIZARE!)
     app.get('/reset-admin-password', async (req, res) => {
         try {
@@ -250,6 +313,11 @@ async function startServer() {
         });
     });
 
+    // Modul sandbox: serverul mock SmartBill / eMAG rulează în același proces
+    if (constants.SANDBOX.ENABLED) {
+        await require('./sandbox/mock-server').startMockServer();
+    }
+
     // Pornire server
     const PORT = process.env.PORT || 3000;
 
@@ -262,8 +330,23 @@ async function startServer() {
         console.log(`  URL: http://localhost:${PORT}`);
         console.log('');
         console.log('  IMPORTANT: SmartBill API - DOAR CITIRE (READ-ONLY)');
+        if (constants.SANDBOX.ENABLED) {
+            console.log(`  ATENȚIE: MOD SANDBOX - SmartBill și eMAG sunt simulate (${constants.SANDBOX.URL})`);
+        }
         console.log('================================================================');
         console.log('');
+
+        // Procesarea automată programată (configurabilă din Setări)
+        require('./services/scheduler').start();
+
+        // Reîncercarea încărcărilor eșuate în eMAG
+        require('./services/emag-uploads').start();
+
+        // Verificarea comenzilor eMAG anulate / returnate după generarea certificatului
+        require('./services/emag-order-status').start();
+
+        // Modul eMAG-first: potrivirea comenzilor finalizate cu certificatele fără comandă
+        require('./services/emag-order-matching').start();
     });
 
     return app;
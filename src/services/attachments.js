@@ -0,0 +1,212 @@
+/**
+ * Serviciu pentru atașamente (poze cu defecte, proces-verbal curier, documente)
+ * Fișierele sunt salvate în data/attachments/<tip>/<id>/, miniaturile în data/attachments/thumbs/
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Jimp } = require('jimp');
+const { db } = require('../config/database');
+const constants = require('../config/constants');
+
+const ATTACHMENTS_PATH = path.resolve(constants.ATTACHMENTS.PATH);
+const THUMBS_PATH = path.join(ATTACHMENTS_PATH, 'thumbs');
+
+class AttachmentsService {
+    /**
+     * Salvează fișierele încărcate (multer memoryStorage) pentru o reclamație sau un certificat
+     * @param {string} entityType - 'claim' sau 'certificate'
+     * @param {number} entityId - ID-ul reclamației/certificatului
+     * @param {Array} files - Fișierele primite de la multer ({ originalname, buffer, size })
+     * @param {string} username - Utilizatorul care încarcă
+     * @returns {Array} Atașamentele salvate
+     */
+    async saveAttachments(entityType, entityId, files, username) {
+        this._assertEntityExists(entityType, entityId);
+
+        if (!files || files.length === 0) {
+            throw new Error('Nu a fost selectat niciun fișier');
+        }
+
+        // Validăm toate fișierele înainte de a salva ceva
+        const prepared = files.map(file => {
+            const mimeType = this._detectMimeType(file.buffer);
+            if (!mimeType || !constants.ATTACHMENTS.ALLOWED_MIME_TYPES[mimeType]) {
+                throw new Error(`Fișierul "${file.originalname}" nu este un tip permis (JPG, PNG, GIF, WEBP, HEIC, PDF)`);
+            }
+            if (file.size > constants.ATTACHMENTS.MAX_FILE_SIZE) {
+                throw new Error(`Fișierul "${file.originalname}" depășește dimensiunea maximă permisă`);
+            }
+            return { file, mimeType };
+        });
+
+        const entityDir = path.join(ATTACHMENTS_PATH, entityType, String(entityId));
+        fs.mkdirSync(entityDir, { recursive: true });
+
+        const saved = [];
+        for (const { file, mimeType } of prepared) {
+            const extension = constants.ATTACHMENTS.ALLOWED_MIME_TYPES[mimeType];
+            const storedName = `${crypto.randomUUID()}.${extension}`;
+
+            fs.writeFileSync(path.join(entityDir, storedName), file.buffer);
+
+            const thumbnailName = await this._createThumbnail(file.buffer, mimeType, storedName);
+
+            const stmt = db.prepare(`
+                INSERT INTO attachments (
+                    entity_type, entity_id, original_name, stored_name, mime_type, size, thumbnail_name, uploaded_by
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            `);
+            const result = stmt.run(
+                entityType,
+                entityId,
+                this._sanitizeName(file.originalname),
+                storedName,
+                mimeType,
+                file.size,
+                thumbnailName,
+                username || null
+            );
+
+            saved.push(this.getAttachmentById(result.lastInsertRowid));
+        }
+
+        console.log(`[Attachments] ${saved.length} fișier(e) încărcate pentru ${entityType} #${entityId}`);
+        return saved;
+    }
+
+    /**
+     * Atașamentele unei reclamații / unui certificat
+     */
+    getAttachments(entityType, entityId) {
+        const stmt = db.prepare(`
+            SELECT * FROM attachments
+            WHERE entity_type = ? AND entity_id = ?
+            ORDER BY created_at ASC, id ASC
+        `);
+        return stmt.all(entityType, entityId);
+    }
+
+    /**
+     * Obține un atașament după ID
+     */
+    getAttachmentById(id) {
+        const stmt = db.prepare('SELECT * FROM attachments WHERE id = ?');
+        return stmt.get(id);
+    }
+
+    /**
+     * Calea fișierului original pe disc
+     */
+    getFilePath(attachment) {
+        return path.join(ATTACHMENTS_PATH, attachment.entity_type, String(attachment.entity_id), attachment.stored_name);
+    }
+
+    /**
+     * Calea miniaturii pe disc (null dacă nu există)
+     */
+    getThumbnailPath(attachment) {
+        if (!attachment.thumbnail_name) return null;
+        const thumbnailPath = path.join(THUMBS_PATH, attachment.thumbnail_name);
+        return fs.existsSync(thumbnailPath) ? thumbnailPath : null;
+    }
+
+    /**
+     * Șterge un atașament (fișier, miniatură și înregistrare)
+     */
+    deleteAttachment(id) {
+        const attachment = this.getAttachmentById(id);
+        if (!attachment) {
+            throw new Error('Atașamentul nu a fost găsit');
+        }
+
+        const filePath = this.getFilePath(attachment);
+        if (fs.existsSync(filePath)) {
+            fs.unlinkSync(filePath);
+        }
+
+        const thumbnailPath = this.getThumbnailPath(attachment);
+        if (thumbnailPath) {
+            fs.unlinkSync(thumbnailPath);
+        }
+
+        db.prepare('DELETE FROM attachments WHERE id = ?').run(id);
+        console.log(`[Attachments] Atașament șters: ${attachment.original_name} (${attachment.entity_type} #${attachment.entity_id})`);
+    }
+
+    /**
+     * Verifică existența reclamației/certificatului la care se atașează
+     */
+    _assertEntityExists(entityType, entityId) {
+        const tables = { claim: 'claims', certificate: 'certificates' };
+        const table = tables[entityType];
+
+        if (!table) {
+            throw new Error('Tip de atașament invalid');
+        }
+
+        const entity = db.prepare(`SELECT id FROM ${table} WHERE id = ?`).get(entityId);
+        if (!entity) {
+            throw new Error(entityType === 'claim' ? 'Reclamația nu a fost găsită' : 'Certificatul nu a fost găsit');
+        }
+    }
+
+    /**
+     * Determină tipul real al fișierului din primii octeți (nu ne bazăm pe extensie sau pe browser)
+     */
+    _detectMimeType(buffer) {
+        if (!buffer || buffer.length < 12) return null;
+
+        if (buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF) return 'image/jpeg';
+        if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]))) return 'image/png';
+        if (buffer.subarray(0, 4).toString('ascii') === 'GIF8') return 'image/gif';
+        if (buffer.subarray(0, 4).toString('ascii') === 'RIFF' && buffer.subarray(8, 12).toString('ascii') === 'WEBP') return 'image/webp';
+        if (buffer.subarray(0, 5).toString('ascii') === '%PDF-') return 'application/pdf';
+
+        // HEIC (poze iPhone): "ftyp" la offset 4, urmat de brand heic/heix/mif1
+        if (buffer.subarray(4, 8).toString('ascii') === 'ftyp' &&
+            ['heic', 'heix', 'mif1', 'msf1'].includes(buffer.subarray(8, 12).toString('ascii'))) {
+            return 'image/heic';
+        }
+
+        return null;
+    }
+
+    /**
+     * Generează miniatura JPEG pentru imagini (eșecul nu blochează încărcarea)
+     */
+    async _createThumbnail(buffer, mimeType, storedName) {
+        if (!constants.ATTACHMENTS.THUMBNAIL_MIME_TYPES.includes(mimeType)) {
+            return null;
+        }
+
+        try {
+            const size = constants.ATTACHMENTS.THUMBNAIL_SIZE;
+            const image = await Jimp.read(buffer);
+            image.scaleToFit({ w: size, h: size });
+
+            const thumbnailName = `${path.parse(storedName).name}.jpg`;
+            fs.mkdirSync(THUMBS_PATH, { recursive: true });
+            fs.writeFileSync(path.join(THUMBS_PATH, thumbnailName), await image.getBuffer('image/jpeg', { quality: 75 }));
+
+            return thumbnailName;
+        } catch (error) {
+            console.error(`[Attachments] Nu s-a putut genera miniatura pentru ${storedName}: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Curăță numele original al fișierului pentru afișare / descărcare
+     */
+    _sanitizeName(name) {
+        const cleanName = path.basename(String(name || 'fisier')).replace(/[\x00-\x1f"\\/]/g, '_').trim();
+        return cleanName.slice(0, 200) || 'fisier';
+    }
+}
+
+// Singleton instance
+const attachmentsService = new AttachmentsService();
+
+module.exports = attachmentsService;
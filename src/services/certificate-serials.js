@@ -0,0 +1,159 @@
+/**
+ * Serviciu pentru seriile unice ale certificatelor de garanție
+ * Fiecare certificat primește o serie de forma PREFIX-AN-NUMĂR (ex: CG-2026-000123)
+ * Numerotarea se face pe secvențe anuale, configurabile din Setări
+ */
+
+const { db } = require('../config/database');
+const constants = require('../config/constants');
+
+class CertificateSerialsService {
+    /**
+     * Obține prefixul seriilor (configurabil din app_config)
+     */
+    getPrefix() {
+        const stmt = db.prepare("SELECT value FROM app_config WHERE key = 'certificate_serial_prefix'");
+        const result = stmt.get();
+        return (result && result.value) ? result.value : constants.CERTIFICATE_SERIAL.DEFAULT_PREFIX;
+    }
+
+    /**
+     * Setează prefixul seriilor
+     */
+    setPrefix(prefix) {
+        const cleanPrefix = String(prefix || '').trim().toUpperCase();
+        if (!/^[A-Z]{1,5}$/.test(cleanPrefix)) {
+            throw new Error('Prefixul trebuie să conțină între 1 și 5 litere');
+        }
+
+        const stmt = db.prepare(`
+            INSERT INTO app_config (key, value, updated_at)
+            VALUES ('certificate_serial_prefix', ?, CURRENT_TIMESTAMP)
+            ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = CURRENT_TIMESTAMP
+        `);
+        stmt.run(cleanPrefix);
+        return cleanPrefix;
+    }
+
+    /**
+     * Obține ultimul număr alocat pentru un an (0 dacă secvența nu a pornit)
+     */
+    getLastNumber(year) {
+        const stmt = db.prepare('SELECT last_number FROM certificate_sequences WHERE year = ?');
+        const result = stmt.get(year);
+        return result ? result.last_number : 0;
+    }
+
+    /**
+     * Setează următorul număr care va fi alocat pentru un an
+     * Nu permite coborârea sub numerele deja folosite (seriile trebuie să rămână unice)
+     */
+    setNextNumber(year, nextNumber) {
+        const yearInt = parseInt(year, 10);
+        const nextInt = parseInt(nextNumber, 10);
+
+        if (isNaN(yearInt) || yearInt < 2000 || yearInt > 2100) {
+            throw new Error('Anul secvenței este invalid');
+        }
+        if (isNaN(nextInt) || nextInt < 1) {
+            throw new Error('Următorul număr trebuie să fie un număr pozitiv');
+        }
+
+        const usedStmt = db.prepare('SELECT serial_number FROM certificates WHERE serial_number LIKE ?');
+        const usedNumbers = usedStmt.all(`%-${yearInt}-%`)
+            .map(row => parseInt(String(row.serial_number).split('-').pop(), 10))
+            .filter(n => !isNaN(n));
+        const maxUsed = usedNumbers.length > 0 ? Math.max(...usedNumbers) : 0;
+
+        if (nextInt <= maxUsed) {
+            throw new Error(`Numărul ${nextInt} a fost deja folosit în ${yearInt} (ultimul: ${maxUsed})`);
+        }
+
+        const stmt = db.prepare(`
+            INSERT INTO certificate_sequences (year, last_number, updated_at)
+            VALUES (?, ?, CURRENT_TIMESTAMP)
+            ON CONFLICT(year) DO UPDATE SET last_number = excluded.last_number, updated_at = CURRENT_TIMESTAMP
+        `);
+        stmt.run(yearInt, nextInt - 1);
+
+        return this.getSettings(yearInt);
+    }
+
+    /**
+     * Seria care va fi alocată următorului certificat (fără a o rezerva)
+     * Se folosește la generarea PDF-ului; rezervarea se face abia după generare, cu claimSerial,
+     * astfel încât o generare eșuată nu consumă un număr din secvență
+     * @param {Date} date - Data emiterii certificatului (implicit acum)
+     */
+    peekNextSerial(date = new Date()) {
+        const year = date.getFullYear();
+        return this.formatSerial(this.getPrefix(), year, this.getLastNumber(year) + 1);
+    }
+
+    /**
+     * Rezervă seria obținută cu peekNextSerial, dacă între timp nu a fost alocată altui certificat
+     * sql.js rulează sincron, deci verificarea și incrementarea nu se pot intercala între cereri
+     * @returns {boolean} false dacă numărul a fost deja folosit (seria trebuie recalculată)
+     */
+    claimSerial(serial, date = new Date()) {
+        const year = date.getFullYear();
+        const number = parseInt(String(serial).split('-').pop(), 10);
+
+        if (number !== this.getLastNumber(year) + 1) {
+            return false;
+        }
+
+        const stmt = db.prepare(`
+            INSERT INTO certificate_sequences (year, last_number, updated_at)
+            VALUES (?, ?, CURRENT_TIMESTAMP)
+            ON CONFLICT(year) DO UPDATE SET last_number = excluded.last_number, updated_at = CURRENT_TIMESTAMP
+        `);
+        stmt.run(year, number);
+
+        console.log(`[Serials] Serie alocată: ${serial}`);
+        return true;
+    }
+
+    /**
+     * Formatează seria: PREFIX-AN-NUMĂR (numărul completat cu zerouri)
+     */
+    formatSerial(prefix, year, number) {
+        const paddedNumber = String(number).padStart(constants.CERTIFICATE_SERIAL.NUMBER_LENGTH, '0');
+        return `${prefix}-${year}-${paddedNumber}`;
+    }
+
+    /**
+     * Verifică dacă un text are formatul unei serii de certificat
+     */
+    isValidSerial(serial) {
+        return /^[A-Z]{1,5}-\d{4}-\d+$/.test(String(serial || '').trim().toUpperCase());
+    }
+
+    /**
+     * Construiește URL-ul public de verificare pentru o serie (codificat în QR)
+     */
+    getVerificationUrl(serial) {
+        return `${constants.PUBLIC_URL}${constants.CERTIFICATE_SERIAL.VERIFY_PATH}/${encodeURIComponent(serial)}`;
+    }
+
+    /**
+     * Configurarea curentă a seriilor pentru afișare în Setări
+     */
+    getSettings(year = new Date().getFullYear()) {
+        const prefix = this.getPrefix();
+        const lastNumber = this.getLastNumber(year);
+
+        return {
+            prefix,
+            year,
+            lastNumber,
+            nextNumber: lastNumber + 1,
+            nextSerial: this.formatSerial(prefix, year, lastNumber + 1)
+        };
+    }
+}
+
+// Singleton instance
+const certificateSerialsService = new CertificateSerialsService();
+
+module.exports = certificateSerialsService;
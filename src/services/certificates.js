@@ -3,58 +3,83 @@
  * Coordonează procesarea facturilor și generarea PDF-urilor
  */
 
-const { db } = require('../config/database');
+const { db, createActiveCertificateIndex } = require('../config/database');
 const smartBillService = require('./smartbill');
 const productsService = require('./products');
 const pdfService = require('./pdf');
 const emagService = require('./emag');
 const invoiceParserService = require('./invoice-parser');
+const certificateSerialsService = require('./certificate-serials');
+const warrantiesService = require('./warranties');
+const processingRunsService = require('./processing-runs');
+const invoiceSeriesService = require('./invoice-series');
+const attachmentsService = require('./attachments');
+const emagUploadsService = require('./emag-uploads');
+const emagProductMappingsService = require('./emag-product-mappings');
 const constants = require('../config/constants');
+const { NotFoundError, isServiceUnavailable } = require('../utils/http-client');
 
 class CertificatesService {
     /**
-     * Obține ultima factură procesată
+     * Obține ultima factură procesată pe prima serie activă
+     * Cursorii tuturor seriilor se gestionează prin invoiceSeriesService
      */
     getLastProcessedInvoice() {
-        const stmt = db.prepare("SELECT value FROM app_config WHERE key = 'last_processed_invoice'");
-        const result = stmt.get();
-        return result ? result.value : '';
+        const [first] = invoiceSeriesService.getActiveSeries();
+        return first && first.last_invoice ? first.last_invoice : '';
     }
 
     /**
-     * Setează ultima factură procesată
+     * Setează ultima factură procesată pe seria facturii (seria este adăugată dacă nu e urmărită)
      */
     setLastProcessedInvoice(invoiceNumber) {
-        const stmt = db.prepare(`
-            INSERT INTO app_config (key, value, updated_at)
-            VALUES ('last_processed_invoice', ?, CURRENT_TIMESTAMP)
-            ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = CURRENT_TIMESTAMP
-        `);
-        stmt.run(invoiceNumber);
-        console.log(`[Certificates] Ultima factură procesată setată: ${invoiceNumber}`);
+        const series = invoiceSeriesService.setCursorFromIdentifier(invoiceNumber);
+        console.log(`[Certificates] Ultima factură procesată setată: ${invoiceNumber} (serie ${series.series})`);
+        return series;
     }
 
     /**
      * Salvează certificatul în baza de date
+     * Indexul unic idx_certificates_active_invoice nu permite două certificate active pentru aceeași factură
      */
     saveCertificateRecord(data) {
         const stmt = db.prepare(`
             INSERT INTO certificates (
                 invoice_number, invoice_date, client_name, client_is_vat_payer,
-                products_json, emag_order_number, emag_uploaded, pdf_path
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+                products_json, emag_order_number, emag_uploaded, pdf_path, serial_number,
+                version, previous_certificate_id, emag_marketplace, invoice_total, invoice_currency
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
         `);
 
-        const result = stmt.run(
-            data.invoiceNumber,
-            data.invoiceDate,
-            data.clientName,
-            data.isVatPayer ? 1 : 0,
-            JSON.stringify(data.products),
-            data.emagOrderNumber || null,
-            data.emagUploaded ? 1 : 0,
-            data.pdfPath || null
-        );
+        let result;
+        try {
+            result = stmt.run(
+                data.invoiceNumber,
+                data.invoiceDate,
+                data.clientName,
+                data.isVatPayer ? 1 : 0,
+                JSON.stringify(data.products),
+                data.emagOrderNumber || null,
+                data.emagUploaded ? 1 : 0,
+                data.pdfPath || null,
+                data.serialNumber || null,
+                data.version || 1,
+                data.previousCertificateId || null,
+                data.emagMarketplace || constants.EMAG.DEFAULT_MARKETPLACE,
+                data.invoiceTotal ?? null,
+                data.invoiceCurrency || null
+            );
+        } catch (error) {
+            if (/UNIQUE constraint failed: certificates\.invoice_number/i.test(error.message)) {
+                const duplicateError = new Error(`Factura ${data.invoiceNumber} are deja un certificat activ - certificatul nu a fost salvat`);
+                duplicateError.code = 'DUPLICATE_CERTIFICATE';
+                throw duplicateError;
+            }
+            throw error;
+        }
+
+        // Liniile de garanție (data de expirare pentru fiecare produs)
+        warrantiesService.createLinesForCertificate(result.lastInsertRowid, data);
 
         return result.lastInsertRowid;
     }
@@ -119,20 +144,27 @@ class CertificatesService {
 
         // Extragem numărul comenzii eMAG dacă există
         const emagOrderNumber = smartBillService.extractEmagOrderNumber(invoice);
+        const emagMarketplace = this._detectEmagMarketplace(
+            emagOrderNumber,
+            [invoice.mentions || '', invoice.observations || ''].join(' '),
+            invoice.currency
+        );
+        const marketplaceService = emagService.forMarketplace(emagMarketplace);
 
         // Pregătim datele pentru certificat
         const certificateData = {
             clientName: invoice.client?.name || '',
             invoiceNumber: `${series}${number}`,
             invoiceDate: this._formatDate(invoice.issueDate),
-            products: activeProducts.slice(0, 3), // Maxim 3 produse în template
+            products: activeProducts, // Câte o pagină la fiecare 3 produse
             minVoltage: minVoltage,
             isVatPayer: isVatPayer,
             emagOrderNumber: emagOrderNumber
         };
 
-        // Generăm PDF-ul
-        const pdfBuffer = await pdfService.generateCertificate(certificateData);
+        // Generăm PDF-ul (seria unică se alocă după generare)
+        const pdfBuffer = await this._generateCertificatePdf(certificateData);
+        const serialNumber = certificateData.serialNumber;
 
         // Salvăm PDF-ul pe disc
         const savedPdf = await pdfService.savePdf(pdfBuffer, certificateData.invoiceNumber);
@@ -141,16 +173,16 @@ class CertificatesService {
         let emagUploaded = false;
         let emagError = null;
 
-        if (emagOrderNumber && emagService.isConfigured()) {
+        if (emagOrderNumber && marketplaceService.isConfigured()) {
             try {
                 // Construim URL-ul public pentru certificat
-                const publicBaseUrl = process.env.PUBLIC_URL || 'https://garantie-premierkids.lentiu.ro';
-                const pdfUrl = `${publicBaseUrl}/public/certificates/${savedPdf.filename}`;
+                const pdfUrl = `${constants.PUBLIC_URL}/public/certificates/${savedPdf.filename}`;
 
-                const uploadResult = await emagService.uploadWarrantyForOrder(
+                const uploadResult = await marketplaceService.uploadWarrantyForOrder(
                     emagOrderNumber,
                     pdfUrl,
-                    `Certificat Garantie ${certificateData.invoiceNumber}`
+                    `Certificat Garantie ${certificateData.invoiceNumber}`,
+                    emagProductMappingsService.getWarrantyCodes(activeProducts)
                 );
                 emagUploaded = uploadResult.success;
                 if (!uploadResult.success) {
@@ -162,65 +194,88 @@ class CertificatesService {
         }
 
         // Salvăm înregistrarea în baza de date
-        this.saveCertificateRecord({
+        const certificateId = this.saveCertificateRecord({
             invoiceNumber: certificateData.invoiceNumber,
             invoiceDate: certificateData.invoiceDate,
             clientName: certificateData.clientName,
             isVatPayer: isVatPayer,
             products: activeProducts,
             emagOrderNumber: emagOrderNumber,
+            emagMarketplace: emagMarketplace,
             emagUploaded: emagUploaded,
-            pdfPath: savedPdf.path
+            pdfPath: savedPdf.path,
+            serialNumber: serialNumber
         });
 
+        const emagQueued = this._queueFailedUpload(certificateId, emagOrderNumber, emagMarketplace, emagUploaded, emagError,
+            `Certificat Garantie ${certificateData.invoiceNumber}`);
+
         return {
             success: true,
             generated: true,
             invoiceNumber: certificateData.invoiceNumber,
+            serialNumber: serialNumber,
             clientName: certificateData.clientName,
             productsCount: activeProducts.length,
             pdfPath: savedPdf.path,
             pdfFilename: savedPdf.filename,
             pdfBuffer: pdfBuffer,
             emagOrderNumber: emagOrderNumber,
+            emagMarketplace: emagMarketplace,
             emagUploaded: emagUploaded,
-            emagError: emagError
+            emagError: emagError,
+            emagQueued: emagQueued
         };
     }
 
     /**
-     * Procesează automat facturile neprocessate
+     * Procesează automat facturile neprocessate, pe toate seriile active
      * Funcționează prin iterare consecutivă de numere de facturi (ca la generarea manuală)
      * SmartBill nu are endpoint pentru listare facturi, așa că iterăm prin numere consecutive
+     * Fiecare serie are propriul cursor și prag de oprire; maxInvoices este bugetul total al rulării
+     * Fiecare rulare este salvată în istoric (processing_runs) și poate fi anulată ulterior
+     * @param {Object} options - { maxInvoices, onProgress, jobId, source, dryRun, lookback, idempotencyPolicy }
+     *   onProgress primește evenimente per factură (vezi processInvoiceFromPdf), plus
+     *   'series' (începe o serie), 'invoice' (începe factura i din max), 'skipped', 'storno',
+     *   'not_found', 'error' și 'paused' (SmartBill indisponibil - rularea se oprește)
+     *   Când SmartBill este indisponibil (circuit deschis, credențiale invalide, limită de request-uri)
+     *   rularea se întrerupe la factura curentă: cursorul rămâne înaintea ei și factura se reia la rularea
+     *   următoare. O eroare 5xx / timeout la o singură factură, cu circuitul încă închis, intră la erori
+     *   și rularea continuă, dar cursorul nu trece de factură decât după INVOICE_SERIES.MAX_HELD_RUNS rulări
+     *   dryRun: simulare - facturile sunt descărcate și analizate, dar nu se generează certificate,
+     *   nu se încarcă nimic în eMAG, nu se mută cursorii și rularea nu intră în istoric
+     *   lookback: doar la simulare - reia ultimele N facturi deja procesate din fiecare serie
+     *   (ex: verificarea unei modificări de nomenclator pe ultimele 100 de facturi)
+     *   idempotencyPolicy: ce facem cu facturile care au deja certificat activ (vezi _resolveIdempotency)
      */
     async processUnprocessedInvoices(options = {}) {
-        const { maxInvoices = 50 } = options;
-
-        // Obținem ultima factură procesată
-        const lastProcessed = this.getLastProcessedInvoice();
-
-        if (!lastProcessed) {
-            return {
-                success: false,
-                error: 'Trebuie să setați ultima factură procesată înainte de procesarea automată. Introduceți numărul ultimei facturi procesate (ex: PK202124575).'
-            };
-        }
-
-        // Parsăm ultima factură procesată pentru a obține seria și numărul
-        const { series, number } = this._parseInvoiceIdentifier(lastProcessed);
-
-        if (!series || !number) {
-            return {
-                success: false,
-                error: `Format invalid pentru ultima factură procesată: ${lastProcessed}. Folosiți formatul: PK202124575`
-            };
+        const { maxInvoices = 50, onProgress = null, dryRun = false } = options;
+        const idempotencyPolicy = this.normalizeIdempotencyPolicy(options.idempotencyPolicy);
+        const lookback = dryRun ? Math.max(parseInt(options.lookback, 10) || 0, 0) : 0;
+        const startedAt = new Date().toISOString();
+
+        let activeSeries;
+        if (dryRun) {
+            // La simulare seriile anului nou sunt doar previzualizate, fără a fi salvate
+            activeSeries = invoiceSeriesService.getActiveSeries().concat(
+                invoiceSeriesService.getPendingYearlySeries().map(data => ({
+                    id: null,
+                    series: data.series,
+                    last_number: 0,
+                    number_padding: data.numberPadding,
+                    not_found_threshold: data.notFoundThreshold
+                }))
+            );
+        } else {
+            // La schimbarea anului pornim automat seria nouă (ex: PK2026 -> PK2027)
+            invoiceSeriesService.ensureYearlySeries();
+            activeSeries = invoiceSeriesService.getActiveSeries();
         }
 
-        const startNumber = parseInt(number, 10);
-        if (isNaN(startNumber)) {
+        if (activeSeries.length === 0) {
             return {
                 success: false,
-                error: `Numărul facturii trebuie să fie numeric: ${number}`
+                error: 'Nu există serii de facturi active. Adăugați din Setări seriile urmărite și ultima factură procesată pe fiecare serie (ex: PK2026 / 24575).'
             };
         }
 
@@ -228,119 +283,608 @@ class CertificatesService {
             total: 0,           // Total încercări
             processed: 0,       // Facturi care au existat (generated + skipped)
             generated: 0,       // Certificate generate
-            skipped: 0,         // Facturi fără produse active
+            skipped: 0,         // Facturi fără produse active sau cu certificat deja emis
+            duplicates: 0,      // Din cele omise: facturi care aveau deja certificat activ
+            newVersions: 0,     // Din cele generate: versiuni noi ale unor certificate existente
+            storno: 0,          // Facturi storno (anulează certificatele facturii originale)
             notFound: 0,        // Facturi inexistente (404)
             errors: [],
-            certificates: []
+            certificates: [],
+            voidedCertificates: [],
+            series: [],         // Rezultatul pe fiecare serie (cursor de start / final)
+            changed: 0,         // Doar la simulare: certificate diferite de cele deja emise
+            outcomes: [],       // Rezultatul fiecărei facturi verificate (pentru raportul de goluri)
+            paused: null        // { invoiceNumber, error, kind } dacă SmartBill a devenit indisponibil
+        };
+
+        // Parcurgem seriile pe rând, până la epuizarea bugetului de facturi
+        for (const seriesRow of activeSeries) {
+            if (results.paused) {
+                break;
+            }
+            if (results.total >= maxInvoices) {
+                console.log(`[Auto] Limita de ${maxInvoices} facturi atinsă - seria ${seriesRow.series} va fi procesată la rularea următoare`);
+                break;
+            }
+
+            const seriesResult = await this._processSeries(seriesRow, maxInvoices, results, { onProgress, dryRun, lookback, idempotencyPolicy });
+            results.series.push(seriesResult);
+        }
+
+        const lastProcessedInvoice = results.series.map(s => s.lastProcessedInvoice).join(', ');
+        const pauseMessage = results.paused ?
+            `Procesare întreruptă la ${results.paused.invoiceNumber} - ${results.paused.error}. ` +
+            'Factura nu a fost omisă: se reia de la ea la rularea următoare.' : null;
+
+        if (dryRun) {
+            return {
+                success: true,
+                dryRun: true,
+                runId: null,
+                message: pauseMessage || `Simulare completă: ${results.generated} certificat(e) ar fi generate. Nu s-a salvat nimic.`,
+                paused: !!results.paused,
+                pauseReason: results.paused ? results.paused.error : null,
+                lastProcessedInvoice: lastProcessedInvoice,
+                startedFrom: results.series.map(s => s.startedFrom).join(', '),
+                searchedRange: results.series.filter(s => s.total > 0).map(s => s.searchedRange).join(', '),
+                series: results.series,
+                total: results.total,
+                processed: results.processed,
+                generated: results.generated,   // Certificate care AR FI generate
+                changed: results.changed,       // Facturi al căror certificat ar diferi de cel existent
+                newVersions: results.newVersions,
+                skipped: results.skipped,
+                duplicates: results.duplicates,
+                idempotencyPolicy: idempotencyPolicy,
+                storno: results.storno,
+                notFound: results.notFound,
+                errors: results.errors,
+                certificates: results.certificates,
+                voidedCertificates: results.voidedCertificates
+            };
+        }
+
+        // Salvăm rularea în istoric (pentru audit și rollback)
+        const runId = processingRunsService.recordRun({
+            jobId: options.jobId,
+            source: options.source,
+            cursorStart: results.series.map(s => s.startedFrom).join(', '),
+            cursorEnd: results.series.map(s => s.lastProcessedInvoice).join(', '),
+            cursors: results.series.map(s => ({ series: s.series, start: s.startNumber, end: s.endNumber })),
+            total: results.total,
+            generated: results.generated,
+            skipped: results.skipped,
+            storno: results.storno,
+            notFound: results.notFound,
+            errors: results.errors.length,
+            certificateIds: results.certificates.map(cert => cert.id).filter(Boolean),
+            outcomes: results.outcomes,
+            startedAt
+        });
+
+        return {
+            success: true,
+            runId: runId,
+            message: pauseMessage || `Procesare completă. Ultimele facturi existente: ${lastProcessedInvoice}`,
+            paused: !!results.paused,
+            pauseReason: results.paused ? results.paused.error : null,
+            lastProcessedInvoice: lastProcessedInvoice,
+            startedFrom: results.series.map(s => s.startedFrom).join(', '),
+            searchedRange: results.series.filter(s => s.total > 0).map(s => s.searchedRange).join(', '),
+            series: results.series,
+            // Statistici clare:
+            // - total: câte facturi am încercat să descărcăm
+            // - processed: câte facturi au EXISTAT efectiv (= generated + skipped + storno)
+            // - generated: câte certificate am generat
+            // - skipped: câte facturi existente dar fără produse Premier sau cu certificat deja emis
+            // - duplicates: din cele omise, câte aveau deja certificat activ
+            // - newVersions: din cele generate, câte sunt versiuni noi ale unui certificat existent
+            // - storno: câte facturi storno am găsit (certificatele originale sunt anulate; produsele
+            //   cu cantitate pozitivă de pe aceeași factură intră și la generated)
+            // - notFound: câte facturi NU au existat (404)
+            total: results.total,
+            processed: results.processed,      // Doar facturile care au existat!
+            generated: results.generated,
+            newVersions: results.newVersions,
+            skipped: results.skipped,
+            duplicates: results.duplicates,
+            idempotencyPolicy: idempotencyPolicy,
+            storno: results.storno,
+            notFound: results.notFound,
+            errors: results.errors,
+            certificates: results.certificates,
+            voidedCertificates: results.voidedCertificates
         };
+    }
+
+    /**
+     * Procesează facturile unei serii, de la cursor până la pragul de facturi negăsite
+     * Contoarele sunt adăugate în results (comun pentru toate seriile rulării)
+     * @param {Object} options - { onProgress, dryRun, lookback, idempotencyPolicy }
+     * @returns {Object} Rezultatul seriei: cursorul de start / final și contoarele proprii
+     */
+    async _processSeries(seriesRow, maxInvoices, results, options = {}) {
+        const { onProgress = null, dryRun = false, lookback = 0, idempotencyPolicy } = options;
+        const emit = (type, data = {}) => onProgress && onProgress({ type, ...data });
+        const series = seriesRow.series;
+        const startNumber = Math.max(seriesRow.last_number - lookback, 0);
+        const maxConsecutiveNotFound = seriesRow.not_found_threshold; // Oprim după N facturi consecutive negăsite
+
+        const seriesResult = {
+            series,
+            startNumber,
+            endNumber: startNumber,
+            startedFrom: invoiceSeriesService.formatIdentifier(seriesRow, startNumber),
+            lastProcessedInvoice: null,
+            searchedRange: null,
+            total: 0,
+            generated: 0,
+            notFound: 0,
+            errors: 0
+        };
+
+        console.log(`[Auto] Serie ${series}: pornim de la ${seriesResult.startedFrom}`);
+        emit('series', { series, startedFrom: seriesResult.startedFrom });
 
         let consecutiveNotFound = 0;
-        const maxConsecutiveNotFound = 2; // Oprim după 2 facturi consecutive negăsite
-        let lastExistingInvoice = lastProcessed; // Ținem evidența ultimei facturi EXISTENTE
+        let lastExistingNumber = startNumber; // Ținem evidența ultimei facturi EXISTENTE
+        let heldNumber = null; // Prima factură cu eroare temporară SmartBill - cursorul nu trece de ea
 
         // Iterăm prin numerele consecutive de facturi
-        for (let i = 1; i <= maxInvoices; i++) {
-            const currentNumber = String(startNumber + i);
-            const invoiceIdentifier = `${series}${currentNumber}`;
+        for (let i = 1; results.total < maxInvoices; i++) {
+            const number = startNumber + i;
+            const invoiceIdentifier = invoiceSeriesService.formatIdentifier(seriesRow, number);
 
-            console.log(`[Auto] Procesare factură ${i}/${maxInvoices}: ${invoiceIdentifier}`);
+            console.log(`[Auto] Procesare factură ${results.total + 1}/${maxInvoices}: ${invoiceIdentifier}`);
+            seriesResult.total++;
 
-            try {
-                // Folosim aceeași metodă ca la generarea manuală
-                const result = await this.processInvoiceFromPdf(series, currentNumber);
-
-                results.total++;
-                results.processed++;
-                consecutiveNotFound = 0; // Reset counter
-                lastExistingInvoice = invoiceIdentifier; // Actualizăm ultima factură existentă
-
-                if (result.generated) {
-                    results.generated++;
-                    results.certificates.push({
-                        invoiceNumber: result.invoiceNumber,
-                        clientName: result.clientName,
-                        pdfFilename: result.pdfFilename,
-                        emagOrderNumber: result.emagOrderNumber,
-                        emagUploaded: result.emagUploaded
-                    });
-                } else {
-                    results.skipped++;
+            const status = await this._processInvoiceNumber(seriesRow, number, results, { onProgress, dryRun, maxInvoices, idempotencyPolicy });
+
+            if (status === 'not_found') {
+                seriesResult.notFound++;
+                consecutiveNotFound++;
+                console.log(`[Auto] Factura ${invoiceIdentifier} nu există (${consecutiveNotFound}/${maxConsecutiveNotFound} consecutive)`);
+
+                // Oprim seria dacă am găsit prea multe facturi consecutive inexistente
+                if (consecutiveNotFound >= maxConsecutiveNotFound) {
+                    console.log(`[Auto] Oprire serie ${series}: ${maxConsecutiveNotFound} facturi consecutive nu au fost găsite`);
+                    break;
                 }
+                continue;
+            }
 
-            } catch (error) {
-                results.total++;
-
-                // Verificăm dacă e eroare care indică că factura nu există
-                // SmartBill poate returna diverse erori pentru facturi inexistente:
-                // - 404 / Not Found
-                // - Parse Error: Invalid header token (răspuns malformat pentru facturi inexistente)
-                // - NEPOTRIVIRE (când PDF-ul returnat e pentru altă factură)
-                const errorMsg = error.message.toLowerCase();
-                const isNotFoundError =
-                    errorMsg.includes('404') ||
-                    errorMsg.includes('not found') ||
-                    errorMsg.includes('parse error') ||
-                    errorMsg.includes('invalid header') ||
-                    errorMsg.includes('nepotrivire') ||
-                    errorMsg.includes('nu a fost găsită');
-
-                if (isNotFoundError) {
-                    results.notFound++;
-                    consecutiveNotFound++;
-
-                    console.log(`[Auto] Factura ${invoiceIdentifier} nu există (${consecutiveNotFound}/${maxConsecutiveNotFound} consecutive)`);
-
-                    // Oprim dacă am găsit prea multe facturi consecutive inexistente
-                    if (consecutiveNotFound >= maxConsecutiveNotFound) {
-                        console.log(`[Auto] Oprire: ${maxConsecutiveNotFound} facturi consecutive nu au fost găsite`);
-                        break;
+            // SmartBill indisponibil - ne oprim fără a muta cursorul peste factura curentă
+            if (status === 'unavailable') {
+                console.log(`[Auto] Serie ${series}: oprire la ${invoiceIdentifier} - ${results.paused.error}`);
+                break;
+            }
+
+            // Eroare temporară doar la această factură: continuăm, dar cursorul rămâne înaintea ei ca
+            // factura să fie reluată - până când a eșuat în MAX_HELD_RUNS rulări (apoi rămâne în raportul de goluri)
+            consecutiveNotFound = 0;
+            if (status === 'transient_error') {
+                seriesResult.errors++;
+                if (!dryRun && heldNumber === null) {
+                    const heldRuns = invoiceSeriesService.holdAtInvoice(seriesRow.id, number);
+                    if (heldRuns < constants.INVOICE_SERIES.MAX_HELD_RUNS) {
+                        heldNumber = number;
+                        console.log(`[Auto] Serie ${series}: cursorul rămâne înaintea ${invoiceIdentifier} (eroare temporară, rularea ${heldRuns}/${constants.INVOICE_SERIES.MAX_HELD_RUNS})`);
+                    } else {
+                        console.log(`[Auto] Serie ${series}: ${invoiceIdentifier} a eșuat în ${heldRuns} rulări - cursorul trece de ea`);
                     }
-                } else {
-                    // Altă eroare - o înregistrăm dar continuăm
-                    consecutiveNotFound = 0;
-                    console.error(`[Auto] EROARE pentru ${invoiceIdentifier}:`, error.message);
+                }
+                continue;
+            }
+
+            // Altă eroare - o înregistrăm dar continuăm
+            if (status === 'error') {
+                seriesResult.errors++;
+                continue;
+            }
+
+            lastExistingNumber = number; // Actualizăm ultima factură existentă
+            if (status === 'generated') {
+                seriesResult.generated++;
+            }
+            // Nu mai adăugăm pauză suplimentară - SmartBill rate limiting deja impune 2 secunde
+        }
+
+        // Cursorul nu trece de factura ținută după o eroare temporară
+        if (heldNumber !== null) {
+            lastExistingNumber = Math.min(lastExistingNumber, heldNumber - 1);
+        } else if (!dryRun && seriesRow.held_number && lastExistingNumber >= seriesRow.held_number) {
+            invoiceSeriesService.releaseHeldInvoice(seriesRow.id);
+        }
+
+        // Salvăm ultima factură EXISTENTĂ procesată (nu cea cu care am încercat și nu am găsit-o)
+        // La simulare cursorul rămâne neschimbat; la reluarea facturilor vechi nu îl mutăm înapoi
+        if (!dryRun && lastExistingNumber > seriesRow.last_number) {
+            invoiceSeriesService.setCursor(seriesRow.id, lastExistingNumber);
+            console.log(`[Auto] Serie ${series}: ultima factură procesată actualizată la ${invoiceSeriesService.formatIdentifier(seriesRow, lastExistingNumber)}`);
+        }
+
+        seriesResult.endNumber = lastExistingNumber;
+        seriesResult.lastProcessedInvoice = invoiceSeriesService.formatIdentifier(seriesRow, lastExistingNumber);
+        seriesResult.searchedRange = `${invoiceSeriesService.formatIdentifier(seriesRow, startNumber + 1)} - ${invoiceSeriesService.formatIdentifier(seriesRow, startNumber + seriesResult.total)}`;
+
+        return seriesResult;
+    }
+
+    /**
+     * Procesează o singură factură din serie și adaugă rezultatul în contoarele rulării
+     * Folosit atât de procesarea de la cursor, cât și de procesarea unui interval explicit
+     * @param {Object} seriesRow - { series, number_padding }
+     * @param {Object} options - { onProgress, dryRun, maxInvoices, idempotencyPolicy }
+     * @returns {string} 'generated' | 'skipped' | 'storno' | 'not_found' | 'error' | 'transient_error' | 'unavailable'
+     *   'transient_error': SmartBill a eșuat (5xx / timeout) doar la această factură - intră la erori,
+     *   iar procesarea de la cursor nu mută cursorul peste ea
+     *   'unavailable': SmartBill indisponibil - factura nu a fost verificată, iar results.paused
+     *   conține motivul (apelantul oprește rularea)
+     */
+    async _processInvoiceNumber(seriesRow, number, results, options = {}) {
+        const { onProgress = null, dryRun = false, maxInvoices = null, idempotencyPolicy } = options;
+        const emit = (type, data = {}) => onProgress && onProgress({ type, ...data });
+        const series = seriesRow.series;
+        const currentNumber = String(number).padStart(seriesRow.number_padding || 0, '0');
+        const invoiceIdentifier = `${series}${currentNumber}`;
+
+        results.total++;
+        emit('invoice', { invoiceNumber: invoiceIdentifier, series, index: results.total, maxInvoices });
+
+        const outcome = (status, data = {}) => {
+            results.outcomes.push({ series, number, invoiceNumber: invoiceIdentifier, status, ...data });
+            return status;
+        };
+
+        try {
+            // Folosim aceeași metodă ca la generarea manuală
+            const result = await this.processInvoiceFromPdf(series, currentNumber, { onProgress, dryRun, idempotencyPolicy });
+
+            // processInvoiceFromPdf prinde erorile și le întoarce ca rezultat (cu tipul în errorKind) -
+            // le aruncăm mai departe ca să fie clasificate mai jos (inexistentă / indisponibil / eroare)
+            if (!result.success) {
+                const error = new Error(result.error || `Factura ${invoiceIdentifier} nu a putut fi procesată`);
+                error.kind = result.errorKind || null;
+                throw error;
+            }
+
+            results.processed++;
+
+            // Stornarea se contorizează separat; liniile pozitive ale aceleiași facturi pot primi certificat
+            if (result.storno) {
+                results.storno++;
+                results.voidedCertificates.push(...result.voidedCertificates.map(cert => ({
+                    ...cert,
+                    stornoInvoiceNumber: result.invoiceNumber
+                })));
+                emit('storno', {
+                    invoiceNumber: invoiceIdentifier,
+                    referencedInvoice: result.referencedInvoice,
+                    voidedCount: result.voidedCertificates.length,
+                    referenceNotFound: !!result.referenceNotFound,
+                    message: result.stornoMessage || result.message
+                });
+
+                // Referința fără certificat emis trebuie verificată manual - apare la erori
+                if (result.referenceNotFound) {
                     results.errors.push({
                         invoiceNumber: invoiceIdentifier,
-                        error: error.message
+                        error: result.stornoMessage || result.message
                     });
                 }
             }
-            // Nu mai adăugăm pauză suplimentară - SmartBill rate limiting deja impune 2 secunde
+
+            const isNewVersion = result.idempotency?.action === 'new_version';
+            if (result.dryRun && result.changedFromExisting) {
+                results.changed++;
+            }
+
+            if (result.dryRun && result.wouldGenerate) {
+                results.generated++;
+                if (isNewVersion) results.newVersions++;
+                results.certificates.push(result);
+                return outcome('generated');
+            }
+
+            if (result.generated) {
+                results.generated++;
+                if (isNewVersion) results.newVersions++;
+                results.certificates.push({
+                    id: result.certificateId,
+                    invoiceNumber: result.invoiceNumber,
+                    serialNumber: result.serialNumber,
+                    version: result.version,
+                    previousCertificateId: result.previousCertificateId,
+                    clientName: result.clientName,
+                    pdfFilename: result.pdfFilename,
+                    emagOrderNumber: result.emagOrderNumber,
+                    emagUploaded: result.emagUploaded,
+                    emagQueued: result.emagQueued
+                });
+                return outcome('generated', { certificateId: result.certificateId });
+            }
+
+            if (result.storno) {
+                return outcome('storno', { message: result.stornoMessage || result.message });
+            }
+
+            results.skipped++;
+            if (result.idempotency?.action === 'skipped') results.duplicates++;
+            emit('skipped', { invoiceNumber: invoiceIdentifier, message: result.message });
+            return outcome('skipped', { message: result.message });
+
+        } catch (error) {
+            // Factura nu există (NotFoundError): SmartBill a răspuns cu 404, cu un răspuns malformat /
+            // text scurt / PDF gol, sau PDF-ul returnat este al altei facturi (vezi getInvoicePdf)
+            if (error.kind === 'not_found') {
+                results.notFound++;
+                emit('not_found', { invoiceNumber: invoiceIdentifier });
+                return outcome('not_found');
+            }
+
+            // Eroare temporară (5xx, timeout) cu circuitul încă închis: o trecem la erori și continuăm,
+            // altfel rularea s-ar opri la ea la fiecare execuție. Dacă SmartBill chiar a căzut, circuitul
+            // se deschide la factura următoare și rularea se oprește acolo; în ambele cazuri cursorul
+            // rămâne înaintea facturii (vezi _processSeries)
+            if (error.kind === 'transient' && smartBillService.getCircuitState().state === 'closed') {
+                const message = `${error.message} (eroare temporară SmartBill - se reia la rularea următoare sau din raportul de goluri)`;
+                console.error(`[Auto] EROARE SmartBill pentru ${invoiceIdentifier}:`, error.message);
+                emit('error', { invoiceNumber: invoiceIdentifier, error: message });
+                results.errors.push({
+                    invoiceNumber: invoiceIdentifier,
+                    error: message
+                });
+                outcome('error', { message });
+                return 'transient_error';
+            }
+
+            // SmartBill indisponibil după reîncercări, circuit deschis sau credențiale invalide:
+            // factura nu intră la erori (nu a fost verificată) și rularea se oprește
+            if (isServiceUnavailable(error)) {
+                console.warn(`[Auto] SmartBill indisponibil la ${invoiceIdentifier}:`, error.message);
+                results.paused = { invoiceNumber: invoiceIdentifier, error: error.message, kind: error.kind };
+                emit('paused', { invoiceNumber: invoiceIdentifier, error: error.message });
+                return 'unavailable';
+            }
+
+            console.error(`[Auto] EROARE pentru ${invoiceIdentifier}:`, error.message);
+            emit('error', { invoiceNumber: invoiceIdentifier, error: error.message });
+            results.errors.push({
+                invoiceNumber: invoiceIdentifier,
+                error: error.message
+            });
+            return outcome('error', { message: error.message });
         }
+    }
 
-        // Salvăm ultima factură EXISTENTĂ procesată (nu cea cu care am încercat și nu am găsit-o)
-        if (lastExistingInvoice !== lastProcessed) {
-            this.setLastProcessedInvoice(lastExistingInvoice);
-            console.log(`[Auto] Ultima factură procesată actualizată: ${lastExistingInvoice}`);
+    /**
+     * Procesează un interval explicit de facturi dintr-o serie (ex: PK2026, 24500 - 24650)
+     * Spre deosebire de procesarea de la cursor, verifică toate numerele din interval (fără prag de
+     * facturi negăsite) și nu mută cursorul seriei. Rularea intră în istoric și poate fi anulată.
+     * @param {Object} options - { series, from, to, onlyGaps, dryRun, onProgress, jobId, source, idempotencyPolicy }
+     *   onlyGaps: procesează doar golurile din interval (vezi getGapReport)
+     */
+    async processInvoiceRange(options = {}) {
+        const { onProgress = null, dryRun = false } = options;
+        const idempotencyPolicy = this.normalizeIdempotencyPolicy(options.idempotencyPolicy);
+        const emit = (type, data = {}) => onProgress && onProgress({ type, ...data });
+        const startedAt = new Date().toISOString();
+
+        let range;
+        try {
+            range = this.parseInvoiceRange(options.series, options.from, options.to);
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+
+        const { seriesRow, fromNumber, toNumber } = range;
+        let numbers = [];
+        for (let number = fromNumber; number <= toNumber; number++) {
+            numbers.push(number);
+        }
+
+        if (options.onlyGaps) {
+            const gaps = new Set(this.getGapReport(seriesRow.series, options.from, options.to).gaps.map(gap => gap.number));
+            numbers = numbers.filter(number => gaps.has(number));
+        }
+
+        const from = invoiceSeriesService.formatIdentifier(seriesRow, fromNumber);
+        const to = invoiceSeriesService.formatIdentifier(seriesRow, toNumber);
+        console.log(`[Range] Procesare interval ${from} - ${to}: ${numbers.length} facturi${options.onlyGaps ? ' (doar goluri)' : ''}`);
+        emit('series', { series: seriesRow.series, startedFrom: from });
+
+        const results = {
+            total: 0,
+            processed: 0,
+            generated: 0,
+            skipped: 0,
+            duplicates: 0,
+            newVersions: 0,
+            storno: 0,
+            notFound: 0,
+            errors: [],
+            certificates: [],
+            voidedCertificates: [],
+            changed: 0,
+            outcomes: [],
+            paused: null
+        };
+
+        for (const number of numbers) {
+            const status = await this._processInvoiceNumber(seriesRow, number, results, { onProgress, dryRun, maxInvoices: numbers.length, idempotencyPolicy });
+
+            // SmartBill indisponibil - facturile rămase apar ca goluri în raport și pot fi reluate
+            if (status === 'unavailable') {
+                break;
+            }
+        }
+
+        let runId = null;
+        if (!dryRun) {
+            // Intervalul nu mută cursorii, deci la anulare nu avem ce reseta (cursors = [])
+            runId = processingRunsService.recordRun({
+                jobId: options.jobId,
+                source: options.source,
+                mode: 'range',
+                cursorStart: from,
+                cursorEnd: to,
+                cursors: [],
+                total: results.total,
+                generated: results.generated,
+                skipped: results.skipped,
+                storno: results.storno,
+                notFound: results.notFound,
+                errors: results.errors.length,
+                certificateIds: results.certificates.map(cert => cert.id).filter(Boolean),
+                outcomes: results.outcomes,
+                startedAt
+            });
         }
 
         return {
             success: true,
-            message: `Procesare completă. Ultima factură existentă: ${lastExistingInvoice}`,
-            lastProcessedInvoice: lastExistingInvoice,
-            startedFrom: lastProcessed,
-            searchedRange: `${series}${startNumber + 1} - ${series}${startNumber + results.total}`,
-            // Statistici clare:
-            // - total: câte facturi am încercat să descărcăm
-            // - processed: câte facturi au EXISTAT efectiv (= generated + skipped)
-            // - generated: câte certificate am generat
-            // - skipped: câte facturi existente dar fără produse Premier
-            // - notFound: câte facturi NU au existat (404)
+            mode: 'range',
+            dryRun: dryRun,
+            runId: runId,
+            message: results.paused ?
+                `Interval ${from} - ${to} întrerupt la ${results.paused.invoiceNumber} - ${results.paused.error}. ` +
+                    'Facturile rămase pot fi reluate (doar goluri).' :
+                (dryRun ?
+                    `Simulare interval ${from} - ${to}: ${results.generated} certificat(e) ar fi generate. Nu s-a salvat nimic.` :
+                    `Interval ${from} - ${to} procesat: ${results.generated} certificat(e) generate`),
+            paused: !!results.paused,
+            pauseReason: results.paused ? results.paused.error : null,
+            lastProcessedInvoice: null,
+            startedFrom: from,
+            searchedRange: `${from} - ${to}`,
             total: results.total,
-            processed: results.processed,      // Doar facturile care au existat!
+            processed: results.processed,
             generated: results.generated,
+            changed: results.changed,
+            newVersions: results.newVersions,
             skipped: results.skipped,
+            duplicates: results.duplicates,
+            idempotencyPolicy: idempotencyPolicy,
+            storno: results.storno,
             notFound: results.notFound,
             errors: results.errors,
-            certificates: results.certificates
+            certificates: results.certificates,
+            voidedCertificates: results.voidedCertificates
+        };
+    }
+
+    /**
+     * Raport de goluri pentru un interval de facturi: starea fiecărui număr, din certificatele
+     * existente și rezultatele salvate ale rulărilor (rulările anulate nu se iau în calcul)
+     * Stări: generated, voided (certificat anulat), skipped, storno, not_found, error, missing (niciodată
+     * verificată, sub cursorul seriei) și pending (după cursor - va fi verificată la următoarea rulare)
+     * Golurile sunt facturile missing, not_found și error
+     */
+    getGapReport(series, from, to) {
+        const { seriesRow, fromNumber, toNumber, tracked } = this.parseInvoiceRange(series, from, to);
+        const outcomes = processingRunsService.getInvoiceOutcomes(seriesRow.series, fromNumber, toNumber);
+
+        // Certificatele emise (inclusiv cele dinainte de salvarea rezultatelor per factură)
+        // Pentru fiecare factură contează certificatul activ, dacă există
+        const certificatesByNumber = new Map();
+        const certificates = db.prepare(`
+            SELECT id, invoice_number, serial_number, status FROM certificates
+            WHERE invoice_number LIKE ?
+            ORDER BY id ASC
+        `).all(`${seriesRow.series}%`);
+
+        for (const certificate of certificates) {
+            const suffix = certificate.invoice_number.slice(seriesRow.series.length);
+            if (!/^\d+$/.test(suffix)) continue;
+
+            const number = parseInt(suffix, 10);
+            const existing = certificatesByNumber.get(number);
+            if (!existing || existing.status === 'voided') {
+                certificatesByNumber.set(number, certificate);
+            }
+        }
+
+        const counts = { generated: 0, voided: 0, skipped: 0, storno: 0, not_found: 0, error: 0, missing: 0, pending: 0 };
+        const gaps = [];
+
+        for (let number = fromNumber; number <= toNumber; number++) {
+            const certificate = certificatesByNumber.get(number);
+            const outcome = outcomes.get(number);
+
+            let status;
+            if (certificate) {
+                status = certificate.status === 'voided' ? 'voided' : 'generated';
+            } else if (outcome && outcome.status !== 'generated') {
+                status = outcome.status;
+            } else {
+                status = tracked && number > tracked.last_number ? 'pending' : 'missing';
+            }
+            counts[status]++;
+
+            if (['missing', 'not_found', 'error'].includes(status)) {
+                gaps.push({
+                    number,
+                    invoiceNumber: invoiceSeriesService.formatIdentifier(seriesRow, number),
+                    status,
+                    message: outcome ? outcome.message : null,
+                    lastCheckedAt: outcome ? outcome.processed_at : null
+                });
+            }
+        }
+
+        return {
+            series: seriesRow.series,
+            from: invoiceSeriesService.formatIdentifier(seriesRow, fromNumber),
+            to: invoiceSeriesService.formatIdentifier(seriesRow, toNumber),
+            total: toNumber - fromNumber + 1,
+            cursor: tracked ? tracked.last_invoice : null,
+            counts,
+            gaps
         };
     }
 
+    /**
+     * Validează un interval de facturi (serie + număr de început / sfârșit)
+     * Formatul numărului (zerourile din față) se ia din seria urmărită sau din numărul de început
+     */
+    parseInvoiceRange(series, from, to) {
+        series = String(series || '').trim().toUpperCase();
+        from = String(from === undefined || from === null ? '' : from).trim();
+        to = String(to === undefined || to === null ? '' : to).trim();
+
+        if (!/^[A-Z][A-Z0-9]{0,9}$/.test(series)) {
+            throw new Error('Seria trebuie să înceapă cu o literă și să conțină maxim 10 litere/cifre');
+        }
+        if (!/^\d{1,12}$/.test(from) || !/^\d{1,12}$/.test(to)) {
+            throw new Error('Numerele de început și de sfârșit ale intervalului trebuie să conțină doar cifre');
+        }
+
+        const fromNumber = parseInt(from, 10);
+        const toNumber = parseInt(to, 10);
+        if (toNumber < fromNumber) {
+            throw new Error('Sfârșitul intervalului trebuie să fie după început');
+        }
+        if (toNumber - fromNumber + 1 > constants.INVOICE_SERIES.MAX_RANGE_SIZE) {
+            throw new Error(`Intervalul poate conține maxim ${constants.INVOICE_SERIES.MAX_RANGE_SIZE} facturi`);
+        }
+
+        const tracked = invoiceSeriesService.getSeriesByName(series);
+        const seriesRow = tracked || {
+            series,
+            number_padding: from.length > 1 && from.startsWith('0') ? from.length : 0
+        };
+
+        return { seriesRow, fromNumber, toNumber, tracked };
+    }
+
     /**
      * Generează certificat pentru o factură specifică prin descărcarea și parsarea PDF-ului
      * Această metodă descarcă PDF-ul facturii de la SmartBill și extrage automat datele
+     * @param {Object} options - { dryRun, idempotencyPolicy }
+     *   dryRun: la simulare se întoarce doar previzualizarea certificatului
+     *   idempotencyPolicy: ce facem dacă factura are deja certificat activ (vezi _resolveIdempotency)
      */
-    async generateSingleCertificate(invoiceIdentifier) {
+    async generateSingleCertificate(invoiceIdentifier, options = {}) {
         // Parsăm identificatorul facturii (format: SERIE+NUMAR sau doar NUMAR)
         const { series, number } = this._parseInvoiceIdentifier(invoiceIdentifier);
 
@@ -351,14 +895,25 @@ class CertificatesService {
             };
         }
 
-        return await this.processInvoiceFromPdf(series, number);
+        return await this.processInvoiceFromPdf(series, number, {
+            dryRun: !!options.dryRun,
+            idempotencyPolicy: options.idempotencyPolicy
+        });
     }
 
     /**
      * Procesează o factură prin descărcarea și parsarea PDF-ului de la SmartBill
+     * @param {Object} options - { onProgress, dryRun, idempotencyPolicy }
+     *   onProgress pentru evenimentele 'fetched', 'parsed', 'matched', 'generated', 'uploaded'
+     *   și 'preview' (folosite la procesarea automată în fundal)
+     *   dryRun: produsele sunt potrivite și garanțiile calculate, dar nu se alocă serie, nu se
+     *   scrie PDF / înregistrare și nu se încarcă în eMAG - se întoarce previzualizarea
+     *   idempotencyPolicy: 'skip' | 'new_version' | 'force' - rezultatul conține în idempotency
+     *   varianta aleasă (created / skipped / new_version)
      */
-    async processInvoiceFromPdf(series, number) {
+    async processInvoiceFromPdf(series, number, options = {}) {
         const invoiceNumber = `${series}${number}`;
+        const emit = (type, data = {}) => options.onProgress && options.onProgress({ type, invoiceNumber, ...data });
 
         try {
             // 1. Descărcăm PDF-ul facturii de la SmartBill
@@ -371,6 +926,7 @@ class CertificatesService {
                     error: 'Nu s-a putut descărca PDF-ul facturii de la SmartBill'
                 };
             }
+            emit('fetched', { size: pdfBuffer.length });
 
             // 2. Parsăm PDF-ul pentru a extrage datele
             console.log('Parsare PDF...');
@@ -391,7 +947,7 @@ class CertificatesService {
             const parsedInvoiceNumber = invoiceData.invoiceNumber;
             if (!parsedInvoiceNumber) {
                 console.log(`[Certificates] PDF pentru ${invoiceNumber} nu conține număr de factură - probabil factură inexistentă`);
-                throw new Error(`SmartBill PDF Error: 404 - Factura ${invoiceNumber} nu a fost găsită (PDF fără număr factură)`);
+                throw new NotFoundError(`SmartBill PDF Error: 404 - Factura ${invoiceNumber} nu a fost găsită (PDF fără număr factură)`);
             }
 
             // Extragem doar cifrele din numerele de factură pentru comparație exactă
@@ -409,24 +965,53 @@ class CertificatesService {
 
             if (requestedSuffix !== parsedSuffix) {
                 console.log(`[Certificates] NEPOTRIVIRE: Cerut factură cu suffix ${requestedSuffix}, dar PDF conține suffix ${parsedSuffix}`);
-                throw new Error(`SmartBill PDF Error: 404 - Factura ${invoiceNumber} nu a fost găsită (PDF returnează altă factură: ${parsedInvoiceNumber})`);
+                throw new NotFoundError(`SmartBill PDF Error: 404 - Factura ${invoiceNumber} nu a fost găsită (PDF returnează altă factură: ${parsedInvoiceNumber})`);
             }
 
             console.log(`[Certificates] Verificare OK: Factură cerută ${invoiceNumber}, găsită ${parsedInvoiceNumber}`);
+            emit('parsed', {
+                clientName: invoiceData.clientName,
+                productsCount: (invoiceData.products || []).length,
+                isStorno: !!invoiceData.isStorno
+            });
+
+            // 2.6 Facturile storno anulează certificatele facturii originale; liniile cu cantitate pozitivă
+            // (ex: produsul dat la schimb pe aceeași factură) primesc în continuare certificat
+            const positiveProducts = (invoiceData.products || []).filter(p => !(p.quantity < 0));
+            let stornoResult = null;
 
-            // 3. Potrivim produsele cu nomenclatorul local
+            if (invoiceData.isStorno) {
+                stornoResult = await this.handleStornoInvoice(invoiceNumber, invoiceData.stornoReference, { dryRun: options.dryRun });
+                if (positiveProducts.length === 0) {
+                    return stornoResult;
+                }
+            }
+
+            // Rezultatul facturii, completat cu anulările făcute de stornare (dacă e cazul)
+            const withStorno = result => (stornoResult ? {
+                ...result,
+                storno: true,
+                referencedInvoice: stornoResult.referencedInvoice,
+                referenceNotFound: stornoResult.referenceNotFound,
+                voidedCertificates: stornoResult.voidedCertificates,
+                stornoMessage: stornoResult.message
+            } : result);
+
+            // 3. Potrivim produsele cu nomenclatorul local (doar liniile cu cantitate pozitivă)
             const matchedProducts = invoiceParserService.matchProductsWithNomenclator(
-                invoiceData.products,
+                positiveProducts,
                 productsService
             );
 
             // Filtrăm doar produsele găsite în nomenclator
             const activeProducts = matchedProducts.filter(p => p.matched);
+            emit('matched', { matchedCount: activeProducts.length, totalCount: matchedProducts.length });
 
             if (activeProducts.length === 0) {
-                return {
+                return stornoResult || {
                     success: true,
                     generated: false,
+                    dryRun: !!options.dryRun,
                     message: 'Factura nu conține produse Premier configurate în nomenclator',
                     invoiceNumber: invoiceNumber,
                     extractedProducts: invoiceData.products,
@@ -448,42 +1033,89 @@ class CertificatesService {
 
             // 6. Extragem numărul de comandă eMAG din datele parsate
             const emagOrderNumber = invoiceData.emagOrderNumber || null;
+            const emagMarketplace = this._detectEmagMarketplace(emagOrderNumber, invoiceData.rawText, invoiceData.currency);
+            const marketplaceService = emagService.forMarketplace(emagMarketplace);
+
+            // 6.5 Protecție la duplicate: ce facem dacă factura are deja un certificat activ
+            const idempotency = this._resolveIdempotency(invoiceNumber, options.idempotencyPolicy, productsWithWarranty, isVatPayer);
+
+            if (options.dryRun) {
+                const preview = this._buildDryRunPreview(invoiceNumber, invoiceData, matchedProducts, productsWithWarranty, minVoltage, idempotency, emagMarketplace);
+                emit('preview', { productsCount: preview.productsCount, changedFromExisting: preview.changedFromExisting, action: idempotency.action });
+                return withStorno(preview);
+            }
+
+            if (idempotency.action === 'skipped') {
+                console.log(`[Certificates] ${idempotency.message}`);
+                return stornoResult || {
+                    success: true,
+                    generated: false,
+                    message: idempotency.message,
+                    invoiceNumber: invoiceNumber,
+                    existingCertificate: idempotency.existingCertificate,
+                    idempotency: idempotency
+                };
+            }
 
             // 7. Pregătim datele pentru certificat
+            const previous = idempotency.existingCertificate;
+            const version = previous ? this._getNextVersion(invoiceNumber) : 1;
             const certificateData = {
                 clientName: invoiceData.clientName || 'Client',
                 invoiceNumber: invoiceNumber,
                 invoiceDate: invoiceData.invoiceDate || this._formatDate(new Date().toISOString()),
-                products: productsWithWarranty.slice(0, 3),
+                products: productsWithWarranty, // Câte o pagină la fiecare 3 produse
                 minVoltage: minVoltage,
                 isVatPayer: isVatPayer,
                 emagOrderNumber: emagOrderNumber
             };
 
-            // 8. Generăm PDF-ul certificatului
-            const certPdfBuffer = await pdfService.generateCertificate(certificateData);
+            // 8. Generăm PDF-ul certificatului și alocăm seria unică
+            const certPdfBuffer = await this._generateCertificatePdf(certificateData);
+            const serialNumber = certificateData.serialNumber;
 
             // 9. Salvăm PDF-ul pe disc
-            const savedPdf = await pdfService.savePdf(certPdfBuffer, invoiceNumber);
+            const savedPdf = await pdfService.savePdf(certPdfBuffer, invoiceNumber, version);
+            emit('generated', { serialNumber, pdfFilename: savedPdf.filename, version });
 
-            // 10. Încărcăm în eMAG dacă avem număr de comandă și serviciul e configurat
+            // 10. Salvăm înregistrarea în baza de date; versiunea nouă înlocuiește certificatul activ
+            // (anularea și inserarea într-o singură tranzacție)
+            const certificateId = await this._saveCertificateVersion({
+                invoiceNumber: invoiceNumber,
+                invoiceDate: certificateData.invoiceDate,
+                clientName: certificateData.clientName,
+                isVatPayer: isVatPayer,
+                products: productsWithWarranty,
+                emagOrderNumber: emagOrderNumber,
+                emagMarketplace: emagMarketplace,
+                emagUploaded: false,
+                pdfPath: savedPdf.path,
+                serialNumber: serialNumber,
+                version: version,
+                previousCertificateId: previous ? previous.id : null,
+                invoiceTotal: invoiceData.totalValue,
+                invoiceCurrency: invoiceData.currency
+            }, `Înlocuit de versiunea ${version} (politica: ${idempotency.policy})`);
+
+            // 11. Încărcăm în eMAG dacă avem număr de comandă și serviciul e configurat
             let emagUploaded = false;
             let emagError = null;
+            const documentName = version > 1 ? `Certificat Garantie ${invoiceNumber} v${version}` : `Certificat Garantie ${invoiceNumber}`;
 
-            if (emagOrderNumber && emagService.isConfigured()) {
+            if (emagOrderNumber && marketplaceService.isConfigured()) {
                 try {
                     // Construim URL-ul public pentru certificat
                     // URL-ul public trebuie să fie accesibil din internet pentru ca eMAG să-l poată descărca
-                    const publicBaseUrl = process.env.PUBLIC_URL || 'https://garantie-premierkids.lentiu.ro';
-                    const pdfUrl = `${publicBaseUrl}/public/certificates/${savedPdf.filename}`;
+                    const pdfUrl = `${constants.PUBLIC_URL}/public/certificates/${savedPdf.filename}`;
 
-                    console.log(`[Certificates] Upload în eMAG: orderId=${emagOrderNumber}, pdfUrl=${pdfUrl}`);
+                    console.log(`[Certificates] Upload în eMAG (${emagMarketplace}): orderId=${emagOrderNumber}, pdfUrl=${pdfUrl}`);
 
-                    // Folosim metoda care încarcă automat pentru toate produsele din comandă
-                    const uploadResult = await emagService.uploadWarrantyForOrder(
+                    // Certificatul se atașează doar liniilor din comandă mapate la produsele cu garanție
+                    const uploadResult = await marketplaceService.uploadWarrantyForOrder(
                         emagOrderNumber,
                         pdfUrl,
-                        `Certificat Garantie ${invoiceNumber}`
+                        documentName,
+                        emagProductMappingsService.getWarrantyCodes(productsWithWarranty)
                     );
 
                     emagUploaded = uploadResult.success;
@@ -491,30 +1123,29 @@ class CertificatesService {
                         emagError = uploadResult.error;
                         console.error(`[Certificates] Eroare upload eMAG: ${emagError}`);
                     } else {
+                        db.prepare('UPDATE certificates SET emag_uploaded = 1 WHERE id = ?').run(certificateId);
                         console.log(`[Certificates] Upload eMAG reușit: ${uploadResult.message}`);
                     }
                 } catch (error) {
                     emagError = error.message;
                     console.error(`[Certificates] Excepție upload eMAG: ${emagError}`);
                 }
+                emit('uploaded', { emagOrderNumber, emagMarketplace, success: emagUploaded, error: emagError });
             }
 
-            // 11. Salvăm înregistrarea în baza de date
-            this.saveCertificateRecord({
-                invoiceNumber: invoiceNumber,
-                invoiceDate: certificateData.invoiceDate,
-                clientName: certificateData.clientName,
-                isVatPayer: isVatPayer,
-                products: productsWithWarranty,
-                emagOrderNumber: emagOrderNumber,
-                emagUploaded: emagUploaded,
-                pdfPath: savedPdf.path
-            });
+            // 12. Încărcarea eșuată intră în coada de reîncercare (vezi emag-uploads)
+            const emagQueued = this._queueFailedUpload(certificateId, emagOrderNumber, emagMarketplace, emagUploaded, emagError, documentName);
 
-            return {
+            return withStorno({
                 success: true,
                 generated: true,
+                certificateId: certificateId,
                 invoiceNumber: invoiceNumber,
+                serialNumber: serialNumber,
+                version: version,
+                previousCertificateId: previous ? previous.id : null,
+                idempotency: idempotency,
+                message: idempotency.message,
                 clientName: certificateData.clientName,
                 clientType: isVatPayer ? 'PJ' : 'PF',
                 invoiceDate: certificateData.invoiceDate,
@@ -523,70 +1154,242 @@ class CertificatesService {
                 pdfPath: savedPdf.path,
                 pdfFilename: savedPdf.filename,
                 emagOrderNumber: emagOrderNumber,
+                emagMarketplace: emagMarketplace,
                 emagUploaded: emagUploaded,
                 emagError: emagError,
+                emagQueued: emagQueued,
                 extractedData: {
                     rawProducts: invoiceData.products,
                     matchedProducts: matchedProducts
                 }
-            };
+            });
 
         } catch (error) {
             console.error('Eroare la procesarea facturii:', error);
             return {
                 success: false,
-                error: error.message
+                error: error.message,
+                errorKind: error.kind || null // Tipul erorii HTTP (not_found, transient etc. - vezi utils/http-client)
             };
         }
     }
 
     /**
-     * Generează certificat cu date introduse manual
-     * @param {Object} data - Datele pentru certificat
+     * Tratează o factură storno: anulează certificatele active ale facturii originale
+     * Certificatele deja încărcate în eMAG sunt marcate pentru urmărire (atașamentul trebuie retras manual)
+     * Dacă factura referită nu are niciun certificat emis (referință greșită sau factură neprocesată),
+     * rezultatul are referenceNotFound, iar anulările trebuie verificate manual
+     * @param {string} stornoInvoiceNumber - Factura storno (ex: PK202124610)
+     * @param {string|null} referencedInvoice - Factura originală stornată (ex: PK202124601)
+     * @param {Object} options - { dryRun } - la simulare doar listăm certificatele care ar fi anulate
      */
-    async generateManualCertificate(data) {
-        const { invoiceNumber, invoiceDate, clientName, isVatPayer, products, minVoltage } = data;
+    async handleStornoInvoice(stornoInvoiceNumber, referencedInvoice, options = {}) {
+        if (!referencedInvoice) {
+            console.log(`[Certificates] Factura storno ${stornoInvoiceNumber} nu conține referința facturii originale`);
+            return {
+                success: true,
+                generated: false,
+                storno: true,
+                invoiceNumber: stornoInvoiceNumber,
+                referencedInvoice: null,
+                voidedCertificates: [],
+                message: 'Factură storno fără referință la factura originală - verificați manual certificatele de anulat'
+            };
+        }
 
-        if (!products || products.length === 0) {
+        const stmt = db.prepare(`
+            SELECT * FROM certificates
+            WHERE invoice_number = ? AND (status IS NULL OR status != 'voided')
+        `);
+        const certificates = stmt.all(referencedInvoice);
+
+        let referenceNotFound = false;
+        if (certificates.length === 0) {
+            const countStmt = db.prepare('SELECT COUNT(*) as count FROM certificates WHERE invoice_number = ?');
+            referenceNotFound = countStmt.get(referencedInvoice).count === 0;
+        }
+
+        if (referenceNotFound) {
+            console.warn(`[Certificates] Factura storno ${stornoInvoiceNumber} se referă la ${referencedInvoice}, care nu are niciun certificat emis`);
             return {
-                success: false,
-                error: 'Selectați cel puțin un produs'
+                success: true,
+                generated: false,
+                storno: true,
+                dryRun: !!options.dryRun,
+                invoiceNumber: stornoInvoiceNumber,
+                referencedInvoice: referencedInvoice,
+                referenceNotFound: true,
+                voidedCertificates: [],
+                message: `Factură storno pentru ${referencedInvoice}: nu a fost găsit niciun certificat emis pentru această factură - verificați manual referința`
             };
         }
 
-        // Pregătim datele pentru certificat
-        const certificateData = {
-            clientName: clientName,
-            invoiceNumber: invoiceNumber,
-            invoiceDate: invoiceDate,
-            products: products.slice(0, 3), // Maxim 3 produse în template
-            minVoltage: minVoltage || '',
-            isVatPayer: isVatPayer,
-            emagOrderNumber: null
-        };
+        if (options.dryRun) {
+            return {
+                success: true,
+                generated: false,
+                storno: true,
+                dryRun: true,
+                invoiceNumber: stornoInvoiceNumber,
+                referencedInvoice: referencedInvoice,
+                voidedCertificates: certificates.map(certificate => ({
+                    id: certificate.id,
+                    invoiceNumber: certificate.invoice_number,
+                    serialNumber: certificate.serial_number,
+                    emagOrderNumber: certificate.emag_order_number,
+                    emagFollowup: !!(certificate.emag_order_number && certificate.emag_uploaded)
+                })),
+                message: `Factură storno pentru ${referencedInvoice}: ${certificates.length} certificat(e) ar fi anulate`
+            };
+        }
 
-        // Generăm PDF-ul
-        const pdfBuffer = await pdfService.generateCertificate(certificateData);
+        const voidedCertificates = [];
 
-        // Salvăm PDF-ul pe disc
-        const savedPdf = await pdfService.savePdf(pdfBuffer, certificateData.invoiceNumber);
+        for (const certificate of certificates) {
+            const voidResult = await this.voidCertificate(certificate.id, `Stornat prin factura ${stornoInvoiceNumber}`);
+            if (!voidResult.success) {
+                continue;
+            }
 
-        // Salvăm înregistrarea în baza de date
-        this.saveCertificateRecord({
-            invoiceNumber: certificateData.invoiceNumber,
-            invoiceDate: certificateData.invoiceDate,
-            clientName: certificateData.clientName,
-            isVatPayer: isVatPayer,
-            products: products,
-            emagOrderNumber: null,
-            emagUploaded: false,
-            pdfPath: savedPdf.path
-        });
+            // Atașamentul din eMAG rămâne vizibil clientului până la retragerea manuală
+            const emagFollowup = !!(certificate.emag_order_number && certificate.emag_uploaded);
+            const followupStmt = db.prepare(`
+                UPDATE certificates
+                SET storno_invoice_number = ?, emag_followup = ?, emag_followup_reason = ?
+                WHERE id = ?
+            `);
+            followupStmt.run(
+                stornoInvoiceNumber,
+                emagFollowup ? 1 : 0,
+                emagFollowup ? `Certificat atașat comenzii eMAG ${certificate.emag_order_number} - factura a fost stornată` : null,
+                certificate.id
+            );
 
-        return {
-            success: true,
+            voidedCertificates.push({
+                id: certificate.id,
+                invoiceNumber: certificate.invoice_number,
+                serialNumber: certificate.serial_number,
+                emagOrderNumber: certificate.emag_order_number,
+                emagFollowup: emagFollowup
+            });
+        }
+
+        console.log(`[Certificates] Storno ${stornoInvoiceNumber} -> ${referencedInvoice}: ${voidedCertificates.length} certificate anulate`);
+
+        return {
+            success: true,
+            generated: false,
+            storno: true,
+            invoiceNumber: stornoInvoiceNumber,
+            referencedInvoice: referencedInvoice,
+            voidedCertificates: voidedCertificates,
+            message: voidedCertificates.length > 0 ?
+                `Factură storno pentru ${referencedInvoice}: ${voidedCertificates.length} certificat(e) anulat(e)` :
+                `Factură storno pentru ${referencedInvoice}: niciun certificat activ de anulat`
+        };
+    }
+
+    /**
+     * Certificatele anulate care mai au atașament în eMAG și necesită intervenție
+     */
+    getEmagFollowups() {
+        const stmt = db.prepare(`
+            SELECT * FROM certificates
+            WHERE emag_followup = 1
+            ORDER BY voided_at DESC
+        `);
+        return stmt.all();
+    }
+
+    /**
+     * Marchează urmărirea eMAG ca rezolvată (atașamentul a fost retras)
+     */
+    resolveEmagFollowup(id) {
+        const certificate = this.getCertificateById(id);
+        if (!certificate) {
+            return { success: false, error: 'Certificatul nu a fost găsit' };
+        }
+
+        const stmt = db.prepare('UPDATE certificates SET emag_followup = 0 WHERE id = ?');
+        stmt.run(id);
+
+        return { success: true, message: 'Urmărirea eMAG a fost marcată ca rezolvată' };
+    }
+
+    /**
+     * Generează certificat cu date introduse manual
+     * @param {Object} data - Datele pentru certificat (+ idempotencyPolicy, vezi _resolveIdempotency)
+     */
+    async generateManualCertificate(data) {
+        const { invoiceNumber, invoiceDate, clientName, isVatPayer, products, minVoltage } = data;
+
+        if (!products || products.length === 0) {
+            return {
+                success: false,
+                error: 'Selectați cel puțin un produs'
+            };
+        }
+
+        // Protecție la duplicate: ce facem dacă factura are deja un certificat activ
+        const idempotency = this._resolveIdempotency(invoiceNumber, data.idempotencyPolicy, products, isVatPayer);
+
+        if (idempotency.action === 'skipped') {
+            return {
+                success: true,
+                generated: false,
+                message: idempotency.message,
+                invoiceNumber: invoiceNumber,
+                existingCertificate: idempotency.existingCertificate,
+                idempotency: idempotency
+            };
+        }
+
+        const previous = idempotency.existingCertificate;
+        const version = previous ? this._getNextVersion(invoiceNumber) : 1;
+
+        // Pregătim datele pentru certificat
+        const certificateData = {
+            clientName: clientName,
+            invoiceNumber: invoiceNumber,
+            invoiceDate: invoiceDate,
+            products: products, // Câte o pagină la fiecare 3 produse
+            minVoltage: minVoltage || '',
+            isVatPayer: isVatPayer,
+            emagOrderNumber: null
+        };
+
+        // Generăm PDF-ul (seria unică se alocă după generare)
+        const pdfBuffer = await this._generateCertificatePdf(certificateData);
+        const serialNumber = certificateData.serialNumber;
+
+        // Salvăm PDF-ul pe disc
+        const savedPdf = await pdfService.savePdf(pdfBuffer, certificateData.invoiceNumber, version);
+
+        // Salvăm înregistrarea în baza de date (versiunea anterioară se anulează în aceeași tranzacție)
+        const certificateId = await this._saveCertificateVersion({
+            invoiceNumber: certificateData.invoiceNumber,
+            invoiceDate: certificateData.invoiceDate,
+            clientName: certificateData.clientName,
+            isVatPayer: isVatPayer,
+            products: products,
+            emagOrderNumber: null,
+            emagUploaded: false,
+            pdfPath: savedPdf.path,
+            serialNumber: serialNumber,
+            version: version,
+            previousCertificateId: previous ? previous.id : null
+        }, `Înlocuit de versiunea ${version} (politica: ${idempotency.policy})`);
+
+        return {
+            success: true,
             generated: true,
+            certificateId: certificateId,
             invoiceNumber: certificateData.invoiceNumber,
+            serialNumber: serialNumber,
+            version: version,
+            previousCertificateId: previous ? previous.id : null,
+            idempotency: idempotency,
+            message: idempotency.message,
             clientName: certificateData.clientName,
             productsCount: products.length,
             pdfPath: savedPdf.path,
@@ -615,71 +1418,748 @@ class CertificatesService {
         return stmt.get(id);
     }
 
+    /**
+     * Obține un certificat după seria unică
+     */
+    getCertificateBySerial(serialNumber) {
+        const stmt = db.prepare('SELECT * FROM certificates WHERE serial_number = ?');
+        return stmt.get(String(serialNumber || '').trim().toUpperCase());
+    }
+
+    /**
+     * Informațiile publice de verificare pentru o serie de certificat
+     * Nu expune date personale - numele clientului este mascat
+     * @returns {Object|null} null dacă seria nu există
+     */
+    getVerificationInfo(serialNumber) {
+        const certificate = this.getCertificateBySerial(serialNumber);
+        if (!certificate) {
+            return null;
+        }
+
+        let products = [];
+        try {
+            products = JSON.parse(certificate.products_json || '[]');
+        } catch (e) {
+            products = [];
+        }
+
+        const startDate = warrantiesService.parseInvoiceDate(certificate.invoice_date);
+        const now = new Date();
+
+        const productsInfo = products.map(p => {
+            const warrantyMonths = parseInt(p.warrantyMonths, 10) || 0;
+            const expiresAt = startDate ? warrantiesService.addMonths(startDate, warrantyMonths) : null;
+            return {
+                name: p.name,
+                warrantyMonths,
+                expiresAt: expiresAt ? this._formatDate(expiresAt.toISOString()) : null,
+                isActive: expiresAt ? expiresAt >= now : false
+            };
+        });
+
+        // Statusul certificatului: anulat > valid (cel puțin un produs în garanție) > expirat
+        let status = 'expired';
+        if (certificate.status === 'voided') {
+            status = 'voided';
+        } else if (productsInfo.some(p => p.isActive)) {
+            status = 'valid';
+        }
+
+        const expiryDates = productsInfo
+            .map(p => warrantiesService.parseInvoiceDate(p.expiresAt))
+            .filter(Boolean);
+        const latestExpiry = expiryDates.length > 0
+            ? this._formatDate(new Date(Math.max(...expiryDates)).toISOString())
+            : null;
+
+        // Pentru certificatele reemise indicăm seria care le înlocuiește
+        let replacedBySerial = null;
+        if (status === 'voided') {
+            const replacementStmt = db.prepare('SELECT serial_number FROM certificates WHERE previous_certificate_id = ?');
+            replacedBySerial = replacementStmt.get(certificate.id)?.serial_number || null;
+        }
+
+        return {
+            serialNumber: certificate.serial_number,
+            status,
+            replacedBySerial,
+            invoiceDate: certificate.invoice_date,
+            clientName: this._maskName(certificate.client_name),
+            products: productsInfo,
+            expiresAt: latestExpiry
+        };
+    }
+
     /**
      * Obține buffer-ul PDF pentru un certificat
+     * Pentru facturile cu mai multe versiuni se returnează ultima versiune activă
      */
     async getCertificatePdf(invoiceNumber) {
+        const fs = require('fs');
+
+        const stmt = db.prepare(`
+            SELECT pdf_path FROM certificates
+            WHERE invoice_number = ? AND (status IS NULL OR status != 'voided')
+            ORDER BY version DESC, created_at DESC
+            LIMIT 1
+        `);
+        const latest = stmt.get(invoiceNumber);
+        if (latest && latest.pdf_path && fs.existsSync(latest.pdf_path)) {
+            return fs.readFileSync(latest.pdf_path);
+        }
+
         const pdfPath = pdfService.getPdfPath(invoiceNumber);
 
         if (!pdfService.pdfExists(invoiceNumber)) {
             return null;
         }
 
-        const fs = require('fs');
         return fs.readFileSync(pdfPath);
     }
 
     /**
-     * Parsează identificatorul facturii
-     * Suportă mai multe formate:
-     * - "PK202124601" -> Serie: PK2021, Nr: 24601 (dacă seria conține anul)
-     * - "PK24601" -> Serie: PK, Nr: 24601
-     * - "PKF0001234" -> Serie: PKF, Nr: 0001234
-     * - "24601" -> Serie: PK (implicit), Nr: 24601
+     * Obține buffer-ul PDF pentru o versiune anume (inclusiv cele anulate, din arhivă)
      */
-    _parseInvoiceIdentifier(identifier) {
-        identifier = identifier.trim().toUpperCase();
-
-        // Pattern pentru serie cu an (ex: PK2021) + număr
-        // Formatul tipic PremierKids: PK + AN + NUMĂR (5 cifre)
-        const seriesWithYearMatch = identifier.match(/^([A-Z]+)(\d{4})(\d{4,6})$/);
-        if (seriesWithYearMatch) {
-            const series = seriesWithYearMatch[1] + seriesWithYearMatch[2]; // PK2021
-            const number = seriesWithYearMatch[3]; // 24601
-            console.log(`[Parser] Detectat format cu an: Serie=${series}, Număr=${number}`);
-            return { series, number };
-        }
-
-        // Pattern pentru serie simplă + număr lung (ex: PK24601)
-        const simpleMatch = identifier.match(/^([A-Z]{2,5})(\d+)$/);
-        if (simpleMatch) {
-            const series = simpleMatch[1];
-            const number = simpleMatch[2];
-            console.log(`[Parser] Detectat format simplu: Serie=${series}, Număr=${number}`);
-            return { series, number };
-        }
-
-        // Pattern cu spațiu sau separator
-        const separatorMatch = identifier.match(/^([A-Z0-9]+)[.\s-]+(\d+)$/);
-        if (separatorMatch) {
-            console.log(`[Parser] Detectat format cu separator: Serie=${separatorMatch[1]}, Număr=${separatorMatch[2]}`);
+    getCertificatePdfById(id) {
+        const fs = require('fs');
+        const certificate = this.getCertificateById(id);
+
+        if (!certificate || !certificate.pdf_path || !fs.existsSync(certificate.pdf_path)) {
+            return null;
+        }
+
+        return {
+            buffer: fs.readFileSync(certificate.pdf_path),
+            filename: require('path').basename(certificate.pdf_path)
+        };
+    }
+
+    /**
+     * Obține toate versiunile certificatului unei facturi, în ordinea emiterii
+     */
+    getCertificateVersions(invoiceNumber) {
+        const stmt = db.prepare(`
+            SELECT * FROM certificates
+            WHERE invoice_number = ?
+            ORDER BY version ASC, created_at ASC
+        `);
+        return stmt.all(invoiceNumber);
+    }
+
+    /**
+     * Anulează un certificat
+     * PDF-ul este ștampilat "ANULAT" și mutat în arhivă (nu mai este servit public)
+     * @param {number} id - ID-ul certificatului
+     * @param {string} reason - Motivul anulării
+     */
+    async voidCertificate(id, reason) {
+        const certificate = this.getCertificateById(id);
+
+        if (!certificate) {
+            return { success: false, error: 'Certificatul nu a fost găsit' };
+        }
+
+        if (certificate.status === 'voided') {
+            return { success: false, error: 'Certificatul este deja anulat' };
+        }
+
+        this._markVoided(id, reason);
+        await this._archiveVoidedPdf(certificate);
+
+        console.log(`[Certificates] Certificat anulat: ${certificate.serial_number || certificate.invoice_number} (${reason || 'fără motiv'})`);
+
+        return {
+            success: true,
+            message: `Certificatul pentru factura ${certificate.invoice_number} a fost anulat`,
+            certificate: this.getCertificateById(id)
+        };
+    }
+
+    /**
+     * Marchează certificatul ca anulat în baza de date (PDF-ul se arhivează separat, vezi _archiveVoidedPdf)
+     */
+    _markVoided(id, reason) {
+        const stmt = db.prepare(`
+            UPDATE certificates
+            SET status = 'voided', voided_at = CURRENT_TIMESTAMP, void_reason = ?
+            WHERE id = ?
+        `);
+        stmt.run(reason || null, id);
+    }
+
+    /**
+     * Ștampilează "ANULAT" PDF-ul unui certificat anulat și îl mută în arhivă
+     * Dacă arhivarea eșuează certificatul rămâne anulat, iar PDF-ul rămâne pe loc (eroarea se loghează)
+     */
+    async _archiveVoidedPdf(certificate) {
+        const fs = require('fs');
+        const pdfPath = certificate.pdf_path;
+
+        if (!pdfPath || !fs.existsSync(pdfPath)) {
+            return;
+        }
+
+        try {
+            const stampedPdf = await pdfService.stampVoided(
+                fs.readFileSync(pdfPath),
+                this._formatDate(new Date().toISOString())
+            );
+            const archivedPath = pdfService.archivePdf(pdfPath, stampedPdf).path;
+            db.prepare('UPDATE certificates SET pdf_path = ? WHERE id = ?').run(archivedPath, certificate.id);
+        } catch (error) {
+            console.error(`[Certificates] PDF-ul certificatului anulat ${certificate.serial_number || certificate.invoice_number} nu a putut fi arhivat:`, error.message);
+        }
+    }
+
+    /**
+     * Salvează versiunea nouă a certificatului și anulează versiunea anterioară (previousCertificateId)
+     * Indexul unic permite un singur certificat activ per factură, așa că anularea și inserarea se fac
+     * în aceeași tranzacție: dacă inserarea eșuează, versiunea veche rămâne activă. PDF-ul versiunii
+     * vechi se ștampilează și se arhivează doar după salvare
+     * @param {Object} recordData - Datele pentru saveCertificateRecord
+     * @param {string} voidReason - Motivul anulării versiunii anterioare
+     * @returns {number} ID-ul certificatului nou
+     */
+    async _saveCertificateVersion(recordData, voidReason) {
+        const previous = recordData.previousCertificateId ? this.getCertificateById(recordData.previousCertificateId) : null;
+
+        const save = db.transaction(() => {
+            if (previous) {
+                this._markVoided(previous.id, voidReason);
+            }
+            return this.saveCertificateRecord(recordData);
+        });
+        const certificateId = save();
+
+        if (previous) {
+            await this._archiveVoidedPdf(previous);
+            console.log(`[Certificates] Certificat anulat: ${previous.serial_number || previous.invoice_number} (${voidReason})`);
+        }
+
+        return certificateId;
+    }
+
+    /**
+     * Migrație la pornire: facturile cu mai multe certificate active (emise înainte de protecția la duplicate)
+     * păstrează activ doar cel mai recent certificat; celelalte sunt anulate prin voidCertificate
+     * (PDF ștampilat și arhivat), iar cele încărcate în eMAG sunt marcate pentru retragerea atașamentului
+     * Indexul unic "un certificat activ per factură" se creează după anulare
+     */
+    async resolveDuplicateActiveCertificates() {
+        const duplicates = db.prepare(`
+            SELECT * FROM certificates
+            WHERE (status IS NULL OR status != 'voided')
+              AND id NOT IN (
+                  SELECT MAX(id) FROM certificates
+                  WHERE status IS NULL OR status != 'voided'
+                  GROUP BY invoice_number
+              )
+            ORDER BY id
+        `).all();
+
+        if (duplicates.length === 0) {
+            return { voided: 0 };
+        }
+
+        let voided = 0;
+        for (const certificate of duplicates) {
+            const result = await this.voidCertificate(certificate.id, 'Certificat duplicat - înlocuit de cel mai recent certificat al facturii');
+            if (!result.success) {
+                continue;
+            }
+            voided++;
+
+            if (certificate.emag_order_number && certificate.emag_uploaded) {
+                db.prepare('UPDATE certificates SET emag_followup = 1, emag_followup_reason = ? WHERE id = ?').run(
+                    `Certificat duplicat atașat comenzii eMAG ${certificate.emag_order_number} - atașamentul trebuie retras`,
+                    certificate.id
+                );
+            }
+        }
+
+        console.warn(`[Certificates] ${voided} certificat(e) duplicat(e) anulate - rămâne activ cel mai recent certificat al fiecărei facturi`);
+        createActiveCertificateIndex();
+
+        return { voided };
+    }
+
+    /**
+     * Anulează (rollback) o rulare de procesare automată
+     * Șterge certificatele create de rulare (înregistrări, linii de garanție, atașamente, PDF-uri și
+     * referințele eMAG - coada de încărcare, reconcilierea, potrivirile eMAG-first) și readuce
+     * cursorul la factura de la care a pornit rularea
+     * Certificatele anulate de facturile storno din rulare rămân anulate, la fel și versiunile
+     * anterioare înlocuite de rulare (politica new_version / force) - acestea se reemit manual
+     * @param {number} runId - ID-ul rulării
+     * @param {string} username - Utilizatorul care face anularea
+     */
+    rollbackProcessingRun(runId, username) {
+        const fs = require('fs');
+        const run = processingRunsService.getRunById(runId);
+
+        if (!run) {
+            return { success: false, error: 'Rularea nu a fost găsită' };
+        }
+
+        if (run.status === 'rolled_back') {
+            return { success: false, error: 'Rularea a fost deja anulată' };
+        }
+
+        const latest = processingRunsService.getLatestActiveRun();
+        if (!latest || latest.id !== run.id) {
+            return { success: false, error: 'Se poate anula doar ultima rulare - anulați mai întâi rulările ulterioare' };
+        }
+
+        const certificates = run.certificate_ids
+            .map(id => this.getCertificateById(id))
+            .filter(Boolean);
+
+        // Nu ștergem certificate pe care s-a construit deja ceva (reclamații, versiuni noi)
+        for (const certificate of certificates) {
+            const claim = db.prepare('SELECT claim_number FROM claims WHERE certificate_id = ? LIMIT 1').get(certificate.id);
+            if (claim) {
+                return { success: false, error: `Certificatul pentru factura ${certificate.invoice_number} are reclamația ${claim.claim_number} - rularea nu poate fi anulată` };
+            }
+
+            const newerVersion = db.prepare('SELECT id FROM certificates WHERE previous_certificate_id = ? LIMIT 1').get(certificate.id);
+            if (newerVersion) {
+                return { success: false, error: `Certificatul pentru factura ${certificate.invoice_number} a fost reemis - rularea nu poate fi anulată` };
+            }
+        }
+
+        const emagUploaded = [];
+        const supersededCertificates = [];
+
+        for (const certificate of certificates) {
+            if (certificate.previous_certificate_id) {
+                supersededCertificates.push({ id: certificate.previous_certificate_id, invoiceNumber: certificate.invoice_number });
+            }
+
+            attachmentsService.getAttachments('certificate', certificate.id)
+                .forEach(attachment => attachmentsService.deleteAttachment(attachment.id));
+
+            db.prepare('DELETE FROM warranty_lines WHERE certificate_id = ?').run(certificate.id);
+            this._removeEmagRecords(certificate.id);
+            db.prepare('DELETE FROM certificates WHERE id = ?').run(certificate.id);
+
+            if (certificate.pdf_path && fs.existsSync(certificate.pdf_path)) {
+                fs.unlinkSync(certificate.pdf_path);
+            }
+
+            // Atașamentul din eMAG nu poate fi șters prin API - trebuie retras manual
+            if (certificate.emag_uploaded && certificate.emag_order_number) {
+                emagUploaded.push({ invoiceNumber: certificate.invoice_number, emagOrderNumber: certificate.emag_order_number });
+            }
+        }
+
+        this._resetRunCursors(run);
+        processingRunsService.markRolledBack(run.id, username);
+
+        // Rulările pe interval explicit nu mută cursorii, deci nu avem ce reseta
+        const cursorMessage = run.mode === 'range' ?
+            'cursorii seriilor nu au fost modificați' :
+            `ultima factură procesată resetată la ${run.cursor_start}`;
+
+        console.log(`[Certificates] Rulare #${run.id} anulată de ${username || '-'}: ${certificates.length} certificate șterse, ${cursorMessage}`);
+
+        const supersededMessage = supersededCertificates.length > 0 ?
+            `. ${supersededCertificates.length} versiune(i) anterioară(e) înlocuite de rulare rămân anulate` :
+            '';
+
+        return {
+            success: true,
+            message: `Rularea a fost anulată: ${certificates.length} certificat(e) șterse, ${cursorMessage}${supersededMessage}`,
+            deletedCount: certificates.length,
+            lastProcessedInvoice: run.mode === 'range' ? null : run.cursor_start,
+            emagUploaded: emagUploaded,
+            supersededCertificates: supersededCertificates
+        };
+    }
+
+    /**
+     * Șterge referințele eMAG ale unui certificat șters la anularea rulării:
+     * intrările din coada de încărcare (altfel s-ar reîncerca încărcarea unui PDF șters),
+     * rezultatele reconcilierii (cu actualizarea totalurilor rulării de reconciliere)
+     * și potrivirile eMAG-first, care redevin comenzi fără certificat
+     */
+    _removeEmagRecords(certificateId) {
+        db.prepare('DELETE FROM emag_upload_queue WHERE certificate_id = ?').run(certificateId);
+
+        const counterColumns = { ok: 'ok', missing: 'missing', mismatched: 'mismatched', extra: 'extra', error: 'errors' };
+        const items = db.prepare('SELECT id, run_id, status FROM emag_reconciliation_items WHERE certificate_id = ?').all(certificateId);
+        for (const item of items) {
+            const column = counterColumns[item.status];
+            db.prepare(`
+                UPDATE emag_reconciliation_runs
+                SET total = MAX(total - 1, 0)${column ? `, ${column} = MAX(${column} - 1, 0)` : ''}
+                WHERE id = ?
+            `).run(item.run_id);
+            db.prepare('DELETE FROM emag_reconciliation_items WHERE id = ?').run(item.id);
+        }
+
+        db.prepare(`
+            UPDATE emag_order_matches
+            SET status = 'unmatched', certificate_id = NULL, message = 'Certificatul potrivit a fost șters la anularea rulării de procesare'
+            WHERE certificate_id = ?
+        `).run(certificateId);
+    }
+
+    /**
+     * Readuce cursorul fiecărei serii la valoarea de dinaintea rulării
+     */
+    _resetRunCursors(run) {
+        // Rulările vechi aveau un singur cursor (identificatorul complet al facturii)
+        if (!run.cursors) {
+            this.setLastProcessedInvoice(run.cursor_start);
+            return;
+        }
+
+        for (const cursor of run.cursors) {
+            const series = invoiceSeriesService.getSeriesByName(cursor.series);
+            if (series) {
+                invoiceSeriesService.setCursor(series.id, cursor.start);
+            }
+        }
+    }
+
+    /**
+     * Reemite un certificat cu date corectate
+     * Creează o versiune nouă legată de cea anterioară, cu serie nouă, și anulează versiunea veche
+     * @param {number} id - ID-ul certificatului care se corectează
+     * @param {Object} changes - { clientName, invoiceDate, isVatPayer, products, minVoltage, reason }
+     */
+    async reissueCertificate(id, changes = {}) {
+        const previous = this.getCertificateById(id);
+
+        if (!previous) {
+            return { success: false, error: 'Certificatul nu a fost găsit' };
+        }
+
+        if (previous.status === 'voided') {
+            return { success: false, error: 'Certificatul a fost anulat. Reemiteți ultima versiune activă.' };
+        }
+
+        let previousProducts = [];
+        try {
+            previousProducts = JSON.parse(previous.products_json || '[]');
+        } catch (e) {
+            previousProducts = [];
+        }
+
+        const products = Array.isArray(changes.products) && changes.products.length > 0
+            ? changes.products
+            : previousProducts;
+
+        if (products.length === 0) {
+            return { success: false, error: 'Certificatul trebuie să conțină cel puțin un produs' };
+        }
+
+        const isVatPayer = changes.isVatPayer !== undefined ? !!changes.isVatPayer : previous.client_is_vat_payer === 1;
+
+        // Tensiunea minimă nu este stocată - o luăm din nomenclator după primul produs
+        let minVoltage = changes.minVoltage || '';
+        if (!minVoltage && products[0]?.code) {
+            const localProduct = productsService.getProductByCode(products[0].code);
+            minVoltage = localProduct?.voltage_min || '';
+        }
+
+        const newVersion = this._getNextVersion(previous.invoice_number);
+
+        const certificateData = {
+            clientName: changes.clientName || previous.client_name,
+            invoiceNumber: previous.invoice_number,
+            invoiceDate: changes.invoiceDate || previous.invoice_date,
+            products: products,
+            minVoltage: minVoltage,
+            isVatPayer: isVatPayer,
+            emagOrderNumber: previous.emag_order_number
+        };
+
+        // Generăm versiunea nouă înainte de a anula versiunea veche
+        const pdfBuffer = await this._generateCertificatePdf(certificateData);
+        const serialNumber = certificateData.serialNumber;
+        const savedPdf = await pdfService.savePdf(pdfBuffer, previous.invoice_number, newVersion);
+
+        const emagMarketplace = previous.emag_marketplace || constants.EMAG.DEFAULT_MARKETPLACE;
+        const marketplaceService = emagService.forMarketplace(emagMarketplace);
+
+        // Versiunea nouă se salvează și cea veche se anulează în aceeași tranzacție
+        const newId = await this._saveCertificateVersion({
+            invoiceNumber: previous.invoice_number,
+            invoiceDate: certificateData.invoiceDate,
+            clientName: certificateData.clientName,
+            isVatPayer: isVatPayer,
+            products: products,
+            emagOrderNumber: previous.emag_order_number,
+            emagMarketplace: emagMarketplace,
+            emagUploaded: false,
+            pdfPath: savedPdf.path,
+            serialNumber: serialNumber,
+            version: newVersion,
+            previousCertificateId: previous.id,
+            invoiceTotal: previous.invoice_total,
+            invoiceCurrency: previous.invoice_currency
+        }, changes.reason || `Reemis ca versiunea ${newVersion}`);
+
+        // Încărcăm noua versiune în eMAG dacă certificatul vechi era legat de o comandă
+        let emagUploaded = false;
+        let emagError = null;
+        const documentName = `Certificat Garantie ${previous.invoice_number} v${newVersion}`;
+
+        if (previous.emag_order_number && marketplaceService.isConfigured()) {
+            try {
+                const pdfUrl = `${constants.PUBLIC_URL}/public/certificates/${savedPdf.filename}`;
+
+                const uploadResult = await marketplaceService.uploadWarrantyForOrder(
+                    previous.emag_order_number,
+                    pdfUrl,
+                    documentName,
+                    emagProductMappingsService.getWarrantyCodes(products)
+                );
+                emagUploaded = uploadResult.success;
+                if (!uploadResult.success) {
+                    emagError = uploadResult.error;
+                } else {
+                    db.prepare('UPDATE certificates SET emag_uploaded = 1 WHERE id = ?').run(newId);
+                }
+            } catch (error) {
+                emagError = error.message;
+            }
+        }
+
+        const emagQueued = this._queueFailedUpload(newId, previous.emag_order_number, emagMarketplace, emagUploaded, emagError, documentName);
+
+        console.log(`[Certificates] Certificat reemis: ${previous.invoice_number} v${newVersion} (${serialNumber})`);
+
+        return {
+            success: true,
+            generated: true,
+            certificateId: newId,
+            previousCertificateId: previous.id,
+            version: newVersion,
+            invoiceNumber: previous.invoice_number,
+            serialNumber: serialNumber,
+            clientName: certificateData.clientName,
+            productsCount: products.length,
+            pdfPath: savedPdf.path,
+            pdfFilename: savedPdf.filename,
+            emagOrderNumber: previous.emag_order_number,
+            emagUploaded: emagUploaded,
+            emagError: emagError,
+            emagQueued: emagQueued
+        };
+    }
+
+    /**
+     * Pune în coada de reîncercare încărcarea eMAG eșuată a unui certificat
+     * (doar dacă încărcarea a fost încercată - comandă eMAG și marketplace configurat)
+     * @returns {boolean} true dacă încărcarea a intrat în coadă
+     */
+    _queueFailedUpload(certificateId, emagOrderNumber, emagMarketplace, emagUploaded, emagError, documentName) {
+        if (!emagOrderNumber || emagUploaded || !emagService.forMarketplace(emagMarketplace).isConfigured()) {
+            return false;
+        }
+
+        emagUploadsService.enqueue({
+            certificateId,
+            emagOrderNumber,
+            documentName,
+            error: emagError
+        });
+        return true;
+    }
+
+    /**
+     * Marketplace-ul eMAG al comenzii de pe factură (vezi EmagService.detectMarketplace)
+     * Facturile fără comandă eMAG primesc marketplace-ul implicit
+     */
+    _detectEmagMarketplace(emagOrderNumber, text, currency) {
+        if (!emagOrderNumber) {
+            return constants.EMAG.DEFAULT_MARKETPLACE;
+        }
+
+        const detected = emagService.detectMarketplace({ text, currency });
+        console.log(`[Certificates] Comanda eMAG ${emagOrderNumber}: marketplace ${detected.marketplace} (${detected.source})`);
+        return detected.marketplace;
+    }
+
+    /**
+     * Normalizează politica de idempotență (lipsă sau necunoscută -> politica implicită)
+     */
+    normalizeIdempotencyPolicy(policy) {
+        const { POLICIES, DEFAULT_POLICY } = constants.CERTIFICATE_IDEMPOTENCY;
+        return Object.prototype.hasOwnProperty.call(POLICIES, policy) ? policy : DEFAULT_POLICY;
+    }
+
+    /**
+     * Certificatul activ al unei facturi (cel mult unul - vezi idx_certificates_active_invoice)
+     */
+    getActiveCertificate(invoiceNumber) {
+        const stmt = db.prepare(`
+            SELECT * FROM certificates
+            WHERE invoice_number = ? AND (status IS NULL OR status != 'voided')
+            ORDER BY id DESC LIMIT 1
+        `);
+        return stmt.get(invoiceNumber);
+    }
+
+    /**
+     * Decide ce facem cu o factură înainte de generare, după politica de idempotență:
+     * - skip: factura care are deja certificat activ este omisă (implicit)
+     * - new_version: se emite o versiune nouă doar dacă s-a schimbat conținutul certificatului
+     * - force: se emite mereu o versiune nouă
+     * Versiunea nouă anulează certificatul activ, deci factura rămâne cu un singur certificat activ
+     * @returns {Object} { policy, action: 'created' | 'skipped' | 'new_version', existingCertificate, changed, message }
+     */
+    _resolveIdempotency(invoiceNumber, policy, products, isVatPayer) {
+        policy = this.normalizeIdempotencyPolicy(policy);
+        const existing = this.getActiveCertificate(invoiceNumber);
+
+        if (!existing) {
             return {
-                series: separatorMatch[1],
-                number: separatorMatch[2]
+                policy,
+                action: 'created',
+                existingCertificate: null,
+                changed: null,
+                message: `Certificat nou pentru factura ${invoiceNumber}`
             };
         }
 
-        // Dacă e doar un număr, presupunem seria implicită PK
-        if (/^\d+$/.test(identifier)) {
-            console.log(`[Parser] Doar număr detectat, folosim seria PK: Număr=${identifier}`);
+        const changed = this._hasCertificateChanged(existing, products, isVatPayer);
+        const existingCertificate = {
+            id: existing.id,
+            serialNumber: existing.serial_number,
+            version: existing.version || 1,
+            createdAt: existing.created_at
+        };
+        const label = existing.serial_number || `#${existing.id}`;
+
+        if (policy === 'skip' || (policy === 'new_version' && !changed)) {
             return {
-                series: 'PK',
-                number: identifier
+                policy,
+                action: 'skipped',
+                existingCertificate,
+                changed,
+                message: policy === 'skip' ?
+                    `Factura ${invoiceNumber} are deja certificatul activ ${label} - omisă` :
+                    `Factura ${invoiceNumber} are deja certificatul activ ${label} cu același conținut - omisă`
             };
         }
 
-        console.log(`[Parser] Format nerecunoscut: ${identifier}`);
-        return { series: null, number: null };
+        return {
+            policy,
+            action: 'new_version',
+            existingCertificate,
+            changed,
+            message: `Versiune nouă pentru factura ${invoiceNumber}, înlocuiește certificatul ${label}${changed ? '' : ' (conținut identic, forțat)'}`
+        };
+    }
+
+    /**
+     * Compară conținutul unui certificat existent cu produsele noi
+     * Comparăm doar ce apare pe certificat: produs, cantitate, luni de garanție și tipul clientului
+     */
+    _hasCertificateChanged(existing, products, isVatPayer) {
+        let existingProducts = [];
+        try {
+            existingProducts = JSON.parse(existing.products_json || '[]');
+        } catch (e) {
+            // Lista coruptă - o considerăm diferită
+        }
+
+        const signature = list => JSON.stringify(list
+            .map(p => [p.code || p.name, parseInt(p.quantity, 10) || 1, parseInt(p.warrantyMonths, 10) || 0])
+            .sort());
+
+        return signature(existingProducts) !== signature(products) ||
+            !!existing.client_is_vat_payer !== !!isVatPayer;
+    }
+
+    /**
+     * Generează PDF-ul cu seria următoare și rezervă seria abia după generare,
+     * astfel încât o generare eșuată nu consumă un număr din secvență
+     * Dacă seria a fost luată între timp de alt certificat, PDF-ul se regenerează cu seria următoare
+     * Completează serialNumber și verificationUrl în certificateData
+     * @returns {Promise<Buffer>} PDF-ul certificatului
+     */
+    async _generateCertificatePdf(certificateData) {
+        for (let attempt = 0; attempt < 3; attempt++) {
+            const serialNumber = certificateSerialsService.peekNextSerial();
+            certificateData.serialNumber = serialNumber;
+            certificateData.verificationUrl = certificateSerialsService.getVerificationUrl(serialNumber);
+
+            const pdfBuffer = await pdfService.generateCertificate(certificateData);
+            if (certificateSerialsService.claimSerial(serialNumber)) {
+                return pdfBuffer;
+            }
+        }
+
+        throw new Error('Seria certificatului nu a putut fi alocată (prea multe generări simultane)');
+    }
+
+    /**
+     * Următoarea versiune pentru o factură (continuă numerotarea tuturor certificatelor facturii)
+     */
+    _getNextVersion(invoiceNumber) {
+        const stmt = db.prepare('SELECT MAX(version) as max_version FROM certificates WHERE invoice_number = ?');
+        return (stmt.get(invoiceNumber)?.max_version || 1) + 1;
+    }
+
+    /**
+     * Previzualizarea certificatului la simulare, comparată cu certificatul activ al facturii (dacă există)
+     * @param {Object} idempotency - Decizia luată pentru factură (vezi _resolveIdempotency)
+     * @param {string} emagMarketplace - Marketplace-ul eMAG detectat pentru factură (vezi _detectEmagMarketplace)
+     */
+    _buildDryRunPreview(invoiceNumber, invoiceData, matchedProducts, productsWithWarranty, minVoltage, idempotency, emagMarketplace) {
+        const isVatPayer = invoiceData.isVatPayer;
+        const invoiceDate = invoiceData.invoiceDate || this._formatDate(new Date().toISOString());
+        const startDate = warrantiesService.parseInvoiceDate(invoiceDate);
+        const emagOrderNumber = invoiceData.emagOrderNumber || null;
+
+        const products = productsWithWarranty.map(product => ({
+            ...product,
+            warrantyEndDate: startDate ? warrantiesService.toIsoDate(warrantiesService.addMonths(startDate, product.warrantyMonths || 0)) : null
+        }));
+
+        return {
+            success: true,
+            generated: false,
+            dryRun: true,
+            wouldGenerate: idempotency.action !== 'skipped',
+            message: idempotency.message,
+            idempotency: idempotency,
+            invoiceNumber: invoiceNumber,
+            clientName: invoiceData.clientName || 'Client',
+            clientType: isVatPayer ? 'PJ' : 'PF',
+            invoiceDate: invoiceDate,
+            productsCount: products.length,
+            products: products,
+            minVoltage: minVoltage,
+            emagOrderNumber: emagOrderNumber,
+            emagMarketplace: emagMarketplace,
+            wouldUploadToEmag: !!(emagOrderNumber && emagService.forMarketplace(emagMarketplace).isConfigured()),
+            existingCertificate: idempotency.existingCertificate,
+            changedFromExisting: idempotency.changed,
+            unmatchedProducts: matchedProducts.filter(p => !p.matched),
+            extractedData: {
+                rawProducts: invoiceData.products,
+                matchedProducts: matchedProducts,
+                rawTextPreview: invoiceData.rawText ? invoiceData.rawText.substring(0, 2000) : null
+            }
+        };
+    }
+
+    /**
+     * Parsează identificatorul facturii
+     * Suportă mai multe formate:
+     * - "PK202124601" -> Serie: PK2021, Nr: 24601 (dacă seria conține anul)
+     * - "PK24601" -> Serie: PK, Nr: 24601
+     * - "PKF0001234" -> Serie: PKF, Nr: 0001234
+     * - "24601" -> Serie: prima serie activă, Nr: 24601
+     */
+    _parseInvoiceIdentifier(identifier) {
+        return invoiceSeriesService.parseIdentifier(identifier);
     }
 
     /**
@@ -696,6 +2176,18 @@ class CertificatesService {
         return `${day}.${month}.${year}`;
     }
 
+    /**
+     * Maschează un nume pentru afișare publică: "Ion Popescu" -> "I** P******"
+     */
+    _maskName(name) {
+        if (!name) return '';
+        return String(name)
+            .trim()
+            .split(/\s+/)
+            .map(word => word.charAt(0) + '*'.repeat(Math.max(word.length - 1, 1)))
+            .join(' ');
+    }
+
     /**
      * Obține data de start implicită (30 zile în urmă)
      */
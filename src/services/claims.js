@@ -0,0 +1,332 @@
+/**
+ * Serviciu pentru reclamațiile în garanție (RMA)
+ * O reclamație este deschisă pe un certificat și pe un anumit produs (linie de garanție)
+ * Flux: recepționată -> diagnosticată -> reparată / înlocuită / rambursată -> închisă
+ */
+
+const { db } = require('../config/database');
+const warrantiesService = require('./warranties');
+const constants = require('../config/constants');
+
+const { STATUSES, TRANSITIONS, DEFECT_CATEGORIES } = constants.CLAIMS;
+
+class ClaimsService {
+    /**
+     * Listă reclamații, cu filtre opționale
+     * @param {Object} filters - { status, search, certificateId }
+     */
+    getClaims(filters = {}) {
+        const where = [];
+        const params = [];
+
+        if (filters.status) {
+            if (filters.status === 'open') {
+                where.push("status != 'closed'");
+            } else {
+                where.push('status = ?');
+                params.push(filters.status);
+            }
+        }
+
+        if (filters.certificateId) {
+            where.push('certificate_id = ?');
+            params.push(filters.certificateId);
+        }
+
+        if (filters.search) {
+            where.push('(claim_number LIKE ? OR invoice_number LIKE ? OR client_name LIKE ? OR product_name LIKE ?)');
+            const term = `%${filters.search}%`;
+            params.push(term, term, term, term);
+        }
+
+        const stmt = db.prepare(`
+            SELECT * FROM claims
+            ${where.length > 0 ? 'WHERE ' + where.join(' AND ') : ''}
+            ORDER BY created_at DESC, id DESC
+        `);
+        return stmt.all(...params);
+    }
+
+    /**
+     * Obține o reclamație după ID
+     */
+    getClaimById(id) {
+        const stmt = db.prepare('SELECT * FROM claims WHERE id = ?');
+        return stmt.get(id);
+    }
+
+    /**
+     * Detaliile complete ale unei reclamații: certificat, istoric, statusuri următoare
+     */
+    getClaimDetails(id) {
+        const claim = this.getClaimById(id);
+        if (!claim) {
+            return null;
+        }
+
+        const certificateStmt = db.prepare('SELECT * FROM certificates WHERE id = ?');
+        const certificate = certificateStmt.get(claim.certificate_id);
+
+        return {
+            claim,
+            certificate,
+            events: this.getClaimEvents(id),
+            nextStatuses: TRANSITIONS[claim.status] || []
+        };
+    }
+
+    /**
+     * Istoricul unei reclamații (note și schimbări de status)
+     */
+    getClaimEvents(claimId) {
+        const stmt = db.prepare('SELECT * FROM claim_events WHERE claim_id = ? ORDER BY created_at ASC, id ASC');
+        return stmt.all(claimId);
+    }
+
+    /**
+     * Caută certificate active (după factură, serie, client sau comandă eMAG)
+     * împreună cu liniile de garanție, pentru deschiderea unei reclamații
+     */
+    findCertificatesForClaim(query) {
+        const term = `%${String(query || '').trim()}%`;
+
+        const stmt = db.prepare(`
+            SELECT * FROM certificates
+            WHERE (status IS NULL OR status != 'voided')
+              AND (invoice_number LIKE ? OR serial_number LIKE ? OR client_name LIKE ? OR emag_order_number LIKE ?)
+            ORDER BY created_at DESC
+            LIMIT 20
+        `);
+        const certificates = stmt.all(term, term, term, term);
+
+        return certificates.map(certificate => ({
+            ...certificate,
+            warrantyLines: warrantiesService.getLinesForCertificate(certificate.id)
+        }));
+    }
+
+    /**
+     * Deschide o reclamație nouă
+     * @param {Object} data - { certificateId, warrantyLineId, defectCategory, description, reportedAt, contactPhone, contactEmail }
+     * @param {string} username - Utilizatorul care înregistrează reclamația
+     */
+    createClaim(data, username) {
+        const certificateStmt = db.prepare('SELECT * FROM certificates WHERE id = ?');
+        const certificate = certificateStmt.get(data.certificateId);
+
+        if (!certificate) {
+            throw new Error('Certificatul nu a fost găsit');
+        }
+        if (certificate.status === 'voided') {
+            throw new Error('Nu se poate deschide o reclamație pe un certificat anulat');
+        }
+
+        const lineStmt = db.prepare('SELECT * FROM warranty_lines WHERE id = ? AND certificate_id = ?');
+        const line = lineStmt.get(data.warrantyLineId, certificate.id);
+
+        if (!line) {
+            throw new Error('Produsul selectat nu aparține certificatului');
+        }
+
+        if (!DEFECT_CATEGORIES[data.defectCategory]) {
+            throw new Error('Categoria defectului este invalidă');
+        }
+
+        const reportedAt = data.reportedAt || warrantiesService.toIsoDate(new Date());
+        const warranty = this.computeWarranty(certificate.invoice_date, line.warranty_months, reportedAt);
+
+        const stmt = db.prepare(`
+            INSERT INTO claims (
+                certificate_id, warranty_line_id, invoice_number, product_code, product_name,
+                client_name, contact_phone, contact_email, defect_category, description,
+                status, reported_at, warranty_end_date, in_warranty, created_by
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'received', ?, ?, ?, ?)
+        `);
+        const result = stmt.run(
+            certificate.id,
+            line.id,
+            certificate.invoice_number,
+            line.product_code,
+            line.product_name,
+            certificate.client_name,
+            data.contactPhone || null,
+            data.contactEmail || null,
+            data.defectCategory,
+            data.description || null,
+            reportedAt,
+            warranty.endDate,
+            warranty.inWarranty ? 1 : 0,
+            username || null
+        );
+
+        const claimId = result.lastInsertRowid;
+        const claimNumber = this._formatClaimNumber(claimId, reportedAt);
+        db.prepare('UPDATE claims SET claim_number = ? WHERE id = ?').run(claimNumber, claimId);
+
+        this._addEvent(claimId, {
+            eventType: 'status',
+            statusTo: 'received',
+            note: warranty.inWarranty ? 'Reclamație înregistrată (în garanție)' : 'Reclamație înregistrată (în afara garanției)',
+            username
+        });
+
+        console.log(`[Claims] Reclamație ${claimNumber} deschisă pentru ${certificate.invoice_number} - ${line.product_name}`);
+        return this.getClaimById(claimId);
+    }
+
+    /**
+     * Actualizează detaliile unei reclamații (categorie, descriere, contact, rezoluție)
+     */
+    updateClaim(id, data) {
+        const claim = this.getClaimById(id);
+        if (!claim) {
+            throw new Error('Reclamația nu a fost găsită');
+        }
+
+        if (data.defectCategory !== undefined && !DEFECT_CATEGORIES[data.defectCategory]) {
+            throw new Error('Categoria defectului este invalidă');
+        }
+
+        const stmt = db.prepare(`
+            UPDATE claims
+            SET defect_category = COALESCE(?, defect_category),
+                description = COALESCE(?, description),
+                contact_phone = COALESCE(?, contact_phone),
+                contact_email = COALESCE(?, contact_email),
+                resolution = COALESCE(?, resolution),
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `);
+        stmt.run(
+            data.defectCategory ?? null,
+            data.description ?? null,
+            data.contactPhone ?? null,
+            data.contactEmail ?? null,
+            data.resolution ?? null,
+            id
+        );
+
+        return this.getClaimById(id);
+    }
+
+    /**
+     * Schimbă statusul unei reclamații (doar tranzițiile permise)
+     */
+    changeStatus(id, newStatus, note, username) {
+        const claim = this.getClaimById(id);
+        if (!claim) {
+            throw new Error('Reclamația nu a fost găsită');
+        }
+
+        const allowed = TRANSITIONS[claim.status] || [];
+        if (!allowed.includes(newStatus)) {
+            throw new Error(`Nu se poate trece din "${STATUSES[claim.status] || claim.status}" în "${STATUSES[newStatus] || newStatus}"`);
+        }
+
+        const stmt = db.prepare(`
+            UPDATE claims
+            SET status = ?,
+                updated_at = CURRENT_TIMESTAMP,
+                closed_at = CASE WHEN ? = 'closed' THEN CURRENT_TIMESTAMP ELSE closed_at END
+            WHERE id = ?
+        `);
+        stmt.run(newStatus, newStatus, id);
+
+        this._addEvent(id, {
+            eventType: 'status',
+            statusFrom: claim.status,
+            statusTo: newStatus,
+            note,
+            username
+        });
+
+        console.log(`[Claims] ${claim.claim_number}: ${claim.status} -> ${newStatus}`);
+        return this.getClaimById(id);
+    }
+
+    /**
+     * Adaugă o notă în istoricul reclamației
+     */
+    addNote(id, note, username) {
+        const claim = this.getClaimById(id);
+        if (!claim) {
+            throw new Error('Reclamația nu a fost găsită');
+        }
+
+        this._addEvent(id, { eventType: 'note', note, username });
+        db.prepare('UPDATE claims SET updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(id);
+
+        return this.getClaimEvents(id);
+    }
+
+    /**
+     * Statistici pentru pagina modulului
+     */
+    getStats() {
+        const stmt = db.prepare('SELECT status, COUNT(*) as count FROM claims GROUP BY status');
+        const stats = { total: 0, open: 0 };
+
+        for (const row of stmt.all()) {
+            stats[row.status] = row.count;
+            stats.total += row.count;
+            if (row.status !== 'closed') {
+                stats.open += row.count;
+            }
+        }
+
+        return stats;
+    }
+
+    /**
+     * Calculează dacă defectul raportat intră în garanție
+     * Garanția începe la data facturii și durează numărul de luni din certificat
+     * @param {string} invoiceDate - Data facturii (dd.mm.yyyy)
+     * @param {number} warrantyMonths - Luni de garanție
+     * @param {string} reportedAt - Data raportării defectului (yyyy-mm-dd)
+     * @returns {Object} { endDate, inWarranty }
+     */
+    computeWarranty(invoiceDate, warrantyMonths, reportedAt) {
+        const startDate = warrantiesService.parseInvoiceDate(invoiceDate);
+        if (!startDate) {
+            return { endDate: null, inWarranty: false };
+        }
+
+        const endDate = warrantiesService.toIsoDate(warrantiesService.addMonths(startDate, parseInt(warrantyMonths, 10) || 0));
+
+        return {
+            endDate,
+            inWarranty: reportedAt <= endDate
+        };
+    }
+
+    /**
+     * Numărul reclamației: RMA-AN-ID (ex: RMA-2026-00042)
+     */
+    _formatClaimNumber(id, reportedAt) {
+        const year = String(reportedAt).slice(0, 4);
+        return `${constants.CLAIMS.NUMBER_PREFIX}-${year}-${String(id).padStart(5, '0')}`;
+    }
+
+    /**
+     * Înregistrează un eveniment în istoricul reclamației
+     */
+    _addEvent(claimId, event) {
+        const stmt = db.prepare(`
+            INSERT INTO claim_events (claim_id, event_type, status_from, status_to, note, username)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `);
+        stmt.run(
+            claimId,
+            event.eventType,
+            event.statusFrom || null,
+            event.statusTo || null,
+            event.note || null,
+            event.username || null
+        );
+    }
+}
+
+// Singleton instance
+const claimsService = new ClaimsService();
+
+module.exports = claimsService;
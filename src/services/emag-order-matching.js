@@ -0,0 +1,547 @@
+/**
+ * Serviciu pentru modul eMAG-first: sursa legăturii certificat - comandă este eMAG, nu textul facturii
+ * Legătura normală depinde de mențiunea "Comanda Emag nr." pe factură (EMAG_ORDER_PATTERN); dacă operatorul
+ * o uită, comanda nu primește niciodată garanția. Aici citim comenzile finalizate din eMAG (/order/read)
+ * și le potrivim cu certificatele facturilor SmartBill fără comandă, după client, dată și valoare
+ *
+ * Rezultate per comandă (emag_order_matches):
+ * - linked: un certificat are deja comanda (din factură)
+ * - matched: un singur certificat potrivit - comanda este legată și certificatul pus în coada de încărcare
+ * - ambiguous: mai multe certificate potrivite - se leagă manual
+ * - unmatched: niciun certificat (factura nu a fost încă procesată sau datele diferă)
+ * Comenzile ambiguous / unmatched fără nicio garanție atașată în eMAG sunt semnalate
+ *
+ * SmartBill nu are endpoint pentru listare facturi, de aceea potrivirea se face cu certificatele generate
+ */
+
+const { db } = require('../config/database');
+const constants = require('../config/constants');
+const emagService = require('./emag');
+const emagUploadsService = require('./emag-uploads');
+const warrantiesService = require('./warranties');
+
+const MATCHING = constants.EMAG_ORDER_MATCHING;
+const CONFIG_KEY = 'emag_order_matching_config';
+const LAST_RUN_KEY = 'emag_order_matching_last_run';
+
+// Formele juridice nu contează la compararea numelui clientului
+const IGNORED_NAME_TOKENS = ['sc', 'srl', 'sa', 'pfa', 'ii', 'if', 'srld'];
+
+class EmagOrderMatchingService {
+    constructor() {
+        this.timer = null;
+        this.running = false;
+    }
+
+    /**
+     * Pornește potrivirea periodică (apelat la pornirea serverului)
+     * Rularea programată are loc doar dacă modul eMAG-first este activat
+     */
+    start() {
+        if (this.timer) return;
+
+        this.timer = setInterval(() => {
+            if (!this.getConfig().enabled) return;
+            this.matchOrders().catch(error => console.error('[eMAG First] Eroare:', error.message));
+        }, MATCHING.INTERVAL_HOURS * 60 * 60 * 1000);
+
+        // Nu ținem procesul în viață doar pentru potrivire
+        this.timer.unref();
+
+        const config = this.getConfig();
+        console.log(`[eMAG First] Pornit (${config.enabled ? `activ, la fiecare ${MATCHING.INTERVAL_HOURS} ore, comenzile din ultimele ${config.days} zile` : 'dezactivat'})`);
+    }
+
+    /**
+     * Oprește potrivirea periodică
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    isRunning() {
+        return this.running;
+    }
+
+    /**
+     * Obține configurarea curentă (cu valorile implicite pentru câmpurile lipsă)
+     */
+    getConfig() {
+        const defaults = {
+            enabled: false,
+            days: MATCHING.DAYS
+        };
+
+        const stored = this._readJson(CONFIG_KEY);
+        return stored ? { ...defaults, ...stored } : defaults;
+    }
+
+    /**
+     * Actualizează configurarea (doar câmpurile primite)
+     */
+    updateConfig(data) {
+        const config = this.getConfig();
+
+        if (data.enabled !== undefined) {
+            config.enabled = data.enabled === true || data.enabled === 'true';
+        }
+
+        if (data.days !== undefined) {
+            const days = parseInt(data.days, 10);
+            if (isNaN(days) || days < 1 || days > MATCHING.MAX_DAYS) {
+                throw new Error(`Numărul de zile trebuie să fie între 1 și ${MATCHING.MAX_DAYS}`);
+            }
+            config.days = days;
+        }
+
+        this._writeJson(CONFIG_KEY, config);
+        console.log(`[eMAG First] Configurare actualizată: ${JSON.stringify(config)}`);
+
+        return config;
+    }
+
+    getLastRun() {
+        return this._readJson(LAST_RUN_KEY);
+    }
+
+    /**
+     * Citește comenzile finalizate din ultimele N zile, pe fiecare marketplace configurat,
+     * și le potrivește cu certificatele fără comandă eMAG
+     * @param {Object} options - { days }
+     * @returns {Object} Sumarul rulării (salvat și ca ultima rulare)
+     */
+    async matchOrders(options = {}) {
+        if (this.running) {
+            throw new Error('Potrivirea comenzilor eMAG rulează deja');
+        }
+        this.running = true;
+
+        const summary = {
+            startedAt: new Date().toISOString(),
+            finishedAt: null,
+            days: parseInt(options.days, 10) || this.getConfig().days,
+            orders: 0,
+            linked: 0,
+            matched: 0,
+            ambiguous: 0,
+            unmatched: 0,
+            flagged: 0,
+            errors: 0,
+            error: null
+        };
+
+        try {
+            if (!emagService.getAll().some(service => service.isConfigured())) {
+                await emagService.initialize(process.env.ENCRYPTION_KEY);
+            }
+            const services = emagService.getAll().filter(service => service.isConfigured());
+            if (services.length === 0) {
+                summary.error = 'Serviciul eMAG nu este configurat';
+                return summary;
+            }
+
+            const createdAfter = this._formatEmagDate(new Date(Date.now() - summary.days * 24 * 60 * 60 * 1000));
+
+            for (const service of services) {
+                const ordersResult = await this._readFinalizedOrders(service, createdAfter);
+                if (!ordersResult.success) {
+                    console.warn(`[eMAG First] Comenzile ${service.label} nu au putut fi citite:`, ordersResult.error);
+                    summary.errors++;
+                    continue;
+                }
+
+                for (const order of ordersResult.orders) {
+                    try {
+                        const result = await this._matchOrder(service, order);
+                        summary.orders++;
+                        summary[result.status]++;
+                        if (result.flagged) {
+                            summary.flagged++;
+                        }
+                    } catch (error) {
+                        console.error(`[eMAG First] Eroare la comanda ${order.id}:`, error.message);
+                        summary.errors++;
+                    }
+                }
+            }
+
+            console.log(`[eMAG First] ${summary.orders} comenzi: ${summary.matched} potrivite, ${summary.ambiguous} ambigue, ${summary.unmatched} fără factură (${summary.flagged} semnalate)`);
+            return summary;
+        } catch (error) {
+            summary.error = error.message;
+            throw error;
+        } finally {
+            summary.finishedAt = new Date().toISOString();
+            this._writeJson(LAST_RUN_KEY, summary);
+            this.running = false;
+        }
+    }
+
+    /**
+     * Comenzile citite la ultima potrivire, cu certificatul legat
+     * @param {Object} filters - { status, flagged, limit }
+     *   flagged: doar comenzile ambigue / fără factură care nu au nicio garanție în eMAG
+     */
+    getOrders(filters = {}) {
+        let sql = `
+            SELECT m.*, c.invoice_number, c.serial_number, c.client_name, c.emag_uploaded
+            FROM emag_order_matches m
+            LEFT JOIN certificates c ON c.id = m.certificate_id
+            WHERE 1 = 1
+        `;
+        const params = [];
+
+        if (filters.flagged) {
+            sql += ` AND m.status IN ('ambiguous', 'unmatched') AND m.has_warranty = 0`;
+        }
+        if (filters.status) {
+            sql += ' AND m.status = ?';
+            params.push(filters.status);
+        }
+
+        sql += ' ORDER BY m.order_date DESC LIMIT ?';
+        params.push(filters.limit || 500);
+
+        return db.prepare(sql).all(...params);
+    }
+
+    /**
+     * Numărul comenzilor pe fiecare status și al celor semnalate
+     */
+    getCounts() {
+        const counts = { linked: 0, matched: 0, ambiguous: 0, unmatched: 0, flagged: 0 };
+        const rows = db.prepare('SELECT status, has_warranty, COUNT(*) AS count FROM emag_order_matches GROUP BY status, has_warranty').all();
+
+        for (const row of rows) {
+            counts[row.status] = (counts[row.status] || 0) + row.count;
+            if ((row.status === 'ambiguous' || row.status === 'unmatched') && !row.has_warranty) {
+                counts.flagged += row.count;
+            }
+        }
+        return counts;
+    }
+
+    /**
+     * Leagă manual o comandă ambiguă / fără factură de certificatul activ al unei facturi
+     * și pune certificatul în coada de încărcare eMAG
+     * @param {number} id - ID-ul din emag_order_matches
+     * @param {string} invoiceNumber - Factura aleasă (ex: PK202124601)
+     */
+    linkOrder(id, invoiceNumber) {
+        const match = db.prepare('SELECT * FROM emag_order_matches WHERE id = ?').get(id);
+        if (!match) {
+            throw new Error('Comanda nu a fost găsită');
+        }
+        if (match.status === 'linked' || match.status === 'matched') {
+            throw new Error(`Comanda ${match.order_id} este deja legată de un certificat`);
+        }
+
+        const certificate = db.prepare(`
+            SELECT * FROM certificates
+            WHERE invoice_number = ? AND (status IS NULL OR status != 'voided')
+        `).get(String(invoiceNumber || '').trim());
+        if (!certificate) {
+            throw new Error(`Factura ${invoiceNumber} nu are un certificat activ`);
+        }
+        if (certificate.emag_order_number) {
+            throw new Error(`Certificatul facturii ${certificate.invoice_number} este deja legat de comanda ${certificate.emag_order_number}`);
+        }
+
+        this._linkCertificate(certificate.id, match.marketplace, match.order_id);
+        db.prepare(`
+            UPDATE emag_order_matches SET status = 'matched', certificate_id = ?, message = ? WHERE id = ?
+        `).run(certificate.id, `Legată manual de factura ${certificate.invoice_number}`, id);
+
+        return { success: true, message: `Comanda ${match.order_id} a fost legată de factura ${certificate.invoice_number}` };
+    }
+
+    /**
+     * Potrivește o comandă și salvează rezultatul
+     * @returns {Object} { status, flagged }
+     */
+    async _matchOrder(service, order) {
+        const orderId = String(order.id);
+        const marketplace = service.marketplace;
+        const existing = db.prepare('SELECT * FROM emag_order_matches WHERE marketplace = ? AND order_id = ?').get(marketplace, orderId);
+
+        const row = {
+            marketplace,
+            orderId,
+            orderDate: order.date || null,
+            customerName: this._getCustomerNames(order)[0] || null,
+            orderTotal: this.getOrderTotal(order),
+            currency: order.currency || null,
+            status: null,
+            certificateId: null,
+            hasWarranty: false,
+            message: null
+        };
+
+        const linked = db.prepare(`
+            SELECT id, invoice_number FROM certificates
+            WHERE emag_order_number = ? AND COALESCE(emag_marketplace, ?) = ?
+              AND (status IS NULL OR status != 'voided')
+            ORDER BY id DESC
+        `).get(orderId, constants.EMAG.DEFAULT_MARKETPLACE, marketplace);
+
+        if (linked) {
+            // O comandă potrivită la o rulare anterioară rămâne "matched"
+            row.status = existing && existing.status === 'matched' ? 'matched' : 'linked';
+            row.certificateId = linked.id;
+            row.hasWarranty = true;
+            row.message = existing && existing.status === 'matched' ? existing.message : `Factura ${linked.invoice_number}`;
+            this._saveMatch(row);
+            return { status: 'linked', flagged: false };
+        }
+
+        const candidates = this.findCandidates(order);
+
+        if (candidates.length === 1) {
+            const certificate = candidates[0];
+            this._linkCertificate(certificate.id, marketplace, orderId);
+
+            row.status = 'matched';
+            row.certificateId = certificate.id;
+            row.message = `Potrivită cu factura ${certificate.invoice_number}` +
+                (certificate.invoice_total === null ? ' (valoarea facturii nu este cunoscută)' : '');
+            this._saveMatch(row);
+
+            console.log(`[eMAG First] Comanda ${orderId} (${marketplace}) legată de factura ${certificate.invoice_number}`);
+            return { status: 'matched', flagged: false };
+        }
+
+        // Garanțiile existente contează doar pentru comenzile pe care nu le putem lega
+        const attachmentsResult = await service.getOrderAttachments(orderId);
+        row.hasWarranty = attachmentsResult.success && attachmentsResult.attachments.some(attachment =>
+            parseInt(attachment.type, 10) === constants.EMAG.ATTACHMENT_TYPES.WARRANTY
+        );
+
+        if (candidates.length > 1) {
+            row.status = 'ambiguous';
+            row.message = `Facturi posibile: ${candidates.map(certificate => certificate.invoice_number).join(', ')}`;
+        } else {
+            row.status = 'unmatched';
+            row.message = 'Nicio factură cu același client, dată și valoare';
+        }
+        if (!attachmentsResult.success) {
+            row.message += ' - atașamentele nu au putut fi citite';
+        }
+
+        this._saveMatch(row);
+        return { status: row.status, flagged: !row.hasWarranty };
+    }
+
+    /**
+     * Certificatele active fără comandă eMAG care corespund comenzii:
+     * același client, factura emisă în DATE_TOLERANCE_DAYS zile de la comandă și aceeași valoare
+     * (valoarea se verifică doar dacă este cunoscută pe certificat - certificatele mai vechi nu o au)
+     */
+    findCandidates(order) {
+        const orderDate = this._parseEmagDate(order.date);
+        const customerNames = this._getCustomerNames(order).map(name => this._normalizeName(name)).filter(tokens => tokens.length > 0);
+        if (!orderDate || customerNames.length === 0) {
+            return [];
+        }
+
+        const orderDay = new Date(orderDate.getFullYear(), orderDate.getMonth(), orderDate.getDate());
+        const lastDay = new Date(orderDay.getTime() + MATCHING.DATE_TOLERANCE_DAYS * 24 * 60 * 60 * 1000);
+        const orderTotal = this.getOrderTotal(order);
+        const orderCurrency = order.currency ? String(order.currency).toUpperCase() : null;
+
+        // invoice_date este dd.mm.yyyy - filtrăm grosier după data generării, exact în cod
+        const certificates = db.prepare(`
+            SELECT id, invoice_number, invoice_date, client_name, invoice_total, invoice_currency
+            FROM certificates
+            WHERE (emag_order_number IS NULL OR emag_order_number = '')
+              AND (status IS NULL OR status != 'voided')
+              AND created_at >= ?
+        `).all(orderDay.toISOString().split('T')[0]);
+
+        return certificates.filter(certificate => {
+            const invoiceDate = warrantiesService.parseInvoiceDate(certificate.invoice_date);
+            if (!invoiceDate || invoiceDate < orderDay || invoiceDate > lastDay) {
+                return false;
+            }
+
+            const clientName = this._normalizeName(certificate.client_name);
+            if (!customerNames.some(name => this._namesMatch(name, clientName))) {
+                return false;
+            }
+
+            if (certificate.invoice_total !== null && orderTotal !== null) {
+                if (certificate.invoice_currency && orderCurrency && certificate.invoice_currency !== orderCurrency) {
+                    return false;
+                }
+                return Math.abs(certificate.invoice_total - orderTotal) <= MATCHING.AMOUNT_TOLERANCE;
+            }
+            return true;
+        });
+    }
+
+    /**
+     * Totalul comenzii cu TVA: produsele active, voucherele și transportul
+     * @returns {number|null}
+     */
+    getOrderTotal(order) {
+        const products = (order.products || []).filter(product => parseInt(product.status, 10) !== 0);
+        if (products.length === 0) return null;
+
+        let total = 0;
+        for (const product of products) {
+            const vat = parseFloat(product.vat) || 0;
+            // eMAG trimite TVA-ul ca fracție (0.19); acceptăm și procente
+            const vatRate = vat > 1 ? vat / 100 : vat;
+            total += (parseFloat(product.sale_price) || 0) * (parseInt(product.quantity, 10) || 1) * (1 + vatRate);
+        }
+        for (const voucher of order.vouchers || []) {
+            total += (parseFloat(voucher.sale_price) || 0) + (parseFloat(voucher.sale_price_vat) || 0);
+        }
+        total += parseFloat(order.shipping_tax) || 0;
+
+        return Math.round(total * 100) / 100;
+    }
+
+    /**
+     * Citește paginat comenzile finalizate create după data dată
+     */
+    async _readFinalizedOrders(service, createdAfter) {
+        const orders = [];
+
+        for (let page = 1; page <= MATCHING.MAX_PAGES; page++) {
+            const result = await service.readOrders({
+                status: constants.EMAG.ORDER_STATUSES.FINALIZED,
+                createdAfter,
+                currentPage: page,
+                itemsPerPage: MATCHING.ITEMS_PER_PAGE
+            });
+            if (!result.success) {
+                return result;
+            }
+
+            orders.push(...result.orders);
+            if (result.orders.length < MATCHING.ITEMS_PER_PAGE) {
+                break;
+            }
+        }
+
+        return { success: true, orders };
+    }
+
+    /**
+     * Leagă certificatul de comandă și îl pune în coada de încărcare (scadent imediat)
+     */
+    _linkCertificate(certificateId, marketplace, orderId) {
+        db.prepare(`
+            UPDATE certificates SET emag_order_number = ?, emag_marketplace = ? WHERE id = ?
+        `).run(String(orderId), marketplace, certificateId);
+        emagUploadsService.enqueueNow(certificateId);
+    }
+
+    _saveMatch(row) {
+        db.prepare(`
+            INSERT INTO emag_order_matches (
+                marketplace, order_id, order_date, customer_name, order_total, currency,
+                status, certificate_id, has_warranty, message, checked_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT(marketplace, order_id) DO UPDATE SET
+                order_date = excluded.order_date, customer_name = excluded.customer_name,
+                order_total = excluded.order_total, currency = excluded.currency, status = excluded.status,
+                certificate_id = excluded.certificate_id, has_warranty = excluded.has_warranty,
+                message = excluded.message, checked_at = excluded.checked_at
+        `).run(
+            row.marketplace,
+            row.orderId,
+            row.orderDate,
+            row.customerName,
+            row.orderTotal,
+            row.currency,
+            row.status,
+            row.certificateId,
+            row.hasWarranty ? 1 : 0,
+            row.message,
+            new Date().toISOString()
+        );
+    }
+
+    /**
+     * Numele sub care poate apărea clientul pe factură (facturare, livrare, firmă)
+     */
+    _getCustomerNames(order) {
+        const customer = order.customer || {};
+        return [customer.billing_name, customer.name, customer.company, customer.shipping_contact]
+            .filter(name => name && String(name).trim())
+            .map(name => String(name).trim());
+    }
+
+    /**
+     * Cuvintele numelui, fără diacritice, punctuație și forme juridice
+     */
+    _normalizeName(name) {
+        return String(name || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/\./g, '')
+            .split(/[^a-z0-9]+/)
+            .filter(token => token && !IGNORED_NAME_TOKENS.includes(token));
+    }
+
+    /**
+     * Aceleași cuvinte în orice ordine ("Popescu Ion" = "Ion Popescu"),
+     * sau toate cuvintele numelui mai scurt (minim 2) regăsite în cel lung (al doilea prenume lipsă)
+     */
+    _namesMatch(first, second) {
+        if (first.length === 0 || second.length === 0) return false;
+
+        const [shorter, longer] = first.length <= second.length ? [first, second] : [second, first];
+        if (shorter.length === longer.length) {
+            return [...shorter].sort().join(' ') === [...longer].sort().join(' ');
+        }
+        return shorter.length >= 2 && shorter.every(token => longer.includes(token));
+    }
+
+    /**
+     * Data în formatul eMAG (YYYY-MM-DD HH:mm:ss, ora locală)
+     */
+    _formatEmagDate(date) {
+        const pad = value => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+            `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+    }
+
+    _parseEmagDate(value) {
+        const match = String(value || '').match(/^(\d{4})-(\d{2})-(\d{2})/);
+        if (!match) return null;
+
+        const date = new Date(parseInt(match[1], 10), parseInt(match[2], 10) - 1, parseInt(match[3], 10));
+        return isNaN(date.getTime()) ? null : date;
+    }
+
+    _readJson(key) {
+        const result = db.prepare('SELECT value FROM app_config WHERE key = ?').get(key);
+        if (!result || !result.value) return null;
+
+        try {
+            return JSON.parse(result.value);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    _writeJson(key, value) {
+        const stmt = db.prepare(`
+            INSERT INTO app_config (key, value, updated_at)
+            VALUES (?, ?, CURRENT_TIMESTAMP)
+            ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = CURRENT_TIMESTAMP
+        `);
+        stmt.run(key, JSON.stringify(value));
+    }
+}
+
+// Singleton instance
+const emagOrderMatchingService = new EmagOrderMatchingService();
+
+module.exports = emagOrderMatchingService;
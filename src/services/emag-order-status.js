@@ -0,0 +1,229 @@
+/**
+ * Serviciu pentru verificarea periodică a comenzilor eMAG după generarea certificatului
+ * Comenzile anulate (status 0) sau returnate (status 5 / stornare) după emiterea certificatului
+ * sunt semnalate pe certificat (emag_order_flag) și apar în Istoric pentru verificare
+ *
+ * Rularea periodică pornește odată cu serverul; o verificare poate fi pornită și manual
+ */
+
+const { db } = require('../config/database');
+const constants = require('../config/constants');
+const emagService = require('./emag');
+
+const ORDER_STATUS = constants.EMAG_ORDER_STATUS;
+const LAST_RUN_KEY = 'emag_order_status_last_run';
+
+class EmagOrderStatusService {
+    constructor() {
+        this.timer = null;
+        this.running = false;
+    }
+
+    /**
+     * Pornește verificarea periodică (apelat la pornirea serverului)
+     */
+    start() {
+        if (this.timer) return;
+
+        this.timer = setInterval(() => {
+            this.checkOrders().catch(error => console.error('[eMAG Orders] Eroare:', error.message));
+        }, ORDER_STATUS.INTERVAL_HOURS * 60 * 60 * 1000);
+
+        // Nu ținem procesul în viață doar pentru verificare
+        this.timer.unref();
+
+        console.log(`[eMAG Orders] Pornit (verificare la fiecare ${ORDER_STATUS.INTERVAL_HOURS} ore, comenzile din ultimele ${ORDER_STATUS.DAYS} zile)`);
+    }
+
+    /**
+     * Oprește verificarea periodică
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    isRunning() {
+        return this.running;
+    }
+
+    /**
+     * Verifică în eMAG comenzile certificatelor active din ultimele N zile
+     * Certificatele deja semnalate nu mai sunt verificate
+     * @param {Object} options - { days }
+     * @returns {Object} Sumarul rulării (salvat și ca ultima rulare)
+     */
+    async checkOrders(options = {}) {
+        if (this.running) {
+            throw new Error('Verificarea comenzilor eMAG rulează deja');
+        }
+        this.running = true;
+
+        const summary = {
+            startedAt: new Date().toISOString(),
+            finishedAt: null,
+            days: parseInt(options.days, 10) || ORDER_STATUS.DAYS,
+            checked: 0,
+            cancelled: 0,
+            returned: 0,
+            errors: 0,
+            error: null
+        };
+
+        try {
+            if (!emagService.getAll().some(service => service.isConfigured())) {
+                await emagService.initialize(process.env.ENCRYPTION_KEY);
+            }
+            if (!emagService.getAll().some(service => service.isConfigured())) {
+                summary.error = 'Serviciul eMAG nu este configurat';
+                return summary;
+            }
+
+            const certificates = this._getCertificatesToCheck(summary.days);
+
+            for (const certificate of certificates) {
+                const marketplaceService = emagService.forMarketplace(certificate.emag_marketplace);
+                if (!marketplaceService.isConfigured()) {
+                    summary.errors++;
+                    continue;
+                }
+
+                const orderResult = await marketplaceService.getOrderDetails(certificate.emag_order_number);
+                if (!orderResult.success || !orderResult.order) {
+                    console.warn(`[eMAG Orders] Comanda ${certificate.emag_order_number} nu a putut fi citită:`, orderResult.error);
+                    summary.errors++;
+                } else {
+                    const flag = this.classifyOrder(orderResult.order);
+                    this._saveCheck(certificate.id, flag);
+                    summary.checked++;
+
+                    if (flag) {
+                        summary[flag.flag]++;
+                        console.log(`[eMAG Orders] Certificat ${certificate.serial_number || certificate.invoice_number}: ${flag.reason}`);
+                    }
+                }
+
+                await new Promise(resolve => setTimeout(resolve, ORDER_STATUS.DELAY_BETWEEN_ORDERS_MS));
+            }
+
+            return summary;
+        } catch (error) {
+            summary.error = error.message;
+            throw error;
+        } finally {
+            summary.finishedAt = new Date().toISOString();
+            this._writeLastRun(summary);
+            this.running = false;
+        }
+    }
+
+    /**
+     * Semnalarea unei comenzi eMAG
+     * @returns {Object|null} { flag: 'cancelled' | 'returned', reason } sau null dacă comanda e în regulă
+     */
+    classifyOrder(order) {
+        const statuses = constants.EMAG.ORDER_STATUSES;
+        const status = parseInt(order.status, 10);
+        const products = order.products || [];
+
+        if (status === statuses.CANCELLED) {
+            return { flag: 'cancelled', reason: 'Comanda a fost anulată în eMAG' };
+        }
+        if (status === statuses.RETURNED) {
+            return { flag: 'returned', reason: 'Comanda a fost returnată în eMAG' };
+        }
+        if (order.is_storno) {
+            return { flag: 'returned', reason: 'Comanda a fost stornată în eMAG' };
+        }
+
+        // Retur parțial - eMAG marchează liniile stornate
+        const stornoProducts = products.filter(product => product.is_storno);
+        if (stornoProducts.length > 0) {
+            const names = stornoProducts.map(product => product.name || product.part_number).join(', ');
+            return { flag: 'returned', reason: `Produse returnate în eMAG: ${names}` };
+        }
+
+        if (products.length > 0 && products.every(product => parseInt(product.status, 10) === 0)) {
+            return { flag: 'cancelled', reason: 'Toate produsele din comandă au fost anulate în eMAG' };
+        }
+
+        return null;
+    }
+
+    /**
+     * Certificatele semnalate care nu au fost încă verificate
+     */
+    getFlagged() {
+        const stmt = db.prepare(`
+            SELECT * FROM certificates
+            WHERE emag_order_flag IS NOT NULL AND emag_order_reviewed = 0
+            ORDER BY emag_order_checked_at DESC
+        `);
+        return stmt.all();
+    }
+
+    /**
+     * Marchează semnalarea ca verificată (rămâne vizibilă pe certificat, dar nu mai cere atenție)
+     */
+    markReviewed(id) {
+        const result = db.prepare(`
+            UPDATE certificates SET emag_order_reviewed = 1
+            WHERE id = ? AND emag_order_flag IS NOT NULL
+        `).run(id);
+        return result.changes > 0;
+    }
+
+    getLastRun() {
+        const result = db.prepare('SELECT value FROM app_config WHERE key = ?').get(LAST_RUN_KEY);
+        if (!result || !result.value) return null;
+
+        try {
+            return JSON.parse(result.value);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    _writeLastRun(summary) {
+        const stmt = db.prepare(`
+            INSERT INTO app_config (key, value, updated_at)
+            VALUES (?, ?, CURRENT_TIMESTAMP)
+            ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = CURRENT_TIMESTAMP
+        `);
+        stmt.run(LAST_RUN_KEY, JSON.stringify(summary));
+    }
+
+    /**
+     * Certificatele active cu comandă eMAG, cele mai puțin recent verificate primele
+     */
+    _getCertificatesToCheck(days) {
+        const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+        const stmt = db.prepare(`
+            SELECT id, invoice_number, serial_number, emag_order_number, emag_marketplace
+            FROM certificates
+            WHERE emag_order_number IS NOT NULL AND emag_order_number != ''
+              AND (status IS NULL OR status != 'voided')
+              AND emag_order_flag IS NULL
+              AND created_at >= ?
+            ORDER BY emag_order_checked_at IS NOT NULL, emag_order_checked_at ASC, id DESC
+            LIMIT ?
+        `);
+        return stmt.all(since, ORDER_STATUS.MAX_CERTIFICATES);
+    }
+
+    _saveCheck(certificateId, flag) {
+        db.prepare(`
+            UPDATE certificates
+            SET emag_order_flag = ?, emag_order_flag_reason = ?, emag_order_checked_at = ?, emag_order_reviewed = 0
+            WHERE id = ?
+        `).run(flag ? flag.flag : null, flag ? flag.reason : null, new Date().toISOString(), certificateId);
+    }
+}
+
+// Singleton instance
+const emagOrderStatusService = new EmagOrderStatusService();
+
+module.exports = emagOrderStatusService;
@@ -0,0 +1,189 @@
+/**
+ * Serviciu pentru maparea produselor din comenzile eMAG la nomenclatorul local
+ * O comandă eMAG poate conține și accesorii, baterii sau servicii fără garanție - certificatul
+ * se atașează doar liniilor care corespund produselor cu garanție de pe certificat
+ *
+ * Ordinea de potrivire a unei linii de comandă:
+ * 1. mapare salvată după part_number, ext_part_number, apoi denumire
+ * 2. part_number / ext_part_number identic cu un cod SmartBill din nomenclator
+ * Maparea cu smartbill_code gol marchează explicit o linie fără garanție
+ */
+
+const { db } = require('../config/database');
+const constants = require('../config/constants');
+
+const MATCH_FIELDS = Object.keys(constants.EMAG.PRODUCT_MATCH_FIELDS);
+
+class EmagProductMappingsService {
+    /**
+     * Toate mapările, cu denumirea produsului din nomenclator
+     */
+    getMappings() {
+        const stmt = db.prepare(`
+            SELECT m.*, p.smartbill_name, p.display_name
+            FROM emag_product_mappings m
+            LEFT JOIN products p ON p.smartbill_code = m.smartbill_code
+            ORDER BY m.match_field, m.match_value
+        `);
+        return stmt.all();
+    }
+
+    getMappingById(id) {
+        return db.prepare('SELECT * FROM emag_product_mappings WHERE id = ?').get(id);
+    }
+
+    /**
+     * Creează sau actualizează o mapare
+     * @param {Object} data - { id, matchField, matchValue, smartbillCode, emagName }
+     * @returns {Object} Maparea salvată
+     */
+    saveMapping(data) {
+        const matchField = data.matchField;
+        const matchValue = this._normalize(matchField, data.matchValue);
+        const smartbillCode = data.smartbillCode ? String(data.smartbillCode).trim() : null;
+
+        if (!MATCH_FIELDS.includes(matchField)) {
+            throw new Error('Câmp de potrivire invalid');
+        }
+        if (!matchValue) {
+            throw new Error('Valoarea de potrivire este obligatorie');
+        }
+        if (smartbillCode && !db.prepare('SELECT id FROM products WHERE smartbill_code = ?').get(smartbillCode)) {
+            throw new Error(`Produsul ${smartbillCode} nu există în nomenclator`);
+        }
+
+        const existing = db.prepare('SELECT * FROM emag_product_mappings WHERE match_field = ? AND match_value = ?').get(matchField, matchValue);
+        if (existing && existing.id !== (data.id ? parseInt(data.id) : existing.id)) {
+            throw new Error('Există deja o mapare pentru această valoare');
+        }
+
+        const id = data.id ? parseInt(data.id) : existing?.id;
+        if (id) {
+            db.prepare(`
+                UPDATE emag_product_mappings
+                SET match_field = ?, match_value = ?, smartbill_code = ?, emag_name = ?, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `).run(matchField, matchValue, smartbillCode, data.emagName || null, id);
+        } else {
+            db.prepare(`
+                INSERT INTO emag_product_mappings (match_field, match_value, smartbill_code, emag_name)
+                VALUES (?, ?, ?, ?)
+            `).run(matchField, matchValue, smartbillCode, data.emagName || null);
+        }
+
+        // Linia nu mai apare ca nemapată
+        db.prepare(`DELETE FROM emag_unmapped_products WHERE ${matchField === 'name' ? 'LOWER(name)' : matchField} = ?`).run(matchValue);
+
+        return db.prepare('SELECT * FROM emag_product_mappings WHERE match_field = ? AND match_value = ?').get(matchField, matchValue);
+    }
+
+    deleteMapping(id) {
+        return db.prepare('DELETE FROM emag_product_mappings WHERE id = ?').run(id).changes > 0;
+    }
+
+    /**
+     * Liniile de comandă întâlnite fără mapare, cele mai recente primele
+     */
+    getUnmapped(limit = 100) {
+        return db.prepare('SELECT * FROM emag_unmapped_products ORDER BY last_seen_at DESC LIMIT ?').all(limit);
+    }
+
+    dismissUnmapped(id) {
+        return db.prepare('DELETE FROM emag_unmapped_products WHERE id = ?').run(id).changes > 0;
+    }
+
+    /**
+     * Codul din nomenclator pentru o linie de comandă eMAG
+     * @returns {Object} { code, source } - code null = fără garanție (mapare explicită) sau nemapat (source null)
+     */
+    resolveLine(line) {
+        for (const field of MATCH_FIELDS) {
+            const value = this._normalize(field, line[field]);
+            if (!value) continue;
+
+            const mapping = db.prepare('SELECT * FROM emag_product_mappings WHERE match_field = ? AND match_value = ?').get(field, value);
+            if (mapping) {
+                return { code: mapping.smartbill_code, source: 'mapping' };
+            }
+        }
+
+        // Vânzătorii folosesc des în eMAG același cod ca în SmartBill
+        for (const field of ['part_number', 'ext_part_number']) {
+            const value = this._normalize(field, line[field]);
+            if (value && db.prepare('SELECT id FROM products WHERE smartbill_code = ?').get(value)) {
+                return { code: value, source: field };
+            }
+        }
+
+        return { code: null, source: null };
+    }
+
+    /**
+     * Alege liniile comenzii care primesc garanția certificatului
+     * Liniile nemapate sunt salvate pentru a putea fi mapate din pagina Produse eMAG
+     * @param {string} orderId - ID-ul comenzii eMAG
+     * @param {Array} orderProducts - Liniile comenzii (order/read -> products)
+     * @param {Array} warrantyCodes - Codurile produselor cu garanție de pe certificat
+     * @returns {Object} { lines, withoutWarranty, unmapped }
+     */
+    selectWarrantyLines(orderId, orderProducts, warrantyCodes) {
+        const codes = new Set(warrantyCodes.map(code => String(code)));
+        const result = { lines: [], withoutWarranty: [], unmapped: [] };
+
+        for (const line of orderProducts) {
+            const resolved = this.resolveLine(line);
+            const summary = { id: line.id, name: line.name || line.part_number, code: resolved.code };
+
+            if (resolved.code && codes.has(resolved.code)) {
+                result.lines.push(summary);
+            } else if (resolved.source) {
+                result.withoutWarranty.push(summary);
+            } else {
+                result.unmapped.push(summary);
+                this._recordUnmapped(orderId, line);
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Codurile produselor de pe certificat, pentru uploadWarrantyForOrder
+     * Certificatele manuale fără coduri de produs păstrează comportamentul vechi (toate liniile)
+     */
+    getWarrantyCodes(products) {
+        const codes = (products || []).filter(product => product.code).map(product => String(product.code));
+        return codes.length > 0 ? codes : null;
+    }
+
+    _recordUnmapped(orderId, line) {
+        const stmt = db.prepare(`
+            INSERT INTO emag_unmapped_products (part_number, ext_part_number, name, last_order_number)
+            VALUES (?, ?, ?, ?)
+            ON CONFLICT(part_number, ext_part_number, name) DO UPDATE SET
+                last_order_number = excluded.last_order_number,
+                times_seen = times_seen + 1,
+                last_seen_at = CURRENT_TIMESTAMP
+        `);
+        stmt.run(
+            line.part_number ? String(line.part_number).trim() : '',
+            line.ext_part_number ? String(line.ext_part_number).trim() : '',
+            line.name ? String(line.name).trim() : '',
+            String(orderId)
+        );
+    }
+
+    /**
+     * Denumirile se compară fără diferențe de majuscule
+     */
+    _normalize(field, value) {
+        if (value === null || value === undefined) return '';
+        const text = String(value).trim();
+        return field === 'name' ? text.toLowerCase() : text;
+    }
+}
+
+// Singleton instance
+const emagProductMappingsService = new EmagProductMappingsService();
+
+module.exports = emagProductMappingsService;
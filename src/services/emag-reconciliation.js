@@ -0,0 +1,390 @@
+/**
+ * Serviciu pentru reconcilierea atașamentelor de garanție din eMAG
+ * emag_uploaded = 1 înseamnă doar că eMAG a acceptat o dată cererea de salvare - reconcilierea
+ * citește atașamentele fiecărei comenzi și verifică că fiecare produs cu garanție din comandă
+ * (mapat la un produs de pe certificat) are o garanție (type 3) care trimite la certificatul nostru
+ *
+ * Rezultate per certificat:
+ * - ok: fiecare produs are atașamentul nostru
+ * - missing: cel puțin un produs nu are nicio garanție
+ * - mismatched: cel puțin un produs are garanții, dar niciuna nu trimite la certificatul curent
+ * - extra: atașamentul nostru există, dar comanda mai are garanții străine, versiuni vechi
+ *          sau certificatul atașat la produse fără garanție
+ * - error: comanda sau atașamentele nu au putut fi citite
+ *
+ * Rularea are loc în fundal; o singură reconciliere poate rula la un moment dat
+ */
+
+const path = require('path');
+const { db } = require('../config/database');
+const constants = require('../config/constants');
+const emagService = require('./emag');
+const emagUploadsService = require('./emag-uploads');
+const emagProductMappingsService = require('./emag-product-mappings');
+
+const RECONCILIATION = constants.EMAG_RECONCILIATION;
+
+// Ordinea de gravitate când un certificat are probleme diferite pe produse
+const STATUS_PRIORITY = ['error', 'missing', 'mismatched', 'extra', 'ok'];
+
+class EmagReconciliationService {
+    constructor() {
+        this.activeRun = null; // { id, processed, total }
+    }
+
+    /**
+     * Marchează rulările rămase "running" dintr-o pornire anterioară
+     */
+    recoverInterruptedRuns() {
+        const stmt = db.prepare(`
+            UPDATE emag_reconciliation_runs
+            SET status = 'interrupted', error = 'Serverul a fost repornit în timpul reconcilierii', finished_at = ?
+            WHERE status = 'running'
+        `);
+        stmt.run(new Date().toISOString());
+    }
+
+    /**
+     * Pornește o reconciliere în fundal
+     * @param {Object} options - { days, username }
+     * @returns {Object} { runId, total, promise }
+     */
+    startRun({ days = RECONCILIATION.DEFAULT_DAYS, username = null } = {}) {
+        if (this.activeRun) {
+            const error = new Error('O reconciliere eMAG este deja în desfășurare');
+            error.code = 'RECONCILIATION_RUNNING';
+            error.runId = this.activeRun.id;
+            throw error;
+        }
+
+        const certificates = this._getCertificatesToCheck(days);
+
+        const result = db.prepare(`
+            INSERT INTO emag_reconciliation_runs (status, days, total, started_by, started_at)
+            VALUES ('running', ?, ?, ?, ?)
+        `).run(days, certificates.length, username, new Date().toISOString());
+
+        const runId = result.lastInsertRowid;
+        this.activeRun = { id: runId, processed: 0, total: certificates.length };
+
+        console.log(`[eMAG Reconciliere] Rularea #${runId} pornită: ${certificates.length} certificate`);
+
+        const promise = this._run(runId, certificates);
+        return { runId, total: certificates.length, promise };
+    }
+
+    /**
+     * Ultimele rulări, plus progresul rulării curente
+     */
+    getRuns(limit = 10) {
+        const runs = db.prepare('SELECT * FROM emag_reconciliation_runs ORDER BY id DESC LIMIT ?').all(limit);
+        return { runs, activeRun: this.activeRun };
+    }
+
+    /**
+     * O rulare cu rezultatele certificatelor (opțional filtrate după status)
+     */
+    getRun(id, status = null) {
+        const run = db.prepare('SELECT * FROM emag_reconciliation_runs WHERE id = ?').get(id);
+        if (!run) return null;
+
+        let sql = `
+            SELECT i.*, c.invoice_number, c.serial_number, c.client_name, c.version, c.emag_uploaded, c.emag_marketplace,
+                   q.status AS queue_status, q.last_error AS queue_error
+            FROM emag_reconciliation_items i
+            LEFT JOIN certificates c ON c.id = i.certificate_id
+            LEFT JOIN emag_upload_queue q ON q.id = i.queue_entry_id
+            WHERE i.run_id = ?
+        `;
+        const params = [id];
+
+        if (status) {
+            sql += ' AND i.status = ?';
+            params.push(status);
+        }
+        sql += ' ORDER BY i.id ASC';
+
+        const items = db.prepare(sql).all(...params).map(item => ({
+            ...item,
+            details: this._parseJson(item.details)
+        }));
+
+        return {
+            run: { ...run, progress: this.activeRun && this.activeRun.id === run.id ? this.activeRun : null },
+            items
+        };
+    }
+
+    /**
+     * Reîncarcă imediat certificatul unui rezultat (missing / mismatched)
+     * Încărcarea trece prin coada eMAG, deci o eroare rămâne vizibilă și reîncercată
+     */
+    async reuploadItem(itemId) {
+        const item = db.prepare('SELECT * FROM emag_reconciliation_items WHERE id = ?').get(itemId);
+        if (!item) {
+            return { success: false, error: 'Rezultatul nu a fost găsit' };
+        }
+
+        const entryId = this._queueItem(item);
+        if (!entryId) {
+            return { success: false, error: 'Certificatul a fost anulat sau nu are comandă eMAG' };
+        }
+
+        const result = await emagUploadsService.retryNow(entryId);
+        return { success: result.success, error: result.error, queueEntryId: entryId };
+    }
+
+    /**
+     * Pune în coada eMAG toate certificatele cu atașamente lipsă / greșite dintr-o rulare
+     * @returns {number} Câte certificate au fost puse în coadă
+     */
+    reuploadMissing(runId) {
+        const items = db.prepare(`
+            SELECT * FROM emag_reconciliation_items
+            WHERE run_id = ? AND status IN ('missing', 'mismatched') AND queue_entry_id IS NULL
+        `).all(runId);
+
+        let queued = 0;
+        for (const item of items) {
+            if (this._queueItem(item)) queued++;
+        }
+
+        if (queued > 0) {
+            console.log(`[eMAG Reconciliere] ${queued} certificate din rularea #${runId} puse în coada de încărcare`);
+        }
+        return queued;
+    }
+
+    async _run(runId, certificates) {
+        const counts = { ok: 0, missing: 0, mismatched: 0, extra: 0, error: 0 };
+        let status = 'completed';
+        let runError = null;
+
+        try {
+            if (!emagService.isConfigured()) {
+                await emagService.initialize(process.env.ENCRYPTION_KEY);
+            }
+            if (!emagService.getAll().some(service => service.isConfigured())) {
+                throw new Error('Serviciul eMAG nu este configurat');
+            }
+
+            for (const certificate of certificates) {
+                const result = await this._checkCertificate(certificate);
+                counts[result.status]++;
+
+                // Flag-ul nu mai corespunde realității - certificatul apare din nou ca neîncărcat
+                const wasMarkedUploaded = certificate.emag_uploaded ? 1 : 0;
+                if (wasMarkedUploaded && (result.status === 'missing' || result.status === 'mismatched')) {
+                    db.prepare('UPDATE certificates SET emag_uploaded = 0 WHERE id = ?').run(certificate.id);
+                }
+
+                db.prepare(`
+                    INSERT INTO emag_reconciliation_items (
+                        run_id, certificate_id, emag_order_number, status, message, details, was_marked_uploaded
+                    ) VALUES (?, ?, ?, ?, ?, ?, ?)
+                `).run(
+                    runId,
+                    certificate.id,
+                    certificate.emag_order_number,
+                    result.status,
+                    result.message,
+                    result.details ? JSON.stringify(result.details) : null,
+                    wasMarkedUploaded
+                );
+
+                this.activeRun.processed++;
+                await new Promise(resolve => setTimeout(resolve, RECONCILIATION.DELAY_BETWEEN_ORDERS_MS));
+            }
+        } catch (error) {
+            console.error(`[eMAG Reconciliere] Rularea #${runId} eșuată:`, error.message);
+            status = 'failed';
+            runError = error.message;
+        }
+
+        db.prepare(`
+            UPDATE emag_reconciliation_runs
+            SET status = ?, ok = ?, missing = ?, mismatched = ?, extra = ?, errors = ?, error = ?, finished_at = ?
+            WHERE id = ?
+        `).run(
+            status,
+            counts.ok,
+            counts.missing,
+            counts.mismatched,
+            counts.extra,
+            counts.error,
+            runError,
+            new Date().toISOString(),
+            runId
+        );
+
+        this.activeRun = null;
+        console.log(`[eMAG Reconciliere] Rularea #${runId} încheiată: ${counts.ok} ok, ${counts.missing} lipsă, ${counts.mismatched} greșite, ${counts.extra} în plus, ${counts.error} erori`);
+
+        return { runId, status, counts, error: runError };
+    }
+
+    /**
+     * Compară atașamentele unei comenzi cu certificatul nostru
+     * @returns {Object} { status, message, details }
+     */
+    async _checkCertificate(certificate) {
+        const expectedFile = path.basename(certificate.pdf_path || '');
+
+        // Comanda se verifică în contul marketplace-ului în care a fost emisă
+        const marketplaceService = emagService.forMarketplace(certificate.emag_marketplace);
+        if (!marketplaceService.isConfigured()) {
+            return { status: 'error', message: `Serviciul ${marketplaceService.label} nu este configurat` };
+        }
+
+        try {
+            const orderResult = await marketplaceService.getOrderDetails(certificate.emag_order_number);
+            if (!orderResult.success || !orderResult.order) {
+                return { status: 'error', message: this._formatError(orderResult.error) || 'Comanda nu a fost găsită în eMAG' };
+            }
+
+            const attachmentsResult = await marketplaceService.getOrderAttachments(certificate.emag_order_number);
+            if (!attachmentsResult.success) {
+                return { status: 'error', message: this._formatError(attachmentsResult.error) };
+            }
+
+            // Certificatele altor facturi pe aceeași comandă nu sunt atașamente "în plus"
+            const siblingFiles = this._getSiblingFiles(certificate);
+
+            const warranties = (attachmentsResult.attachments || [])
+                .filter(attachment => parseInt(attachment.type) === constants.EMAG.ATTACHMENT_TYPES.WARRANTY)
+                .map(attachment => ({
+                    productId: attachment.order_product_id ? parseInt(attachment.order_product_id) : null,
+                    name: attachment.name || null,
+                    url: attachment.url || null,
+                    file: emagService.getAttachmentFileName(attachment.url)
+                }));
+
+            // Produsele anulate din comandă (status 0) nu mai au nevoie de garanție
+            let orderProducts = (orderResult.order.products || []).filter(product => product.status !== 0);
+
+            // Doar liniile mapate la produsele de pe certificat trebuie să aibă garanția
+            const warrantyCodes = emagProductMappingsService.getWarrantyCodes(this._parseJson(certificate.products_json));
+            if (warrantyCodes) {
+                const selection = emagProductMappingsService.selectWarrantyLines(certificate.emag_order_number, orderProducts, warrantyCodes);
+                const lineIds = selection.lines.map(line => line.id);
+                orderProducts = orderProducts.filter(product => lineIds.includes(product.id));
+            }
+
+            const products = orderProducts.map(product => {
+                const productId = parseInt(product.id);
+                const productWarranties = warranties.filter(w => w.productId === productId);
+                const ours = productWarranties.filter(w => w.file === expectedFile);
+                const others = productWarranties.filter(w => w.file !== expectedFile && !siblingFiles.has(w.file));
+
+                let status = 'ok';
+                if (ours.length === 0) {
+                    status = others.length > 0 ? 'mismatched' : 'missing';
+                } else if (others.length > 0) {
+                    status = 'extra';
+                }
+
+                return {
+                    productId,
+                    name: product.name || product.part_number || null,
+                    status,
+                    urls: productWarranties.map(w => w.url)
+                };
+            });
+
+            // Garanții atașate unor produse fără garanție sau care nu (mai) sunt în comandă
+            const productIds = new Set(products.map(product => product.productId));
+            const orphans = warranties
+                .filter(w => !productIds.has(w.productId) && !siblingFiles.has(w.file))
+                .map(w => ({ productId: w.productId, name: w.name, url: w.url }));
+
+            let status = products.length === 0 ?
+                'missing' :
+                STATUS_PRIORITY.find(candidate => products.some(product => product.status === candidate));
+            if (status === 'ok' && orphans.length > 0) {
+                status = 'extra';
+            }
+
+            return {
+                status,
+                message: this._getMessage(status, products, orphans),
+                details: { expectedFile, products, orphans }
+            };
+        } catch (error) {
+            return { status: 'error', message: error.message };
+        }
+    }
+
+    _getMessage(status, products, orphans) {
+        const count = wanted => products.filter(product => product.status === wanted).length;
+
+        switch (status) {
+            case 'ok':
+                return `Garanția este atașată la toate cele ${products.length} produse`;
+            case 'missing':
+                return products.length === 0 ?
+                    'Niciun produs din comandă nu corespunde produselor de pe certificat (verificați Produse eMAG)' :
+                    `Garanție lipsă la ${count('missing')} din ${products.length} produse`;
+            case 'mismatched':
+                return `${count('mismatched')} produse au o garanție care nu trimite la certificatul curent`;
+            case 'extra':
+                return `Garanții în plus (versiuni vechi sau alte documente) la ${count('extra') + orphans.length} poziții`;
+            default:
+                return null;
+        }
+    }
+
+    _getCertificatesToCheck(days) {
+        const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+        const stmt = db.prepare(`
+            SELECT id, invoice_number, emag_order_number, emag_marketplace, emag_uploaded, pdf_path, products_json
+            FROM certificates
+            WHERE emag_order_number IS NOT NULL AND emag_order_number != ''
+              AND (status IS NULL OR status != 'voided')
+              AND created_at >= ?
+            ORDER BY id DESC
+            LIMIT ?
+        `);
+        return stmt.all(since, RECONCILIATION.MAX_CERTIFICATES);
+    }
+
+    /**
+     * Fișierele celorlalte certificate active de pe aceeași comandă
+     */
+    _getSiblingFiles(certificate) {
+        const stmt = db.prepare(`
+            SELECT pdf_path FROM certificates
+            WHERE emag_order_number = ? AND emag_marketplace = ? AND id != ?
+              AND (status IS NULL OR status != 'voided')
+        `);
+        const marketplace = certificate.emag_marketplace || constants.EMAG.DEFAULT_MARKETPLACE;
+        return new Set(stmt.all(certificate.emag_order_number, marketplace, certificate.id).map(row => path.basename(row.pdf_path || '')));
+    }
+
+    _queueItem(item) {
+        const entryId = emagUploadsService.enqueueNow(item.certificate_id);
+        if (entryId) {
+            db.prepare('UPDATE emag_reconciliation_items SET queue_entry_id = ? WHERE id = ?').run(entryId, item.id);
+        }
+        return entryId;
+    }
+
+    _formatError(error) {
+        if (!error) return null;
+        return typeof error === 'string' ? error : JSON.stringify(error);
+    }
+
+    _parseJson(value) {
+        if (!value) return null;
+        try {
+            return JSON.parse(value);
+        } catch (e) {
+            return null;
+        }
+    }
+}
+
+// Singleton instance
+const emagReconciliationService = new EmagReconciliationService();
+
+module.exports = emagReconciliationService;
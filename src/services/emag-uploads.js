@@ -0,0 +1,454 @@
+/**
+ * Serviciu pentru coada de reîncercare a încărcărilor de certificate în eMAG
+ * O încărcare eșuată la generare intră în coadă și este reîncercată de un worker intern,
+ * cu pauză care se dublează între încercări. După MAX_ATTEMPTS intrarea trece în "dead"
+ * și rămâne în pagina Încărcări eMAG până la reîncercarea manuală
+ *
+ * eMAG penalizează comenzile fără certificat de garanție - de aceea nicio încărcare
+ * eșuată nu se pierde doar în răspunsul generării
+ */
+
+const path = require('path');
+const { db } = require('../config/database');
+const constants = require('../config/constants');
+const emagService = require('./emag');
+const emagProductMappingsService = require('./emag-product-mappings');
+
+const QUEUE = constants.EMAG_UPLOAD_QUEUE;
+
+class EmagUploadsService {
+    constructor() {
+        this.timer = null;
+        this.processing = false;
+        this.inFlight = new Set(); // Intrările încercate acum (worker sau "Reîncearcă acum")
+    }
+
+    /**
+     * Pornește worker-ul cozii (apelat la pornirea serverului)
+     */
+    start() {
+        if (this.timer) return;
+
+        this.timer = setInterval(() => {
+            this.processDue().catch(error => console.error('[eMAG Queue] Eroare:', error.message));
+        }, QUEUE.TICK_MS);
+
+        // Nu ținem procesul în viață doar pentru worker
+        this.timer.unref();
+
+        const counts = this.getCounts();
+        console.log(`[eMAG Queue] Pornit (${counts.pending} în așteptare, ${counts.dead} eșuate definitiv)`);
+    }
+
+    /**
+     * Oprește worker-ul cozii
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Adaugă în coadă încărcarea eșuată a unui certificat
+     * Încercarea de la generare se numără, deci prima reîncercare are loc după BASE_DELAY_MINUTES
+     * Dacă certificatul are deja o intrare deschisă, nu se creează alta
+     * @param {Object} data - { certificateId, emagOrderNumber, documentName, error }
+     * @returns {number} ID-ul intrării din coadă
+     */
+    enqueue(data) {
+        const existing = this._getOpenEntry(data.certificateId);
+        if (existing) {
+            return existing.id;
+        }
+
+        const now = new Date();
+        const stmt = db.prepare(`
+            INSERT INTO emag_upload_queue (
+                certificate_id, emag_order_number, document_name, status, attempts, last_error,
+                next_attempt_at, created_at, updated_at
+            ) VALUES (?, ?, ?, 'pending', 1, ?, ?, ?, ?)
+        `);
+        const result = stmt.run(
+            data.certificateId,
+            String(data.emagOrderNumber),
+            data.documentName || null,
+            this._formatError(data.error),
+            this._getNextAttemptAt(1, now).toISOString(),
+            now.toISOString(),
+            now.toISOString()
+        );
+
+        console.log(`[eMAG Queue] Încărcare adăugată în coadă: certificat #${data.certificateId}, comanda ${data.emagOrderNumber}`);
+        return result.lastInsertRowid;
+    }
+
+    /**
+     * Adaugă în coadă certificatele active cu comandă eMAG care nu au fost încărcate niciodată
+     * (ex: certificate generate înainte de existența cozii sau când eMAG nu era configurat)
+     * @returns {number} Câte intrări noi au fost create
+     */
+    enqueueMissing() {
+        const stmt = db.prepare(`
+            SELECT c.id, c.invoice_number, c.emag_order_number, c.version
+            FROM certificates c
+            WHERE c.emag_order_number IS NOT NULL AND c.emag_order_number != ''
+              AND c.emag_uploaded = 0
+              AND (c.status IS NULL OR c.status != 'voided')
+              AND NOT EXISTS (
+                  SELECT 1 FROM emag_upload_queue q
+                  WHERE q.certificate_id = c.id AND q.status IN ('pending', 'dead')
+              )
+        `);
+        const certificates = stmt.all();
+
+        for (const certificate of certificates) {
+            this._insertDueEntry(certificate);
+        }
+
+        if (certificates.length > 0) {
+            console.log(`[eMAG Queue] ${certificates.length} certificate neîncărcate adăugate în coadă`);
+        }
+        return certificates.length;
+    }
+
+    /**
+     * Pune în coadă, scadentă imediat, reîncărcarea unui certificat (ex: atașament lipsă la reconciliere)
+     * O intrare deschisă existentă este readusă în așteptare în loc să se creeze alta
+     * @returns {number|null} ID-ul intrării (null dacă certificatul nu poate fi încărcat)
+     */
+    enqueueNow(certificateId) {
+        const certificate = db.prepare('SELECT * FROM certificates WHERE id = ?').get(certificateId);
+        if (!certificate || certificate.status === 'voided' || !certificate.emag_order_number) {
+            return null;
+        }
+
+        // Altfel încercarea ar fi marcată "done" fără încărcare
+        db.prepare('UPDATE certificates SET emag_uploaded = 0 WHERE id = ?').run(certificateId);
+
+        const existing = this._getOpenEntry(certificateId);
+        if (existing) {
+            db.prepare(`
+                UPDATE emag_upload_queue SET status = 'pending', next_attempt_at = ?, updated_at = ? WHERE id = ?
+            `).run(new Date().toISOString(), new Date().toISOString(), existing.id);
+            return existing.id;
+        }
+
+        return this._insertDueEntry(certificate);
+    }
+
+    /**
+     * Intrările din coadă, cele mai noi primele
+     * @param {Object} filters - { status, limit }
+     */
+    getQueue(filters = {}) {
+        let sql = `
+            SELECT q.*, c.invoice_number, c.serial_number, c.client_name, c.version, c.emag_marketplace,
+                   c.status AS certificate_status
+            FROM emag_upload_queue q
+            LEFT JOIN certificates c ON c.id = q.certificate_id
+        `;
+        const params = [];
+
+        if (filters.status) {
+            sql += ' WHERE q.status = ?';
+            params.push(filters.status);
+        }
+
+        sql += ' ORDER BY q.id DESC LIMIT ?';
+        params.push(parseInt(filters.limit, 10) || 200);
+
+        return db.prepare(sql).all(...params);
+    }
+
+    /**
+     * Obține o intrare din coadă după ID
+     */
+    getEntryById(id) {
+        return db.prepare('SELECT * FROM emag_upload_queue WHERE id = ?').get(id);
+    }
+
+    /**
+     * Numărul de intrări pe fiecare status
+     */
+    getCounts() {
+        const counts = { pending: 0, done: 0, dead: 0, cancelled: 0 };
+        const rows = db.prepare('SELECT status, COUNT(*) AS count FROM emag_upload_queue GROUP BY status').all();
+        rows.forEach(row => {
+            counts[row.status] = row.count;
+        });
+        return counts;
+    }
+
+    /**
+     * Reîncearcă încărcările scadente (apelat periodic de worker)
+     * @returns {Object} { processed, uploaded, failed }
+     */
+    async processDue(now = new Date()) {
+        if (this.processing) {
+            return { processed: 0, uploaded: 0, failed: 0 };
+        }
+
+        const stmt = db.prepare(`
+            SELECT * FROM emag_upload_queue
+            WHERE status = 'pending' AND next_attempt_at <= ?
+            ORDER BY next_attempt_at ASC
+            LIMIT ?
+        `);
+        const due = stmt.all(now.toISOString(), QUEUE.BATCH_SIZE);
+
+        const summary = { processed: 0, uploaded: 0, failed: 0 };
+        if (due.length === 0) {
+            return summary;
+        }
+
+        this.processing = true;
+        try {
+            await this._ensureConfigured();
+
+            for (const dueEntry of due) {
+                // Între timp intrarea poate fi reîncercată manual sau abandonată
+                const entry = this.getEntryById(dueEntry.id);
+                if (!entry || entry.status !== 'pending' || this.inFlight.has(entry.id)) continue;
+
+                const result = await this._attempt(entry);
+                summary.processed++;
+                if (result.status === 'done') {
+                    summary.uploaded++;
+                } else if (result.status !== 'cancelled') {
+                    summary.failed++;
+                }
+            }
+        } finally {
+            this.processing = false;
+        }
+
+        console.log(`[eMAG Queue] ${summary.processed} reîncercări: ${summary.uploaded} reușite, ${summary.failed} eșuate`);
+        return summary;
+    }
+
+    /**
+     * Reîncearcă imediat o încărcare (butonul "Reîncearcă acum")
+     * Funcționează și pentru intrările "dead"; dacă eșuează din nou, rămân "dead"
+     */
+    async retryNow(id) {
+        const entry = this.getEntryById(id);
+
+        if (!entry) {
+            return { success: false, error: 'Încărcarea nu a fost găsită în coadă' };
+        }
+
+        if (entry.status === 'done' || entry.status === 'cancelled') {
+            return { success: false, error: 'Încărcarea nu mai este în așteptare' };
+        }
+
+        if (this.inFlight.has(entry.id)) {
+            return { success: false, error: 'Încărcarea este deja în curs' };
+        }
+
+        await this._ensureConfigured();
+        const result = await this._attempt(entry);
+
+        return {
+            success: result.status === 'done',
+            error: result.status === 'done' ? null : result.error,
+            entry: this.getEntryById(id)
+        };
+    }
+
+    /**
+     * Renunță la o încărcare (ex: comanda a fost anulată în eMAG)
+     */
+    dismiss(id, username) {
+        const entry = this.getEntryById(id);
+
+        if (!entry) {
+            return { success: false, error: 'Încărcarea nu a fost găsită în coadă' };
+        }
+
+        if (entry.status === 'done' || entry.status === 'cancelled') {
+            return { success: false, error: 'Încărcarea nu mai este în așteptare' };
+        }
+
+        this._updateEntry(id, {
+            status: 'cancelled',
+            lastError: `Renunțat manual${username ? ` de ${username}` : ''}`,
+            attempts: entry.attempts
+        });
+        return { success: true, entry: this.getEntryById(id) };
+    }
+
+    /**
+     * O încercare de încărcare pentru o intrare din coadă
+     * @returns {Object} { status, error }
+     */
+    async _attempt(entry) {
+        this.inFlight.add(entry.id);
+        try {
+            return await this._upload(entry);
+        } finally {
+            this.inFlight.delete(entry.id);
+        }
+    }
+
+    async _upload(entry) {
+        const certificate = db.prepare('SELECT * FROM certificates WHERE id = ?').get(entry.certificate_id);
+
+        // Certificatul anulat (storno, versiune nouă) nu se mai încarcă
+        if (!certificate || certificate.status === 'voided') {
+            const error = certificate ? 'Certificatul a fost anulat - încărcarea nu mai este necesară' : 'Certificatul nu mai există';
+            this._updateEntry(entry.id, { status: 'cancelled', lastError: error, attempts: entry.attempts });
+            return { status: 'cancelled', error };
+        }
+
+        if (certificate.emag_uploaded) {
+            this._updateEntry(entry.id, { status: 'done', lastError: null, attempts: entry.attempts });
+            return { status: 'done', error: null };
+        }
+
+        const attempts = entry.attempts + 1;
+        let error = null;
+
+        // Încărcarea merge în contul marketplace-ului în care a fost emisă comanda
+        const marketplaceService = emagService.forMarketplace(certificate.emag_marketplace);
+
+        if (!marketplaceService.isConfigured()) {
+            error = `Serviciul ${marketplaceService.label} nu este configurat`;
+        } else {
+            try {
+                const pdfUrl = `${constants.PUBLIC_URL}/public/certificates/${path.basename(certificate.pdf_path || '')}`;
+
+                const uploadResult = await marketplaceService.uploadWarrantyForOrder(
+                    entry.emag_order_number,
+                    pdfUrl,
+                    entry.document_name || this._getDocumentName(certificate),
+                    emagProductMappingsService.getWarrantyCodes(this._parseProducts(certificate))
+                );
+
+                if (!uploadResult.success) {
+                    error = this._formatError(uploadResult.error) || 'Eroare necunoscută la încărcare';
+                }
+            } catch (e) {
+                error = e.message;
+            }
+        }
+
+        if (!error) {
+            db.prepare('UPDATE certificates SET emag_uploaded = 1 WHERE id = ?').run(certificate.id);
+            this._updateEntry(entry.id, { status: 'done', lastError: null, attempts });
+            console.log(`[eMAG Queue] Certificat ${certificate.serial_number || certificate.invoice_number} încărcat (încercarea ${attempts})`);
+            return { status: 'done', error: null };
+        }
+
+        const status = attempts >= QUEUE.MAX_ATTEMPTS ? 'dead' : 'pending';
+        this._updateEntry(entry.id, {
+            status,
+            lastError: error,
+            attempts,
+            nextAttemptAt: status === 'pending' ? this._getNextAttemptAt(attempts).toISOString() : null
+        });
+
+        console.log(`[eMAG Queue] Încărcare eșuată pentru ${certificate.invoice_number} (încercarea ${attempts}/${QUEUE.MAX_ATTEMPTS}): ${error}`);
+        return { status, error };
+    }
+
+    _updateEntry(id, { status, lastError, attempts, nextAttemptAt = null }) {
+        const now = new Date().toISOString();
+        const stmt = db.prepare(`
+            UPDATE emag_upload_queue
+            SET status = ?, last_error = ?, attempts = ?, next_attempt_at = ?, updated_at = ?,
+                completed_at = ?
+            WHERE id = ?
+        `);
+        stmt.run(
+            status,
+            lastError,
+            attempts,
+            nextAttemptAt,
+            now,
+            status === 'done' || status === 'cancelled' ? now : null,
+            id
+        );
+    }
+
+    /**
+     * Intrare nouă încercată la următoarea verificare a worker-ului (fără încercări consumate)
+     */
+    _insertDueEntry(certificate) {
+        const now = new Date().toISOString();
+        const stmt = db.prepare(`
+            INSERT INTO emag_upload_queue (
+                certificate_id, emag_order_number, document_name, status, attempts,
+                next_attempt_at, created_at, updated_at
+            ) VALUES (?, ?, ?, 'pending', 0, ?, ?, ?)
+        `);
+        const result = stmt.run(
+            certificate.id,
+            certificate.emag_order_number,
+            this._getDocumentName(certificate),
+            now,
+            now,
+            now
+        );
+        return result.lastInsertRowid;
+    }
+
+    /**
+     * Intrarea deschisă (pending / dead) a unui certificat
+     */
+    _getOpenEntry(certificateId) {
+        return db.prepare(`
+            SELECT * FROM emag_upload_queue
+            WHERE certificate_id = ? AND status IN ('pending', 'dead')
+            LIMIT 1
+        `).get(certificateId);
+    }
+
+    /**
+     * Momentul următoarei încercări: pauza se dublează după fiecare încercare eșuată
+     */
+    _getNextAttemptAt(attempts, now = new Date()) {
+        const delayMinutes = Math.min(
+            QUEUE.BASE_DELAY_MINUTES * Math.pow(2, Math.max(attempts - 1, 0)),
+            QUEUE.MAX_DELAY_MINUTES
+        );
+        return new Date(now.getTime() + delayMinutes * 60 * 1000);
+    }
+
+    _getDocumentName(certificate) {
+        return certificate.version > 1 ?
+            `Certificat Garantie ${certificate.invoice_number} v${certificate.version}` :
+            `Certificat Garantie ${certificate.invoice_number}`;
+    }
+
+    _parseProducts(certificate) {
+        try {
+            return JSON.parse(certificate.products_json || '[]');
+        } catch (e) {
+            return [];
+        }
+    }
+
+    /**
+     * Erorile eMAG pot veni ca listă de mesaje
+     */
+    _formatError(error) {
+        if (!error) return null;
+        return typeof error === 'string' ? error : JSON.stringify(error);
+    }
+
+    /**
+     * Credențialele eMAG sunt încărcate la prima utilizare (worker-ul rulează fără request)
+     */
+    async _ensureConfigured() {
+        if (!emagService.isConfigured()) {
+            await emagService.initialize(process.env.ENCRYPTION_KEY);
+        }
+    }
+}
+
+// Singleton instance
+const emagUploadsService = new EmagUploadsService();
+
+module.exports = emagUploadsService;
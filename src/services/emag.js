@@ -6,26 +6,138 @@
  */
 
 const axios = require('axios');
+const path = require('path');
+const { db } = require('../config/database');
 const constants = require('../config/constants');
 const { loadCredentials } = require('../utils/encryption');
+const { HttpClient } = require('../utils/http-client');
+const emagProductMappingsService = require('./emag-product-mappings');
+const manualsService = require('./manuals');
+
+// Câte o instanță pentru fiecare marketplace (RO, HU, BG)
+const instances = {};
 
 class EmagService {
-    constructor() {
+    constructor(marketplace = constants.EMAG.DEFAULT_MARKETPLACE) {
+        const config = constants.EMAG.MARKETPLACES[marketplace];
+
+        this.marketplace = marketplace;
+        this.label = config.label;
+        this.baseUrl = config.baseUrl;
+        this.credentialsKey = config.credentialsKey;
         this.credentials = null;
         this.publicBaseUrl = null; // URL-ul public unde sunt accesibile PDF-urile
+        // Reîncercări și circuit breaker separate pe marketplace (conturi și servere diferite)
+        this.http = new HttpClient({ service: `eMAG ${marketplace.toUpperCase()}` });
     }
 
     /**
      * Inițializare serviciu cu credențiale
+     * Credențialele se încarcă pentru toate marketplace-urile, indiferent de instanța apelată
+     * @returns {Object} Starea configurării pe fiecare marketplace (ex: { ro: true, hu: false, bg: false })
      */
     async initialize(encryptionKey) {
+        // În sandbox toate marketplace-urile folosesc contul serverului mock
+        if (constants.SANDBOX.ENABLED) {
+            for (const service of Object.values(instances)) {
+                service.credentials = constants.SANDBOX.CREDENTIALS.emag;
+            }
+            return this._getConfiguredStatus();
+        }
+
+        // Fără credențiale eMAG nu este configurat - nu e obligatoriu
         const creds = loadCredentials(encryptionKey);
-        if (!creds || !creds.emag) {
-            return false; // eMAG nu este configurat, nu e obligatoriu
+
+        for (const service of Object.values(instances)) {
+            const marketplaceCreds = creds ? creds[service.credentialsKey] : null;
+            if (marketplaceCreds) {
+                service.credentials = marketplaceCreds;
+                service.publicBaseUrl = marketplaceCreds.publicBaseUrl || null;
+            }
+        }
+        return this._getConfiguredStatus();
+    }
+
+    /**
+     * Marketplace -> true / false, după cum are sau nu credențiale
+     */
+    _getConfiguredStatus() {
+        const status = {};
+        for (const service of Object.values(instances)) {
+            status[service.marketplace] = service.isConfigured();
+        }
+        return status;
+    }
+
+    /**
+     * Instanța serviciului pentru un marketplace
+     * @param {string} marketplace - ro / hu / bg (lipsă = marketplace-ul implicit)
+     */
+    forMarketplace(marketplace) {
+        const service = instances[marketplace || constants.EMAG.DEFAULT_MARKETPLACE];
+        if (!service) {
+            throw new Error(`Marketplace eMAG necunoscut: ${marketplace}`);
+        }
+        return service;
+    }
+
+    /**
+     * Instanțele tuturor marketplace-urilor
+     */
+    getAll() {
+        return Object.values(instances);
+    }
+
+    /**
+     * Marketplace-urile cunoscute, cu starea configurării (pentru setări)
+     */
+    getMarketplaces() {
+        return Object.values(instances).map(service => ({
+            code: service.marketplace,
+            label: service.label,
+            configured: service.isConfigured(),
+            username: service.credentials?.username || ''
+        }));
+    }
+
+    /**
+     * Detectează marketplace-ul eMAG al unei facturi
+     * Ordinea: mențiunea din textul facturii (emag.hu, eMAG BG), canalul de vânzare cu moneda facturii,
+     * monedele implicite ale marketplace-urilor, apoi marketplace-ul implicit
+     * @param {Object} invoice - { text, currency }
+     * @returns {Object} { marketplace, source }
+     */
+    detectMarketplace(invoice = {}) {
+        const marketplaces = constants.EMAG.MARKETPLACES;
+        const text = invoice.text || '';
+        const currency = invoice.currency ? String(invoice.currency).trim().toUpperCase() : null;
+
+        if (text) {
+            for (const code of Object.keys(marketplaces)) {
+                if (marketplaces[code].pattern && marketplaces[code].pattern.test(text)) {
+                    return { marketplace: code, source: 'text' };
+                }
+            }
         }
-        this.credentials = creds.emag;
-        this.publicBaseUrl = creds.emag.publicBaseUrl || null;
-        return true;
+
+        if (currency) {
+            const channel = db.prepare(`
+                SELECT emag_marketplace FROM price_channels
+                WHERE currency = ? AND emag_marketplace IS NOT NULL AND emag_marketplace != '' AND is_active = 1
+                ORDER BY display_order ASC
+                LIMIT 1
+            `).get(currency);
+            if (channel && marketplaces[channel.emag_marketplace]) {
+                return { marketplace: channel.emag_marketplace, source: 'channel' };
+            }
+
+            const code = Object.keys(marketplaces).find(key => marketplaces[key].currencies.includes(currency));
+            if (code) {
+                return { marketplace: code, source: 'currency' };
+            }
+        }
+
+        return { marketplace: constants.EMAG.DEFAULT_MARKETPLACE, source: 'default' };
     }
 
     /**
@@ -67,10 +179,10 @@ class EmagService {
             throw new Error('Serviciul eMAG nu este configurat');
         }
 
-        const url = `${constants.EMAG.BASE_URL}/order/read`;
+        const url = `${this.baseUrl}/order/read`;
 
         try {
-            const response = await axios({
+            const response = await this.http.execute('POST /order/read', () => axios({
                 method: 'POST',
                 url,
                 data: {
@@ -81,7 +193,7 @@ class EmagService {
                     'Content-Type': 'application/json'
                 },
                 timeout: 30000
-            });
+            }));
 
             if (response.data && response.data.isError === false && response.data.results) {
                 return {
@@ -102,6 +214,59 @@ class EmagService {
         }
     }
 
+    /**
+     * Citește o pagină de comenzi eMAG filtrate după status și data creării
+     * @param {Object} filters - { status, createdAfter, createdBefore, currentPage, itemsPerPage }
+     *   datele în formatul eMAG "YYYY-MM-DD HH:mm:ss"
+     * @returns {Object} - { success, orders } sau { success: false, error }
+     */
+    async readOrders(filters = {}) {
+        if (!this.isConfigured()) {
+            throw new Error('Serviciul eMAG nu este configurat');
+        }
+
+        const url = `${this.baseUrl}/order/read`;
+        const data = {
+            currentPage: filters.currentPage || 1,
+            itemsPerPage: filters.itemsPerPage || 100
+        };
+        ['status', 'createdAfter', 'createdBefore'].forEach(field => {
+            if (filters[field] !== undefined && filters[field] !== null) {
+                data[field] = filters[field];
+            }
+        });
+
+        try {
+            const response = await this.http.execute('POST /order/read', () => axios({
+                method: 'POST',
+                url,
+                data,
+                headers: {
+                    'Authorization': this._getAuthHeader(),
+                    'Content-Type': 'application/json'
+                },
+                timeout: 60000
+            }));
+
+            if (response.data && response.data.isError === false) {
+                return {
+                    success: true,
+                    orders: response.data.results || []
+                };
+            }
+
+            return {
+                success: false,
+                error: response.data?.messages || 'Eroare la citirea comenzilor'
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.response?.data?.messages || error.message
+            };
+        }
+    }
+
     /**
      * Încarcă un certificat de garanție pentru o comandă eMAG
      * Conform documentației API eMAG v4.5.0 - secțiunea 5.1.3
@@ -114,30 +279,38 @@ class EmagService {
      * @param {string} pdfUrl - URL-ul public al PDF-ului
      * @param {string} filename - Numele fișierului (max 60 caractere)
      * @param {number} orderType - Tipul comenzii: 2=fulfilled by eMAG, 3=fulfilled by seller
+     * @param {number} forceDownload - 1 = eMAG descarcă din nou fișierul (ex: înlocuirea unei versiuni vechi)
      */
-    async uploadWarrantyCertificate(orderId, orderProductId, pdfUrl, filename = 'Certificat Garantie', orderType = 3) {
+    async uploadWarrantyCertificate(orderId, orderProductId, pdfUrl, filename = 'Certificat Garantie', orderType = 3, forceDownload = 1) {
+        return this.uploadOrderAttachment(orderId, orderProductId, pdfUrl, filename, constants.EMAG.ATTACHMENT_TYPES.WARRANTY, orderType, forceDownload);
+    }
+
+    /**
+     * Atașează un PDF public unei linii din comandă (garanție, manual de utilizare, ghid)
+     * @param {number} attachmentType - Tipul atașamentului (constants.EMAG.ATTACHMENT_TYPES)
+     * Restul parametrilor ca la uploadWarrantyCertificate
+     */
+    async uploadOrderAttachment(orderId, orderProductId, pdfUrl, filename, attachmentType, orderType = 3, forceDownload = 1) {
         if (!this.isConfigured()) {
             throw new Error('Serviciul eMAG nu este configurat');
         }
 
-        const url = `${constants.EMAG.BASE_URL}/order/attachments/save`;
+        const url = `${this.baseUrl}/order/attachments/save`;
 
         // Conform documentației eMAG API v4.5.0
-        // type=3 pentru warranty, order_product_id este obligatoriu pentru warranty
+        // type=3 pentru warranty, 4 = manual de utilizare; order_product_id este obligatoriu pentru acestea
         const payload = {
             order_id: parseInt(orderId),
             order_type: orderType, // 3 = fulfilled by seller (default)
             order_product_id: parseInt(orderProductId),
             name: filename.substring(0, 60), // max 60 caractere
             url: pdfUrl,
-            type: 3, // 3 = warranty
-            force_download: 1 // forțează descărcarea dacă URL-ul s-a schimbat
+            type: attachmentType,
+            force_download: forceDownload // forțează descărcarea dacă URL-ul s-a schimbat
         };
 
-        console.log('[eMAG] Upload warranty:', JSON.stringify(payload, null, 2));
-
         try {
-            const response = await axios({
+            const response = await this.http.execute('POST /order/attachments/save', () => axios({
                 method: 'POST',
                 url,
                 data: payload,
@@ -146,14 +319,15 @@ class EmagService {
                     'Content-Type': 'application/json'
                 },
                 timeout: 60000
-            });
-
-            console.log('[eMAG] Response:', JSON.stringify(response.data, null, 2));
+            }));
 
+            // Rezultatul (inclusiv eroarea) apare în log o singură dată, prin _logDecision
             if (response.data && response.data.isError === false) {
                 return {
                     success: true,
-                    message: 'Certificat încărcat cu succes în eMAG'
+                    message: attachmentType === constants.EMAG.ATTACHMENT_TYPES.WARRANTY ?
+                        'Certificat încărcat cu succes în eMAG' :
+                        'Atașament încărcat cu succes în eMAG'
                 };
             }
 
@@ -162,7 +336,6 @@ class EmagService {
                 error: response.data?.messages || 'Eroare necunoscută la încărcare'
             };
         } catch (error) {
-            console.error('[eMAG] Error:', error.response?.data || error.message);
             if (error.response) {
                 return {
                     success: false,
@@ -177,13 +350,20 @@ class EmagService {
     }
 
     /**
-     * Încarcă certificatul de garanție pentru toate produsele dintr-o comandă
+     * Încarcă certificatul de garanție pentru produsele cu garanție dintr-o comandă
+     * Liniile comenzii sunt mapate la nomenclator (vezi emag-product-mappings); accesoriile,
+     * serviciile și liniile nemapate nu primesc certificatul
+     * Atașamentele existente sunt citite înainte: produsele care au deja același certificat sunt
+     * omise, iar o versiune nouă se adaugă lângă cea veche - eMAG nu permite ștergerea sau înlocuirea
+     * unui atașament prin API, așa că versiunea veche trebuie retrasă manual (decizii în emag_attachment_log)
+     * Aceleași linii primesc și manualele produselor din biblioteca de manuale (vezi _uploadManuals)
      * @param {string} orderId - ID-ul comenzii eMAG
      * @param {string} pdfUrl - URL-ul public al PDF-ului
      * @param {string} filename - Numele fișierului
-     * @param {Array} productIds - Lista de order_product_id pentru care se încarcă garanția (opțional)
+     * @param {Array} warrantyCodes - Codurile SmartBill ale produselor cu garanție de pe certificat
+     *                                (null = toate produsele din comandă)
      */
-    async uploadWarrantyForOrder(orderId, pdfUrl, filename = 'Certificat Garantie', productIds = null) {
+    async uploadWarrantyForOrder(orderId, pdfUrl, filename = 'Certificat Garantie', warrantyCodes = null) {
         // Mai întâi citim detaliile comenzii pentru a obține produsele
         const orderResult = await this.getOrderDetails(orderId);
 
@@ -206,13 +386,49 @@ class EmagService {
         }
 
         const results = [];
+        let targetProducts = products;
+        let selection = null;
 
-        // Dacă sunt specificate productIds, folosim doar acelea
-        const targetProducts = productIds
-            ? products.filter(p => productIds.includes(p.id))
-            : products;
+        if (warrantyCodes) {
+            selection = emagProductMappingsService.selectWarrantyLines(orderId, products, warrantyCodes);
+
+            if (selection.lines.length === 0) {
+                const unmapped = selection.unmapped.map(line => line.name).join(', ');
+                return {
+                    success: false,
+                    error: 'Niciun produs din comanda eMAG nu corespunde produselor cu garanție de pe certificat' +
+                        (unmapped ? ` (produse nemapate: ${unmapped} - adăugați maparea în pagina Produse eMAG)` : ''),
+                    selection
+                };
+            }
+
+            const lineIds = selection.lines.map(line => line.id);
+            targetProducts = products.filter(p => lineIds.includes(p.id));
+        }
+
+        // Garanțiile deja atașate; dacă nu pot fi citite, încărcăm ca înainte
+        let existingAttachments = null;
+        let existingWarranties = null;
+        const attachmentsResult = await this.getOrderAttachments(orderId);
+        if (attachmentsResult.success) {
+            existingAttachments = attachmentsResult.attachments || [];
+            existingWarranties = existingAttachments.filter(attachment =>
+                parseInt(attachment.type) === constants.EMAG.ATTACHMENT_TYPES.WARRANTY
+            );
+        } else {
+            console.warn(`[eMAG] Atașamentele comenzii ${orderId} nu au putut fi citite:`, attachmentsResult.error);
+        }
 
         for (const product of targetProducts) {
+            const productName = product.name || product.part_number;
+            const decision = this._decideAttachment(existingWarranties, product.id, pdfUrl);
+
+            if (decision.action === 'skipped' || decision.action === 'kept_newer') {
+                this._logDecision(orderId, product.id, productName, pdfUrl, decision);
+                results.push({ productId: product.id, productName, success: true, decision: decision.action, message: decision.message });
+                continue;
+            }
+
             const uploadResult = await this.uploadWarrantyCertificate(
                 orderId,
                 product.id,
@@ -221,9 +437,15 @@ class EmagService {
                 orderType
             );
 
+            const finalDecision = uploadResult.success ?
+                decision :
+                { ...decision, action: 'failed', message: this._formatError(uploadResult.error) };
+            this._logDecision(orderId, product.id, productName, pdfUrl, finalDecision);
+
             results.push({
                 productId: product.id,
-                productName: product.name || product.part_number,
+                productName,
+                decision: finalDecision.action,
                 ...uploadResult
             });
 
@@ -231,15 +453,180 @@ class EmagService {
             await new Promise(resolve => setTimeout(resolve, 300));
         }
 
+        // Manualele nu influențează rezultatul încărcării certificatului
+        const manuals = selection ? await this._uploadManuals(orderId, orderType, selection.lines, existingAttachments) : [];
+
         const successCount = results.filter(r => r.success).length;
+        const countOf = action => results.filter(r => r.decision === action).length;
+        const uploadedManuals = manuals.filter(m => m.decision === 'uploaded').length;
+        const details = [
+            countOf('added') > 0 ? `${countOf('added')} versiuni noi adăugate lângă cele vechi` : null,
+            countOf('skipped') + countOf('kept_newer') > 0 ? `${countOf('skipped') + countOf('kept_newer')} deja atașate` : null,
+            selection && selection.withoutWarranty.length + selection.unmapped.length > 0 ?
+                `${selection.withoutWarranty.length + selection.unmapped.length} produse fără garanție omise` : null,
+            uploadedManuals > 0 ? `${uploadedManuals} manuale atașate` : null
+        ].filter(Boolean);
 
         return {
             success: successCount > 0,
-            message: `${successCount}/${results.length} certificate încărcate`,
-            results
+            message: `${successCount}/${results.length} certificate încărcate` + (details.length > 0 ? ` (${details.join(', ')})` : ''),
+            results,
+            manuals,
+            selection
+        };
+    }
+
+    /**
+     * Atașează manualele produselor liniilor din comandă care corespund produselor de pe certificat
+     * Manualele deja atașate aceleiași linii (același fișier) sunt omise
+     * @param {Array} lines - Liniile selectate ({ id, name, code }, vezi selectWarrantyLines)
+     * @param {Array|null} existingAttachments - Atașamentele comenzii (null = nu au putut fi citite)
+     */
+    async _uploadManuals(orderId, orderType, lines, existingAttachments) {
+        const manualsByCode = manualsService.getManualsForCodes(lines.map(line => line.code));
+        const results = [];
+
+        for (const line of lines) {
+            for (const manual of manualsByCode[line.code] || []) {
+                const url = manualsService.getPublicUrl(manual);
+                const attached = (existingAttachments || []).some(attachment =>
+                    parseInt(attachment.order_product_id) === parseInt(line.id) &&
+                    this.getAttachmentFileName(attachment.url) === manual.stored_name
+                );
+
+                let decision;
+                if (attached) {
+                    decision = { action: 'skipped', message: `Manualul "${manual.title}" este deja atașat` };
+                } else {
+                    const uploadResult = await this.uploadOrderAttachment(orderId, line.id, url, manual.title, manual.attachment_type, orderType, 0);
+                    decision = uploadResult.success ?
+                        { action: 'uploaded', message: `Manual: ${manual.title}` } :
+                        { action: 'failed', message: `Manual "${manual.title}": ${this._formatError(uploadResult.error)}` };
+
+                    // Mică pauză între request-uri
+                    await new Promise(resolve => setTimeout(resolve, 300));
+                }
+
+                this._logDecision(orderId, line.id, line.name, url, decision);
+                results.push({ productId: line.id, manualId: manual.id, decision: decision.action, message: decision.message });
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Ce facem cu garanția unui produs, în funcție de ce este deja atașat
+     * Certificatele noastre au numele Certificat_Garantie_<factură>[_vN].pdf - aceeași factură
+     * cu o versiune mai veche înseamnă că versiunea nouă se adaugă lângă ea ('added'; atașamentul vechi
+     * rămâne pe comandă și se retrage manual), iar cu una mai nouă nu mai încărcăm nimic
+     * @returns {Object} { action: 'uploaded' | 'skipped' | 'added' | 'kept_newer', previousUrl, message }
+     */
+    _decideAttachment(existingWarranties, orderProductId, pdfUrl) {
+        if (!existingWarranties) {
+            return { action: 'uploaded', previousUrl: null, message: 'Atașamentele existente nu au putut fi citite' };
+        }
+
+        const file = this.getAttachmentFileName(pdfUrl);
+        const current = this._parseCertificateFile(file);
+        const attached = existingWarranties.filter(attachment => parseInt(attachment.order_product_id) === parseInt(orderProductId));
+
+        const identical = attached.find(attachment => this.getAttachmentFileName(attachment.url) === file);
+        if (identical) {
+            return { action: 'skipped', previousUrl: identical.url, message: 'Certificatul este deja atașat' };
+        }
+
+        const versions = current ?
+            attached
+                .map(attachment => ({ url: attachment.url, parsed: this._parseCertificateFile(this.getAttachmentFileName(attachment.url)) }))
+                .filter(item => item.parsed && item.parsed.stem === current.stem) :
+            [];
+
+        // Cea mai mare versiune atașată (atașamentele nu vin neapărat în ordinea versiunilor)
+        const latest = versions.reduce((max, item) => (!max || item.parsed.version > max.parsed.version ? item : max), null);
+
+        if (latest && latest.parsed.version > current.version) {
+            return { action: 'kept_newer', previousUrl: latest.url, message: `Este atașată deja versiunea ${latest.parsed.version}` };
+        }
+
+        if (latest) {
+            return {
+                action: 'added',
+                previousUrl: latest.url,
+                message: `Adăugat lângă versiunea ${latest.parsed.version}, care rămâne atașată comenzii - retrageți-o manual din eMAG`
+            };
+        }
+
+        return {
+            action: 'uploaded',
+            previousUrl: null,
+            message: attached.length > 0 ? `Produsul mai are ${attached.length} garanții atașate (alte documente)` : null
         };
     }
 
+    _parseCertificateFile(file) {
+        const match = /^(Certificat_Garantie_.+?)(?:_v(\d+))?\.pdf$/i.exec(file || '');
+        return match ? { stem: match[1], version: match[2] ? parseInt(match[2]) : 1 } : null;
+    }
+
+    /**
+     * Numele fișierului dintr-un URL de atașament - comparăm după fișier, nu după URL-ul complet,
+     * pentru că URL-ul de bază se poate schimba (PUBLIC_URL)
+     */
+    getAttachmentFileName(url) {
+        if (!url) return null;
+        try {
+            return decodeURIComponent(path.basename(new URL(url).pathname));
+        } catch (e) {
+            return path.basename(String(url));
+        }
+    }
+
+    /**
+     * Salvează și afișează decizia luată pentru garanția unui produs
+     */
+    _logDecision(orderId, orderProductId, productName, url, decision) {
+        console.log(`[eMAG] Comanda ${orderId} (${this.marketplace}), produs ${orderProductId}: ${decision.action}${decision.message ? ` - ${decision.message}` : ''}`);
+
+        db.prepare(`
+            INSERT INTO emag_attachment_log (marketplace, order_id, order_product_id, product_name, url, decision, previous_url, message)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(
+            this.marketplace,
+            String(orderId),
+            orderProductId,
+            productName || null,
+            url,
+            decision.action,
+            decision.previousUrl || null,
+            decision.message || null
+        );
+    }
+
+    /**
+     * Jurnalul deciziilor de încărcare, cele mai recente primele
+     * @param {Object} filters - { orderId, limit }
+     */
+    getAttachmentLog(filters = {}) {
+        let sql = 'SELECT * FROM emag_attachment_log';
+        const params = [];
+
+        if (filters.orderId) {
+            sql += ' WHERE order_id = ?';
+            params.push(String(filters.orderId));
+        }
+
+        sql += ' ORDER BY id DESC LIMIT ?';
+        params.push(parseInt(filters.limit, 10) || 100);
+
+        return db.prepare(sql).all(...params);
+    }
+
+    _formatError(error) {
+        if (!error) return null;
+        return typeof error === 'string' ? error : JSON.stringify(error);
+    }
+
     /**
      * Generează URL-ul public pentru un certificat
      * @param {string} certificateFilename - Numele fișierului certificat
@@ -261,9 +648,9 @@ class EmagService {
 
         try {
             // Facem un request simplu pentru a verifica autentificarea
-            const url = `${constants.EMAG.BASE_URL}/order/count`;
+            const url = `${this.baseUrl}/order/count`;
 
-            const response = await axios({
+            const response = await this.http.execute('POST /order/count', () => axios({
                 method: 'POST',
                 url,
                 data: {},
@@ -272,7 +659,7 @@ class EmagService {
                     'Content-Type': 'application/json'
                 },
                 timeout: 10000
-            });
+            }));
 
             return {
                 success: true,
@@ -296,10 +683,10 @@ class EmagService {
             throw new Error('Serviciul eMAG nu este configurat');
         }
 
-        const url = `${constants.EMAG.BASE_URL}/order/attachments/read`;
+        const url = `${this.baseUrl}/order/attachments/read`;
 
         try {
-            const response = await axios({
+            const response = await this.http.execute('POST /order/attachments/read', () => axios({
                 method: 'POST',
                 url,
                 data: {
@@ -310,7 +697,7 @@ class EmagService {
                     'Content-Type': 'application/json'
                 },
                 timeout: 30000
-            });
+            }));
 
             if (response.data && response.data.isError === false) {
                 return {
@@ -332,7 +719,11 @@ class EmagService {
     }
 }
 
-// Singleton instance
-const emagService = new EmagService();
+for (const marketplace of Object.keys(constants.EMAG.MARKETPLACES)) {
+    instances[marketplace] = new EmagService(marketplace);
+}
+
+// Singleton instance (marketplace-ul implicit); celelalte prin forMarketplace()
+const emagService = instances[constants.EMAG.DEFAULT_MARKETPLACE];
 
 module.exports = emagService;
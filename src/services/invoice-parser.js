@@ -25,6 +25,7 @@ class InvoiceParserService {
                 isVatPayer: false,
                 products: this._extractProducts(text),
                 totalValue: this._extractTotalValue(text),
+                currency: this._extractCurrency(text),
                 emagOrderNumber: this._extractEmagOrderNumber(text),
                 rawText: text // Pentru debugging
             };
@@ -32,6 +33,13 @@ class InvoiceParserService {
             // Determinăm dacă clientul este plătitor de TVA (PJ cu CUI)
             invoiceData.isVatPayer = this._isVatPayer(invoiceData.clientCUI, text);
 
+            // Detectăm facturile de stornare (retururi) și factura originală la care se referă
+            const storno = this._detectStorno(text, invoiceData.invoiceNumber, invoiceData.totalValue);
+            invoiceData.isStorno = storno.isStorno;
+            invoiceData.stornoReference = storno.reference;
+            invoiceData.stornoReferenceSeries = storno.referenceSeries;
+            invoiceData.stornoReferenceNumber = storno.referenceNumber;
+
             return {
                 success: true,
                 data: invoiceData
@@ -68,6 +76,76 @@ class InvoiceParserService {
         return null;
     }
 
+    /**
+     * Detectează dacă factura este o stornare (factură de retur / credit note)
+     * Factura este storno doar dacă totalul este negativ sau dacă mențiunea "Storno"/"Stornare"
+     * este însoțită de referința facturii originale. O linie cu cantitate negativă (ex: un discount
+     * "-1 buc") sau cuvântul "storno" singur nu sunt suficiente.
+     * @param {string} text - Textul facturii
+     * @param {string} ownInvoiceNumber - Numărul facturii curente (exclus din referință)
+     * @param {number} totalValue - Totalul extras din factură
+     * @returns {Object} { isStorno, reference, referenceSeries, referenceNumber }
+     *   reference = factura originală (ex: PK202124601) sau null
+     */
+    _detectStorno(text, ownInvoiceNumber, totalValue) {
+        const hasStornoWording = /\bstorn(?:o|are|ata|ată|area)\b/i.test(text);
+        const hasNegativeTotal = typeof totalValue === 'number' && totalValue < 0;
+
+        const reference = (hasStornoWording || hasNegativeTotal) ? this._extractStornoReference(text, ownInvoiceNumber) : null;
+        const isStorno = hasNegativeTotal || (hasStornoWording && !!reference);
+
+        if (!isStorno) {
+            if (hasStornoWording) {
+                console.log('[Parser] Mențiune "storno" fără referință la o factură și fără total negativ - factura este tratată normal');
+            }
+            return { isStorno: false, reference: null, referenceSeries: null, referenceNumber: null };
+        }
+
+        if (reference) {
+            console.log(`[Parser] Factură storno detectată, referință la factura ${reference.series} ${reference.number}`);
+            return {
+                isStorno: true,
+                reference: `${reference.series}${reference.number}`,
+                referenceSeries: reference.series,
+                referenceNumber: reference.number
+            };
+        }
+
+        console.log('[Parser] Factură storno detectată (total negativ), dar fără referință la factura originală');
+        return { isStorno: true, reference: null, referenceSeries: null, referenceNumber: null };
+    }
+
+    /**
+     * Extrage referința la factura originală dintr-o factură storno, cu seria și numărul separate
+     * Ex: "Storno factura PK 202124601", "Stornare factura seria PK2026 nr. 123", "conform facturii PK202124601"
+     * Cu "nr." explicit seria poate conține cifre (PK2026 nr. 123 -> seria PK2026, numărul 123);
+     * fără "nr." seria este formată doar din litere (PK202124601 -> seria PK, numărul 202124601)
+     * @returns {Object|null} { series, number }
+     */
+    _extractStornoReference(text, ownInvoiceNumber) {
+        const reference = '(?:seria\\s+)?(?!seria\\b|factur)(?:([A-Z][A-Z0-9]{0,9})\\s*nr\\.?\\s*(\\d{1,12})|([A-Z]{1,5})\\s*(\\d{4,12}))';
+        const referencePatterns = [
+            new RegExp(`storn\\w*\\s+(?:la\\s+)?(?:factur[aăi]+\\s+)?${reference}`, 'gi'),
+            new RegExp(`(?:conform|aferent[aă]?|la)\\s+factur(?:a|ii)\\s+${reference}`, 'gi'),
+            new RegExp(`factura\\s+(?:de\\s+)?origine[:\\s]+${reference}`, 'gi')
+        ];
+
+        const ownNumber = (ownInvoiceNumber || '').replace(/\s+/g, '').toUpperCase();
+
+        for (const pattern of referencePatterns) {
+            for (const match of text.matchAll(pattern)) {
+                const series = (match[1] || match[3]).toUpperCase();
+                const number = match[2] || match[4];
+
+                if (`${series}${number}` !== ownNumber) {
+                    return { series, number };
+                }
+            }
+        }
+
+        return null;
+    }
+
     /**
      * Extrage numărul facturii
      */
@@ -283,6 +361,7 @@ class InvoiceParserService {
                  line.toLowerCase().includes('tractor') || line.toLowerCase().includes('kart'))) {
 
                 let fullName = line;
+                let quantity = null;
 
                 // Concatenăm cu liniile următoare până găsim o linie completă
                 // (care conține voltaj ȘI culoare)
@@ -290,8 +369,8 @@ class InvoiceParserService {
                 while (j < lines.length && j < i + 5) {
                     const nextLine = lines[j];
 
-                    // Stop dacă linia următoare e preț, cantitate sau alt produs
-                    if (nextLine.match(/^[\d.,]+\s*(RON|Lei|buc|EUR)?$/i) ||
+                    // Stop dacă linia următoare e preț, cantitate (și negativă, pe stornări) sau alt produs
+                    if (nextLine.match(/^-?[\d.,]+\s*(RON|Lei|buc|EUR)?$/i) ||
                         nextLine.match(/^(Total|Subtotal|TVA)/i) ||
                         nextLine.match(/^\d+\s*x\s*\d/) ||
                         (nextLine.toLowerCase().includes('premier') && nextLine.toLowerCase().includes('electric'))) {
@@ -312,6 +391,15 @@ class InvoiceParserService {
                     j++;
                 }
 
+                // Cantitatea este prima linie "N buc" de după denumire (negativă pe liniile stornate)
+                for (let k = j; k < lines.length && k < j + 4; k++) {
+                    const quantityMatch = lines[k].match(/^(-?\d+(?:[.,]\d+)?)\s*buc$/i);
+                    if (quantityMatch) {
+                        quantity = parseFloat(quantityMatch[1].replace(',', '.'));
+                        break;
+                    }
+                }
+
                 // Curățăm numele - doar spații multiple
                 fullName = fullName.replace(/\s+/g, ' ').trim();
 
@@ -324,7 +412,7 @@ class InvoiceParserService {
                     products.push({
                         code: this._extractProductCode(fullName, text),
                         name: fullName,
-                        quantity: 1
+                        quantity: quantity || 1
                     });
 
                     console.log(`[Parser] Produs găsit: "${fullName}"`);
@@ -404,9 +492,9 @@ class InvoiceParserService {
      */
     _extractTotalValue(text) {
         const patterns = [
-            /Total(?:\s+general)?[:\s]+(\d+[.,]?\d*)\s*(?:RON|Lei)?/i,
-            /TOTAL[:\s]+(\d+[.,]?\d*)/i,
-            /Total\s+de\s+plat[aă][:\s]+(\d+[.,]?\d*)/i
+            /Total(?:\s+general)?[:\s]+(-?\d+[.,]?\d*)\s*(?:RON|Lei)?/i,
+            /TOTAL[:\s]+(-?\d+[.,]?\d*)/i,
+            /Total\s+de\s+plat[aă][:\s]+(-?\d+[.,]?\d*)/i
         ];
 
         for (const pattern of patterns) {
@@ -419,6 +507,27 @@ class InvoiceParserService {
         return null;
     }
 
+    /**
+     * Extrage moneda facturii (RON implicit nu se presupune - null dacă nu apare)
+     * SmartBill afișează "Moneda: HUF" sau moneda lângă total (ex: "Total 12500,00 HUF")
+     */
+    _extractCurrency(text) {
+        const patterns = [
+            /Moned[aă][:\s]+(RON|EUR|HUF|BGN|USD)\b/i,
+            /Total(?:\s+de\s+plat[aă]|\s+general)?[:\s]+-?\d+[.,]?\d*\s*(RON|EUR|HUF|BGN|USD|Lei)\b/i
+        ];
+
+        for (const pattern of patterns) {
+            const match = text.match(pattern);
+            if (match) {
+                const currency = match[1].toUpperCase();
+                return currency === 'LEI' ? 'RON' : currency;
+            }
+        }
+
+        return null;
+    }
+
     /**
      * Potrivește produsele din factură cu nomenclatorul local
      * @param {Array} invoiceProducts - Produsele extrase din factură
@@ -0,0 +1,356 @@
+/**
+ * Serviciu pentru seriile de facturi urmărite la procesarea automată
+ * Fiecare serie (magazin online, showroom, serii anuale ca PK2026) are propriul cursor
+ * (ultimul număr procesat), flag de activare și prag de oprire pentru facturi negăsite
+ */
+
+const { db } = require('../config/database');
+const constants = require('../config/constants');
+
+// Serie anuală: litere + an (ex: PK2026)
+const YEARLY_SERIES_PATTERN = /^([A-Z]+)(20\d{2})$/;
+
+class InvoiceSeriesService {
+    /**
+     * Toate seriile (active primele)
+     */
+    getAllSeries() {
+        const stmt = db.prepare('SELECT * FROM invoice_series ORDER BY is_active DESC, series ASC');
+        return stmt.all().map(row => this._format(row));
+    }
+
+    /**
+     * Seriile active, în ordinea în care au fost adăugate
+     */
+    getActiveSeries() {
+        const stmt = db.prepare('SELECT * FROM invoice_series WHERE is_active = 1 ORDER BY id ASC');
+        return stmt.all().map(row => this._format(row));
+    }
+
+    /**
+     * Obține o serie după ID
+     */
+    getSeriesById(id) {
+        const row = db.prepare('SELECT * FROM invoice_series WHERE id = ?').get(id);
+        return row ? this._format(row) : null;
+    }
+
+    /**
+     * Obține o serie după nume (ex: PK2026)
+     */
+    getSeriesByName(series) {
+        const row = db.prepare('SELECT * FROM invoice_series WHERE series = ?').get(String(series || '').toUpperCase());
+        return row ? this._format(row) : null;
+    }
+
+    /**
+     * Seria folosită când se introduce doar numărul facturii: prima serie activă
+     */
+    getDefaultSeries() {
+        const active = this.getActiveSeries();
+        return active.length > 0 ? active[0].series : constants.INVOICE_SERIES.FALLBACK_SERIES;
+    }
+
+    /**
+     * Adaugă o serie urmărită
+     * @param {Object} data - { series, lastNumber, description, isActive, notFoundThreshold }
+     *   lastNumber poate fi text (ex: "0001234") - zerourile din față dau lungimea minimă a numărului
+     */
+    createSeries(data) {
+        const series = String(data.series || '').trim().toUpperCase();
+        if (!/^[A-Z][A-Z0-9]{0,9}$/.test(series)) {
+            throw new Error('Seria trebuie să înceapă cu o literă și să conțină maxim 10 litere/cifre');
+        }
+
+        if (this.getSeriesByName(series)) {
+            throw new Error(`Seria ${series} există deja`);
+        }
+
+        const { lastNumber, padding } = this._parseNumber(data.lastNumber);
+        const threshold = this._parseThreshold(data.notFoundThreshold);
+
+        const stmt = db.prepare(`
+            INSERT INTO invoice_series (
+                series, description, last_number, number_padding, is_active, not_found_threshold, is_yearly
+            ) VALUES (?, ?, ?, ?, ?, ?, ?)
+        `);
+        const result = stmt.run(
+            series,
+            data.description || null,
+            lastNumber,
+            padding,
+            data.isActive === false ? 0 : 1,
+            threshold,
+            YEARLY_SERIES_PATTERN.test(series) ? 1 : 0
+        );
+
+        console.log(`[InvoiceSeries] Serie adăugată: ${series} (ultimul număr ${lastNumber})`);
+        return this.getSeriesById(result.lastInsertRowid);
+    }
+
+    /**
+     * Actualizează o serie (doar câmpurile primite)
+     * @param {number} id - ID-ul seriei
+     * @param {Object} data - { lastNumber, description, isActive, notFoundThreshold }
+     */
+    updateSeries(id, data) {
+        const existing = this.getSeriesById(id);
+        if (!existing) {
+            throw new Error('Seria nu a fost găsită');
+        }
+
+        let lastNumber = existing.last_number;
+        let padding = existing.number_padding;
+        if (data.lastNumber !== undefined) {
+            const parsed = this._parseNumber(data.lastNumber);
+            lastNumber = parsed.lastNumber;
+            // Păstrăm formatul seriei dacă numărul este introdus fără zerourile din față
+            padding = parsed.padding || existing.number_padding;
+        }
+
+        const stmt = db.prepare(`
+            UPDATE invoice_series
+            SET description = ?, last_number = ?, number_padding = ?, is_active = ?,
+                not_found_threshold = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `);
+        stmt.run(
+            data.description !== undefined ? (data.description || null) : existing.description,
+            lastNumber,
+            padding,
+            data.isActive !== undefined ? (data.isActive ? 1 : 0) : existing.is_active,
+            data.notFoundThreshold !== undefined ? this._parseThreshold(data.notFoundThreshold) : existing.not_found_threshold,
+            id
+        );
+
+        return this.getSeriesById(id);
+    }
+
+    /**
+     * Șterge o serie din lista urmărită (facturile și certificatele nu sunt afectate)
+     */
+    deleteSeries(id) {
+        const existing = this.getSeriesById(id);
+        if (!existing) {
+            throw new Error('Seria nu a fost găsită');
+        }
+
+        db.prepare('DELETE FROM invoice_series WHERE id = ?').run(id);
+        console.log(`[InvoiceSeries] Serie ștearsă: ${existing.series}`);
+    }
+
+    /**
+     * Mută cursorul unei serii (ultimul număr procesat)
+     */
+    setCursor(id, lastNumber) {
+        const stmt = db.prepare(`
+            UPDATE invoice_series SET last_number = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+        `);
+        stmt.run(parseInt(lastNumber, 10) || 0, id);
+    }
+
+    /**
+     * Ține cursorul seriei înaintea unei facturi la care SmartBill a răspuns cu eroare temporară
+     * Rulările consecutive care eșuează la aceeași factură se numără
+     * @returns {number} În câte rulări a eșuat factura (inclusiv cea curentă)
+     */
+    holdAtInvoice(id, number) {
+        const row = this.getSeriesById(id);
+        const heldRuns = row && row.held_number === number ? (row.held_runs || 0) + 1 : 1;
+
+        const stmt = db.prepare(`
+            UPDATE invoice_series SET held_number = ?, held_runs = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+        `);
+        stmt.run(number, heldRuns, id);
+        return heldRuns;
+    }
+
+    /**
+     * Eliberează factura ținută (cursorul a trecut de ea)
+     */
+    releaseHeldInvoice(id) {
+        const stmt = db.prepare(`
+            UPDATE invoice_series SET held_number = NULL, held_runs = 0, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+        `);
+        stmt.run(id);
+    }
+
+    /**
+     * Setează cursorul pornind de la identificatorul complet al facturii (ex: PK202124575)
+     * Dacă seria nu este urmărită încă, o adaugă
+     * @returns {Object} Seria actualizată
+     */
+    setCursorFromIdentifier(identifier) {
+        const { series, number } = this.parseIdentifier(identifier);
+        if (!series || !number) {
+            throw new Error(`Format invalid pentru factură: ${identifier}. Folosiți formatul: PK202124575`);
+        }
+
+        const existing = this.getSeriesByName(series);
+        if (existing) {
+            return this.updateSeries(existing.id, { lastNumber: number });
+        }
+
+        return this.createSeries({ series, lastNumber: number });
+    }
+
+    /**
+     * Identificatorul complet al facturii pentru un număr din serie (ex: PKF + 1235 -> PKF0001235)
+     */
+    formatIdentifier(seriesRow, number) {
+        return `${seriesRow.series}${String(number).padStart(seriesRow.number_padding || 0, '0')}`;
+    }
+
+    /**
+     * Seriile anului curent care lipsesc pentru seriile anuale (ex: PK2026 -> PK2027 la schimbarea anului)
+     * Nu scrie nimic - folosită și la simulare, unde seriile noi nu se salvează
+     * @returns {Array} Datele seriilor de creat ({ series, lastNumber, description, notFoundThreshold, numberPadding })
+     */
+    getPendingYearlySeries(now = new Date()) {
+        const currentYear = now.getFullYear();
+        const latestByPrefix = new Map();
+
+        for (const row of this.getAllSeries().filter(s => s.is_yearly)) {
+            const [, prefix, year] = row.series.match(YEARLY_SERIES_PATTERN) || [];
+            if (!prefix) continue;
+
+            const latest = latestByPrefix.get(prefix);
+            if (!latest || parseInt(year, 10) > latest.year) {
+                latestByPrefix.set(prefix, { year: parseInt(year, 10), row });
+            }
+        }
+
+        const pending = [];
+        for (const [prefix, latest] of latestByPrefix) {
+            if (latest.year >= currentYear || !latest.row.is_active) continue;
+
+            pending.push({
+                series: `${prefix}${currentYear}`,
+                lastNumber: '0'.repeat(Math.max(latest.row.number_padding, 1)),
+                description: `Creată automat (an nou după ${latest.row.series})`,
+                notFoundThreshold: latest.row.not_found_threshold,
+                numberPadding: latest.row.number_padding
+            });
+        }
+
+        return pending;
+    }
+
+    /**
+     * Creează automat seria anului curent pentru seriile anuale
+     * Seria nouă pornește de la numărul 0 și preia pragul și formatul numărului de la seria anterioară
+     * @returns {Array} Seriile create
+     */
+    ensureYearlySeries(now = new Date()) {
+        return this.getPendingYearlySeries(now).map(data => this.createSeries(data));
+    }
+
+    /**
+     * Migrează cursorul vechi (app_config.last_processed_invoice) la prima pornire
+     */
+    migrateLegacyCursor() {
+        const count = db.prepare('SELECT COUNT(*) as count FROM invoice_series').get();
+        if (count && count.count > 0) return;
+
+        const legacy = db.prepare("SELECT value FROM app_config WHERE key = 'last_processed_invoice'").get();
+        if (!legacy || !legacy.value) return;
+
+        try {
+            const series = this.setCursorFromIdentifier(legacy.value);
+            // Golim cheia veche, ca seriile șterse ulterior să nu fie recreate la repornire
+            db.prepare("UPDATE app_config SET value = '' WHERE key = 'last_processed_invoice'").run();
+            console.log(`[InvoiceSeries] Cursor migrat din configurarea veche: ${series.series} / ${series.last_number}`);
+        } catch (error) {
+            console.error(`[InvoiceSeries] Cursorul vechi nu a putut fi migrat: ${error.message}`);
+        }
+    }
+
+    /**
+     * Parsează identificatorul facturii în serie și număr
+     * Formate acceptate: PK202124575 (serie cu an), PK24601, PK-24601, sau doar număr (seria implicită)
+     */
+    parseIdentifier(identifier) {
+        identifier = String(identifier || '').trim().toUpperCase();
+
+        // Pattern pentru serie cu an (ex: PK2021) + număr
+        // Formatul tipic PremierKids: PK + AN + NUMĂR (5 cifre)
+        const seriesWithYearMatch = identifier.match(/^([A-Z]+)(\d{4})(\d{4,6})$/);
+        if (seriesWithYearMatch) {
+            const series = seriesWithYearMatch[1] + seriesWithYearMatch[2]; // PK2021
+            const number = seriesWithYearMatch[3]; // 24601
+            console.log(`[Parser] Detectat format cu an: Serie=${series}, Număr=${number}`);
+            return { series, number };
+        }
+
+        // Pattern pentru serie simplă + număr lung (ex: PK24601)
+        const simpleMatch = identifier.match(/^([A-Z]{2,5})(\d+)$/);
+        if (simpleMatch) {
+            const series = simpleMatch[1];
+            const number = simpleMatch[2];
+            console.log(`[Parser] Detectat format simplu: Serie=${series}, Număr=${number}`);
+            return { series, number };
+        }
+
+        // Pattern cu spațiu sau separator
+        const separatorMatch = identifier.match(/^([A-Z0-9]+)[.\s-]+(\d+)$/);
+        if (separatorMatch) {
+            console.log(`[Parser] Detectat format cu separator: Serie=${separatorMatch[1]}, Număr=${separatorMatch[2]}`);
+            return {
+                series: separatorMatch[1],
+                number: separatorMatch[2]
+            };
+        }
+
+        // Dacă e doar un număr, folosim seria implicită (prima serie activă)
+        if (/^\d+$/.test(identifier)) {
+            const series = this.getDefaultSeries();
+            console.log(`[Parser] Doar număr detectat, folosim seria ${series}: Număr=${identifier}`);
+            return {
+                series,
+                number: identifier
+            };
+        }
+
+        console.log(`[Parser] Format nerecunoscut: ${identifier}`);
+        return { series: null, number: null };
+    }
+
+    /**
+     * "0001234" -> { lastNumber: 1234, padding: 7 }; "24575" -> { lastNumber: 24575, padding: 0 }
+     */
+    _parseNumber(value) {
+        const text = String(value === undefined || value === null ? '0' : value).trim();
+        if (!/^\d{1,12}$/.test(text)) {
+            throw new Error('Ultimul număr procesat trebuie să conțină doar cifre');
+        }
+
+        return {
+            lastNumber: parseInt(text, 10),
+            padding: text.length > 1 && text.startsWith('0') ? text.length : 0
+        };
+    }
+
+    _parseThreshold(value) {
+        if (value === undefined || value === null || value === '') {
+            return constants.INVOICE_SERIES.DEFAULT_NOT_FOUND_THRESHOLD;
+        }
+
+        const threshold = parseInt(value, 10);
+        if (isNaN(threshold) || threshold < 1 || threshold > constants.INVOICE_SERIES.MAX_NOT_FOUND_THRESHOLD) {
+            throw new Error(`Pragul de facturi negăsite trebuie să fie între 1 și ${constants.INVOICE_SERIES.MAX_NOT_FOUND_THRESHOLD}`);
+        }
+        return threshold;
+    }
+
+    _format(row) {
+        return {
+            ...row,
+            last_invoice: row.last_number > 0 ? this.formatIdentifier(row, row.last_number) : null
+        };
+    }
+}
+
+// Singleton instance
+const invoiceSeriesService = new InvoiceSeriesService();
+
+module.exports = invoiceSeriesService;
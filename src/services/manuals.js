@@ -0,0 +1,163 @@
+/**
+ * Serviciu pentru biblioteca de manuale ale produselor
+ * Fiecare produs din nomenclator sau grup de produse poate avea unul sau mai multe manuale PDF,
+ * salvate în data/manuals/ și servite public (ca certificatele) pentru a putea fi descărcate de eMAG
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { db } = require('../config/database');
+const constants = require('../config/constants');
+
+const MANUALS_PATH = path.resolve(constants.MANUALS.PATH);
+
+class ManualsService {
+    /**
+     * Salvează un manual încărcat (multer memoryStorage)
+     * @param {Object} data - { smartbillCode, groupName, title, attachmentType }
+     * @param {Object} file - Fișierul primit de la multer ({ originalname, buffer, size })
+     * @param {string} username - Utilizatorul care încarcă
+     * @returns {Object} Manualul salvat
+     */
+    saveManual(data, file, username) {
+        const smartbillCode = data.smartbillCode ? String(data.smartbillCode).trim() : null;
+        const groupName = data.groupName ? String(data.groupName).trim() : null;
+        const attachmentType = parseInt(data.attachmentType, 10) || constants.EMAG.ATTACHMENT_TYPES.USER_MANUAL;
+
+        if (!file) {
+            throw new Error('Nu a fost selectat niciun fișier');
+        }
+        if (!smartbillCode === !groupName) {
+            throw new Error('Alegeți fie un produs, fie un grup de produse');
+        }
+        if (smartbillCode && !db.prepare('SELECT id FROM products WHERE smartbill_code = ?').get(smartbillCode)) {
+            throw new Error(`Produsul ${smartbillCode} nu există în nomenclator`);
+        }
+        if (groupName && !db.prepare('SELECT id FROM product_groups WHERE group_name = ?').get(groupName)) {
+            throw new Error(`Grupul "${groupName}" nu există`);
+        }
+        if (!constants.MANUALS.TYPES[attachmentType]) {
+            throw new Error('Tip de manual invalid');
+        }
+        // Verificăm conținutul, nu extensia - eMAG acceptă doar PDF
+        if (!file.buffer || file.buffer.subarray(0, 5).toString('ascii') !== '%PDF-') {
+            throw new Error(`Fișierul "${file.originalname}" nu este un PDF`);
+        }
+        if (file.size > constants.MANUALS.MAX_FILE_SIZE) {
+            throw new Error(`Fișierul "${file.originalname}" depășește dimensiunea maximă permisă`);
+        }
+
+        const title = data.title && String(data.title).trim() ?
+            String(data.title).trim() :
+            path.basename(file.originalname, path.extname(file.originalname));
+
+        fs.mkdirSync(MANUALS_PATH, { recursive: true });
+        const storedName = `${crypto.randomUUID()}.pdf`;
+        fs.writeFileSync(path.join(MANUALS_PATH, storedName), file.buffer);
+
+        const result = db.prepare(`
+            INSERT INTO product_manuals (
+                smartbill_code, group_name, title, attachment_type, original_name, stored_name, size, uploaded_by
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(smartbillCode, groupName, title, attachmentType, file.originalname, storedName, file.size, username || null);
+
+        console.log(`[Manuals] Manual încărcat: ${title} (${smartbillCode || `grup ${groupName}`})`);
+        return this.getManualById(result.lastInsertRowid);
+    }
+
+    /**
+     * Toate manualele, cu denumirea produsului din nomenclator
+     */
+    getManuals() {
+        const stmt = db.prepare(`
+            SELECT m.*, p.smartbill_name, p.display_name
+            FROM product_manuals m
+            LEFT JOIN products p ON p.smartbill_code = m.smartbill_code
+            ORDER BY COALESCE(p.display_name, p.smartbill_name, m.group_name), m.title
+        `);
+        return stmt.all().map(manual => ({ ...manual, url: this.getPublicUrl(manual) }));
+    }
+
+    getManualById(id) {
+        return db.prepare('SELECT * FROM product_manuals WHERE id = ?').get(id);
+    }
+
+    /**
+     * Manualele care se aplică fiecărui cod de produs (direct sau prin grupul activ al produsului)
+     * @param {Array} codes - Codurile SmartBill
+     * @returns {Object} { [code]: [manual] } - doar codurile care au manuale
+     */
+    getManualsForCodes(codes) {
+        const manuals = db.prepare('SELECT * FROM product_manuals ORDER BY id').all();
+        if (manuals.length === 0) return {};
+
+        const groups = db.prepare('SELECT group_name, smartbill_codes FROM product_groups WHERE is_active = 1').all();
+        const result = {};
+
+        for (const code of codes || []) {
+            const groupNames = groups
+                .filter(group => this._parseCodes(group.smartbill_codes).includes(String(code)))
+                .map(group => group.group_name);
+
+            const matching = manuals.filter(manual =>
+                manual.smartbill_code === String(code) || (manual.group_name && groupNames.includes(manual.group_name))
+            );
+            if (matching.length > 0) {
+                result[code] = matching;
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Calea fișierului pe disc (null pentru nume invalide - previne path traversal)
+     */
+    getFilePath(storedName) {
+        const sanitized = path.basename(String(storedName || ''));
+        if (!sanitized.endsWith('.pdf')) return null;
+        return path.join(MANUALS_PATH, sanitized);
+    }
+
+    /**
+     * URL-ul public al manualului, de unde îl descarcă eMAG
+     */
+    getPublicUrl(manual) {
+        return `${constants.PUBLIC_URL}${constants.MANUALS.PUBLIC_PATH}/${manual.stored_name}`;
+    }
+
+    /**
+     * Șterge un manual (fișier și înregistrare)
+     * Atașamentele deja trimise în eMAG rămân pe comenzile respective
+     */
+    deleteManual(id) {
+        const manual = this.getManualById(id);
+        if (!manual) {
+            return false;
+        }
+
+        const filePath = this.getFilePath(manual.stored_name);
+        if (filePath && fs.existsSync(filePath)) {
+            fs.unlinkSync(filePath);
+        }
+
+        db.prepare('DELETE FROM product_manuals WHERE id = ?').run(id);
+        console.log(`[Manuals] Manual șters: ${manual.title}`);
+        return true;
+    }
+
+    _parseCodes(json) {
+        try {
+            const codes = JSON.parse(json || '[]');
+            return Array.isArray(codes) ? codes.map(code => String(code)) : [];
+        } catch (e) {
+            return [];
+        }
+    }
+}
+
+// Singleton instance
+const manualsService = new ManualsService();
+
+module.exports = manualsService;
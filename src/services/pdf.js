@@ -9,13 +9,23 @@
  * - {invoice_number} - numărul facturii
  * - {invoice_date} - data facturii
  * - {voltage_min} - tensiunea minimă pentru acumulator
+ *
+ * Pentru facturile cu mai mult de 3 produse se adaugă câte o pagină
+ * din template pentru fiecare grup suplimentar de 3 produse.
+ *
+ * Seria certificatului și codul QR de verificare se desenează peste
+ * template, în colțul din dreapta sus al fiecărei pagini.
  */
 
-const { PDFDocument, PDFName, PDFString, PDFHexString, StandardFonts } = require('pdf-lib');
+const { PDFDocument, PDFName, PDFString, PDFHexString, StandardFonts, degrees, rgb } = require('pdf-lib');
+const QRCode = require('qrcode');
 const fs = require('fs');
 const path = require('path');
 const constants = require('../config/constants');
 
+// Numărul de rânduri produs/garanție dintr-o pagină a template-ului
+const PRODUCTS_PER_PAGE = 3;
+
 class PdfService {
     constructor() {
         this.pdfTemplatePath = null;
@@ -46,16 +56,78 @@ class PdfService {
 
     /**
      * Generează un certificat de garanție completând form fields
+     * Template-ul are loc pentru 3 produse pe pagină - pentru facturile cu mai multe
+     * produse se completează câte o pagină din template pentru fiecare grup de 3
      * @param {Object} data - Datele pentru certificat
      */
     async generateCertificate(data) {
         await this.loadTemplate();
 
+        const products = data.products || [];
+
+        // Codul QR de verificare se generează o singură dată și se refolosește pe fiecare pagină
+        let qrPngBuffer = null;
+        if (data.serialNumber && data.verificationUrl) {
+            qrPngBuffer = await QRCode.toBuffer(data.verificationUrl, {
+                type: 'png',
+                errorCorrectionLevel: 'M',
+                margin: 1,
+                width: 240
+            });
+        }
+        const stamp = { qrPngBuffer };
+
+        // Împărțim produsele în grupuri de câte 3 (minim o pagină, chiar și fără produse)
+        const productBlocks = [];
+        for (let i = 0; i < products.length; i += PRODUCTS_PER_PAGE) {
+            productBlocks.push(products.slice(i, i + PRODUCTS_PER_PAGE));
+        }
+        if (productBlocks.length === 0) {
+            productBlocks.push([]);
+        }
+
+        // Un singur grup - păstrăm documentul template așa cum este
+        if (productBlocks.length === 1) {
+            const pdfDoc = await this._fillTemplatePage(data, productBlocks[0], 0, null, stamp);
+            const pdfBytes = await pdfDoc.save();
+
+            console.log('[PDF Service] PDF generat cu succes, size:', pdfBytes.length);
+            return Buffer.from(pdfBytes);
+        }
+
+        // Mai multe grupuri - completăm câte o pagină pentru fiecare și le unim într-un singur PDF
+        console.log(`[PDF Service] ${products.length} produse - se generează ${productBlocks.length} pagini`);
+        const mergedDoc = await PDFDocument.create();
+
+        for (let i = 0; i < productBlocks.length; i++) {
+            const pageDoc = await this._fillTemplatePage(data, productBlocks[i], i * PRODUCTS_PER_PAGE, {
+                pageNumber: i + 1,
+                totalPages: productBlocks.length
+            }, stamp);
+            const copiedPages = await mergedDoc.copyPages(pageDoc, pageDoc.getPageIndices());
+            copiedPages.forEach(page => mergedDoc.addPage(page));
+        }
+
+        const pdfBytes = await mergedDoc.save();
+
+        console.log('[PDF Service] PDF generat cu succes, size:', pdfBytes.length);
+        return Buffer.from(pdfBytes);
+    }
+
+    /**
+     * Completează o copie a template-ului cu datele certificatului și un grup de maxim 3 produse
+     * @param {Object} data - Datele pentru certificat
+     * @param {Array} pageProducts - Produsele de pe această pagină (maxim 3)
+     * @param {number} startIndex - Indexul primului produs în lista completă (pentru numerotare)
+     * @param {Object} pageInfo - { pageNumber, totalPages } când certificatul are mai multe pagini
+     * @param {Object} stamp - { qrPngBuffer } codul QR de verificare (dacă certificatul are serie)
+     * @returns {PDFDocument}
+     */
+    async _fillTemplatePage(data, pageProducts, startIndex, pageInfo = null, stamp = {}) {
         const {
             clientName,
             invoiceNumber,
             invoiceDate,
-            products,
             minVoltage
         } = data;
 
@@ -129,74 +201,38 @@ class PdfService {
                 // Normalizăm textul (fără diacritice) și setăm direct
                 const normalizedText = normalizeText(text);
                 field.setText(normalizedText);
-                // Setăm fontul și dimensiunea
-                field.updateAppearances(helveticaFont);
-                // Folosim dimensiunea custom sau cea default
+                // Dimensiunea se setează înainte de generarea aparenței, altfel aparența păstrează
+                // dimensiunea din template (paginile copiate la certificatele cu mai multe pagini)
                 field.setFontSize(customFontSize || fontSize);
+                field.updateAppearances(helveticaFont);
             } catch (e) {
                 console.log(`[PDF Service] Eroare la setarea câmpului: ${e.message}`);
             }
         };
 
-        // Completăm câmpurile - produs și garanție combinate în product_X
-        // Produs 1
-        // Produs 1 - nume în product_1, garanție în warranty_1
-        const product1Field = findField('product_1');
-        if (product1Field) {
-            if (products?.[0]?.name) {
-                const productName = formatProductName(products[0].name);
-                setFieldText(product1Field, `1. ${productName}`, productFontSize);
-            } else {
-                setFieldText(product1Field, '', productFontSize);
-            }
-        }
-        const warranty1Field = findField('warranty_1');
-        if (warranty1Field) {
-            if (products?.[0]?.name) {
-                const warranty = products[0].warrantyMonths || defaultWarranty;
-                setFieldText(warranty1Field, `garantie (luni): ${warranty}`, productFontSize);
-            } else {
-                setFieldText(warranty1Field, '', productFontSize);
-            }
-        }
-
-        // Produs 2
-        const product2Field = findField('product_2');
-        if (product2Field) {
-            if (products?.[1]?.name) {
-                const productName = formatProductName(products[1].name);
-                setFieldText(product2Field, `2. ${productName}`, productFontSize);
-            } else {
-                setFieldText(product2Field, '', productFontSize);
-            }
-        }
-        const warranty2Field = findField('warranty_2');
-        if (warranty2Field) {
-            if (products?.[1]?.name) {
-                const warranty = products[1].warrantyMonths || defaultWarranty;
-                setFieldText(warranty2Field, `garantie (luni): ${warranty}`, productFontSize);
-            } else {
-                setFieldText(warranty2Field, '', productFontSize);
+        // Completăm câmpurile produselor - nume în product_X, garanție în warranty_X
+        // Numerotarea continuă de la o pagină la alta (4., 5., 6. pe pagina a doua etc.)
+        for (let slot = 0; slot < PRODUCTS_PER_PAGE; slot++) {
+            const product = pageProducts[slot];
+
+            const productField = findField(`product_${slot + 1}`);
+            if (productField) {
+                if (product?.name) {
+                    const productName = formatProductName(product.name);
+                    setFieldText(productField, `${startIndex + slot + 1}. ${productName}`, productFontSize);
+                } else {
+                    setFieldText(productField, '', productFontSize);
+                }
             }
-        }
 
-        // Produs 3
-        const product3Field = findField('product_3');
-        if (product3Field) {
-            if (products?.[2]?.name) {
-                const productName = formatProductName(products[2].name);
-                setFieldText(product3Field, `3. ${productName}`, productFontSize);
-            } else {
-                setFieldText(product3Field, '', productFontSize);
-            }
-        }
-        const warranty3Field = findField('warranty_3');
-        if (warranty3Field) {
-            if (products?.[2]?.name) {
-                const warranty = products[2].warrantyMonths || defaultWarranty;
-                setFieldText(warranty3Field, `garantie (luni): ${warranty}`, productFontSize);
-            } else {
-                setFieldText(warranty3Field, '', productFontSize);
+            const warrantyField = findField(`warranty_${slot + 1}`);
+            if (warrantyField) {
+                if (product?.name) {
+                    const warranty = product.warrantyMonths || defaultWarranty;
+                    setFieldText(warrantyField, `garantie (luni): ${warranty}`, productFontSize);
+                } else {
+                    setFieldText(warrantyField, '', productFontSize);
+                }
             }
         }
 
@@ -223,6 +259,41 @@ class PdfService {
             setFieldText(voltageField, minVoltage || '10.8', 8);
         }
 
+        // Certificat pe mai multe pagini - marcăm pagina curentă în colțul de jos
+        if (pageInfo) {
+            const page = pdfDoc.getPage(0);
+            const label = `Pagina ${pageInfo.pageNumber} din ${pageInfo.totalPages} - factura ${normalizeText(invoiceNumber || '')}`;
+            const labelWidth = helveticaFont.widthOfTextAtSize(label, 8);
+            page.drawText(label, {
+                x: page.getWidth() - labelWidth - 30,
+                y: 20,
+                size: 8,
+                font: helveticaFont
+            });
+        }
+
+        // Seria certificatului și codul QR de verificare - colțul din dreapta sus (zonă liberă în template)
+        if (data.serialNumber) {
+            const page = pdfDoc.getPage(0);
+            const qrSize = 70;
+            const qrX = page.getWidth() - qrSize - 25;
+            const qrY = page.getHeight() - qrSize - 25;
+
+            if (stamp.qrPngBuffer) {
+                const qrImage = await pdfDoc.embedPng(stamp.qrPngBuffer);
+                page.drawImage(qrImage, { x: qrX, y: qrY, width: qrSize, height: qrSize });
+            }
+
+            const serialLabel = `Seria: ${data.serialNumber}`;
+            const serialWidth = helveticaFont.widthOfTextAtSize(serialLabel, 8);
+            page.drawText(serialLabel, {
+                x: qrX + qrSize - serialWidth,
+                y: qrY - 11,
+                size: 8,
+                font: helveticaFont
+            });
+        }
+
         // Marcăm câmpurile ca read-only (nu flatten, care are bug-uri cu acest template)
         const allFields = form.getFields();
         for (const field of allFields) {
@@ -233,26 +304,27 @@ class PdfService {
             }
         }
 
-        // Salvăm PDF-ul
-        const pdfBytes = await pdfDoc.save();
+        // Generăm aparențele aici, nu la save(): paginile copiate într-un certificat cu mai multe
+        // pagini nu iau formularul cu ele și ar rămâne cu aparența din template
+        form.updateFieldAppearances(helveticaFont);
 
-        console.log('[PDF Service] PDF generat cu succes, size:', pdfBytes.length);
-        return Buffer.from(pdfBytes);
+        return pdfDoc;
     }
 
     /**
      * Salvează documentul PDF pe disc
      * @param {Buffer} pdfBuffer - Buffer-ul documentului PDF
      * @param {string} invoiceNumber - Numărul facturii
+     * @param {number} version - Versiunea certificatului (versiunile reemise primesc sufixul _vN)
      */
-    async savePdf(pdfBuffer, invoiceNumber) {
+    async savePdf(pdfBuffer, invoiceNumber, version = 1) {
         const outputDir = path.resolve(constants.FILES.OUTPUT_PATH);
 
         if (!fs.existsSync(outputDir)) {
             fs.mkdirSync(outputDir, { recursive: true });
         }
 
-        const pdfFilename = `Certificat_Garantie_${invoiceNumber}.pdf`;
+        const pdfFilename = this.getPdfFilename(invoiceNumber, version);
         const pdfPath = path.join(outputDir, pdfFilename);
         fs.writeFileSync(pdfPath, pdfBuffer);
 
@@ -264,12 +336,92 @@ class PdfService {
         };
     }
 
+    /**
+     * Numele fișierului pentru un certificat (v1 păstrează numele istoric, fără sufix)
+     */
+    getPdfFilename(invoiceNumber, version = 1) {
+        const suffix = version > 1 ? `_v${version}` : '';
+        return `Certificat_Garantie_${invoiceNumber}${suffix}.pdf`;
+    }
+
     /**
      * Obține calea către un document generat
      */
-    getPdfPath(invoiceNumber) {
+    getPdfPath(invoiceNumber, version = 1) {
         const outputDir = path.resolve(constants.FILES.OUTPUT_PATH);
-        return path.join(outputDir, `Certificat_Garantie_${invoiceNumber}.pdf`);
+        return path.join(outputDir, this.getPdfFilename(invoiceNumber, version));
+    }
+
+    /**
+     * Ștampilează "ANULAT" peste fiecare pagină a unui certificat
+     * @param {Buffer} pdfBuffer - PDF-ul certificatului
+     * @param {string} voidedAt - Data anulării (dd.mm.yyyy)
+     * @returns {Buffer}
+     */
+    async stampVoided(pdfBuffer, voidedAt) {
+        const pdfDoc = await PDFDocument.load(pdfBuffer);
+        const boldFont = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+        const red = rgb(0.86, 0.21, 0.27);
+
+        for (const page of pdfDoc.getPages()) {
+            const { width, height } = page.getSize();
+            const stampText = 'ANULAT';
+            const stampSize = 110;
+            const textWidth = boldFont.widthOfTextAtSize(stampText, stampSize);
+
+            // Text diagonal centrat pe pagină
+            const angle = Math.PI / 4;
+            page.drawText(stampText, {
+                x: width / 2 - (textWidth / 2) * Math.cos(angle) + (stampSize / 3) * Math.sin(angle),
+                y: height / 2 - (textWidth / 2) * Math.sin(angle) - (stampSize / 3) * Math.cos(angle),
+                size: stampSize,
+                font: boldFont,
+                color: red,
+                opacity: 0.35,
+                rotate: degrees(45)
+            });
+
+            if (voidedAt) {
+                page.drawText(`Anulat la ${voidedAt}`, {
+                    x: 30,
+                    y: 20,
+                    size: 9,
+                    font: boldFont,
+                    color: red
+                });
+            }
+        }
+
+        const pdfBytes = await pdfDoc.save();
+        return Buffer.from(pdfBytes);
+    }
+
+    /**
+     * Mută un certificat în arhivă (output/archive), cu conținutul dat
+     * Fișierele arhivate nu mai sunt servite public prin /public/certificates
+     * @param {string} pdfPath - Calea actuală a PDF-ului
+     * @param {Buffer} pdfBuffer - Conținutul care se scrie în arhivă (ex: PDF-ul ștampilat)
+     */
+    archivePdf(pdfPath, pdfBuffer) {
+        const archiveDir = path.resolve(constants.FILES.OUTPUT_PATH, 'archive');
+
+        if (!fs.existsSync(archiveDir)) {
+            fs.mkdirSync(archiveDir, { recursive: true });
+        }
+
+        const archivedPath = path.join(archiveDir, path.basename(pdfPath));
+        fs.writeFileSync(archivedPath, pdfBuffer);
+
+        if (fs.existsSync(pdfPath) && path.resolve(pdfPath) !== archivedPath) {
+            fs.unlinkSync(pdfPath);
+        }
+
+        console.log('[PDF Service] PDF arhivat:', archivedPath);
+
+        return {
+            path: archivedPath,
+            filename: path.basename(archivedPath)
+        };
     }
 
     /**
@@ -41,6 +41,7 @@ class PriceChannelsService {
      */
     createChannel(data) {
         const { name, currency = 'RON', vat_rate = 19, show_without_vat = 0 } = data;
+        const emag_marketplace = data.emag_marketplace || null;
 
         // Verifică dacă există deja
         const existing = this.getChannelByName(name);
@@ -54,11 +55,11 @@ class PriceChannelsService {
         const displayOrder = (result?.max_order || 0) + 1;
 
         const stmt = db.prepare(`
-            INSERT INTO price_channels (name, currency, vat_rate, show_without_vat, display_order)
-            VALUES (?, ?, ?, ?, ?)
+            INSERT INTO price_channels (name, currency, vat_rate, show_without_vat, display_order, emag_marketplace)
+            VALUES (?, ?, ?, ?, ?, ?)
         `);
 
-        const insertResult = stmt.run(name, currency, vat_rate, show_without_vat ? 1 : 0, displayOrder);
+        const insertResult = stmt.run(name, currency, vat_rate, show_without_vat ? 1 : 0, displayOrder, emag_marketplace);
 
         return {
             id: insertResult.lastInsertRowid,
@@ -67,6 +68,7 @@ class PriceChannelsService {
             vat_rate,
             show_without_vat,
             display_order: displayOrder,
+            emag_marketplace,
             is_active: 1
         };
     }
@@ -107,6 +109,11 @@ class PriceChannelsService {
             id
         );
 
+        // Marketplace-ul eMAG poate fi și șters (canal care nu mai e eMAG), deci nu merge prin COALESCE
+        if (data.emag_marketplace !== undefined) {
+            db.prepare('UPDATE price_channels SET emag_marketplace = ? WHERE id = ?').run(data.emag_marketplace || null, id);
+        }
+
         return this.getChannelById(id);
     }
 
@@ -0,0 +1,262 @@
+/**
+ * Serviciu pentru job-urile de procesare automată a facturilor
+ * Procesarea rulează în fundal (nu mai ține deschis un POST de câteva minute),
+ * iar progresul per factură este transmis prin Server-Sent Events
+ *
+ * Un singur job poate rula la un moment dat - același lock este folosit
+ * de procesarea pornită din pagină și de scheduler
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { db } = require('../config/database');
+const smartBillService = require('./smartbill');
+const emagService = require('./emag');
+const certificatesService = require('./certificates');
+
+// Câte job-uri terminate păstrăm în memorie (cu tot cu evenimente) pentru reconectare
+const MAX_JOBS_IN_MEMORY = 20;
+
+class ProcessingJobsService {
+    constructor() {
+        this.jobs = new Map();
+        this.activeJobId = null;
+    }
+
+    /**
+     * Marchează job-urile rămase "running" dintr-o pornire anterioară (server repornit în timpul rulării)
+     */
+    recoverInterruptedJobs() {
+        const stmt = db.prepare(`
+            UPDATE processing_jobs
+            SET status = 'interrupted', error = 'Serverul a fost repornit în timpul procesării', finished_at = ?
+            WHERE status = 'running'
+        `);
+        const result = stmt.run(new Date().toISOString());
+
+        if (result.changes > 0) {
+            console.log(`[Jobs] ${result.changes} job(uri) întrerupte la repornirea serverului`);
+        }
+    }
+
+    /**
+     * Pornește un job de procesare automată în fundal
+     * @param {Object} params - { source: 'manual' | 'scheduler', options, username }
+     *   options: { maxInvoices, dryRun, lookback, idempotencyPolicy } pentru procesarea de la cursor, sau
+     *   { range: { series, from, to, onlyGaps }, dryRun, idempotencyPolicy } pentru un interval explicit
+     * @returns {Object} Job-ul creat (job.promise se rezolvă cu rezultatul procesării)
+     */
+    startJob({ source = 'manual', options = {}, username = null } = {}) {
+        const active = this.getActiveJob();
+        if (active) {
+            const error = new Error(`O procesare automată este deja în desfășurare (pornită ${active.source === 'scheduler' ? 'de scheduler' : 'manual'} la ${active.startedAt})`);
+            error.code = 'PROCESSING_LOCKED';
+            error.jobId = active.id;
+            throw error;
+        }
+
+        const job = {
+            id: crypto.randomUUID(),
+            source,
+            status: 'running',
+            options,
+            startedBy: username,
+            startedAt: new Date().toISOString(),
+            finishedAt: null,
+            result: null,
+            error: null,
+            events: [],
+            emitter: new EventEmitter()
+        };
+        job.emitter.setMaxListeners(50);
+
+        this.activeJobId = job.id;
+        this._remember(job);
+
+        const stmt = db.prepare(`
+            INSERT INTO processing_jobs (id, source, status, options, started_by, started_at)
+            VALUES (?, ?, 'running', ?, ?, ?)
+        `);
+        stmt.run(job.id, source, JSON.stringify(options), username, job.startedAt);
+
+        console.log(`[Jobs] Job ${job.id} pornit (${source})`);
+
+        job.promise = this._run(job);
+        return job;
+    }
+
+    /**
+     * Job-ul aflat în desfășurare (null dacă nu rulează nimic)
+     */
+    getActiveJob() {
+        return this.activeJobId ? this.jobs.get(this.activeJobId) : null;
+    }
+
+    /**
+     * Obține un job - din memorie dacă e recent, altfel rezumatul salvat în baza de date
+     */
+    getJob(id) {
+        if (this.jobs.has(id)) {
+            return this.jobs.get(id);
+        }
+
+        const row = db.prepare('SELECT * FROM processing_jobs WHERE id = ?').get(id);
+        if (!row) return null;
+
+        return {
+            id: row.id,
+            source: row.source,
+            status: row.status,
+            options: this._parseJson(row.options),
+            startedBy: row.started_by,
+            startedAt: row.started_at,
+            finishedAt: row.finished_at,
+            result: this._parseJson(row.result),
+            error: row.error,
+            events: null // Evenimentele nu se mai păstrează după ieșirea din memorie
+        };
+    }
+
+    /**
+     * Ultimele job-uri (rezumat, fără evenimente)
+     */
+    getRecentJobs(limit = 10) {
+        const stmt = db.prepare(`
+            SELECT id, source, status, started_by, started_at, finished_at, error
+            FROM processing_jobs
+            ORDER BY started_at DESC
+            LIMIT ?
+        `);
+        return stmt.all(limit);
+    }
+
+    /**
+     * Forma publică a unui job (fără emitter / promise)
+     */
+    toJSON(job, { includeEvents = false } = {}) {
+        if (!job) return null;
+
+        const data = {
+            id: job.id,
+            source: job.source,
+            status: job.status,
+            options: job.options,
+            startedBy: job.startedBy,
+            startedAt: job.startedAt,
+            finishedAt: job.finishedAt,
+            result: job.result,
+            error: job.error,
+            eventsCount: job.events ? job.events.length : null
+        };
+
+        if (includeEvents) {
+            data.events = job.events;
+        }
+
+        return data;
+    }
+
+    /**
+     * Abonare la evenimentele unui job aflat în memorie
+     * @param {Function} listener - Primește fiecare eveniment ({ id, type, ... })
+     * @returns {Function} Funcția de dezabonare
+     */
+    subscribe(id, listener) {
+        const job = this.jobs.get(id);
+        if (!job) return () => {};
+
+        job.emitter.on('event', listener);
+        return () => job.emitter.off('event', listener);
+    }
+
+    /**
+     * Rulează procesarea și salvează rezumatul final
+     */
+    async _run(job) {
+        this._addEvent(job, {
+            type: 'start',
+            source: job.source,
+            maxInvoices: job.options.maxInvoices,
+            range: job.options.range || null,
+            dryRun: !!job.options.dryRun,
+            idempotencyPolicy: certificatesService.normalizeIdempotencyPolicy(job.options.idempotencyPolicy)
+        });
+
+        try {
+            await smartBillService.initialize(process.env.ENCRYPTION_KEY);
+            await emagService.initialize(process.env.ENCRYPTION_KEY);
+
+            const runOptions = {
+                jobId: job.id,
+                source: job.source,
+                dryRun: !!job.options.dryRun,
+                idempotencyPolicy: job.options.idempotencyPolicy,
+                onProgress: event => this._addEvent(job, event)
+            };
+
+            const result = job.options.range ?
+                await certificatesService.processInvoiceRange({ ...job.options.range, ...runOptions }) :
+                await certificatesService.processUnprocessedInvoices({ ...job.options, ...runOptions });
+
+            job.result = result;
+            job.status = result.success ? 'completed' : 'failed';
+            job.error = result.success ? null : result.error;
+        } catch (error) {
+            console.error(`[Jobs] Job ${job.id} eșuat:`, error.message);
+            job.status = 'failed';
+            job.error = error.message;
+        }
+
+        job.finishedAt = new Date().toISOString();
+        this.activeJobId = null;
+
+        const stmt = db.prepare(`
+            UPDATE processing_jobs
+            SET status = ?, result = ?, error = ?, finished_at = ?
+            WHERE id = ?
+        `);
+        stmt.run(job.status, job.result ? JSON.stringify(job.result) : null, job.error, job.finishedAt, job.id);
+
+        this._addEvent(job, { type: 'done', status: job.status, error: job.error });
+        console.log(`[Jobs] Job ${job.id} încheiat: ${job.status}`);
+
+        return job.result || { success: false, error: job.error };
+    }
+
+    /**
+     * Înregistrează un eveniment și îl transmite abonaților
+     */
+    _addEvent(job, event) {
+        const fullEvent = { id: job.events.length + 1, at: new Date().toISOString(), ...event };
+        job.events.push(fullEvent);
+        job.emitter.emit('event', fullEvent);
+    }
+
+    /**
+     * Păstrează job-ul în memorie, eliminând cele mai vechi job-uri terminate
+     */
+    _remember(job) {
+        this.jobs.set(job.id, job);
+
+        for (const [id, existing] of this.jobs) {
+            if (this.jobs.size <= MAX_JOBS_IN_MEMORY) break;
+            if (existing.status !== 'running') {
+                this.jobs.delete(id);
+            }
+        }
+    }
+
+    _parseJson(value) {
+        if (!value) return null;
+        try {
+            return JSON.parse(value);
+        } catch (e) {
+            return null;
+        }
+    }
+}
+
+// Singleton instance
+const processingJobsService = new ProcessingJobsService();
+
+module.exports = processingJobsService;
@@ -0,0 +1,168 @@
+/**
+ * Serviciu pentru istoricul rulărilor de procesare automată
+ * Fiecare apel processUnprocessedInvoices este salvat cu cursorul de start/final,
+ * contoarele și lista certificatelor create, pentru audit și rollback
+ * Rezultatul fiecărei facturi verificate este păstrat separat (processing_run_invoices),
+ * pentru raportul de goluri pe un interval de facturi
+ */
+
+const { db } = require('../config/database');
+
+// Câte rezultate de facturi inserăm într-o singură instrucțiune
+const INSERT_BATCH_SIZE = 100;
+
+class ProcessingRunsService {
+    /**
+     * Salvează o rulare încheiată
+     * @param {Object} data - { jobId, source, mode, cursorStart, cursorEnd, cursors, total, generated, skipped,
+     *                          storno, notFound, errors, certificateIds, outcomes, startedAt }
+     *   mode: 'cursor' (de la cursorul seriilor) sau 'range' (interval explicit)
+     *   cursors: [{ series, start, end }] - cursorul fiecărei serii (pentru rollback)
+     *   outcomes: [{ series, number, invoiceNumber, status, certificateId, message }]
+     * @returns {number} ID-ul rulării
+     */
+    recordRun(data) {
+        const stmt = db.prepare(`
+            INSERT INTO processing_runs (
+                job_id, source, mode, cursor_start, cursor_end, cursors, total, generated, skipped,
+                storno, not_found, errors, certificate_ids, status, started_at, finished_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'completed', ?, ?)
+        `);
+
+        const result = stmt.run(
+            data.jobId || null,
+            data.source || 'manual',
+            data.mode || 'cursor',
+            data.cursorStart,
+            data.cursorEnd,
+            data.cursors ? JSON.stringify(data.cursors) : null,
+            data.total || 0,
+            data.generated || 0,
+            data.skipped || 0,
+            data.storno || 0,
+            data.notFound || 0,
+            data.errors || 0,
+            JSON.stringify(data.certificateIds || []),
+            data.startedAt || new Date().toISOString(),
+            new Date().toISOString()
+        );
+
+        this._recordOutcomes(result.lastInsertRowid, data.outcomes || []);
+
+        return result.lastInsertRowid;
+    }
+
+    /**
+     * Ultimul rezultat al fiecărei facturi verificate dintr-o serie, în intervalul dat
+     * Rulările anulate nu se iau în calcul (facturile lor sunt considerate neprocesate)
+     * @returns {Map} număr -> { status, invoice_number, certificate_id, message, processed_at, run_id }
+     */
+    getInvoiceOutcomes(series, fromNumber, toNumber) {
+        const stmt = db.prepare(`
+            SELECT i.* FROM processing_run_invoices i
+            JOIN processing_runs r ON r.id = i.run_id
+            WHERE i.series = ? AND i.number BETWEEN ? AND ? AND r.status = 'completed'
+            ORDER BY i.id ASC
+        `);
+
+        const outcomes = new Map();
+        for (const row of stmt.all(series, fromNumber, toNumber)) {
+            outcomes.set(row.number, row);
+        }
+        return outcomes;
+    }
+
+    /**
+     * Ultimele rulări, cu indicator pentru cea care poate fi anulată
+     */
+    getRuns(limit = 20) {
+        const stmt = db.prepare('SELECT * FROM processing_runs ORDER BY id DESC LIMIT ?');
+        const latest = this.getLatestActiveRun();
+
+        return stmt.all(limit).map(run => ({
+            ...this._format(run),
+            canRollback: !!latest && latest.id === run.id
+        }));
+    }
+
+    /**
+     * Obține o rulare după ID
+     */
+    getRunById(id) {
+        const run = db.prepare('SELECT * FROM processing_runs WHERE id = ?').get(id);
+        return run ? this._format(run) : null;
+    }
+
+    /**
+     * Ultima rulare neanulată - doar aceasta poate fi anulată, ca cursorul să rămână consecvent
+     */
+    getLatestActiveRun() {
+        const run = db.prepare(`
+            SELECT * FROM processing_runs
+            WHERE status = 'completed'
+            ORDER BY id DESC
+            LIMIT 1
+        `).get();
+        return run ? this._format(run) : null;
+    }
+
+    /**
+     * Marchează o rulare ca anulată
+     */
+    markRolledBack(id, username) {
+        const stmt = db.prepare(`
+            UPDATE processing_runs
+            SET status = 'rolled_back', rolled_back_at = ?, rolled_back_by = ?
+            WHERE id = ?
+        `);
+        stmt.run(new Date().toISOString(), username || null, id);
+    }
+
+    /**
+     * Salvează rezultatele facturilor în loturi (fiecare run() salvează baza pe disc)
+     */
+    _recordOutcomes(runId, outcomes) {
+        for (let i = 0; i < outcomes.length; i += INSERT_BATCH_SIZE) {
+            const batch = outcomes.slice(i, i + INSERT_BATCH_SIZE);
+            const placeholders = batch.map(() => '(?, ?, ?, ?, ?, ?, ?)').join(', ');
+
+            const stmt = db.prepare(`
+                INSERT INTO processing_run_invoices (run_id, series, number, invoice_number, status, certificate_id, message)
+                VALUES ${placeholders}
+            `);
+            stmt.run(...batch.flatMap(outcome => [
+                runId,
+                outcome.series,
+                outcome.number,
+                outcome.invoiceNumber,
+                outcome.status,
+                outcome.certificateId || null,
+                outcome.message || null
+            ]));
+        }
+    }
+
+    _format(run) {
+        let certificateIds = [];
+        try {
+            certificateIds = JSON.parse(run.certificate_ids || '[]');
+        } catch (e) {
+            // Listă coruptă - o tratăm ca goală
+        }
+
+        // Rulările dinainte de seriile multiple nu au cursori per serie
+        let cursors = null;
+        try {
+            cursors = run.cursors ? JSON.parse(run.cursors) : null;
+        } catch (e) {
+            cursors = null;
+        }
+
+        return { ...run, certificate_ids: certificateIds, cursors };
+    }
+}
+
+// Singleton instance
+const processingRunsService = new ProcessingRunsService();
+
+module.exports = processingRunsService;
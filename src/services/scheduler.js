@@ -0,0 +1,267 @@
+/**
+ * Serviciu pentru procesarea automată programată a facturilor
+ * Rulează în procesul aplicației și apelează periodic processUnprocessedInvoices,
+ * doar în intervalul orar configurat din Setări
+ *
+ * Rulările sunt job-uri de procesare (vezi processing-jobs), care folosesc
+ * un singur lock, astfel încât două procesări nu se suprapun niciodată
+ */
+
+const { db } = require('../config/database');
+const constants = require('../config/constants');
+const processingJobsService = require('./processing-jobs');
+const smartBillService = require('./smartbill');
+
+const CONFIG_KEY = 'scheduler_config';
+const LAST_RUN_KEY = 'scheduler_last_run';
+
+class SchedulerService {
+    constructor() {
+        this.timer = null;
+    }
+
+    /**
+     * Pornește verificarea periodică (apelat la pornirea serverului)
+     */
+    start() {
+        if (this.timer) return;
+
+        this.timer = setInterval(() => {
+            this.tick().catch(error => console.error('[Scheduler] Eroare:', error.message));
+        }, constants.SCHEDULER.TICK_MS);
+
+        // Nu ținem procesul în viață doar pentru scheduler
+        this.timer.unref();
+
+        const config = this.getConfig();
+        console.log(`[Scheduler] Pornit (${config.enabled ? `activ, la fiecare ${config.intervalMinutes} min, ${config.workStart}-${config.workEnd}` : 'dezactivat'})`);
+    }
+
+    /**
+     * Oprește verificarea periodică
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Obține configurarea curentă (cu valorile implicite pentru câmpurile lipsă)
+     */
+    getConfig() {
+        const defaults = {
+            enabled: false,
+            intervalMinutes: constants.SCHEDULER.DEFAULT_INTERVAL_MINUTES,
+            workStart: constants.SCHEDULER.DEFAULT_WORK_START,
+            workEnd: constants.SCHEDULER.DEFAULT_WORK_END,
+            maxInvoices: constants.SCHEDULER.DEFAULT_MAX_INVOICES
+        };
+
+        const stored = this._readJson(CONFIG_KEY);
+        return stored ? { ...defaults, ...stored } : defaults;
+    }
+
+    /**
+     * Actualizează configurarea (doar câmpurile primite)
+     */
+    updateConfig(data) {
+        const config = this.getConfig();
+
+        if (data.enabled !== undefined) {
+            config.enabled = data.enabled === true || data.enabled === 'true';
+        }
+
+        if (data.intervalMinutes !== undefined) {
+            const interval = parseInt(data.intervalMinutes, 10);
+            if (isNaN(interval) || interval < constants.SCHEDULER.MIN_INTERVAL_MINUTES || interval > constants.SCHEDULER.MAX_INTERVAL_MINUTES) {
+                throw new Error(`Intervalul trebuie să fie între ${constants.SCHEDULER.MIN_INTERVAL_MINUTES} și ${constants.SCHEDULER.MAX_INTERVAL_MINUTES} minute`);
+            }
+            config.intervalMinutes = interval;
+        }
+
+        if (data.maxInvoices !== undefined) {
+            const maxInvoices = parseInt(data.maxInvoices, 10);
+            if (isNaN(maxInvoices) || maxInvoices < 1 || maxInvoices > constants.SCHEDULER.MAX_INVOICES_LIMIT) {
+                throw new Error(`Numărul maxim de facturi per rulare trebuie să fie între 1 și ${constants.SCHEDULER.MAX_INVOICES_LIMIT}`);
+            }
+            config.maxInvoices = maxInvoices;
+        }
+
+        ['workStart', 'workEnd'].forEach(field => {
+            if (data[field] !== undefined) {
+                if (this._parseTime(data[field]) === null) {
+                    throw new Error('Orele de lucru trebuie să aibă formatul HH:MM');
+                }
+                config[field] = String(data[field]).trim();
+            }
+        });
+
+        this._writeJson(CONFIG_KEY, config);
+        console.log(`[Scheduler] Configurare actualizată: ${JSON.stringify(config)}`);
+
+        return config;
+    }
+
+    /**
+     * Starea scheduler-ului pentru afișare în Setări
+     */
+    getStatus() {
+        const config = this.getConfig();
+        const lastRun = this.getLastRun();
+        const activeJob = processingJobsService.getActiveJob();
+
+        return {
+            config,
+            running: !!activeJob,
+            currentRun: activeJob ? { jobId: activeJob.id, source: activeJob.source, startedAt: activeJob.startedAt } : null,
+            lastRun,
+            nextRunAt: config.enabled ? this._getNextRunAt(config, lastRun).toISOString() : null,
+            smartbillCircuit: smartBillService.getCircuitState()
+        };
+    }
+
+    /**
+     * Rezumatul ultimei rulări a scheduler-ului (programată sau "Rulează acum")
+     */
+    getLastRun() {
+        return this._readJson(LAST_RUN_KEY);
+    }
+
+    /**
+     * Verifică dacă o procesare este în desfășurare
+     */
+    isRunning() {
+        return !!processingJobsService.getActiveJob();
+    }
+
+    /**
+     * Verificarea periodică: pornește o rulare dacă scheduler-ul e activ,
+     * suntem în intervalul orar și a trecut intervalul de la ultima rulare
+     * Cât timp circuitul SmartBill e deschis (serviciu indisponibil) rularea este amânată
+     */
+    async tick(now = new Date()) {
+        const config = this.getConfig();
+
+        if (!config.enabled || this.isRunning()) return;
+        if (!this._isWithinWorkingHours(config, now)) return;
+        if (now < this._getNextRunAt(config, this.getLastRun())) return;
+
+        const circuit = smartBillService.getCircuitState();
+        if (circuit.state === 'open' && new Date(circuit.retryAt) > now) {
+            console.log(`[Scheduler] SmartBill indisponibil - rulare amânată până după ${circuit.retryAt}`);
+            return;
+        }
+
+        await this.runNow('scheduler').promise;
+    }
+
+    /**
+     * Pornește imediat un job de procesare (folosit de tick și de butonul "Rulează acum")
+     * Aruncă eroare cu code PROCESSING_LOCKED dacă o altă procesare rulează deja
+     * @returns {Object} Job-ul pornit
+     */
+    runNow(source = 'manual', username = null) {
+        const config = this.getConfig();
+        console.log(`[Scheduler] Pornire procesare automată (${source}, max ${config.maxInvoices} facturi)`);
+
+        const job = processingJobsService.startJob({
+            source,
+            options: { maxInvoices: config.maxInvoices },
+            username
+        });
+
+        job.promise = job.promise.then(result => {
+            const summary = {
+                jobId: job.id,
+                source,
+                startedAt: job.startedAt,
+                finishedAt: job.finishedAt,
+                success: !!result.success,
+                error: result.error || null,
+                paused: !!result.paused,
+                pauseReason: result.pauseReason || null,
+                startedFrom: result.startedFrom || null,
+                lastProcessedInvoice: result.lastProcessedInvoice || null,
+                total: result.total || 0,
+                generated: result.generated || 0,
+                skipped: result.skipped || 0,
+                storno: result.storno || 0,
+                notFound: result.notFound || 0,
+                errors: (result.errors || []).length
+            };
+
+            this._writeJson(LAST_RUN_KEY, summary);
+            console.log(`[Scheduler] Procesare încheiată: ${summary.success ? (summary.paused ? 'întreruptă - ' + summary.pauseReason : 'succes') : 'eroare - ' + summary.error}`);
+
+            return result;
+        });
+
+        return job;
+    }
+
+    /**
+     * Momentul următoarei rulări: ultima rulare + interval (sau imediat dacă nu a rulat niciodată)
+     */
+    _getNextRunAt(config, lastRun) {
+        if (!lastRun || !lastRun.startedAt) {
+            return new Date();
+        }
+        return new Date(new Date(lastRun.startedAt).getTime() + config.intervalMinutes * 60 * 1000);
+    }
+
+    /**
+     * Verifică dacă ora curentă (ora serverului) este în intervalul de lucru
+     * Suportă și intervale peste miezul nopții (ex: 22:00 - 06:00)
+     */
+    _isWithinWorkingHours(config, now) {
+        const start = this._parseTime(config.workStart);
+        const end = this._parseTime(config.workEnd);
+        if (start === null || end === null || start === end) return true;
+
+        const minutes = now.getHours() * 60 + now.getMinutes();
+        return start < end
+            ? minutes >= start && minutes < end
+            : minutes >= start || minutes < end;
+    }
+
+    /**
+     * "HH:MM" -> minute de la miezul nopții (null dacă formatul e invalid)
+     */
+    _parseTime(value) {
+        const match = String(value || '').trim().match(/^(\d{1,2}):(\d{2})$/);
+        if (!match) return null;
+
+        const hours = parseInt(match[1], 10);
+        const minutes = parseInt(match[2], 10);
+        if (hours > 23 || minutes > 59) return null;
+
+        return hours * 60 + minutes;
+    }
+
+    _readJson(key) {
+        const result = db.prepare('SELECT value FROM app_config WHERE key = ?').get(key);
+        if (!result || !result.value) return null;
+
+        try {
+            return JSON.parse(result.value);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    _writeJson(key, value) {
+        const stmt = db.prepare(`
+            INSERT INTO app_config (key, value, updated_at)
+            VALUES (?, ?, CURRENT_TIMESTAMP)
+            ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = CURRENT_TIMESTAMP
+        `);
+        stmt.run(key, JSON.stringify(value));
+    }
+}
+
+// Singleton instance
+const schedulerService = new SchedulerService();
+
+module.exports = schedulerService;
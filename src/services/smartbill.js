@@ -23,6 +23,7 @@ const https = require('https');
 const http = require('http');
 const constants = require('../config/constants');
 const { loadCredentials } = require('../utils/encryption');
+const { HttpClient, NotFoundError } = require('../utils/http-client');
 
 // Agent HTTPS pentru a evita probleme cu certificate SSL și headers non-standard
 const httpsAgent = new https.Agent({
@@ -37,13 +38,23 @@ process.env.NODE_OPTIONS = '--http-parser=legacy';
 class SmartBillService {
     constructor() {
         this.credentials = null;
-        this.lastRequestTime = 0;
+        // Reîncercări, circuit breaker și pauza dintre request-uri (rate limiting)
+        this.http = new HttpClient({
+            service: 'SmartBill',
+            minDelayMs: constants.SMARTBILL.RATE_LIMIT.DELAY_BETWEEN_REQUESTS_MS
+        });
     }
 
     /**
      * Inițializare serviciu cu credențiale
      */
     async initialize(encryptionKey) {
+        // În sandbox nu trimitem niciodată credențialele reale
+        if (constants.SANDBOX.ENABLED) {
+            this.credentials = constants.SANDBOX.CREDENTIALS.smartbill;
+            return true;
+        }
+
         const creds = loadCredentials(encryptionKey);
         if (!creds || !creds.smartbill) {
             throw new Error('Credențialele SmartBill nu sunt configurate');
@@ -53,17 +64,10 @@ class SmartBillService {
     }
 
     /**
-     * Rate limiting - așteaptă între request-uri
+     * Starea circuit breaker-ului (closed / open / half_open) - "open" = SmartBill indisponibil
      */
-    async _rateLimitWait() {
-        const now = Date.now();
-        const timeSinceLastRequest = now - this.lastRequestTime;
-        const minDelay = constants.SMARTBILL.RATE_LIMIT.DELAY_BETWEEN_REQUESTS_MS;
-
-        if (timeSinceLastRequest < minDelay) {
-            await new Promise(resolve => setTimeout(resolve, minDelay - timeSinceLastRequest));
-        }
-        this.lastRequestTime = Date.now();
+    getCircuitState() {
+        return this.http.getCircuitState();
     }
 
     /**
@@ -77,6 +81,7 @@ class SmartBillService {
     /**
      * Execută un request GET către SmartBill API
      * IMPORTANT: Doar metoda GET este permisă!
+     * Erorile sunt tipizate (vezi utils/http-client): NotFoundError, AuthError, TransientError etc.
      */
     async _makeRequest(endpoint, params = {}) {
         // VERIFICARE CRITICĂ: Doar GET este permis
@@ -84,11 +89,9 @@ class SmartBillService {
             throw new Error('EROARE DE SECURITATE: Metoda nu este permisă');
         }
 
-        await this._rateLimitWait();
-
         const url = `${constants.SMARTBILL.BASE_URL}${endpoint}`;
 
-        try {
+        return this.http.execute(`GET ${endpoint}`, async () => {
             const response = await axios({
                 method: 'GET',
                 url,
@@ -105,12 +108,7 @@ class SmartBillService {
             });
 
             return response.data;
-        } catch (error) {
-            if (error.response) {
-                throw new Error(`SmartBill API Error: ${error.response.status} - ${JSON.stringify(error.response.data)}`);
-            }
-            throw error;
-        }
+        });
     }
 
     /**
@@ -166,12 +164,12 @@ class SmartBillService {
     /**
      * Obține PDF-ul unei facturi (READ-ONLY)
      * Folosim node-fetch pentru a evita problemele cu header-uri non-standard
+     * Facturile inexistente aruncă NotFoundError (inclusiv răspunsurile text / PDF-urile goale
+     * și cele cu header-e malformate); erorile temporare sunt reîncercate de clientul HTTP
      * @param {string} series - Seria facturii
      * @param {string} number - Numărul facturii
      */
     async getInvoicePdf(series, number) {
-        await this._rateLimitWait();
-
         const fetch = require('node-fetch');
 
         // Asigurăm că parametrii sunt string-uri
@@ -192,49 +190,63 @@ class SmartBillService {
         console.log(`[SmartBill] Descărcare PDF: ${url}`);
 
         try {
-            const response = await fetch(url, {
-                method: 'GET',
-                headers: {
-                    'Authorization': this._getAuthHeader(),
-                    'Accept': 'application/pdf, application/octet-stream, */*'
-                },
-                timeout: 60000
-            });
+            return await this.http.execute(`GET /invoice/pdf ${seriesStr}${numberStr}`, async () => {
+                let response;
+                try {
+                    response = await fetch(url, {
+                        method: 'GET',
+                        headers: {
+                            'Authorization': this._getAuthHeader(),
+                            'Accept': 'application/pdf, application/octet-stream, */*'
+                        },
+                        timeout: 60000
+                    });
+                } catch (error) {
+                    // SmartBill răspunde uneori cu header-e malformate pentru facturile inexistente
+                    // (ex: "Parse Error: Invalid header token")
+                    if (String(error.code || '').startsWith('HPE_')) {
+                        throw new NotFoundError(`SmartBill PDF Error: 404 - Factura nu a fost găsită (răspuns malformat: ${error.message})`, { service: 'SmartBill' });
+                    }
+                    throw error;
+                }
 
-            console.log(`[SmartBill] Status răspuns: ${response.status}`);
+                console.log(`[SmartBill] Status răspuns: ${response.status}`);
 
-            if (!response.ok) {
-                const errorText = await response.text();
-                console.error(`[SmartBill] Eroare ${response.status}:`, errorText);
-                throw new Error(`SmartBill PDF Error: ${response.status} - ${errorText.substring(0, 200)}`);
-            }
+                if (!response.ok) {
+                    const errorText = await response.text();
+                    console.error(`[SmartBill] Eroare ${response.status}:`, errorText);
+                    throw this.http.fromStatus(response.status, errorText.substring(0, 200), {
+                        retryAfter: response.headers.get('retry-after')
+                    });
+                }
 
-            const buffer = await response.buffer();
-            console.log(`[SmartBill] PDF descărcat: ${buffer.length} bytes`);
+                const buffer = await response.buffer();
+                console.log(`[SmartBill] PDF descărcat: ${buffer.length} bytes`);
 
-            // Verificăm dacă răspunsul este un PDF valid (începe cu %PDF)
-            const pdfHeader = buffer.slice(0, 4).toString();
-            if (!pdfHeader.startsWith('%PDF')) {
-                const textContent = buffer.toString('utf8');
-                console.error('[SmartBill] Răspuns invalid (nu este PDF):', textContent.substring(0, 500));
+                // Verificăm dacă răspunsul este un PDF valid (începe cu %PDF)
+                const pdfHeader = buffer.slice(0, 4).toString();
+                if (!pdfHeader.startsWith('%PDF')) {
+                    const textContent = buffer.toString('utf8');
+                    console.error('[SmartBill] Răspuns invalid (nu este PDF):', textContent.substring(0, 500));
 
-                // Verificăm dacă e mesaj de eroare de la SmartBill (factură inexistentă)
-                if (textContent.includes('nu a fost') || textContent.includes('not found') ||
-                    textContent.includes('inexistent') || textContent.includes('Nu exista') ||
-                    textContent.includes('eroare') || buffer.length < 1000) {
-                    throw new Error(`SmartBill PDF Error: 404 - Factura nu a fost găsită`);
-                }
+                    // Verificăm dacă e mesaj de eroare de la SmartBill (factură inexistentă)
+                    if (textContent.includes('nu a fost') || textContent.includes('not found') ||
+                        textContent.includes('inexistent') || textContent.includes('Nu exista') ||
+                        textContent.includes('eroare') || buffer.length < 1000) {
+                        throw new NotFoundError('SmartBill PDF Error: 404 - Factura nu a fost găsită', { service: 'SmartBill' });
+                    }
 
-                throw new Error(`SmartBill nu a returnat un PDF valid. Răspuns: ${textContent.substring(0, 200)}`);
-            }
+                    throw new Error(`SmartBill nu a returnat un PDF valid. Răspuns: ${textContent.substring(0, 200)}`);
+                }
 
-            // Verificăm și dimensiunea - un PDF valid de factură are minim câteva KB
-            if (buffer.length < 5000) {
-                console.error(`[SmartBill] PDF prea mic (${buffer.length} bytes) - posibil factură inexistentă`);
-                throw new Error(`SmartBill PDF Error: 404 - PDF invalid sau factură inexistentă`);
-            }
+                // Verificăm și dimensiunea - un PDF valid de factură are minim câteva KB
+                if (buffer.length < 5000) {
+                    console.error(`[SmartBill] PDF prea mic (${buffer.length} bytes) - posibil factură inexistentă`);
+                    throw new NotFoundError('SmartBill PDF Error: 404 - PDF invalid sau factură inexistentă', { service: 'SmartBill' });
+                }
 
-            return buffer;
+                return buffer;
+            });
         } catch (error) {
             console.error('[SmartBill] Eroare la descărcarea PDF:', error.message);
             throw error;
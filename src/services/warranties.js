@@ -0,0 +1,230 @@
+/**
+ * Serviciu pentru liniile de garanție (câte o linie pentru fiecare produs dintr-un certificat)
+ * Stochează data de început și de sfârșit a garanției pentru rapoartele de expirare
+ */
+
+const { db } = require('../config/database');
+
+// Câte linii inserăm într-un singur INSERT (sql.js salvează baza pe disc la fiecare execuție)
+const INSERT_BATCH_SIZE = 200;
+
+class WarrantiesService {
+    /**
+     * Creează liniile de garanție pentru un certificat nou
+     * @param {number} certificateId - ID-ul certificatului
+     * @param {Object} data - { invoiceNumber, invoiceDate, isVatPayer, products }
+     */
+    createLinesForCertificate(certificateId, data) {
+        const rows = this._buildLines(certificateId, data.invoiceNumber, data.invoiceDate, data.isVatPayer, data.products);
+        this._insertLines(rows);
+        return rows.length;
+    }
+
+    /**
+     * Completează liniile de garanție pentru certificatele emise înainte de introducerea tabelului
+     * Rulează la pornirea serverului; certificatele care au deja linii sunt ignorate
+     */
+    backfillWarrantyLines() {
+        const stmt = db.prepare(`
+            SELECT c.id, c.invoice_number, c.invoice_date, c.client_is_vat_payer, c.products_json
+            FROM certificates c
+            WHERE NOT EXISTS (SELECT 1 FROM warranty_lines wl WHERE wl.certificate_id = c.id)
+        `);
+        const certificates = stmt.all();
+
+        if (certificates.length === 0) {
+            return 0;
+        }
+
+        const rows = [];
+        for (const certificate of certificates) {
+            let products = [];
+            try {
+                products = JSON.parse(certificate.products_json || '[]');
+            } catch (e) {
+                console.error(`[Warranties] products_json invalid pentru certificatul ${certificate.id}`);
+            }
+
+            rows.push(...this._buildLines(
+                certificate.id,
+                certificate.invoice_number,
+                certificate.invoice_date,
+                certificate.client_is_vat_payer === 1,
+                products
+            ));
+        }
+
+        this._insertLines(rows);
+        console.log(`[Warranties] Backfill: ${rows.length} linii de garanție pentru ${certificates.length} certificate`);
+        return rows.length;
+    }
+
+    /**
+     * Garanții care expiră în următoarele N zile (doar certificate active)
+     * @param {Object} filters - { days, productCode, clientType, search }
+     */
+    getExpiringWarranties(filters = {}) {
+        const days = this._parseDays(filters.days);
+        const where = ["wl.end_date >= date('now')", "wl.end_date <= date('now', ?)"];
+        const params = [`+${days} days`];
+
+        return this._queryLines(where, params, filters, 'wl.end_date ASC');
+    }
+
+    /**
+     * Garanții expirate în ultimele N zile (doar certificate active)
+     * @param {Object} filters - { days, productCode, clientType, search }
+     */
+    getExpiredWarranties(filters = {}) {
+        const days = this._parseDays(filters.days);
+        const where = ["wl.end_date < date('now')", "wl.end_date >= date('now', ?)"];
+        const params = [`-${days} days`];
+
+        return this._queryLines(where, params, filters, 'wl.end_date DESC');
+    }
+
+    /**
+     * Produsele distincte care au linii de garanție (pentru filtrul din pagină)
+     */
+    getWarrantyProducts() {
+        const stmt = db.prepare(`
+            SELECT product_code, MAX(product_name) as product_name, COUNT(*) as lines_count
+            FROM warranty_lines
+            WHERE product_code IS NOT NULL AND product_code != ''
+            GROUP BY product_code
+            ORDER BY product_name
+        `);
+        return stmt.all();
+    }
+
+    /**
+     * Liniile de garanție ale unui certificat
+     */
+    getLinesForCertificate(certificateId) {
+        const stmt = db.prepare('SELECT * FROM warranty_lines WHERE certificate_id = ? ORDER BY id');
+        return stmt.all(certificateId);
+    }
+
+    /**
+     * Parsează o dată în formatul facturii (dd.mm.yyyy)
+     * @returns {Date|null}
+     */
+    parseInvoiceDate(dateString) {
+        const match = String(dateString || '').match(/^(\d{1,2})\.(\d{1,2})\.(\d{4})$/);
+        if (!match) return null;
+
+        const date = new Date(parseInt(match[3], 10), parseInt(match[2], 10) - 1, parseInt(match[1], 10));
+        return isNaN(date.getTime()) ? null : date;
+    }
+
+    /**
+     * Adaugă un număr de luni la o dată (31.01 + 1 lună = 28/29.02, nu 03.03)
+     */
+    addMonths(date, months) {
+        const result = new Date(date.getFullYear(), date.getMonth() + months, 1);
+        const lastDay = new Date(result.getFullYear(), result.getMonth() + 1, 0).getDate();
+        result.setDate(Math.min(date.getDate(), lastDay));
+        return result;
+    }
+
+    /**
+     * Formatează o dată ca yyyy-mm-dd (format comparabil direct în SQLite)
+     */
+    toIsoDate(date) {
+        const year = date.getFullYear();
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${year}-${month}-${day}`;
+    }
+
+    /**
+     * Construiește liniile de garanție pentru produsele unui certificat
+     */
+    _buildLines(certificateId, invoiceNumber, invoiceDate, isVatPayer, products) {
+        const startDate = this.parseInvoiceDate(invoiceDate);
+        if (!startDate) {
+            console.error(`[Warranties] Data facturii invalidă pentru ${invoiceNumber}: "${invoiceDate}"`);
+            return [];
+        }
+
+        return (products || []).map(product => {
+            const warrantyMonths = parseInt(product.warrantyMonths, 10) || 0;
+            return [
+                certificateId,
+                invoiceNumber,
+                product.code || null,
+                product.name || '',
+                parseInt(product.quantity, 10) || 1,
+                warrantyMonths,
+                isVatPayer ? 1 : 0,
+                this.toIsoDate(startDate),
+                this.toIsoDate(this.addMonths(startDate, warrantyMonths))
+            ];
+        });
+    }
+
+    /**
+     * Inserează liniile în loturi
+     */
+    _insertLines(rows) {
+        for (let i = 0; i < rows.length; i += INSERT_BATCH_SIZE) {
+            const batch = rows.slice(i, i + INSERT_BATCH_SIZE);
+            const placeholders = batch.map(() => '(?, ?, ?, ?, ?, ?, ?, ?, ?)').join(', ');
+
+            const stmt = db.prepare(`
+                INSERT INTO warranty_lines (
+                    certificate_id, invoice_number, product_code, product_name, quantity,
+                    warranty_months, client_is_vat_payer, start_date, end_date
+                ) VALUES ${placeholders}
+            `);
+            stmt.run(...batch.flat());
+        }
+    }
+
+    /**
+     * Interogare comună pentru rapoarte, cu filtrele din pagină
+     */
+    _queryLines(where, params, filters, orderBy) {
+        where.push("(c.status IS NULL OR c.status != 'voided')");
+
+        if (filters.productCode) {
+            where.push('wl.product_code = ?');
+            params.push(filters.productCode);
+        }
+
+        if (filters.clientType === 'PF' || filters.clientType === 'PJ') {
+            where.push('wl.client_is_vat_payer = ?');
+            params.push(filters.clientType === 'PJ' ? 1 : 0);
+        }
+
+        if (filters.search) {
+            where.push('(c.client_name LIKE ? OR c.invoice_number LIKE ? OR c.serial_number LIKE ? OR c.emag_order_number LIKE ?)');
+            const term = `%${filters.search}%`;
+            params.push(term, term, term, term);
+        }
+
+        const stmt = db.prepare(`
+            SELECT wl.*, c.client_name, c.serial_number, c.emag_order_number,
+                   CAST(julianday(wl.end_date) - julianday(date('now')) AS INTEGER) as days_left
+            FROM warranty_lines wl
+            JOIN certificates c ON c.id = wl.certificate_id
+            WHERE ${where.join(' AND ')}
+            ORDER BY ${orderBy}
+        `);
+        return stmt.all(...params);
+    }
+
+    /**
+     * Numărul de zile din filtru (implicit 30, maxim 3650)
+     */
+    _parseDays(days) {
+        const value = parseInt(days, 10);
+        if (isNaN(value) || value < 1) return 30;
+        return Math.min(value, 3650);
+    }
+}
+
+// Singleton instance
+const warrantiesService = new WarrantiesService();
+
+module.exports = warrantiesService;
@@ -0,0 +1,342 @@
+/**
+ * Client HTTP comun pentru API-urile externe (SmartBill, eMAG)
+ *
+ * - erori tipizate: NotFoundError, RateLimitedError, TransientError, AuthError, CircuitOpenError
+ *   (apelanții decid după tipul erorii, nu după textul mesajului)
+ * - reîncercare cu pauză exponențială și jitter pentru erorile temporare (5xx, timeout, rețea, 429)
+ * - circuit breaker: după mai multe eșecuri temporare consecutive request-urile eșuează imediat,
+ *   până la expirarea pauzei, când un singur request de probă verifică dacă serviciul și-a revenit
+ * - pauză minimă între request-uri (rate limiting)
+ */
+
+const constants = require('../config/constants');
+
+// Coduri de eroare de rețea / timeout după care are sens o reîncercare
+const TRANSIENT_CODES = [
+    'ECONNABORTED', 'ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT', 'EPIPE',
+    'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH', 'ERR_SOCKET_CONNECTION_TIMEOUT'
+];
+
+/**
+ * Eroare HTTP de bază; kind identifică tipul pentru apelanți (și după serializare în rezultate)
+ */
+class HttpError extends Error {
+    constructor(message, options = {}) {
+        super(message);
+        this.name = 'HttpError';
+        this.kind = 'http';
+        this.service = options.service || null;
+        this.status = options.status || null;
+        this.response = options.response || null; // Răspunsul axios (data, headers), dacă există
+        this.retryable = false;
+    }
+}
+
+/**
+ * Resursa nu există (404, sau răspuns care indică o factură inexistentă)
+ */
+class NotFoundError extends HttpError {
+    constructor(message, options = {}) {
+        super(message, { status: 404, ...options });
+        this.name = 'NotFoundError';
+        this.kind = 'not_found';
+    }
+}
+
+/**
+ * Credențiale invalide sau acces interzis (401 / 403) - reîncercarea nu ajută
+ */
+class AuthError extends HttpError {
+    constructor(message, options = {}) {
+        super(message, options);
+        this.name = 'AuthError';
+        this.kind = 'auth';
+    }
+}
+
+/**
+ * Eroare temporară: 5xx, timeout, conexiune întreruptă
+ */
+class TransientError extends HttpError {
+    constructor(message, options = {}) {
+        super(message, options);
+        this.name = 'TransientError';
+        this.kind = 'transient';
+        this.retryable = true;
+    }
+}
+
+/**
+ * Prea multe request-uri (429); retryAfterMs vine din header-ul Retry-After
+ */
+class RateLimitedError extends HttpError {
+    constructor(message, options = {}) {
+        super(message, { status: 429, ...options });
+        this.name = 'RateLimitedError';
+        this.kind = 'rate_limited';
+        this.retryable = true;
+        this.retryAfterMs = options.retryAfterMs || null;
+    }
+}
+
+/**
+ * Circuitul este deschis - serviciul a eșuat repetat, request-ul nu a mai fost trimis
+ */
+class CircuitOpenError extends TransientError {
+    constructor(message, options = {}) {
+        super(message, options);
+        this.name = 'CircuitOpenError';
+        this.kind = 'circuit_open';
+        this.retryable = false;
+        this.retryAfterMs = options.retryAfterMs || null;
+    }
+}
+
+/**
+ * Erorile care indică un serviciu indisponibil (nu o problemă a resursei cerute):
+ * procesările automate se opresc la ele în loc să treacă la următoarea factură
+ */
+function isServiceUnavailable(error) {
+    return !!error && ['transient', 'circuit_open', 'rate_limited', 'auth'].includes(error.kind);
+}
+
+/**
+ * Header-ul Retry-After (secunde sau dată HTTP) -> milisecunde
+ */
+function parseRetryAfter(value) {
+    if (!value) return null;
+
+    const seconds = parseInt(value, 10);
+    if (!isNaN(seconds) && String(seconds) === String(value).trim()) {
+        return seconds * 1000;
+    }
+
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+class CircuitBreaker {
+    constructor(options = {}) {
+        this.failureThreshold = options.failureThreshold || constants.HTTP_CLIENT.CIRCUIT_FAILURE_THRESHOLD;
+        this.resetMs = options.resetMs || constants.HTTP_CLIENT.CIRCUIT_RESET_MS;
+        this.state = 'closed'; // closed | open | half_open
+        this.failures = 0;
+        this.openedAt = null;
+        this.trialInFlight = false;
+    }
+
+    /**
+     * Verifică dacă un request poate fi trimis; aruncă CircuitOpenError dacă nu
+     * După expirarea pauzei lasă să treacă un singur request de probă (half_open)
+     */
+    check(service) {
+        if (this.state === 'open') {
+            const elapsed = Date.now() - this.openedAt;
+            if (elapsed < this.resetMs) {
+                throw new CircuitOpenError(
+                    `${service} indisponibil temporar (prea multe erori consecutive) - reîncercare în ${Math.ceil((this.resetMs - elapsed) / 1000)} secunde`,
+                    { service, retryAfterMs: this.resetMs - elapsed }
+                );
+            }
+            this.state = 'half_open';
+        }
+
+        if (this.state === 'half_open') {
+            if (this.trialInFlight) {
+                throw new CircuitOpenError(`${service} indisponibil temporar - se verifică revenirea serviciului`, { service });
+            }
+            this.trialInFlight = true;
+        }
+    }
+
+    recordSuccess() {
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = null;
+        this.trialInFlight = false;
+    }
+
+    recordFailure(service) {
+        this.failures++;
+        this.trialInFlight = false;
+
+        if (this.state === 'half_open' || this.failures >= this.failureThreshold) {
+            if (this.state !== 'open') {
+                console.warn(`[${service}] Circuit deschis după ${this.failures} erori temporare consecutive - pauză ${Math.round(this.resetMs / 1000)} secunde`);
+            }
+            this.state = 'open';
+            this.openedAt = Date.now();
+        }
+    }
+
+    /**
+     * Eliberează request-ul de probă fără a schimba starea (erori care nu țin de serviciu)
+     */
+    release() {
+        this.trialInFlight = false;
+    }
+
+    getState() {
+        return {
+            state: this.state,
+            failures: this.failures,
+            openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+            retryAt: this.state === 'open' ? new Date(this.openedAt + this.resetMs).toISOString() : null
+        };
+    }
+}
+
+class HttpClient {
+    /**
+     * @param {Object} options - { service, minDelayMs, maxRetries, baseDelayMs, maxDelayMs, failureThreshold, resetMs }
+     *   service: numele afișat în mesaje și log-uri (ex: 'SmartBill', 'eMAG RO')
+     *   minDelayMs: pauza minimă între două request-uri ale acestui client
+     */
+    constructor(options = {}) {
+        const defaults = constants.HTTP_CLIENT;
+        this.service = options.service || 'HTTP';
+        this.minDelayMs = options.minDelayMs || 0;
+        this.maxRetries = options.maxRetries ?? defaults.MAX_RETRIES;
+        this.baseDelayMs = options.baseDelayMs ?? defaults.BASE_DELAY_MS;
+        this.maxDelayMs = options.maxDelayMs ?? defaults.MAX_DELAY_MS;
+        this.breaker = new CircuitBreaker(options);
+        this.lastRequestTime = 0;
+    }
+
+    /**
+     * Execută un request cu reîncercări și circuit breaker
+     * @param {string} label - Descrierea request-ului pentru log-uri (ex: 'GET /stocks')
+     * @param {Function} requestFn - async () => rezultat; aruncă eroarea axios / node-fetch
+     *   sau direct o eroare tipizată (ex: NotFoundError pentru un răspuns invalid)
+     */
+    async execute(label, requestFn) {
+        for (let attempt = 0; ; attempt++) {
+            this.breaker.check(this.service);
+            await this._waitForSlot();
+
+            let error;
+            try {
+                const result = await requestFn();
+                this.breaker.recordSuccess();
+                return result;
+            } catch (rawError) {
+                error = this.classify(rawError);
+            }
+
+            if (!(error instanceof HttpError)) {
+                // Eroare de program, nu de comunicare - nu o reîncercăm
+                this.breaker.release();
+                throw error;
+            }
+
+            if (error instanceof TransientError) {
+                this.breaker.recordFailure(this.service);
+            } else if (!(error instanceof RateLimitedError)) {
+                // Serviciul a răspuns (404, 401 etc.) - funcționează
+                this.breaker.recordSuccess();
+            } else {
+                this.breaker.release();
+            }
+
+            if (!error.retryable || attempt >= this.maxRetries || this.breaker.state === 'open') {
+                throw error;
+            }
+
+            const delay = this._retryDelay(attempt, error);
+            console.warn(`[${this.service}] ${label}: ${error.message} - reîncercare ${attempt + 1}/${this.maxRetries} în ${delay} ms`);
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+
+    /**
+     * Transformă o eroare axios / node-fetch într-o eroare tipizată
+     * Erorile care nu țin de comunicare (ex: TypeError) sunt întoarse neschimbate
+     */
+    classify(error) {
+        if (error instanceof HttpError) {
+            return error;
+        }
+
+        // axios - serverul a răspuns cu un status de eroare
+        if (error.response) {
+            const data = error.response.data;
+            const detail = typeof data === 'string' ? data : JSON.stringify(data);
+            return this.fromStatus(error.response.status, (detail || error.message).substring(0, 300), {
+                response: error.response,
+                retryAfter: error.response.headers && error.response.headers['retry-after']
+            });
+        }
+
+        // Timeout sau conexiune întreruptă (axios: isAxiosError, node-fetch: FetchError)
+        if (error.isAxiosError || error.name === 'FetchError') {
+            if (error.type === 'request-timeout' || TRANSIENT_CODES.includes(error.code)) {
+                return new TransientError(`${this.service}: ${error.message}`, { service: this.service });
+            }
+        }
+
+        return error;
+    }
+
+    /**
+     * Eroarea tipizată pentru un status HTTP
+     * @param {Object} options - { response, retryAfter } (retryAfter = valoarea header-ului Retry-After)
+     */
+    fromStatus(status, detail, options = {}) {
+        const message = `${this.service} API Error: ${status} - ${detail}`;
+        const errorOptions = { service: this.service, status, response: options.response };
+
+        if (status === 404) {
+            return new NotFoundError(message, errorOptions);
+        }
+        if (status === 401 || status === 403) {
+            return new AuthError(message, errorOptions);
+        }
+        if (status === 429) {
+            return new RateLimitedError(message, { ...errorOptions, retryAfterMs: parseRetryAfter(options.retryAfter) });
+        }
+        if (status === 408 || status >= 500) {
+            return new TransientError(message, errorOptions);
+        }
+        return new HttpError(message, errorOptions);
+    }
+
+    getCircuitState() {
+        return this.breaker.getState();
+    }
+
+    /**
+     * Pauza exponențială cu jitter (între jumătate și întregul plafon al încercării); la 429 respectăm Retry-After
+     */
+    _retryDelay(attempt, error) {
+        const ceiling = Math.min(this.maxDelayMs, this.baseDelayMs * Math.pow(2, attempt));
+        const delay = Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+
+        if (error instanceof RateLimitedError && error.retryAfterMs) {
+            return Math.max(delay, Math.min(error.retryAfterMs, constants.HTTP_CLIENT.MAX_RETRY_AFTER_MS));
+        }
+        return delay;
+    }
+
+    /**
+     * Pauza minimă între request-uri
+     */
+    async _waitForSlot() {
+        const timeSinceLastRequest = Date.now() - this.lastRequestTime;
+        if (timeSinceLastRequest < this.minDelayMs) {
+            await new Promise(resolve => setTimeout(resolve, this.minDelayMs - timeSinceLastRequest));
+        }
+        this.lastRequestTime = Date.now();
+    }
+}
+
+module.exports = {
+    HttpClient,
+    CircuitBreaker,
+    HttpError,
+    NotFoundError,
+    AuthError,
+    TransientError,
+    RateLimitedError,
+    CircuitOpenError,
+    isServiceUnavailable
+};